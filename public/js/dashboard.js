@@ -31,11 +31,18 @@ document.addEventListener('DOMContentLoaded', () => {
             // Period filtering can be extended later
         });
     });
+
+    // Cardholder filter
+    const cardholderFilter = document.getElementById('cardholderFilter');
+    if (cardholderFilter) {
+        cardholderFilter.addEventListener('change', () => loadDashboard());
+    }
 });
 
 async function loadDashboard() {
     try {
-        const res = await fetch('/api/dashboard/stats');
+        const cardholder = document.getElementById('cardholderFilter')?.value || '';
+        const res = await fetch(`/api/dashboard/stats${cardholder ? `?cardholder=${encodeURIComponent(cardholder)}` : ''}`);
         if (!res.ok) throw new Error(`HTTP ${res.status}`);
         const data = await res.json();
 
@@ -46,13 +53,26 @@ async function loadDashboard() {
         renderChartDonut(data.charts.byCard);
         renderChartMonthly(data.charts.monthly);
         renderTopCategories(data.charts.topCategories);
+        renderCategoryGroups(data.charts.categoryGroups);
         renderRecent(data.recent);
         renderCardProgress(data.cardProgress);
         renderSyncInfo(data.kpis.last_olist_sync);
         renderTopFornecedores(data.erp?.topFornecedores);
+        renderCardholders(data.charts.byCardholder, data.cardholder);
     } catch (e) {
         console.error('Erro ao carregar dashboard:', e);
     }
+    loadInstallmentsProjection();
+}
+
+async function loadInstallmentsProjection() {
+    try {
+        const res = await fetch('/api/dashboard/installments/projection?meses=12');
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        renderChartInstallments(await res.json());
+    } catch (e) {
+        console.error('Erro ao carregar projeção de parcelas:', e);
+    }
 }
 
 // ─── KPIs ─────────────────────────────────────
@@ -310,6 +330,57 @@ function renderChartMonthly(monthly) {
     });
 }
 
+// ─── Chart: Installments Projection ───────────
+function renderChartInstallments(projection) {
+    const ctx = document.getElementById('chartInstallments');
+    const cards = Object.keys(projection.cartoes || {});
+    if (cards.length === 0) {
+        ctx.parentElement.innerHTML = '<div class="empty-state">Nenhuma compra parcelada em aberto</div>';
+        return;
+    }
+    if (chartInstances.installments) chartInstances.installments.destroy();
+
+    document.getElementById('installmentsTotal').textContent =
+        `R$ ${projection.total.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`;
+
+    const isDark = document.documentElement.getAttribute('data-theme') !== 'light';
+    const gridColor = isDark ? 'rgba(255,255,255,0.06)' : 'rgba(0,0,0,0.08)';
+    const textColor = isDark ? '#8b949e' : '#656d76';
+
+    chartInstances.installments = new Chart(ctx, {
+        type: 'bar',
+        data: {
+            labels: projection.meses.map(m => `${m.mes.slice(5)}/${m.mes.slice(2, 4)}`),
+            datasets: cards.map((card, i) => ({
+                label: card,
+                data: projection.meses.map(m => m.cartoes[card] || 0),
+                backgroundColor: CHART_COLORS[i % CHART_COLORS.length] + 'cc',
+                borderRadius: 4,
+                borderSkipped: false,
+            })),
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: { position: 'bottom', labels: { color: textColor, font: { size: 11 }, boxWidth: 12, padding: 12 } },
+                tooltip: {
+                    callbacks: {
+                        label: (c) => `${c.dataset.label}: R$ ${c.raw.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`,
+                    },
+                },
+            },
+            scales: {
+                x: { stacked: true, grid: { display: false }, ticks: { color: textColor, font: { size: 11 } } },
+                y: {
+                    stacked: true, grid: { color: gridColor },
+                    ticks: { color: textColor, font: { size: 11 }, callback: (v) => `R$ ${(v / 1000).toFixed(0)}k` },
+                },
+            },
+        },
+    });
+}
+
 // ─── Top Categories ───────────────────────────
 function renderTopCategories(cats) {
     const container = document.getElementById('topCategoriesList');
@@ -331,6 +402,35 @@ function renderTopCategories(cats) {
     `).join('');
 }
 
+// ─── Category Groups (plano de contas) ────────
+// Grupos de 1º nível e seus subgrupos; a barra é relativa ao maior grupo
+function renderCategoryGroups(rollup) {
+    const section = document.getElementById('categoryGroupsSection');
+    const container = document.getElementById('categoryGroupsList');
+    if (!rollup || !rollup.grupos || rollup.grupos.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = '';
+    const fora = rollup.fora_do_plano || [];
+    document.getElementById('categoryGroupsOutside').textContent = fora.length > 0
+        ? `${fora.length} categoria(s) fora do plano: R$ ${fora.reduce((s, c) => s + c.total, 0).toLocaleString('pt-BR', { minimumFractionDigits: 2 })}`
+        : '';
+
+    const maxVal = Math.max(...rollup.grupos.filter(g => g.nivel === 1).map(g => g.total), 1);
+    container.innerHTML = rollup.grupos.map(g => `
+        <div class="top-item" style="${g.nivel > 1 ? 'padding-left: 36px;' : ''}">
+            ${g.nivel === 1 ? `<div class="top-rank">${escapeHtml(g.codigo || '—')}</div>` : ''}
+            <div class="top-info">
+                <h4 style="${g.nivel > 1 ? 'font-weight: 500;' : ''}">${escapeHtml(g.descricao)}</h4>
+                <p>${g.quantidade} transações</p>
+                <div class="top-bar-wrap"><div class="top-bar-fill" style="width: ${(g.total / maxVal * 100).toFixed(0)}%"></div></div>
+            </div>
+            <div class="top-value">R$ ${g.total.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</div>
+        </div>
+    `).join('');
+}
+
 // ─── Top Fornecedores ─────────────────────────
 function renderTopFornecedores(fornecedores) {
     const section = document.getElementById('fornecedoresSection');
@@ -354,6 +454,38 @@ function renderTopFornecedores(fornecedores) {
     `).join('');
 }
 
+// ─── Cardholders ──────────────────────────────
+function renderCardholders(holders, selected) {
+    const section = document.getElementById('cardholdersSection');
+    const container = document.getElementById('cardholdersList');
+    const select = document.getElementById('cardholderFilter');
+
+    if (select) {
+        const finals = [...new Map((holders || []).map(h => [h.card_final, h])).values()];
+        select.innerHTML = '<option value="">Todos os portadores</option>' + finals.map(h =>
+            `<option value="${escapeHtml(h.card_final)}"${h.card_final === selected ? ' selected' : ''}>${escapeHtml(h.name)} · final ${escapeHtml(h.card_final)}</option>`
+        ).join('');
+    }
+
+    if (!holders || holders.length === 0) {
+        section.style.display = 'none';
+        return;
+    }
+    section.style.display = '';
+    const maxVal = Math.max(...holders.map(h => h.total), 1);
+    container.innerHTML = holders.map((h, i) => `
+        <div class="top-item">
+            <div class="top-rank">${i + 1}</div>
+            <div class="top-info">
+                <h4>${escapeHtml(h.name)}${h.registered ? '' : ' <span title="Final sem portador cadastrado">⚠️</span>'}</h4>
+                <p>${escapeHtml(h.card_name || '')} · final ${escapeHtml(h.card_final)}${h.cost_center ? ` · ${escapeHtml(h.cost_center)}` : ''} · ${h.count} transações</p>
+                <div class="top-bar-wrap"><div class="top-bar-fill" style="width: ${(Math.max(h.total, 0) / maxVal * 100).toFixed(0)}%"></div></div>
+            </div>
+            <div class="top-value">R$ ${h.total.toLocaleString('pt-BR', { minimumFractionDigits: 2 })}</div>
+        </div>
+    `).join('');
+}
+
 // ─── Recent ───────────────────────────────────
 function renderRecent(recent) {
     const container = document.getElementById('recentList');
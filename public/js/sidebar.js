@@ -38,6 +38,12 @@
                     icon: 'creditCard',
                     matchPaths: ['/faturas.html', '/extratos-cartao.html', '/extrato-detalhe.html', '/conciliacoes.html']
                 },
+                {
+                    href: '/revisao.html',
+                    label: 'Fila de Revisão',
+                    icon: 'fileText',
+                    matchPaths: ['/revisao.html']
+                },
                 {
                     href: '/repositorio.html',
                     label: 'Repositório Olist',
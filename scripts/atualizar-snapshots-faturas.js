@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * atualizar-snapshots-faturas.js — Regrava os golden files dos parsers
+ *
+ * Use depois de uma mudança intencional em um parser de fatura: parseia cada
+ * fixture de test/parsers/fixtures e regrava test/parsers/snapshots,
+ * mostrando o que mudou em cada uma (quantidade, total, vencimento).
+ * Revise o diff dos snapshots no git antes de commitar.
+ *
+ * Uso: node scripts/atualizar-snapshots-faturas.js [fixture ...]
+ *      npm run test:snapshots
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { listarFixtures, parseFixture, montarSnapshot, lerSnapshot, gravarSnapshot } = require('../test/parsers/golden');
+
+function descreverMudanca(anterior, atual) {
+    if (!anterior) return 'novo';
+    const mudancas = [];
+    if (anterior.resumo.transacoes !== atual.resumo.transacoes) {
+        mudancas.push(`transações ${anterior.resumo.transacoes} → ${atual.resumo.transacoes}`);
+    }
+    if (anterior.resumo.total !== atual.resumo.total) {
+        mudancas.push(`total ${anterior.resumo.total} → ${atual.resumo.total}`);
+    }
+    if (anterior.metadados.vencimento !== atual.metadados.vencimento) {
+        mudancas.push(`vencimento ${anterior.metadados.vencimento} → ${atual.metadados.vencimento}`);
+    }
+    if (anterior.conferencia.status !== atual.conferencia.status) {
+        mudancas.push(`conferência ${anterior.conferencia.status} → ${atual.conferencia.status}`);
+    }
+    if (mudancas.length === 0 && JSON.stringify(anterior) !== JSON.stringify(atual)) {
+        mudancas.push('detalhes das transações');
+    }
+    return mudancas.length > 0 ? mudancas.join(', ') : null;
+}
+
+async function main() {
+    const pedidas = process.argv.slice(2);
+    const disponiveis = listarFixtures();
+    const fixtures = pedidas.length > 0 ? pedidas : disponiveis;
+
+    const desconhecidas = fixtures.filter(f => !disponiveis.includes(f));
+    if (desconhecidas.length > 0) {
+        console.error(`❌ Fixture(s) não encontrada(s): ${desconhecidas.join(', ')}`);
+        process.exit(1);
+    }
+
+    let alteradas = 0;
+    for (const fixture of fixtures) {
+        const atual = montarSnapshot(await parseFixture(fixture));
+        const mudanca = descreverMudanca(lerSnapshot(fixture), atual);
+        gravarSnapshot(fixture, atual);
+
+        if (mudanca) {
+            alteradas++;
+            console.log(`   ✏️  ${fixture}: ${mudanca}`);
+        } else {
+            console.log(`   ✅ ${fixture}: sem mudança`);
+        }
+    }
+
+    console.log(`\n📸 ${fixtures.length} snapshot(s) verificados, ${alteradas} regravado(s) com mudança`);
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
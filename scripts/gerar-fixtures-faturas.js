@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * gerar-fixtures-faturas.js — Gera fixtures anonimizadas para os golden files
+ *
+ * Extrai o texto dos PDFs de fatura (mesmo pdf-parse do upload), anonimiza
+ * nomes de portadores, endereço, linha digitável e números longos, e grava em
+ * test/parsers/fixtures/<banco>-<AAAA-MM>.txt. Confere que o texto anonimizado
+ * parseia igual ao original (quantidade e total) antes de gravar.
+ *
+ * Revise as fixtures geradas antes de commitar: a anonimização é por regra e
+ * pode deixar passar algum dado pessoal num layout novo.
+ *
+ * Uso: node scripts/gerar-fixtures-faturas.js [arquivo.pdf ...]
+ *      (sem argumentos: todos os PDFs de Extratos_Cartões/)
+ *
+ * Depois: npm run test:snapshots para gravar os snapshots das novas fixtures.
+ */
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const { parseTextoFatura } = require('../src/services/pdf-parser');
+const { FIXTURES_DIR } = require('../test/parsers/golden');
+
+const ROOT = path.join(__dirname, '..');
+
+// Nomes fictícios para as palavras dos nomes de portadores (mantêm maiúsculas e só letras)
+const PSEUDONIMOS = ['FULANO', 'BELTRANO', 'CICRANO', 'SILVA', 'SOUZA', 'PEREIRA', 'OLIVEIRA', 'COSTA', 'SANTOS', 'LIMA'];
+
+function listarPdfsPadrao() {
+    const pasta = fs.readdirSync(ROOT).find(d => /^Extratos_Cart/.test(d));
+    if (!pasta) return [];
+
+    const pdfs = [];
+    const percorrer = (dir) => {
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const caminho = path.join(dir, item.name);
+            if (item.isDirectory()) percorrer(caminho);
+            else if (item.name.toLowerCase().endsWith('.pdf')) pdfs.push(caminho);
+        }
+    };
+    percorrer(path.join(ROOT, pasta));
+    return pdfs.sort();
+}
+
+const REGEX_LOGRADOURO = /^\s*(R|RUA|AV|AVENIDA|ROD|TRAV|AL)\.?\s+[A-ZÀ-Ú][^\d]*\s\d+/i;
+const REGEX_CEP = /^\s*\d{5}-?\d{3}\s+[A-ZÀ-Ú]/;
+
+// Linha "NOME  5546 XXXX XXXX 1234" de cartão adicional, que nem sempre vira transação
+const REGEX_LINHA_PORTADOR = /^\s*([A-ZÀ-Ú][A-ZÀ-Ú ]+?)\s+\d{4}[ .]XXXX[ .]XXXX[ .]\d{4}/;
+
+/**
+ * Palavras de nomes de pessoas a trocar: portadores encontrados pelo parser,
+ * linhas de portador do layout e o destinatário (linha antes do logradouro).
+ * Só palavras com 3+ letras — iniciais ("G") ficam como estão.
+ */
+function palavrasDeNomes(texto, resultado) {
+    const nomes = resultado.transacoes.map(t => t.portador || '');
+    const linhas = texto.split('\n');
+
+    linhas.forEach((linha, i) => {
+        const match = linha.match(REGEX_LINHA_PORTADOR);
+        if (match) nomes.push(match[1]);
+        if (i > 0 && REGEX_LOGRADOURO.test(linha)) nomes.push(linhas[i - 1]);
+    });
+
+    const palavras = new Set();
+    for (const nome of nomes) {
+        for (const palavra of nome.trim().split(/\s+/)) {
+            if (/^[A-ZÀ-Ú]{3,}$/.test(palavra)) palavras.add(palavra);
+        }
+    }
+    return [...palavras];
+}
+
+function anonimizar(texto, palavrasNome) {
+    let anonimo = texto;
+
+    // Nomes, inclusive colados em dígitos/valores ("ELLER8155", "GUILHERMER$ 7.716,95")
+    palavrasNome.forEach((palavra, i) => {
+        const pseudonimo = PSEUDONIMOS[i % PSEUDONIMOS.length];
+        anonimo = anonimo.replace(new RegExp(`\\b${palavra}(?=R\\$|[^A-Za-zÀ-ÿ]|$)`, 'gm'), pseudonimo);
+    });
+
+    const linhas = anonimo.split('\n');
+    for (let i = 0; i < linhas.length; i++) {
+        // Endereço: logradouro, bairro (linha entre logradouro e CEP) e CEP + cidade
+        if (REGEX_LOGRADOURO.test(linhas[i]) && !/R\$/.test(linhas[i])) {
+            linhas[i] = 'RUA EXEMPLO 100';
+            if (i + 2 < linhas.length && REGEX_CEP.test(linhas[i + 2])) linhas[i + 1] = 'CENTRO';
+        }
+        if (REGEX_CEP.test(linhas[i])) linhas[i] = '00000-000  CIDADE  UF';
+
+        // Linha digitável e identificadores numéricos longos (conta, convênio)
+        linhas[i] = linhas[i]
+            .replace(/\b\d{5}\.\d{5} \d{5}\.\d{6} \d{5}\.\d{6} \d\b/g, m => m.replace(/\d/g, '0'))
+            .replace(/\b\d{14,}\b/g, m => '0'.repeat(m.length))
+            .replace(/\b\d{3}\.\d{3}\.\d{3}-\d{2}\b/g, '000.000.000-00')
+            .replace(/\b\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}\b/g, '00.000.000/0000-00');
+    }
+
+    return linhas.join('\n');
+}
+
+function resumo(resultado) {
+    const total = resultado.transacoes.reduce((sum, t) => sum + t.valor, 0);
+    return `${resultado.transacoes.length} transações, total ${total.toFixed(2)}`;
+}
+
+function nomeFixture(resultado, pdf, usados) {
+    const data = resultado.metadados.vencimento || resultado.metadados.emissao;
+    const base = data
+        ? `${resultado.banco}-${data.slice(0, 7)}`
+        : `${resultado.banco}-${path.basename(pdf, '.pdf').normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^\w]+/g, '-').toLowerCase()}`;
+
+    let nome = `${base}.txt`;
+    for (let n = 2; usados.has(nome); n++) nome = `${base}-${n}.txt`;
+    usados.add(nome);
+    return nome;
+}
+
+async function main() {
+    const pdfs = process.argv.length > 2 ? process.argv.slice(2).map(p => path.resolve(p)) : listarPdfsPadrao();
+    if (pdfs.length === 0) {
+        console.error('❌ Nenhum PDF encontrado (informe os arquivos ou coloque-os em Extratos_Cartões/)');
+        process.exit(1);
+    }
+
+    fs.mkdirSync(FIXTURES_DIR, { recursive: true });
+    const usados = new Set();
+    let erros = 0;
+
+    for (const pdf of pdfs) {
+        const { text } = await pdfParse(fs.readFileSync(pdf));
+        const original = parseTextoFatura(text);
+        const anonimo = anonimizar(text, palavrasDeNomes(text, original));
+        const conferido = parseTextoFatura(anonimo);
+
+        if (resumo(original) !== resumo(conferido)) {
+            erros++;
+            console.error(`   ❌ ${path.basename(pdf)}: anonimização mudou o parse (${resumo(original)} → ${resumo(conferido)})`);
+            continue;
+        }
+
+        const nome = nomeFixture(original, pdf, usados);
+        fs.writeFileSync(path.join(FIXTURES_DIR, nome), anonimo);
+        console.log(`   📄 ${path.basename(pdf)} → ${nome} (${resumo(original)})`);
+    }
+
+    console.log(`\n${erros === 0 ? '✅' : '⚠️'} ${pdfs.length - erros} fixture(s) gravada(s) em ${path.relative(ROOT, FIXTURES_DIR)}`);
+    if (erros > 0) process.exit(1);
+}
+
+main().catch(err => {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+});
@@ -0,0 +1,26 @@
+/**
+ * Migration 013: Statement total check
+ * Guarda em card_statements o total declarado na fatura, a diferença para a
+ * soma das transações extraídas e o relatório completo da conferência (JSON).
+ */
+module.exports = {
+    name: '013_statement_total_check',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_statements' AND column_name IN ('declared_total', 'total_difference', 'total_check')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('declared_total')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN declared_total DOUBLE PRECISION');
+        }
+        if (!existing.has('total_difference')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN total_difference DOUBLE PRECISION');
+        }
+        if (!existing.has('total_check')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN total_check TEXT');
+        }
+    },
+};
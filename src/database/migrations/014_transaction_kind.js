@@ -0,0 +1,25 @@
+/**
+ * Migration 014: Transaction kind + refund link
+ * card_transactions.kind: purchase | refund | fee | interest | payment
+ * card_transactions.refund_of: compra original de um estorno (mesma descrição e valor).
+ */
+module.exports = {
+    name: '014_transaction_kind',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_transactions' AND column_name IN ('kind', 'refund_of')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('kind')) {
+            await client.query("ALTER TABLE card_transactions ADD COLUMN kind TEXT NOT NULL DEFAULT 'purchase'");
+        }
+        if (!existing.has('refund_of')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN refund_of INTEGER REFERENCES card_transactions(id) ON DELETE SET NULL');
+        }
+
+        await client.query('CREATE INDEX IF NOT EXISTS idx_card_transactions_refund_of ON card_transactions(refund_of)');
+    },
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration 015: Compras internacionais
+ * card_transactions.original_currency / original_amount / exchange_rate: moeda, valor na moeda e cotação.
+ * card_transactions.iof_amount: IOF cobrado sobre a compra (a linha de IOF continua como lançamento próprio).
+ * card_transactions.iof_of: na linha de IOF, a compra internacional que a originou.
+ */
+module.exports = {
+    name: '015_international_purchases',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_transactions'
+              AND column_name IN ('original_currency', 'original_amount', 'exchange_rate', 'iof_amount', 'iof_of')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('original_currency')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN original_currency TEXT');
+        }
+        if (!existing.has('original_amount')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN original_amount DOUBLE PRECISION');
+        }
+        if (!existing.has('exchange_rate')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN exchange_rate DOUBLE PRECISION');
+        }
+        if (!existing.has('iof_amount')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN iof_amount DOUBLE PRECISION');
+        }
+        if (!existing.has('iof_of')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN iof_of INTEGER REFERENCES card_transactions(id) ON DELETE SET NULL');
+        }
+    },
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 016: Portadores de cartão
+ * card_transactions.card_final / card_holder_name / card_section: cartão adicional
+ *   (4 últimos dígitos), nome impresso na fatura e seção em que o lançamento apareceu.
+ * cardholders: cadastro final do cartão → funcionário e centro de custo.
+ *   card_name vazio = vale para qualquer cartão com esse final.
+ */
+module.exports = {
+    name: '016_cardholders',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_transactions' AND column_name IN ('card_final', 'card_holder_name', 'card_section')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('card_final')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN card_final TEXT');
+        }
+        if (!existing.has('card_holder_name')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN card_holder_name TEXT');
+        }
+        if (!existing.has('card_section')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN card_section TEXT');
+        }
+        await client.query('CREATE INDEX IF NOT EXISTS idx_card_transactions_card_final ON card_transactions(card_final)');
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS cardholders (
+                id SERIAL PRIMARY KEY,
+                card_final TEXT NOT NULL,
+                card_name TEXT NOT NULL DEFAULT '',
+                employee_name TEXT NOT NULL,
+                cost_center TEXT,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW(),
+                UNIQUE (card_final, card_name)
+            )
+        `);
+    },
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration 017: Statement fingerprint
+ * card_statements.content_hash: SHA-256 do arquivo importado.
+ * card_statements.fingerprint: cartão + vencimento + total + quantidade de transações.
+ * Faturas já importadas recebem o fingerprint (o hash só existe para novos uploads).
+ */
+// Cópia congelada de statement-dedup.calcularFingerprint no formato desta
+// migração — a migração não pode mudar se o serviço mudar depois.
+const centavos = (v) => Math.round(Math.abs(Number(v) || 0) * 100) * Math.sign(Number(v) || 0);
+
+function calcularFingerprint({ card_name, due_date, statement_date, total_amount, total_transactions }) {
+    const data = due_date || statement_date || '';
+    const total = (centavos(total_amount) / 100).toFixed(2);
+    return `${card_name}|${data}|${total}|${total_transactions}`;
+}
+
+module.exports = {
+    name: '017_statement_fingerprint',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_statements' AND column_name IN ('content_hash', 'fingerprint')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('content_hash')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN content_hash TEXT');
+        }
+        if (!existing.has('fingerprint')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN fingerprint TEXT');
+        }
+        await client.query('CREATE INDEX IF NOT EXISTS idx_card_statements_content_hash ON card_statements(content_hash)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_card_statements_fingerprint ON card_statements(fingerprint)');
+
+        const { rows: faturas } = await client.query(`
+            SELECT id, card_name, due_date, statement_date, total_amount, total_transactions
+            FROM card_statements WHERE fingerprint IS NULL
+        `);
+        for (const fatura of faturas) {
+            await client.query('UPDATE card_statements SET fingerprint = $1 WHERE id = $2', [calcularFingerprint(fatura), fatura.id]);
+        }
+    },
+};
@@ -0,0 +1,41 @@
+/**
+ * Migration 018: OCR statements
+ * card_statements.source_ocr / ocr_confidence / ocr_data: fatura lida por OCR
+ *   (PDF digitalizado), confiança média e as linhas reconhecidas com confiança (JSON).
+ * card_transactions.ocr_confidence / needs_review: confiança do OCR no valor
+ *   do lançamento e marcação para revisão quando ela é baixa.
+ */
+module.exports = {
+    name: '018_ocr_statements',
+
+    async up(client) {
+        const { rows: colsStatements } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_statements' AND column_name IN ('source_ocr', 'ocr_confidence', 'ocr_data')
+        `);
+        const existingStatements = new Set(colsStatements.map(r => r.column_name));
+
+        if (!existingStatements.has('source_ocr')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN source_ocr INTEGER DEFAULT 0');
+        }
+        if (!existingStatements.has('ocr_confidence')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN ocr_confidence DOUBLE PRECISION');
+        }
+        if (!existingStatements.has('ocr_data')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN ocr_data TEXT');
+        }
+
+        const { rows: colsTransactions } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_transactions' AND column_name IN ('ocr_confidence', 'needs_review')
+        `);
+        const existingTransactions = new Set(colsTransactions.map(r => r.column_name));
+
+        if (!existingTransactions.has('ocr_confidence')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN ocr_confidence DOUBLE PRECISION');
+        }
+        if (!existingTransactions.has('needs_review')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN needs_review INTEGER DEFAULT 0');
+        }
+    },
+};
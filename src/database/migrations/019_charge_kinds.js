@@ -0,0 +1,41 @@
+/**
+ * Migration 019: Charge kinds
+ * card_transactions.kind ganha 'annuity' (anuidade); multa e encargos passam
+ * de 'fee' para 'interest' e compras "S/ JUROS" deixam de ser 'interest'.
+ * Lançamentos já importados são reclassificados pela descrição (estornos ficam como estão).
+ */
+// Cópia congelada de parser-utils.classificarLancamento (só os kinds de débito,
+// que são os que esta migração troca) — a migração não pode mudar se o parser mudar depois.
+const REGEX_PAGAMENTO = /^(PAGAMENTO|PAGTO|OBRIGADO PELO PAGAMENTO|DEB\s+AUTOM|Fatura anterior)|pagamento (da|de) fatura|pagamento efetuado/i;
+const REGEX_ESTORNO = /estorno|^cr[eé]dito|ajuste cred|devolu[cç][aã]o|reembolso|cancelamento|chargeback|^desc(onto)?\.? anuidade/i;
+const REGEX_ANUIDADE = /anuidade/i;
+const REGEX_TARIFA = /\biof\b|tarifa/i;
+const REGEX_JUROS = /^(juros|multa|encargos?)$|\bjuros\s+(d[eo]\s+)?(mora|rotativo|atraso)|\bmulta\s+(por\s+)?atraso|\bencargos?\s+(d[eo]\s+)?(financ|rotativo)/i;
+
+/** @returns {string|null} kind novo, ou null se a linha não é débito (pagamento/estorno) */
+function kindDebito(descricao) {
+    const desc = (descricao || '').trim();
+    if (REGEX_PAGAMENTO.test(desc) || REGEX_ESTORNO.test(desc)) return null;
+    if (REGEX_ANUIDADE.test(desc)) return 'annuity';
+    if (REGEX_TARIFA.test(desc)) return 'fee';
+    if (REGEX_JUROS.test(desc)) return 'interest';
+    return 'purchase';
+}
+
+module.exports = {
+    name: '019_charge_kinds',
+
+    async up(client) {
+        await client.query('CREATE INDEX IF NOT EXISTS idx_card_transactions_kind ON card_transactions(kind)');
+
+        const { rows } = await client.query(`
+            SELECT id, description, amount, kind FROM card_transactions
+            WHERE kind IN ('purchase', 'fee', 'interest') AND amount > 0
+        `);
+        for (const t of rows) {
+            const kind = kindDebito(t.description);
+            if (!kind || kind === t.kind) continue;
+            await client.query('UPDATE card_transactions SET kind = $1 WHERE id = $2', [kind, t.id]);
+        }
+    },
+};
@@ -0,0 +1,46 @@
+/**
+ * Migration 020: Installment contracts
+ * installment_contracts: compra parcelada acompanhada fatura a fatura —
+ *   first_month é o mês (YYYY-MM) da fatura da parcela 1, last_installment a
+ *   maior parcela já vista e installment_amount o valor da última parcela.
+ * card_transactions.installment_contract_id: parcela → contrato.
+ * card_statements.installment_check: conferência das parcelas esperadas (JSON).
+ */
+module.exports = {
+    name: '020_installment_contracts',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS installment_contracts (
+                id SERIAL PRIMARY KEY,
+                card_name TEXT NOT NULL,
+                card_final TEXT,
+                description TEXT NOT NULL,
+                purchase_date TEXT,
+                total_installments INTEGER NOT NULL,
+                installment_amount DOUBLE PRECISION NOT NULL,
+                total_amount DOUBLE PRECISION NOT NULL,
+                first_month TEXT NOT NULL,
+                last_installment INTEGER NOT NULL DEFAULT 0,
+                created_at TIMESTAMP DEFAULT NOW(),
+                updated_at TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_installment_contracts_card ON installment_contracts(card_name)');
+
+        const { rows } = await client.query(`
+            SELECT table_name, column_name FROM information_schema.columns
+            WHERE (table_name = 'card_transactions' AND column_name = 'installment_contract_id')
+               OR (table_name = 'card_statements' AND column_name = 'installment_check')
+        `);
+        const existing = new Set(rows.map(r => `${r.table_name}.${r.column_name}`));
+
+        if (!existing.has('card_transactions.installment_contract_id')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN installment_contract_id INTEGER REFERENCES installment_contracts(id) ON DELETE SET NULL');
+        }
+        if (!existing.has('card_statements.installment_check')) {
+            await client.query('ALTER TABLE card_statements ADD COLUMN installment_check TEXT');
+        }
+        await client.query('CREATE INDEX IF NOT EXISTS idx_card_transactions_installment_contract ON card_transactions(installment_contract_id)');
+    },
+};
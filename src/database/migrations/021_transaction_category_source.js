@@ -0,0 +1,29 @@
+/**
+ * Migration 021: Transaction category source + notes
+ * card_transactions.category_source: de onde veio a categoria
+ *   (regra | memória | encargo | iof | manual | ia | ...).
+ * card_transactions.notes: observação livre do lançamento.
+ * Categorias já escolhidas à mão (confidence 'manual' com categoria) ficam como 'manual'.
+ */
+module.exports = {
+    name: '021_transaction_category_source',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_transactions' AND column_name IN ('category_source', 'notes')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('category_source')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN category_source TEXT');
+            await client.query(`
+                UPDATE card_transactions SET category_source = 'manual'
+                WHERE confidence = 'manual' AND category IS NOT NULL AND category NOT LIKE '%NÃO CLASSIFICADO%'
+            `);
+        }
+        if (!existing.has('notes')) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN notes TEXT');
+        }
+    },
+};
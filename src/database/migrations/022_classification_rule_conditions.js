@@ -0,0 +1,24 @@
+/**
+ * Migration 022: Classification rule conditions
+ * classification_rules.prioridade: regras de maior prioridade são testadas primeiro.
+ * classification_rules.condicoes: condições opcionais da regra (JSON) —
+ *   valor_min, valor_max, cartao, portador, dias_semana, parcelado.
+ */
+module.exports = {
+    name: '022_classification_rule_conditions',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'classification_rules' AND column_name IN ('prioridade', 'condicoes')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('prioridade')) {
+            await client.query('ALTER TABLE classification_rules ADD COLUMN prioridade INTEGER NOT NULL DEFAULT 0');
+        }
+        if (!existing.has('condicoes')) {
+            await client.query('ALTER TABLE classification_rules ADD COLUMN condicoes TEXT');
+        }
+    },
+};
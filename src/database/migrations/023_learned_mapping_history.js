@@ -0,0 +1,53 @@
+/**
+ * Migration 023: Learned mapping history
+ * learned_mappings ganha a procedência (ensinado_por, transacao_id, atualizado_em)
+ * e o uso (aplicacoes, sobrescritas, ultima_aplicacao).
+ * learned_mapping_history: cada vez que um mapeamento é criado, reensinado,
+ * revertido ou removido — com a categoria anterior, quem fez e de qual transação.
+ * Os mapeamentos existentes entram no histórico como 'criado' na data original.
+ */
+module.exports = {
+    name: '023_learned_mapping_history',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'learned_mappings'
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+        const colunas = {
+            ensinado_por: 'TEXT',
+            transacao_id: 'INTEGER',
+            atualizado_em: 'TIMESTAMP',
+            aplicacoes: 'INTEGER NOT NULL DEFAULT 0',
+            sobrescritas: 'INTEGER NOT NULL DEFAULT 0',
+            ultima_aplicacao: 'TIMESTAMP',
+        };
+        for (const [coluna, tipo] of Object.entries(colunas)) {
+            if (!existing.has(coluna)) {
+                await client.query(`ALTER TABLE learned_mappings ADD COLUMN ${coluna} ${tipo}`);
+            }
+        }
+
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS learned_mapping_history (
+                id SERIAL PRIMARY KEY,
+                descricao TEXT NOT NULL,
+                categoria TEXT,
+                categoria_anterior TEXT,
+                acao TEXT NOT NULL,
+                usuario TEXT,
+                transacao_id INTEGER,
+                criado_em TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_lmh_descricao ON learned_mapping_history(descricao)');
+
+        await client.query(`
+            INSERT INTO learned_mapping_history (descricao, categoria, acao, criado_em)
+            SELECT m.descricao, m.categoria, 'criado', COALESCE(m.criado_em, NOW())
+            FROM learned_mappings m
+            WHERE NOT EXISTS (SELECT 1 FROM learned_mapping_history h WHERE h.descricao = m.descricao)
+        `);
+    },
+};
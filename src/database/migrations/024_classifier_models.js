@@ -0,0 +1,24 @@
+/**
+ * Migration 024: Classifier models
+ * classifier_models: modelos do classificador local (naive Bayes) treinados
+ * com o histórico — contas a pagar do ERP, learned_mappings e transações de
+ * cartão já categorizadas. O modelo fica serializado em JSON; o mais recente é o ativo.
+ */
+module.exports = {
+    name: '024_classifier_models',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS classifier_models (
+                id SERIAL PRIMARY KEY,
+                modelo TEXT NOT NULL,
+                exemplos INTEGER NOT NULL DEFAULT 0,
+                categorias INTEGER NOT NULL DEFAULT 0,
+                fontes TEXT,
+                avaliacao TEXT,
+                treinado_por TEXT,
+                treinado_em TIMESTAMP DEFAULT NOW()
+            )
+        `);
+    },
+};
@@ -0,0 +1,20 @@
+/**
+ * Migration 025: AI classification cache
+ * ai_classification_cache: resposta da IA por descrição normalizada — o mesmo
+ * estabelecimento não é enviado de novo ao provedor. categoria NULL = a IA não soube.
+ */
+module.exports = {
+    name: '025_ai_classification_cache',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ai_classification_cache (
+                descricao TEXT PRIMARY KEY,
+                categoria TEXT,
+                confianca INTEGER NOT NULL DEFAULT 0,
+                provedor TEXT,
+                criado_em TIMESTAMP DEFAULT NOW()
+            )
+        `);
+    },
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration 026: AI suggestions
+ * ai_suggestions: categoria sugerida pela IA para uma transação, com o motivo.
+ * Fica 'proposta' até alguém aceitar ('aceita') ou rejeitar ('rejeitada');
+ * categoria_final guarda a categoria escolhida na rejeição, se houver.
+ * ai_classification_cache.motivo: o motivo também vai para o cache.
+ */
+module.exports = {
+    name: '026_ai_suggestions',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS ai_suggestions (
+                id SERIAL PRIMARY KEY,
+                transaction_id INTEGER NOT NULL,
+                statement_id INTEGER,
+                descricao TEXT NOT NULL,
+                valor DOUBLE PRECISION,
+                categoria TEXT NOT NULL,
+                confianca INTEGER NOT NULL DEFAULT 0,
+                motivo TEXT,
+                provedor TEXT,
+                status TEXT NOT NULL DEFAULT 'proposta',
+                categoria_final TEXT,
+                revisado_por TEXT,
+                revisado_em TIMESTAMP,
+                criado_em TIMESTAMP DEFAULT NOW()
+            )
+        `);
+        await client.query(`
+            CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_suggestions_proposta
+            ON ai_suggestions(transaction_id) WHERE status = 'proposta'
+        `);
+        await client.query('CREATE INDEX IF NOT EXISTS idx_ai_suggestions_statement ON ai_suggestions(statement_id)');
+        await client.query('CREATE INDEX IF NOT EXISTS idx_ai_suggestions_categoria ON ai_suggestions(categoria)');
+
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'ai_classification_cache' AND column_name = 'motivo'
+        `);
+        if (rows.length === 0) {
+            await client.query('ALTER TABLE ai_classification_cache ADD COLUMN motivo TEXT');
+        }
+    },
+};
@@ -0,0 +1,27 @@
+/**
+ * Migration 027: Plano de contas status
+ * erp_plano_contas.ativa: false quando a conta sumiu da última exportação do ERP.
+ * erp_plano_contas.descricao_anterior / alterada_em: nome antes da última
+ *   renomeação no ERP (mesmo olist_id, descrição diferente).
+ */
+module.exports = {
+    name: '027_plano_contas_status',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'erp_plano_contas' AND column_name IN ('ativa', 'descricao_anterior', 'alterada_em')
+        `);
+        const existing = new Set(rows.map(r => r.column_name));
+
+        if (!existing.has('ativa')) {
+            await client.query('ALTER TABLE erp_plano_contas ADD COLUMN ativa BOOLEAN NOT NULL DEFAULT TRUE');
+        }
+        if (!existing.has('descricao_anterior')) {
+            await client.query('ALTER TABLE erp_plano_contas ADD COLUMN descricao_anterior TEXT');
+        }
+        if (!existing.has('alterada_em')) {
+            await client.query('ALTER TABLE erp_plano_contas ADD COLUMN alterada_em TIMESTAMP');
+        }
+    },
+};
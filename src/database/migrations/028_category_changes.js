@@ -0,0 +1,23 @@
+/**
+ * Migration 028: Category changes
+ * category_changes: auditoria da manutenção de categorias — cada renomeação
+ * ou mesclagem, de quais categorias para qual, quem fez e quantas linhas de
+ * cada tabela mudaram (contagens, JSON).
+ */
+module.exports = {
+    name: '028_category_changes',
+
+    async up(client) {
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS category_changes (
+                id SERIAL PRIMARY KEY,
+                acao TEXT NOT NULL,
+                origens TEXT NOT NULL,
+                destino TEXT NOT NULL,
+                contagens TEXT,
+                usuario TEXT,
+                criado_em TIMESTAMP DEFAULT NOW()
+            )
+        `);
+    },
+};
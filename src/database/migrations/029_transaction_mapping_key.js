@@ -0,0 +1,19 @@
+/**
+ * Migration 029: Transaction mapping key
+ * card_transactions.mapping_key: chave do learned_mappings que classificou a
+ * transação (category_source 'memória'). A sobrescrita pelo usuário é contada
+ * nessa chave, sem reindexar a memória. Transações já importadas ficam NULL.
+ */
+module.exports = {
+    name: '029_transaction_mapping_key',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT column_name FROM information_schema.columns
+            WHERE table_name = 'card_transactions' AND column_name = 'mapping_key'
+        `);
+        if (rows.length === 0) {
+            await client.query('ALTER TABLE card_transactions ADD COLUMN mapping_key TEXT');
+        }
+    },
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration 030: AI suggestions cascade
+ * ai_suggestions.transaction_id passa a ser FK para card_transactions com
+ * ON DELETE CASCADE: apagar uma fatura (ou a transação, na substituição)
+ * apaga as sugestões dela. Sugestões de transações que já não existem são apagadas.
+ */
+module.exports = {
+    name: '030_ai_suggestions_cascade',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT 1 FROM information_schema.table_constraints
+            WHERE table_name = 'ai_suggestions' AND constraint_name = 'ai_suggestions_transaction_id_fkey'
+        `);
+        if (rows.length > 0) return;
+
+        await client.query(`
+            DELETE FROM ai_suggestions s
+            WHERE NOT EXISTS (SELECT 1 FROM card_transactions t WHERE t.id = s.transaction_id)
+        `);
+        await client.query(`
+            ALTER TABLE ai_suggestions ADD CONSTRAINT ai_suggestions_transaction_id_fkey
+            FOREIGN KEY (transaction_id) REFERENCES card_transactions(id) ON DELETE CASCADE
+        `);
+    },
+};
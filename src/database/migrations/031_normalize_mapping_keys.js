@@ -0,0 +1,65 @@
+/**
+ * Migration 031: Normalize mapping keys
+ * A chave da memória passou a sair sem a marca de parcela ("PARC 04/18",
+ * "PARCELA 5 DE 18"). Chaves gravadas antes com a marca são renormalizadas;
+ * as que caem na mesma chave viram uma só — fica a categoria da ensinada por
+ * último e somam aplicações e sobrescritas. Histórico e card_transactions.mapping_key
+ * seguem a chave nova; categoria descartada entra no histórico como 'migrado'.
+ */
+
+// Cópia congelada do trecho de expense-classifier.normalizarDescricao que
+// mudou — a migração não pode mudar se a normalização mudar depois.
+const normalizar = (descricao) => descricao
+    .replace(/\bPARC(ELA)?\.?\s*\d+\s*(\/|DE)\s*\d+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+module.exports = {
+    name: '031_normalize_mapping_keys',
+
+    async up(client) {
+        const { rows } = await client.query(`
+            SELECT id, descricao, categoria, aplicacoes, sobrescritas
+            FROM learned_mappings
+            ORDER BY COALESCE(atualizado_em, criado_em) DESC NULLS LAST, id DESC
+        `);
+
+        const grupos = new Map();
+        for (const r of rows) {
+            const chave = normalizar(r.descricao);
+            if (!chave) continue;
+            if (!grupos.has(chave)) grupos.set(chave, []);
+            grupos.get(chave).push(r);
+        }
+
+        for (const [chave, grupo] of grupos) {
+            if (grupo.length === 1 && grupo[0].descricao === chave) continue;
+            const [fica, ...descartadas] = grupo;
+
+            for (const d of descartadas) {
+                await client.query('DELETE FROM learned_mappings WHERE id = $1', [d.id]);
+                if (d.categoria !== fica.categoria) {
+                    await client.query(
+                        `INSERT INTO learned_mapping_history (descricao, categoria, categoria_anterior, acao)
+                         VALUES ($1, $2, $3, 'migrado')`,
+                        [chave, fica.categoria, d.categoria]
+                    );
+                }
+            }
+            await client.query(
+                'UPDATE learned_mappings SET descricao = $1, aplicacoes = $2, sobrescritas = $3 WHERE id = $4',
+                [
+                    chave,
+                    grupo.reduce((s, r) => s + (r.aplicacoes || 0), 0),
+                    grupo.reduce((s, r) => s + (r.sobrescritas || 0), 0),
+                    fica.id,
+                ]
+            );
+
+            const antigas = grupo.map(r => r.descricao).filter(d => d !== chave);
+            if (antigas.length === 0) continue;
+            await client.query('UPDATE learned_mapping_history SET descricao = $1 WHERE descricao = ANY($2)', [chave, antigas]);
+            await client.query('UPDATE card_transactions SET mapping_key = $1 WHERE mapping_key = ANY($2)', [chave, antigas]);
+        }
+    },
+};
@@ -14,6 +14,9 @@ const logger = require('../../utils/logger');
 const { query, getClient } = require('../../database/connection');
 const xlsParser = require('../../services/xls-parser');
 const dataMatcher = require('../../services/data-matcher');
+const planoContasRepo = require('../../repositories/plano-contas-repo');
+const cardRulesRepo = require('../../repositories/card-rules-repo');
+const { carregarArvore, validarCategorias, serializarArvore } = require('../../services/category-hierarchy');
 
 // ─── Multer: upload de XLS/XLSX ──────────────────────────
 const upload = multer({
@@ -106,10 +109,10 @@ router.post('/import', async (req, res) => {
 
             // ─── Plano de Contas ─────
             if (data.planoContas.length > 0) {
-                const cols = ['olist_id', 'descricao', 'grupo', 'considera_dre', 'competencia_padrao'];
-                await upsertBatch(client, 'erp_plano_contas', cols, 'olist_id', data.planoContas,
-                    r => [r.olist_id, r.descricao, r.grupo, r.considera_dre, r.competencia_padrao]);
+                const { renomeadas, desativadas } = await planoContasRepo.importar(client, data.planoContas);
                 results.plano_contas = data.planoContas.length;
+                results.plano_contas_renomeadas = renomeadas;
+                results.plano_contas_removidas = desativadas;
             }
 
             // ─── Extratos Bancários ──
@@ -181,10 +184,18 @@ router.post('/import', async (req, res) => {
 
         logger.info(`✅ Importação concluída: ${JSON.stringify(results)}`);
 
+        // ─── Categorias cadastradas × plano de contas ──
+        const desatualizadas = validarCategorias(await cardRulesRepo.getCategories(), await carregarArvore())
+            .filter(c => c.status !== 'ok');
+        if (desatualizadas.length > 0) {
+            logger.warn(`⚠️ ${desatualizadas.length} categoria(s) não batem com o plano de contas do ERP: ${desatualizadas.map(c => `"${c.categoria}" (${c.status})`).join(', ')}`);
+        }
+
         res.json({
             success: true,
             message: 'Importação concluída com sucesso',
             results,
+            categorias_desatualizadas: desatualizadas,
         });
     } catch (err) {
         logger.error(`❌ Erro na importação: ${err.message}`);
@@ -286,7 +297,7 @@ router.get('/suppliers', async (req, res) => {
 router.get('/plano-contas', async (req, res) => {
     try {
         const { rows } = await query(`
-            SELECT descricao, grupo, considera_dre
+            SELECT descricao, grupo, considera_dre, ativa
             FROM erp_plano_contas
             ORDER BY descricao
         `);
@@ -296,6 +307,21 @@ router.get('/plano-contas', async (req, res) => {
     }
 });
 
+// ─── GET /plano-contas/tree — Plano de Contas em árvore ──
+// Grupos pela numeração (3.3.1 dentro de 3.3); grupos que faltam no ERP vêm com virtual: true
+router.get('/plano-contas/tree', async (req, res) => {
+    try {
+        const arvore = await carregarArvore();
+        res.json({
+            arvore: serializarArvore(arvore),
+            removidas: arvore.inativas.map(c => c.descricao),
+            renomeadas: arvore.renomeadas.map(c => ({ de: c.descricao_anterior, para: c.descricao, em: c.alterada_em })),
+        });
+    } catch (err) {
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // ─── POST /reconcile — Conciliação cruzada ───────────────
 router.post('/reconcile', async (req, res) => {
     try {
@@ -326,13 +352,13 @@ router.post('/reconcile', async (req, res) => {
 // ─── POST /teach — Ensina categorização ──────────────────
 router.post('/teach', async (req, res) => {
     try {
-        const { descricao, categoria } = req.body;
+        const { descricao, categoria, transacao_id } = req.body;
         if (!descricao || !categoria) {
             return res.status(400).json({ error: 'descricao e categoria são obrigatórios' });
         }
 
         const { salvarMapeamento } = require('../../services/expense-classifier');
-        await salvarMapeamento(descricao, categoria);
+        await salvarMapeamento(descricao, categoria, { usuario: req.user?.email, transacaoId: transacao_id });
 
         logger.info(`📝 Novo mapeamento ensinado: "${descricao}" → "${categoria}"`);
 
@@ -348,7 +374,7 @@ router.get('/categories', async (req, res) => {
         const { rows: planoCats } = await query(`
             SELECT DISTINCT descricao as categoria, grupo
             FROM erp_plano_contas
-            WHERE descricao != ''
+            WHERE descricao != '' AND ativa
             ORDER BY descricao
         `);
 
@@ -8,24 +8,31 @@ const fs = require('fs');
 const path = require('path');
 const router = express.Router();
 
-const { parsePdfFatura } = require('../../services/pdf-parser');
-const { classificarItens, gerarResumo } = require('../../services/expense-classifier');
+const { parseArquivoFatura, validarBancoInformado, filtroArquivoFatura } = require('../../services/statement-import');
+const { obterParser, listarParsers } = require('../../services/statement-parsers');
+const { listarFormatosCsv } = require('../../services/csv-parser');
+const {
+    classificarItens, gerarResumo, salvarMapeamento, registrarSobrescritaMemoria, transacaoParaItem,
+} = require('../../services/expense-classifier');
 const { incluirContaPagar } = require('../../services/olist-financial');
-const { classificarComIA } = require('../../services/gemini-classifier');
+const { classificarComIA, ErroClassificadorIA } = require('../../services/ai-classifiers');
+const { carregarModeloAtivo, classificarPorModelo } = require('../../services/local-classifier');
+const { vincularEstornos } = require('../../services/refund-matcher');
+const { acompanharParcelas, herdarCategoriasParcelas } = require('../../services/installment-tracker');
+const { compensarCreditos, descreverAbatimento } = require('../../services/credit-netting');
+const { hashConteudo, calcularFingerprint, herdarClassificacoes } = require('../../services/statement-dedup');
+const { montarFilaRevisao, aplicarDecisoes, MOTIVOS } = require('../../services/review-queue');
 const logger = require('../../utils/logger');
 const repo = require('../../repositories/card-statements-repo');
 const cardRulesRepo = require('../../repositories/card-rules-repo');
+const installmentsRepo = require('../../repositories/installments-repo');
+const aiSuggestionsRepo = require('../../repositories/ai-suggestions-repo');
 const { query } = require('../../database/connection');
 
-// Card name → financial account mapping
+// Banco detectado → cartão: cada parser declara seu cardName
 async function getFinancialAccount(bancoDetectado) {
-    const mapping = {
-        'mercadopago': 'Cartão Mercado Pago',
-        'caixa': 'Cartão Caixa',
-        'cresol': 'Cartão Cresol',
-        'santander': 'Cartão Santander',
-    };
-    const cardName = mapping[bancoDetectado] || bancoDetectado;
+    const parser = obterParser(bancoDetectado);
+    const cardName = (parser && parser.cardName) || bancoDetectado;
     const cardInfo = await cardRulesRepo.getCardAccountByName(cardName);
     return {
         cardName,
@@ -61,14 +68,11 @@ function sanitizeText(text) {
     return text.replace(/[\r\n]+/g, ' ').replace(/\s+/g, ' ').trim();
 }
 
-// Multer — upload PDF to memory
+// Multer — upload PDF/OFX/CSV to memory
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 },
-    fileFilter(req, file, cb) {
-        if (file.mimetype === 'application/pdf') cb(null, true);
-        else cb(new Error('Apenas arquivos PDF são aceitos'));
-    },
+    fileFilter: filtroArquivoFatura,
 });
 
 /**
@@ -93,15 +97,83 @@ router.get('/cards', async (req, res) => {
         const fromDb = await repo.getDistinctCards();
         const fromConfig = Object.keys(await cardRulesRepo.getCardAccounts());
         const all = [...new Set([...fromConfig, ...fromDb])].sort();
-        res.json({ cards: all });
+        res.json({ cards: all, parsers: listarParsers(), formatos_csv: listarFormatosCsv() });
     } catch (error) {
         logger.error(`❌ Erro ao listar cartões: ${error.message}`);
         res.status(500).json({ erro: error.message });
     }
 });
 
+/**
+ * GET /api/card-statements/review-queue
+ * Transações não enviadas de todas as faturas que precisam de revisão, da maior
+ * prioridade (|valor| × incerteza) para a menor.
+ * ?motivo=nao_classificado|confianca_media|divergencia|sugestao_ia, ?card=, ?desde=YYYY-MM-DD, ?limite=
+ */
+router.get('/review-queue', async (req, res) => {
+    try {
+        const { motivo, card, desde } = req.query;
+        if (motivo && !MOTIVOS.includes(motivo)) {
+            return res.status(400).json({ erro: `motivo deve ser um de: ${MOTIVOS.join(', ')}` });
+        }
+        if (desde && !/^\d{4}-\d{2}-\d{2}$/.test(desde)) {
+            return res.status(400).json({ erro: 'desde deve estar no formato YYYY-MM-DD' });
+        }
+        const limite = parseInt(req.query.limite, 10) || undefined;
+        res.json(await montarFilaRevisao({ motivo, card, desde, limite }));
+    } catch (error) {
+        logger.error(`❌ Erro ao montar fila de revisão: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
+/**
+ * POST /api/card-statements/review-queue/assign
+ * Body: { decisoes: [{ transaction_id, categoria }] } — cada decisão vira categoria
+ * manual e é ensinada à memória.
+ */
+router.post('/review-queue/assign', async (req, res) => {
+    try {
+        const { decisoes } = req.body || {};
+        if (!Array.isArray(decisoes) || decisoes.length === 0) {
+            return res.status(400).json({ erro: 'Nenhuma decisão informada' });
+        }
+        const resultado = await aplicarDecisoes(decisoes, { usuario: req.user?.email });
+        res.json({ ok: resultado.erros.length === 0, ...resultado });
+    } catch (error) {
+        logger.error(`❌ Erro ao aplicar decisões da fila de revisão: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
+/**
+ * Totais da fatura por final de cartão (sempre sobre a fatura inteira,
+ * para o filtro do frontend continuar listando todos os portadores).
+ */
+function resumirPortadores(transacoes) {
+    const porFinal = new Map();
+    for (const t of transacoes) {
+        const chave = t.card_final || 'none';
+        if (!porFinal.has(chave)) {
+            porFinal.set(chave, {
+                card_final: t.card_final || null,
+                card_holder_name: t.card_holder_name || null,
+                employee_name: t.employee_name || null,
+                cost_center: t.cost_center || null,
+                count: 0,
+                total: 0,
+            });
+        }
+        const p = porFinal.get(chave);
+        p.count++;
+        p.total = Math.round((p.total + (t.amount || 0)) * 100) / 100;
+    }
+    return [...porFinal.values()].sort((a, b) => b.total - a.total);
+}
+
 /**
  * GET /api/card-statements/:id
+ * ?cardholder=1234 filtra pelo final do cartão ('none' = lançamentos sem cartão)
  */
 router.get('/:id', async (req, res) => {
     try {
@@ -109,8 +181,12 @@ router.get('/:id', async (req, res) => {
         if (!statement) {
             return res.status(404).json({ erro: 'Extrato não encontrado' });
         }
-        const transactions = await repo.getTransactions(statement.id);
-        res.json({ statement, transactions });
+        const todas = await repo.getTransactions(statement.id);
+        const transactions = req.query.cardholder
+            ? await repo.getTransactions(statement.id, { cardFinal: req.query.cardholder })
+            : todas;
+        const sugestoesIA = await aiSuggestionsRepo.getPendingByStatement(statement.id);
+        res.json({ statement, transactions, cardholders: resumirPortadores(todas), sugestoes_ia: sugestoesIA });
     } catch (error) {
         logger.error(`❌ Erro ao buscar extrato: ${error.message}`);
         res.status(500).json({ erro: error.message });
@@ -119,54 +195,118 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/card-statements/upload
+ * Campo "pdf" (PDF, OFX ou CSV). Opcionais: formato_csv (csv_formatos), banco (id do parser),
+ * substituir (id da fatura a substituir, mantendo classificações e envios já feitos).
+ *
+ * Mesmo arquivo (hash) ou mesmo conteúdo (cartão + vencimento + total + nº de
+ * transações) já importado → 409 com a fatura existente, para o usuário
+ * escolher substituir. Outra fatura do cartão no mesmo mês → só aviso.
  */
 router.post('/upload', upload.single('pdf'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ erro: 'Nenhum arquivo PDF enviado' });
+            return res.status(400).json({ erro: 'Nenhum arquivo enviado' });
         }
 
-        logger.info(`📤 Upload recebido: ${req.file.originalname} (${(req.file.size / 1024).toFixed(0)}KB)`);
+        const problemaBanco = await validarBancoInformado(req.body.banco);
+        if (problemaBanco) {
+            return res.status(400).json({ erro: problemaBanco });
+        }
 
-        // 1. Parse PDF
-        const { banco, transacoes, metadados } = await parsePdfFatura(req.file.buffer);
+        const substituirId = req.body.substituir ? parseInt(req.body.substituir, 10) : null;
+        logger.info(`📤 Upload recebido: ${req.file.originalname} (${(req.file.size / 1024).toFixed(0)}KB)${substituirId ? ` — substituindo extrato ${substituirId}` : ''}`);
+
+        // 1. Parse (PDF, OFX ou CSV)
+        const { banco, transacoes, metadados, conferencia, ocr } = await parseArquivoFatura(req.file, {
+            formato: req.body.formato_csv || undefined,
+            banco: req.body.banco || undefined,
+        });
 
         if (!transacoes || transacoes.length === 0) {
-            return res.status(400).json({ erro: 'Nenhuma transação encontrada no PDF' });
+            return res.status(400).json({
+                erro: ocr
+                    ? `Nenhuma transação reconhecida no PDF digitalizado (OCR com confiança média ${ocr.confianca_media ?? '-'}%)`
+                    : 'Nenhuma transação encontrada no arquivo',
+            });
         }
 
-        // 2. Classify transactions
-        const itensClassificados = await classificarItens(transacoes);
-        const resumo = gerarResumo(itensClassificados);
-
-        // 3. Map card name and financial account
+        // 2. Map card name and financial account
         const { cardName, financialAccount } = await getFinancialAccount(banco);
-
-        // 3.5 Check for duplicate: same card + same month/year
         const vencimentoRaw = metadados.vencimento || metadados.emissao || new Date().toISOString().slice(0, 10);
-        const existing = await repo.findDuplicateStatement(cardName, vencimentoRaw);
-        if (existing) {
-            logger.warn(`⚠️ Duplicata detectada: ${cardName} já tem extrato para este mês (ID ${existing.id}: "${existing.filename}")`);
+        const totalAmount = transacoes.reduce((sum, t) => sum + (t.valor || 0), 0);
+
+        // 3. Re-import: same file or same content
+        const contentHash = hashConteudo(req.file.buffer);
+        const fingerprint = calcularFingerprint({
+            card_name: cardName,
+            due_date: metadados.vencimento,
+            statement_date: vencimentoRaw,
+            total_amount: totalAmount,
+            total_transactions: transacoes.length,
+        });
+
+        let substituida = null;
+        if (substituirId) {
+            substituida = await repo.getStatementById(substituirId);
+            if (!substituida) {
+                return res.status(404).json({ erro: 'Extrato a substituir não encontrado' });
+            }
+            if (substituida.card_name !== cardName) {
+                return res.status(400).json({ erro: `O extrato a substituir é de "${substituida.card_name}", mas o arquivo é de "${cardName}"` });
+            }
+        }
+
+        const duplicata = await repo.findStatementByContent(contentHash, fingerprint, { excludeId: substituirId });
+        if (duplicata) {
+            logger.warn(`⚠️ Reimportação detectada (${duplicata.motivo}): extrato ID ${duplicata.id} "${duplicata.filename}"`);
             return res.status(409).json({
-                erro: `Já existe um extrato de "${cardName}" importado para este mês`,
+                erro: duplicata.motivo === 'arquivo'
+                    ? `Este arquivo já foi importado em "${duplicata.filename}"`
+                    : `Fatura com o mesmo conteúdo já importada em "${duplicata.filename}" (mesmo cartão, vencimento, total e nº de transações)`,
+                duplicata: true,
+                motivo: duplicata.motivo,
                 existente: {
-                    id: existing.id,
-                    filename: existing.filename,
-                    statement_date: existing.statement_date,
+                    id: duplicata.id,
+                    filename: duplicata.filename,
+                    statement_date: duplicata.statement_date,
+                    created_at: duplicata.created_at,
                 },
             });
         }
 
-        // 4. Calculate total
-        const totalAmount = itensClassificados.reduce((sum, t) => sum + (t.valor || 0), 0);
-
-        // 5. Generate standardized display name
+        // 4. Generate standardized display name
         const cardInfo = await cardRulesRepo.getCardAccountByName(cardName);
         const fornecedorNome = cardInfo?.fornecedor || cardName;
         const displayName = formatDisplayName(vencimentoRaw, fornecedorNome) || req.file.originalname;
 
-        // 6. Save statement
-        const statementId = await repo.insertStatement({
+        // 4.5 Same card + same month: may be a separate statement, only warn.
+        // Same due date and display name can't coexist (uq_card_statements_card_date_file).
+        const avisos = [];
+        if (!substituirId) {
+            const mesmoMes = await repo.findDuplicateStatement(cardName, vencimentoRaw);
+            if (mesmoMes && mesmoMes.statement_date === vencimentoRaw && mesmoMes.filename === displayName) {
+                return res.status(409).json({
+                    erro: `Já existe um extrato de "${cardName}" com o mesmo vencimento ("${mesmoMes.filename}") — substitua-o para trocar pelo novo arquivo`,
+                    duplicata: true,
+                    motivo: 'vencimento',
+                    existente: { id: mesmoMes.id, filename: mesmoMes.filename, statement_date: mesmoMes.statement_date },
+                });
+            }
+            if (mesmoMes) {
+                logger.warn(`⚠️ ${cardName} já tem extrato para este mês (ID ${mesmoMes.id}: "${mesmoMes.filename}") — importando assim mesmo`);
+                avisos.push({
+                    tipo: 'mesmo_mes',
+                    mensagem: `Já existe um extrato de "${cardName}" para este mês ("${mesmoMes.filename}") — confira se não é a mesma fatura`,
+                    existente: { id: mesmoMes.id, filename: mesmoMes.filename, statement_date: mesmoMes.statement_date },
+                });
+            }
+        }
+
+        // 5. Classify transactions
+        const itensClassificados = await classificarItens(transacoes, { cartao: cardName });
+        const resumo = gerarResumo(itensClassificados);
+
+        const dadosExtrato = {
             filename: displayName,
             card_name: cardName,
             financial_account: financialAccount,
@@ -176,15 +316,51 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
             reconciled_count: 0,
             total_amount: totalAmount,
             raw_data: metadados,
-        });
+            total_check: conferencia,
+            content_hash: contentHash,
+            fingerprint,
+            ocr,
+        };
+
+        // 6. Save statement + transactions (replace keeps what was already done on the old ones)
+        let statementId;
+        let substituicao = null;
+        if (substituida) {
+            const antigas = await repo.getTransactions(substituida.id);
+            const heranca = herdarClassificacoes(antigas, itensClassificados);
+            await repo.replaceStatement(substituida.id, dadosExtrato, itensClassificados);
+            statementId = substituida.id;
+            substituicao = {
+                mantidas: heranca.mantidas,
+                novas: heranca.novas,
+                removidas: heranca.removidas.length,
+                removidas_enviadas: heranca.removidas_enviadas.map(t => ({
+                    id: t.id, date: t.date, description: t.description, amount: t.amount, olist_id: t.olist_id,
+                })),
+            };
+            if (heranca.removidas_enviadas.length > 0) {
+                logger.warn(`⚠️ Substituição removeu ${heranca.removidas_enviadas.length} transação(ões) já enviada(s) ao Olist — conferir no ERP`);
+            }
+        } else {
+            statementId = await repo.insertStatement(dadosExtrato);
+            await repo.insertTransactions(statementId, itensClassificados);
+        }
+
+        // 7. Link refunds to their original purchases
+        const estornosVinculados = await vincularEstornos(statementId, cardName);
 
-        // 7. Save transactions
-        await repo.insertTransactions(statementId, itensClassificados);
+        // 8. Link installments to their contracts and check the expected ones
+        const parcelas = await acompanharParcelas(statementId);
 
-        // 8. Update counts
+        // 9. Installments inherit the category of the previous parcel of the same purchase
+        const parcelasHerdadas = await herdarCategoriasParcelas(statementId);
+
+        // 10. Update counts
         await repo.updateStatementCounts(statementId);
 
-        logger.info(`✅ Extrato salvo: ID ${statementId}, "${displayName}", ${itensClassificados.length} transações`);
+        logger.info(substituicao
+            ? `♻️ Extrato ${statementId} substituído: ${substituicao.mantidas} mantidas, ${substituicao.novas} novas, ${substituicao.removidas} removidas`
+            : `✅ Extrato salvo: ID ${statementId}, "${displayName}", ${itensClassificados.length} transações`);
 
         res.json({
             id: statementId,
@@ -193,6 +369,13 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
             financial_account: financialAccount,
             total_transactions: itensClassificados.length,
             total_amount: totalAmount,
+            conferencia,
+            estornos_vinculados: estornosVinculados.length,
+            parcelas,
+            parcelas_herdadas: parcelasHerdadas,
+            avisos,
+            substituicao,
+            ocr: ocr ? { paginas: ocr.paginas, confianca_media: ocr.confianca_media, valores_para_revisar: ocr.valores_para_revisar } : null,
             resumo: {
                 percentualClassificado: resumo.percentualClassificado,
                 totalClassificado: resumo.totalClassificado,
@@ -200,6 +383,15 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
             },
         });
     } catch (error) {
+        // Mesmo cartão, vencimento e nome padronizado (uq_card_statements_card_date_file)
+        if (error.code === '23505' && error.constraint === 'uq_card_statements_card_date_file') {
+            logger.warn(`⚠️ Upload duplicado detectado: ${error.detail}`);
+            return res.status(409).json({
+                erro: 'Já existe um extrato deste cartão com o mesmo vencimento — use "Substituir" para trocar pelo novo arquivo',
+                duplicata: true,
+                motivo: 'vencimento',
+            });
+        }
         logger.error(`❌ Erro no upload: ${error.message}`);
         res.status(500).json({ erro: error.message });
     }
@@ -215,6 +407,7 @@ router.delete('/:id', async (req, res) => {
             return res.status(404).json({ erro: 'Extrato não encontrado' });
         }
         await repo.deleteStatement(req.params.id);
+        await installmentsRepo.refreshContracts(statement.card_name);
         logger.info(`🗑️  Extrato deletado: ID ${req.params.id}`);
         res.json({ ok: true, deleted: req.params.id });
     } catch (error) {
@@ -225,19 +418,39 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * PATCH /api/card-statements/transactions/:id/category
+ * Body: { category, notes?, aprender? } — aprender = salvar a descrição na memória
  */
 router.patch('/transactions/:id/category', async (req, res) => {
     try {
-        const { category } = req.body;
+        const { category, notes, aprender } = req.body;
         if (!category) {
             return res.status(400).json({ erro: 'Categoria não informada' });
         }
-        await repo.updateTransactionCategory(req.params.id, category, 'manual');
+        const { rows } = await query(
+            'SELECT statement_id, description, category, category_source, mapping_key FROM card_transactions WHERE id = $1',
+            [req.params.id]
+        );
+        const transacao = rows[0];
 
-        // Atualizar contadores do statement pai
-        const { rows } = await query('SELECT statement_id FROM card_transactions WHERE id = $1', [req.params.id]);
-        if (rows[0]) {
-            await repo.updateStatementCounts(rows[0].statement_id);
+        await repo.updateTransactionCategory(req.params.id, category, 'manual', 'manual');
+        if (notes !== undefined) {
+            await repo.updateTransactionNotes(req.params.id, typeof notes === 'string' ? notes.trim() : null);
+        }
+
+        if (transacao) {
+            // Categoria vinda da memória trocada pelo usuário → sobrescrita do mapeamento
+            await registrarSobrescritaMemoria(transacao, category);
+            if (aprender) {
+                await salvarMapeamento(transacao.description, category, {
+                    usuario: req.user?.email,
+                    transacaoId: Number(req.params.id),
+                });
+            }
+            // Sugestão da IA pendente: categoria igual conta como aceite, outra como rejeição
+            await aiSuggestionsRepo.resolverPorTransacao(Number(req.params.id), category, req.user?.email);
+
+            // Atualizar contadores do statement pai
+            await repo.updateStatementCounts(transacao.statement_id);
         }
 
         res.json({ ok: true });
@@ -271,6 +484,30 @@ router.patch('/transactions/:id/reconciled', async (req, res) => {
     }
 });
 
+/**
+ * PATCH /api/card-statements/transactions/:id/review
+ * Confirma o valor lido por OCR. Body opcional: { amount } para corrigir o valor.
+ */
+router.patch('/transactions/:id/review', async (req, res) => {
+    try {
+        const { amount } = req.body;
+        const valor = amount === undefined || amount === null || amount === '' ? null : Number(amount);
+        if (valor !== null && !Number.isFinite(valor)) {
+            return res.status(400).json({ erro: 'Valor inválido' });
+        }
+
+        const transacao = await repo.reviewTransactionAmount(req.params.id, valor);
+        if (!transacao) {
+            return res.status(404).json({ erro: 'Transação não encontrada' });
+        }
+
+        res.json({ ok: true });
+    } catch (error) {
+        logger.error(`❌ Erro ao revisar valor: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
 /**
  * POST /api/card-statements/:id/auto-classify
  */
@@ -281,6 +518,9 @@ router.post('/:id/auto-classify', async (req, res) => {
             return res.status(404).json({ erro: 'Fatura não encontrada' });
         }
 
+        // Parcelas primeiro: herdam a categoria da parcela anterior da mesma compra
+        const herdadas = await herdarCategoriasParcelas(statement.id);
+
         const transactions = await repo.getTransactions(statement.id);
 
         const unclassified = transactions.filter(t =>
@@ -288,23 +528,17 @@ router.post('/:id/auto-classify', async (req, res) => {
         );
 
         if (unclassified.length === 0) {
-            return res.json({ classified: 0, message: 'Todas as transações já estão categorizadas' });
+            if (herdadas > 0) await repo.updateStatementCounts(statement.id);
+            return res.json({ classified: herdadas, message: 'Todas as transações já estão categorizadas' });
         }
 
-        const itens = unclassified.map(t => ({
-            data: t.date,
-            descricao: t.description,
-            valor: t.amount || 0,
-            parcela: t.installment || '',
-        }));
-
-        const classified = await classificarItens(itens);
+        const classified = await classificarItens(unclassified.map(transacaoParaItem), { cartao: statement.card_name });
 
         let updatedCount = 0;
         for (let i = 0; i < classified.length; i++) {
             const item = classified[i];
             if (item.confianca !== 'manual') {
-                await repo.updateTransactionCategory(unclassified[i].id, item.categoria, item.confianca);
+                await repo.updateTransactionCategory(unclassified[i].id, item.categoria, item.confianca, item.fonte, item.mapeamento);
                 updatedCount++;
             }
         }
@@ -314,9 +548,10 @@ router.post('/:id/auto-classify', async (req, res) => {
         logger.info(`🏷️  Auto-classificação: ${updatedCount}/${unclassified.length} transações classificadas na fatura ${statement.id}`);
 
         res.json({
-            classified: updatedCount,
+            classified: updatedCount + herdadas,
+            parcelas_herdadas: herdadas,
             total_unclassified: unclassified.length,
-            message: `${updatedCount} transações categorizadas automaticamente`,
+            message: `${updatedCount + herdadas} transações categorizadas automaticamente`,
         });
     } catch (error) {
         logger.error(`❌ Erro na auto-classificação: ${error.message}`);
@@ -326,6 +561,10 @@ router.post('/:id/auto-classify', async (req, res) => {
 
 /**
  * POST /api/card-statements/:id/ai-classify
+ * O classificador local tenta primeiro; só o que ele não resolve vai ao provedor
+ * de IA configurado (classificacao_ia em financial-rules.json).
+ * As respostas da IA não viram categoria direto: ficam como sugestões
+ * propostas (ai_suggestions), com o motivo, até alguém aceitar ou rejeitar.
  */
 router.post('/:id/ai-classify', async (req, res) => {
     try {
@@ -344,39 +583,73 @@ router.post('/:id/ai-classify', async (req, res) => {
             return res.json({ classified: 0, message: 'Todas as transações já estão categorizadas' });
         }
 
-        const itens = unclassified.map(t => ({
+        const modeloLocal = await carregarModeloAtivo();
+        const pendentes = [];
+        let locais = 0;
+        for (const t of unclassified) {
+            const local = classificarPorModelo({ descricao: t.description, valor: t.amount || 0 }, modeloLocal, statement.card_name);
+            if (local.confianca !== 'manual') {
+                await repo.updateTransactionCategory(t.id, local.categoria, local.confianca, 'modelo');
+                locais++;
+            } else {
+                pendentes.push(t);
+            }
+        }
+
+        const itens = pendentes.map(t => ({
             descricao: t.description,
             valor: t.amount || 0,
         }));
 
-        const results = await classificarComIA(itens);
+        let results = [];
+        let erroIA = null;
+        try {
+            results = await classificarComIA(itens);
+        } catch (e) {
+            if (!(e instanceof ErroClassificadorIA)) throw e;
+            logger.warn(`⚠️ IA indisponível (${e.code}): ${e.message}`);
+            // O que o modelo local já classificou continua valendo
+            if (locais === 0) {
+                return res.status(502).json({ erro: e.message, codigo: e.code });
+            }
+            erroIA = e.message;
+        }
 
-        let updatedCount = 0;
+        const sugestoes = [];
         for (let i = 0; i < results.length; i++) {
             const result = results[i];
             if (result.categoria && result.confianca >= 70) {
-                await repo.updateTransactionCategory(
-                    unclassified[i].id,
-                    result.categoria,
-                    result.confianca >= 85 ? 'alta' : 'media'
-                );
-                updatedCount++;
+                sugestoes.push({
+                    transactionId: pendentes[i].id,
+                    statementId: statement.id,
+                    descricao: pendentes[i].description,
+                    valor: pendentes[i].amount || 0,
+                    categoria: result.categoria,
+                    confianca: result.confianca,
+                    motivo: result.motivo,
+                    provedor: result.provedor,
+                });
             }
         }
+        const propostas = await aiSuggestionsRepo.propor(sugestoes);
 
-        await repo.updateStatementCounts(statement.id);
+        if (locais > 0) await repo.updateStatementCounts(statement.id);
 
-        logger.info(`🤖 AI classificou ${updatedCount}/${unclassified.length} transações na fatura ${statement.id}`);
+        logger.info(`🤖 IA sugeriu categoria para ${propostas}/${pendentes.length} transações na fatura ${statement.id} (modelo local: ${locais})`);
 
         res.json({
-            classified: updatedCount,
+            classified: locais,
+            classificadas_localmente: locais,
+            propostas,
             total_unclassified: unclassified.length,
+            erro_ia: erroIA,
             results: results.map((r, i) => ({
-                description: unclassified[i].description,
+                description: pendentes[i].description,
                 categoria: r.categoria,
                 confianca: r.confianca,
+                motivo: r.motivo,
             })),
-            message: `🤖 ${updatedCount} transações classificadas pela IA`,
+            message: `🤖 ${locais} transações classificadas pelo modelo local, ${propostas} sugestões da IA para revisar`,
         });
     } catch (error) {
         logger.error(`❌ Erro na classificação IA: ${error.message}`);
@@ -384,6 +657,194 @@ router.post('/:id/ai-classify', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/card-statements/ai-suggestions/stats
+ * Aceites e rejeições das sugestões da IA por categoria (?desde=YYYY-MM-DD).
+ */
+router.get('/ai-suggestions/stats', async (req, res) => {
+    try {
+        const { desde } = req.query;
+        if (desde && !/^\d{4}-\d{2}-\d{2}$/.test(desde)) {
+            return res.status(400).json({ erro: 'desde deve estar no formato YYYY-MM-DD' });
+        }
+        const categorias = (await aiSuggestionsRepo.estatisticas({ desde })).map(c => ({
+            ...c,
+            taxa_aceite: c.aceitas + c.rejeitadas > 0
+                ? Math.round((c.aceitas / (c.aceitas + c.rejeitadas)) * 1000) / 10
+                : null,
+        }));
+        const total = categorias.reduce((t, c) => ({
+            sugestoes: t.sugestoes + c.sugestoes,
+            pendentes: t.pendentes + c.pendentes,
+            aceitas: t.aceitas + c.aceitas,
+            rejeitadas: t.rejeitadas + c.rejeitadas,
+        }), { sugestoes: 0, pendentes: 0, aceitas: 0, rejeitadas: 0 });
+        total.taxa_aceite = total.aceitas + total.rejeitadas > 0
+            ? Math.round((total.aceitas / (total.aceitas + total.rejeitadas)) * 1000) / 10
+            : null;
+
+        res.json({ total, categorias });
+    } catch (error) {
+        logger.error(`❌ Erro ao calcular aceite das sugestões da IA: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
+/**
+ * Sugestão inexistente passa (o resolver devolve o 404 dela); sugestão cuja
+ * transação foi apagada não pode ser aceita nem rejeitada.
+ */
+async function transacaoDaSugestaoExiste(sugestaoId) {
+    const sugestao = await aiSuggestionsRepo.getById(sugestaoId);
+    return !sugestao || Boolean(await repo.getTransactionById(sugestao.transaction_id));
+}
+
+/**
+ * POST /api/card-statements/ai-suggestions/:id/accept
+ * Aplica a categoria sugerida e ensina a memória (learned_mappings).
+ */
+router.post('/ai-suggestions/:id/accept', async (req, res) => {
+    try {
+        if (!(await transacaoDaSugestaoExiste(req.params.id))) {
+            return res.status(404).json({ erro: 'Transação da sugestão não existe mais' });
+        }
+        const sugestao = await aiSuggestionsRepo.resolver(req.params.id, { status: 'aceita', usuario: req.user?.email });
+        if (!sugestao) {
+            return res.status(404).json({ erro: 'Sugestão não encontrada ou já revisada' });
+        }
+
+        await repo.updateTransactionCategory(sugestao.transaction_id, sugestao.categoria, 'alta', 'ia');
+        await salvarMapeamento(sugestao.descricao, sugestao.categoria, {
+            usuario: req.user?.email,
+            transacaoId: sugestao.transaction_id,
+        });
+        if (sugestao.statement_id) await repo.updateStatementCounts(sugestao.statement_id);
+
+        logger.info(`👍 Sugestão da IA aceita: "${sugestao.descricao}" → ${sugestao.categoria}`);
+        res.json({ ok: true, transaction_id: sugestao.transaction_id, categoria: sugestao.categoria });
+    } catch (error) {
+        logger.error(`❌ Erro ao aceitar sugestão da IA: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
+/**
+ * POST /api/card-statements/ai-suggestions/:id/reject
+ * Body opcional: { categoria } — a categoria certa, aplicada como manual e ensinada à memória.
+ */
+router.post('/ai-suggestions/:id/reject', async (req, res) => {
+    try {
+        const { categoria } = req.body || {};
+        if (!(await transacaoDaSugestaoExiste(req.params.id))) {
+            return res.status(404).json({ erro: 'Transação da sugestão não existe mais' });
+        }
+        const sugestao = await aiSuggestionsRepo.resolver(req.params.id, {
+            status: 'rejeitada',
+            categoriaFinal: categoria,
+            usuario: req.user?.email,
+        });
+        if (!sugestao) {
+            return res.status(404).json({ erro: 'Sugestão não encontrada ou já revisada' });
+        }
+
+        if (categoria) {
+            await repo.updateTransactionCategory(sugestao.transaction_id, categoria, 'manual', 'manual');
+            await salvarMapeamento(sugestao.descricao, categoria, {
+                usuario: req.user?.email,
+                transacaoId: sugestao.transaction_id,
+            });
+            if (sugestao.statement_id) await repo.updateStatementCounts(sugestao.statement_id);
+        }
+
+        logger.info(`👎 Sugestão da IA rejeitada: "${sugestao.descricao}" ${sugestao.categoria}${categoria ? ` → ${categoria}` : ''}`);
+        res.json({ ok: true, transaction_id: sugestao.transaction_id, categoria: categoria || null });
+    } catch (error) {
+        logger.error(`❌ Erro ao rejeitar sugestão da IA: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
+/**
+ * Envia transações ao Olist como contas a pagar.
+ * Estornos (valor negativo) não viram conta: são abatidos da compra original
+ * ou de compras da mesma categoria no mesmo envio (ver credit-netting).
+ * Compras totalmente compensadas e os créditos aplicados são marcados como
+ * enviados sem gerar conta; créditos sem onde abater ficam pendentes.
+ */
+async function enviarTransacoesOlist(transacoes, { fornecedor, vencimento, competencia }) {
+    const { envios, compensados, pendentes } = compensarCreditos(
+        transacoes.map(t => ({ ...t, valor: t.amount || 0, categoria: t.category }))
+    );
+
+    let enviados = 0;
+    let erros = 0;
+    const detalhes = [];
+    const RATE_LIMIT_MS = 2100;
+
+    for (let i = 0; i < envios.length; i++) {
+        const { item: t, valor, creditos } = envios[i];
+        const desc = sanitizeText(`${fornecedor} | ${(t.description || '').trim()}${t.installment ? ` (${t.installment})` : ''}${descreverAbatimento(creditos)}`);
+
+        let dataEmissao = t.date || vencimento;
+        if (dataEmissao.includes('-')) {
+            const [y, m, d] = dataEmissao.split('-');
+            dataEmissao = `${d}/${m}/${y}`;
+        }
+
+        // Bug 10 fix: nro_documento preenchido (era vazio '')
+        // Bug 11 fix: desc com prefixo fornecedor (era sem prefixo)
+        const nroDoc = formatDisplayName(vencimento, fornecedor) || '';
+
+        logger.info(`   [${i + 1}/${envios.length}] "${t.description}" — R$ ${valor.toFixed(2)} → ${t.category}${creditos.length > 0 ? ` (abatido de ${creditos.length} estorno(s))` : ''}`);
+
+        const resultado = await incluirContaPagar({
+            vencimento,
+            valor,
+            categoria: t.category,
+            descricao: desc,
+            nro_documento: nroDoc,
+            data_emissao: dataEmissao,
+            competencia,
+            fornecedor,
+            forma_pagamento: 'Cartão de crédito',
+        });
+
+        if (resultado.sucesso) {
+            enviados++;
+            await repo.markTransactionSent(t.id, resultado.id);
+            detalhes.push({ id: t.id, description: t.description, status: 'ok', id_olist: resultado.id, valor });
+            for (const c of creditos) {
+                await repo.markTransactionSent(c.item.id, resultado.id);
+                detalhes.push({ id: c.item.id, description: c.item.description, status: 'abatido', id_olist: resultado.id, abatido_de: t.id, valor: c.valor });
+            }
+        } else {
+            erros++;
+            detalhes.push({ id: t.id, description: t.description, status: 'erro', erro: resultado.erro, duplicata: !!resultado.duplicata });
+        }
+
+        if (i < envios.length - 1) {
+            await new Promise(r => setTimeout(r, RATE_LIMIT_MS));
+        }
+    }
+
+    // Compra anulada por estorno: nada a pagar, nada a enviar
+    for (const { item: t, creditos } of compensados) {
+        await repo.markTransactionSent(t.id, null);
+        detalhes.push({ id: t.id, description: t.description, status: 'compensado' });
+        for (const c of creditos) {
+            await repo.markTransactionSent(c.item.id, null);
+            detalhes.push({ id: c.item.id, description: c.item.description, status: 'abatido', abatido_de: t.id, valor: c.valor });
+        }
+    }
+
+    for (const { item: t, motivo } of pendentes) {
+        logger.warn(`⚠️ Crédito não enviado: "${t.description}" R$ ${t.amount.toFixed(2)} — ${motivo}`);
+        detalhes.push({ id: t.id, description: t.description, status: 'credito_pendente', motivo });
+    }
+
+    return { enviados, erros, detalhes };
+}
+
 /**
  * POST /api/card-statements/:id/send-to-olist
  */
@@ -428,52 +889,7 @@ router.post('/:id/send-to-olist', async (req, res) => {
         logger.info(`📤 Enviando fatura ${statement.id} ao Olist: ${toSend.length} categorizadas de ${transactions.length} — ${statement.card_name} (${skipped} puladas)`);
         logger.info(`   Fornecedor: ${fornecedor} | Vencimento: ${vencimento} | Competência: ${competencia}`);
 
-        let enviados = 0;
-        let erros = 0;
-        const detalhes = [];
-        const RATE_LIMIT_MS = 2100;
-
-        for (let i = 0; i < toSend.length; i++) {
-            const t = toSend[i];
-            const desc = sanitizeText(`${fornecedor} | ${(t.description || '').trim()}${t.installment ? ` (${t.installment})` : ''}`);
-
-            let dataEmissao = t.date || vencimento;
-            if (dataEmissao.includes('-')) {
-                const [y, m, d] = dataEmissao.split('-');
-                dataEmissao = `${d}/${m}/${y}`;
-            }
-
-            // Bug 10 fix: nro_documento preenchido (era vazio '')
-            // Bug 11 fix: desc com prefixo fornecedor (era sem prefixo)
-            const nroDoc = formatDisplayName(vencimento, fornecedor) || '';
-
-            logger.info(`   [${i + 1}/${toSend.length}] "${t.description}" — R$ ${(t.amount || 0).toFixed(2)} → ${t.category}`);
-
-            const resultado = await incluirContaPagar({
-                vencimento,
-                valor: t.amount || 0,
-                categoria: t.category,
-                descricao: desc,
-                nro_documento: nroDoc,
-                data_emissao: dataEmissao,
-                competencia,
-                fornecedor,
-                forma_pagamento: 'Cartão de crédito',
-            });
-
-            if (resultado.sucesso) {
-                enviados++;
-                await repo.markTransactionSent(t.id, resultado.id);
-                detalhes.push({ id: t.id, description: t.description, status: 'ok', id_olist: resultado.id });
-            } else {
-                erros++;
-                detalhes.push({ id: t.id, description: t.description, status: 'erro', erro: resultado.erro, duplicata: !!resultado.duplicata });
-            }
-
-            if (i < toSend.length - 1) {
-                await new Promise(r => setTimeout(r, RATE_LIMIT_MS));
-            }
-        }
+        const { enviados, erros, detalhes } = await enviarTransacoesOlist(toSend, { fornecedor, vencimento, competencia });
 
         logger.info(`📊 Envio finalizado: ${enviados} OK, ${erros} erros, ${skipped} puladas`);
 
@@ -533,52 +949,7 @@ router.post('/:id/send-selected-to-olist', async (req, res) => {
 
         logger.info(`📤 Enviando ${toSend.length} transações selecionadas ao Olist — ${statement.card_name}`);
 
-        let enviados = 0;
-        let erros = 0;
-        const detalhes = [];
-        const RATE_LIMIT_MS = 2100;
-
-        for (let i = 0; i < toSend.length; i++) {
-            const t = toSend[i];
-            const desc = sanitizeText(`${fornecedor} | ${(t.description || '').trim()}${t.installment ? ` (${t.installment})` : ''}`);
-
-            let dataEmissao = t.date || vencimento;
-            if (dataEmissao.includes('-')) {
-                const [y, m, d] = dataEmissao.split('-');
-                dataEmissao = `${d}/${m}/${y}`;
-            }
-
-            // Bug 10 fix: nro_documento preenchido (era vazio '')
-            // Bug 11 fix: desc com prefixo fornecedor (era sem prefixo)
-            const nroDoc = formatDisplayName(vencimento, fornecedor) || '';
-
-            logger.info(`   [${i + 1}/${toSend.length}] "${t.description}" — R$ ${(t.amount || 0).toFixed(2)} → ${t.category}`);
-
-            const resultado = await incluirContaPagar({
-                vencimento,
-                valor: t.amount || 0,
-                categoria: t.category,
-                descricao: desc,
-                nro_documento: nroDoc,
-                data_emissao: dataEmissao,
-                competencia,
-                fornecedor,
-                forma_pagamento: 'Cartão de crédito',
-            });
-
-            if (resultado.sucesso) {
-                enviados++;
-                await repo.markTransactionSent(t.id, resultado.id);
-                detalhes.push({ id: t.id, description: t.description, status: 'ok', id_olist: resultado.id });
-            } else {
-                erros++;
-                detalhes.push({ id: t.id, description: t.description, status: 'erro', erro: resultado.erro, duplicata: !!resultado.duplicata });
-            }
-
-            if (i < toSend.length - 1) {
-                await new Promise(r => setTimeout(r, RATE_LIMIT_MS));
-            }
-        }
+        const { enviados, erros, detalhes } = await enviarTransacoesOlist(toSend, { fornecedor, vencimento, competencia });
 
         logger.info(`📊 Envio selecionadas: ${enviados} OK, ${erros} erros de ${toSend.length}`);
 
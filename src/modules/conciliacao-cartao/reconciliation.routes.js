@@ -4,10 +4,13 @@ const fs = require('fs');
 const path = require('path');
 const router = express.Router();
 
-const { parsePdfFatura } = require('../../services/pdf-parser');
+const { parseArquivoFatura, validarBancoInformado, filtroArquivoFatura, tipoArquivoFatura } = require('../../services/statement-import');
+const { extrairTextoPdf } = require('../../services/pdf-parser');
+const { diagnosticarTexto } = require('../../services/parse-diagnostics');
 const { classificarItens, gerarResumo, salvarMapeamento } = require('../../services/expense-classifier');
 const { incluirContaPagar, baixarContaPagar, pesquisarContasPagar, obterContaPagar, excluirContaPagar, estornarBaixa } = require('../../services/olist-financial');
 const { pesquisarNotasEntrada, obterNotaFiscal, inferirCategoriaPorItens, cruzarTransacaoComNotas } = require('../../services/olist-notas');
+const { compensarCreditos, descreverAbatimento } = require('../../services/credit-netting');
 const logger = require('../../utils/logger');
 const { safePath, validators, SafePathError } = require('../../utils/safe-path');
 
@@ -18,17 +21,11 @@ const BANCO_DADOS_BASE = path.join(__dirname, '../../../data/banco-dados');
 const configPath = path.join(__dirname, '../../../config/financial-rules.json');
 const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
 
-// Multer — upload de PDF para memória
+// Multer — upload de fatura (PDF, OFX ou CSV) para memória
 const upload = multer({
     storage: multer.memoryStorage(),
     limits: { fileSize: 10 * 1024 * 1024 },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'application/pdf') {
-            cb(null, true);
-        } else {
-            cb(new Error('Apenas arquivos PDF são aceitos'), false);
-        }
-    },
+    fileFilter: filtroArquivoFatura,
 });
 
 // ─── Helpers: padronização de dados para o Olist ────
@@ -76,20 +73,61 @@ router.get('/categories', (req, res) => {
     });
 });
 
+/**
+ * POST /api/reconciliation/diagnose
+ * Diagnóstico do parse de um PDF: score de cada parser, metadados, transações
+ * com a linha de origem e linhas com valor que nenhum regex aproveitou.
+ */
+router.post('/diagnose', upload.single('pdf'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ erro: 'Nenhum arquivo enviado' });
+        }
+        if (tipoArquivoFatura(req.file.originalname, req.file.mimetype) !== 'pdf') {
+            return res.status(400).json({ erro: 'O diagnóstico é feito sobre o texto do PDF — OFX e CSV não passam pelos regexes dos parsers' });
+        }
+
+        logger.info(`🩺 Diagnóstico: ${req.file.originalname} (${(req.file.size / 1024).toFixed(1)}KB)`);
+
+        const { texto, ocr } = await extrairTextoPdf(req.file.buffer);
+        const diagnostico = diagnosticarTexto(texto);
+
+        logger.info(`🩺 ${diagnostico.banco}: ${diagnostico.resumo.transacoes} transações, ${diagnostico.resumo.linhas_nao_reconhecidas} linha(s) com valor não reconhecida(s)`);
+
+        res.json({
+            sucesso: true,
+            arquivo: req.file.originalname,
+            ...diagnostico,
+            ocr: ocr ? { motor: ocr.motor, paginas: ocr.paginas, confianca_media: ocr.confianca_media, linhas: ocr.linhas } : null,
+        });
+    } catch (error) {
+        logger.error(`❌ Erro no diagnóstico: ${error.message}`);
+        res.status(500).json({ erro: error.message });
+    }
+});
+
 /**
  * POST /api/reconciliation/preview
- * Quick parse: extracts metadata (vencimento, valor total, competência) from PDF
+ * Quick parse: extracts metadata (vencimento, valor total, competência) from PDF, OFX or CSV
  * without full classification or NF cross-referencing.
  */
 router.post('/preview', upload.single('pdf'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ erro: 'Nenhum arquivo PDF enviado' });
+            return res.status(400).json({ erro: 'Nenhum arquivo enviado' });
+        }
+
+        const problemaBanco = await validarBancoInformado(req.body.banco);
+        if (problemaBanco) {
+            return res.status(400).json({ erro: problemaBanco });
         }
 
         logger.info(`🔍 Preview: ${req.file.originalname} (${(req.file.size / 1024).toFixed(1)}KB)`);
 
-        const { banco, transacoes, metadados } = await parsePdfFatura(req.file.buffer);
+        const { banco, transacoes, metadados, conferencia } = await parseArquivoFatura(req.file, {
+            formato: req.body.formato_csv || undefined,
+            banco: req.body.banco || undefined,
+        });
 
         // Calculate total value from transactions
         const valorTotal = transacoes.reduce((sum, t) => sum + t.valor, 0);
@@ -109,7 +147,9 @@ router.post('/preview', upload.single('pdf'), async (req, res) => {
             vencimento: metadados.vencimento || null,
             competencia,
             valor_total: valorTotal,
+            valor_total_declarado: conferencia.total_declarado,
             total_transacoes: transacoes.length,
+            conferencia,
         });
     } catch (error) {
         logger.error(`❌ Erro no preview: ${error.message}`);
@@ -146,7 +186,7 @@ router.post('/preview-from-bd', async (req, res) => {
         const buffer = fs.readFileSync(filePath);
         logger.info(`🔍 Preview BD: ${filename} (${(buffer.length / 1024).toFixed(1)}KB)`);
 
-        const { banco: bancoDetectado, transacoes, metadados } = await parsePdfFatura(buffer);
+        const { banco: bancoDetectado, transacoes, metadados, conferencia } = await parseArquivoFatura({ buffer, originalname: filename });
 
         const valorTotal = transacoes.reduce((sum, t) => sum + t.valor, 0);
 
@@ -164,7 +204,9 @@ router.post('/preview-from-bd', async (req, res) => {
             vencimento: metadados.vencimento || null,
             competencia,
             valor_total: valorTotal,
+            valor_total_declarado: conferencia.total_declarado,
             total_transacoes: transacoes.length,
+            conferencia,
         });
     } catch (error) {
         logger.error(`❌ Erro preview BD: ${error.message}`);
@@ -207,11 +249,11 @@ router.post('/upload-from-bd', async (req, res) => {
         logger.info(`📄 Processando BD: ${filename} (${(buffer.length / 1024).toFixed(1)}KB)`);
 
         // 1. Parse
-        const { banco: bancoDetectado, transacoes, metadados } = await parsePdfFatura(buffer);
+        const { banco: bancoDetectado, transacoes, metadados, conferencia } = await parseArquivoFatura({ buffer, originalname: filename });
         logger.info(`   → Banco detectado: ${bancoDetectado}, ${transacoes.length} transações`);
 
         // 2. Classify — Bug 1 fix: função era classificarTransacoes (inexistente). Bug 2: precisa de await
-        const itensClassificados = await classificarItens(transacoes);
+        const itensClassificados = await classificarItens(transacoes, { cartao: cartaoNome });
         logger.info(`   → ${itensClassificados.filter(t => t.confianca !== 'manual').length}/${itensClassificados.length} classificados automaticamente`);
 
         // 3. NF cross-reference (max 10s)
@@ -267,6 +309,7 @@ router.post('/upload-from-bd', async (req, res) => {
             banco_detectado: bancoDetectado,
             cartao: cartaoNome,
             metadados,
+            conferencia,
             nfs_cruzadas: nfsCruzadas,
             resumo: {
                 total: resumo.total,
@@ -292,12 +335,12 @@ router.post('/upload-from-bd', async (req, res) => {
 
 /**
  * POST /api/reconciliation/upload
- * Recebe PDF, parseia, classifica, e tenta cruzar com NFs do Olist.
+ * Recebe a fatura (PDF, OFX ou CSV), parseia, classifica, e tenta cruzar com NFs do Olist.
  */
 router.post('/upload', upload.single('pdf'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ erro: 'Nenhum arquivo PDF enviado' });
+            return res.status(400).json({ erro: 'Nenhum arquivo enviado' });
         }
 
         const cartaoNome = req.body.cartao;
@@ -308,20 +351,28 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
             });
         }
 
+        const problemaBanco = await validarBancoInformado(req.body.banco);
+        if (problemaBanco) {
+            return res.status(400).json({ erro: problemaBanco });
+        }
+
         logger.info(`📤 Upload recebido: ${req.file.originalname} (${(req.file.size / 1024).toFixed(1)}KB) — ${cartaoNome}`);
 
-        // 1. Parse PDF
-        const { banco, transacoes, metadados } = await parsePdfFatura(req.file.buffer);
+        // 1. Parse (PDF, OFX ou CSV)
+        const { banco, transacoes, metadados, conferencia } = await parseArquivoFatura(req.file, {
+            formato: req.body.formato_csv || undefined,
+            banco: req.body.banco || undefined,
+        });
 
         if (transacoes.length === 0) {
             return res.status(400).json({
-                erro: 'Nenhuma transação encontrada no PDF.',
+                erro: 'Nenhuma transação encontrada no arquivo.',
                 banco_detectado: banco,
             });
         }
 
         // 2. Classifica (regras + memória) — Bug 2 fix: classificarItens é async, precisa de await
-        const itensClassificados = await classificarItens(transacoes);
+        const itensClassificados = await classificarItens(transacoes, { cartao: cartaoNome });
 
         // 3. Tenta cruzar itens não classificados com NFs do Olist (max 10s)
         let nfsCruzadas = 0;
@@ -356,7 +407,7 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
                                                 itens: nfDetalhe.itens.map(i => i.descricao).slice(0, 5),
                                             };
                                             nfsCruzadas++;
-                                            salvarMapeamento(item.descricao, inferido.categoria);
+                                            salvarMapeamento(item.descricao, inferido.categoria, { usuario: 'nota fiscal' });
                                             logger.info(`🔗 Cruzado: "${item.descricao}" → NF ${nfDetalhe.numero} → ${inferido.categoria}`);
                                         }
                                     }
@@ -386,6 +437,7 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
             cartao: cartaoNome,
             config_cartao: config.cartoes[cartaoNome],
             metadados,
+            conferencia,
             transacoes: itensClassificados,
             nfs_cruzadas: nfsCruzadas,
             resumo: {
@@ -414,16 +466,16 @@ router.post('/upload', upload.single('pdf'), async (req, res) => {
 /**
  * POST /api/reconciliation/learn
  * Salva um mapeamento aprendido (quando o usuário corrige no UI).
- * Body: { descricao: string, categoria: string }
+ * Body: { descricao: string, categoria: string, transacao_id?: number }
  */
 router.post('/learn', (req, res) => {
     try {
-        const { descricao, categoria } = req.body;
+        const { descricao, categoria, transacao_id } = req.body;
         if (!descricao || !categoria) {
             return res.status(400).json({ erro: 'descricao e categoria são obrigatórios' });
         }
 
-        salvarMapeamento(descricao, categoria);
+        salvarMapeamento(descricao, categoria, { usuario: req.user?.email, transacaoId: transacao_id });
         res.json({ sucesso: true, descricao, categoria });
     } catch (error) {
         logger.error(`❌ Erro ao salvar mapeamento: ${error.message}`);
@@ -455,6 +507,10 @@ router.post('/send-item', async (req, res) => {
         if (!item.categoria || item.categoria.includes('NÃO CLASSIFICADO')) {
             return res.json({ sucesso: true, status: 'pulado', motivo: 'Sem categoria' });
         }
+        // Olist não aceita conta a pagar negativa — estornos só no envio em lote, abatidos das compras
+        if (item.valor < 0) {
+            return res.json({ sucesso: true, status: 'pulado', motivo: 'Crédito/estorno: use o envio em lote para abater da compra' });
+        }
 
         const nroDoc = formatNroDocumento(vencimento, cartaoConfig.fornecedor);
         const desc = sanitizeText(`${cartaoConfig.fornecedor} | ${item.descricao}${item.parcela ? ` (${item.parcela})` : ''}`);
@@ -506,20 +562,27 @@ router.post('/send', async (req, res) => {
         let enviados = 0;
         let erros = 0;
 
-        for (let i = 0; i < itens.length; i++) {
-            const item = itens[i];
-
+        const categorizados = [];
+        for (const item of itens) {
             if (!item.categoria || item.categoria.includes('NÃO CLASSIFICADO')) {
                 resultados.push({ ...item, status: 'pulado', motivo: 'Sem categoria' });
-                continue;
+            } else {
+                categorizados.push(item);
             }
+        }
+
+        // Estornos (valor negativo) são abatidos das compras da mesma categoria
+        const { envios, compensados, pendentes } = compensarCreditos(categorizados);
+
+        for (let i = 0; i < envios.length; i++) {
+            const { item, valor, creditos } = envios[i];
 
             const nroDoc = formatNroDocumento(vencimento, cartaoConfig.fornecedor);
-            const desc = sanitizeText(`${cartaoConfig.fornecedor} | ${item.descricao}${item.parcela ? ` (${item.parcela})` : ''}`);
+            const desc = sanitizeText(`${cartaoConfig.fornecedor} | ${item.descricao}${item.parcela ? ` (${item.parcela})` : ''}${descreverAbatimento(creditos)}`);
 
             const resultado = await incluirContaPagar({
                 vencimento,
-                valor: item.valor,
+                valor,
                 categoria: item.categoria,
                 descricao: desc,
                 nro_documento: nroDoc,
@@ -530,17 +593,26 @@ router.post('/send', async (req, res) => {
 
             if (resultado.sucesso) {
                 enviados++;
-                resultados.push({ ...item, status: 'ok', id_olist: resultado.id });
+                resultados.push({ ...item, status: 'ok', id_olist: resultado.id, valor_enviado: valor });
+                creditos.forEach(c => resultados.push({ ...c.item, status: 'abatido', id_olist: resultado.id, valor_abatido: c.valor }));
             } else {
                 erros++;
                 resultados.push({ ...item, status: 'erro', erro: resultado.erro });
             }
 
-            if (i < itens.length - 1) {
+            if (i < envios.length - 1) {
                 await new Promise(r => setTimeout(r, 2100));
             }
         }
 
+        for (const { item, creditos } of compensados) {
+            resultados.push({ ...item, status: 'compensado', motivo: 'Anulada por estorno' });
+            creditos.forEach(c => resultados.push({ ...c.item, status: 'abatido', valor_abatido: c.valor }));
+        }
+        for (const { item, motivo } of pendentes) {
+            resultados.push({ ...item, status: 'pulado', motivo });
+        }
+
         logger.info(`📊 Envio finalizado: ${enviados} OK, ${erros} erros, ${resultados.length - enviados - erros} pulados`);
 
         res.json({
@@ -3,15 +3,33 @@
  *
  * Retorna dados estruturados para o frontend:
  *   { kpis, alerts, charts, recent, cardProgress, erp }
+ *
+ * ?cardholder=1234 restringe os gráficos de transações ao final do cartão.
+ *
+ * Parcelamentos:
+ *   GET  /installments            — contratos (compras parceladas) com parcelas restantes
+ *   GET  /installments/projection — compromissos futuros por mês e cartão (?meses=12)
+ *   POST /installments/rebuild    — refaz os contratos a partir das faturas importadas
  */
 const express = require('express');
 const router = express.Router();
 const { query } = require('../../database/connection');
 const logger = require('../../utils/logger');
+const installmentsRepo = require('../../repositories/installments-repo');
+const { resumirContrato, projetarCompromissos, somarMeses, reconstruirContratos } = require('../../services/installment-tracker');
+const { carregarArvore, somarPorHierarquia, achatarGrupos } = require('../../services/category-hierarchy');
+
+// Gasto = compras − estornos (negativos) + encargos; o pagamento da fatura anterior não é gasto
+const SEM_PAGAMENTOS = " AND COALESCE(t.kind, 'purchase') != 'payment'";
 
 // ─── GET /stats — Dashboard Statistics ───────────────────
 router.get('/stats', async (req, res) => {
     try {
+        // Filtro opcional por portador (final do cartão) — vale para os gráficos da seção 3
+        const cardholder = /^\d{4}$/.test(req.query.cardholder || '') ? req.query.cardholder : null;
+        const filtroPortador = cardholder ? ' AND t.card_final = $1' : '';
+        const paramsPortador = cardholder ? [cardholder] : [];
+
         // ── 1. KPIs ──────────────────────────────────────
         const stmtResult = await query(`
             SELECT
@@ -60,15 +78,15 @@ router.get('/stats', async (req, res) => {
         let trendTransactions = 0;
         try {
             const currentMonthResult = await query(`
-                SELECT COALESCE(SUM(ABS(t.amount)), 0) as total, COUNT(*) as count
+                SELECT COALESCE(SUM(t.amount), 0) as total, COUNT(*) as count
                 FROM card_transactions t
-                WHERE t.date >= TO_CHAR(DATE_TRUNC('month', NOW()), 'YYYY-MM-DD')
+                WHERE t.date >= TO_CHAR(DATE_TRUNC('month', NOW()), 'YYYY-MM-DD')${SEM_PAGAMENTOS}
             `);
             const prevMonthResult = await query(`
-                SELECT COALESCE(SUM(ABS(t.amount)), 0) as total, COUNT(*) as count
+                SELECT COALESCE(SUM(t.amount), 0) as total, COUNT(*) as count
                 FROM card_transactions t
                 WHERE t.date >= TO_CHAR(DATE_TRUNC('month', NOW() - INTERVAL '1 month'), 'YYYY-MM-DD')
-                  AND t.date < TO_CHAR(DATE_TRUNC('month', NOW()), 'YYYY-MM-DD')
+                  AND t.date < TO_CHAR(DATE_TRUNC('month', NOW()), 'YYYY-MM-DD')${SEM_PAGAMENTOS}
             `);
             const curAmt = parseFloat(currentMonthResult.rows[0].total);
             const prevAmt = parseFloat(prevMonthResult.rows[0].total);
@@ -85,9 +103,9 @@ router.get('/stats', async (req, res) => {
             const sparkResult = await query(`
                 SELECT
                     SUBSTRING(t.date FROM 1 FOR 7) as month,
-                    COALESCE(SUM(ABS(t.amount)), 0) as total
+                    COALESCE(SUM(t.amount), 0) as total
                 FROM card_transactions t
-                WHERE t.date >= TO_CHAR(NOW() - INTERVAL '12 months', 'YYYY-MM-DD')
+                WHERE t.date >= TO_CHAR(NOW() - INTERVAL '12 months', 'YYYY-MM-DD')${SEM_PAGAMENTOS}
                 GROUP BY SUBSTRING(t.date FROM 1 FOR 7)
                 ORDER BY month ASC
             `);
@@ -145,14 +163,14 @@ router.get('/stats', async (req, res) => {
             SELECT
                 SUBSTRING(t.date FROM 1 FOR 7) as month,
                 COALESCE(t.category, 'Sem categoria') as category,
-                COALESCE(SUM(ABS(t.amount)), 0) as total
+                COALESCE(SUM(t.amount), 0) as total
             FROM card_transactions t
             WHERE t.date >= TO_CHAR(NOW() - INTERVAL '6 months', 'YYYY-MM-DD')
               AND t.category IS NOT NULL AND TRIM(t.category) != ''
-              AND t.category NOT LIKE '%NÃO CLASSIFICADO%'
+              AND t.category NOT LIKE '%NÃO CLASSIFICADO%'${SEM_PAGAMENTOS}${filtroPortador}
             GROUP BY month, t.category
             ORDER BY month ASC, total DESC
-        `);
+        `, paramsPortador);
 
         // Montar estrutura Chart.js: labels (meses) + datasets (categorias)
         const monthSet = new Set();
@@ -199,12 +217,13 @@ router.get('/stats', async (req, res) => {
         const byCardResult = await query(`
             SELECT
                 s.card_name,
-                COALESCE(SUM(ABS(t.amount)), 0) as total
+                COALESCE(SUM(t.amount), 0) as total
             FROM card_transactions t
             JOIN card_statements s ON s.id = t.statement_id
+            WHERE TRUE${SEM_PAGAMENTOS}${filtroPortador}
             GROUP BY s.card_name
             ORDER BY total DESC
-        `);
+        `, paramsPortador);
 
         const byCardChart = {
             labels: byCardResult.rows.map(r => r.card_name),
@@ -215,13 +234,13 @@ router.get('/stats', async (req, res) => {
         const trendResult = await query(`
             SELECT
                 SUBSTRING(t.date FROM 1 FOR 7) as month,
-                COALESCE(SUM(ABS(t.amount)), 0) as total,
+                COALESCE(SUM(t.amount), 0) as total,
                 COUNT(*) as tx_count
             FROM card_transactions t
-            WHERE t.date >= TO_CHAR(NOW() - INTERVAL '12 months', 'YYYY-MM-DD')
+            WHERE t.date >= TO_CHAR(NOW() - INTERVAL '12 months', 'YYYY-MM-DD')${SEM_PAGAMENTOS}${filtroPortador}
             GROUP BY SUBSTRING(t.date FROM 1 FOR 7)
             ORDER BY month ASC
-        `);
+        `, paramsPortador);
 
         const trendChart = {
             labels: trendResult.rows.map(r => {
@@ -237,14 +256,14 @@ router.get('/stats', async (req, res) => {
             SELECT
                 COALESCE(t.category, 'Sem categoria') as category,
                 COUNT(*) as count,
-                COALESCE(SUM(ABS(t.amount)), 0) as total
+                COALESCE(SUM(t.amount), 0) as total
             FROM card_transactions t
             WHERE t.category IS NOT NULL AND TRIM(t.category) != ''
-              AND t.category NOT LIKE '%NÃO CLASSIFICADO%'
+              AND t.category NOT LIKE '%NÃO CLASSIFICADO%'${SEM_PAGAMENTOS}${filtroPortador}
             GROUP BY t.category
             ORDER BY total DESC
             LIMIT 8
-        `);
+        `, paramsPortador);
 
         const topCategories = topCategoriesResult.rows.map(r => ({
             category: r.category,
@@ -252,6 +271,64 @@ router.get('/stats', async (req, res) => {
             total: parseFloat(r.total),
         }));
 
+        // 3e. Gastos por portador (final do cartão → funcionário cadastrado), últimos 6 meses
+        let byCardholder = [];
+        try {
+            const byHolderResult = await query(`
+                SELECT
+                    s.card_name,
+                    t.card_final,
+                    MAX(t.card_holder_name) as card_holder_name,
+                    MAX(ch.employee_name) as employee_name,
+                    MAX(ch.cost_center) as cost_center,
+                    COUNT(*) as count,
+                    COALESCE(SUM(t.amount), 0) as total
+                FROM card_transactions t
+                JOIN card_statements s ON s.id = t.statement_id
+                LEFT JOIN LATERAL (
+                    SELECT employee_name, cost_center FROM cardholders c
+                    WHERE c.card_final = t.card_final AND (c.card_name = s.card_name OR c.card_name = '')
+                    ORDER BY c.card_name DESC
+                    LIMIT 1
+                ) ch ON TRUE
+                WHERE t.card_final IS NOT NULL
+                  AND t.date >= TO_CHAR(NOW() - INTERVAL '6 months', 'YYYY-MM-DD')${SEM_PAGAMENTOS}
+                GROUP BY s.card_name, t.card_final
+                ORDER BY total DESC
+            `);
+            byCardholder = byHolderResult.rows.map(r => ({
+                card_name: r.card_name,
+                card_final: r.card_final,
+                name: r.employee_name || r.card_holder_name || `Final ${r.card_final}`,
+                registered: Boolean(r.employee_name),
+                cost_center: r.cost_center,
+                count: parseInt(r.count),
+                total: parseFloat(r.total),
+            }));
+        } catch (_) {
+            // tabela cardholders pode não existir ainda
+        }
+
+        // 3f. Gastos por grupo do plano de contas (categorias somadas pela numeração: 3.3.1 → 3.3 → 3)
+        let categoryGroups = { grupos: [], fora_do_plano: [], total: 0 };
+        try {
+            const porCategoria = await query(`
+                SELECT t.category, COUNT(*) as count, COALESCE(SUM(t.amount), 0) as total
+                FROM card_transactions t
+                WHERE t.category IS NOT NULL AND TRIM(t.category) != ''
+                  AND t.category NOT LIKE '%NÃO CLASSIFICADO%'${SEM_PAGAMENTOS}${filtroPortador}
+                GROUP BY t.category
+            `, paramsPortador);
+            const rollup = somarPorHierarquia(porCategoria.rows.map(r => ({
+                categoria: r.category,
+                total: parseFloat(r.total),
+                quantidade: parseInt(r.count),
+            })), await carregarArvore());
+            categoryGroups = { ...rollup, grupos: achatarGrupos(rollup.grupos, 2) };
+        } catch (e) {
+            logger.warn(`⚠️ Gastos por grupo do plano de contas indisponíveis: ${e.message}`);
+        }
+
         // ── 4. Recent (últimas faturas importadas) ───────
         const recentResult = await query(`
             SELECT
@@ -362,7 +439,10 @@ router.get('/stats', async (req, res) => {
                 byCard: byCardChart,
                 trend: trendChart,
                 topCategories,
+                categoryGroups,
+                byCardholder,
             },
+            cardholder,
             recent,
             cardProgress,
             erp,
@@ -373,4 +453,49 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// ─── GET /installments — Contratos de parcelamento ───────
+router.get('/installments', async (req, res) => {
+    try {
+        const contratos = (await installmentsRepo.listContracts({ cardName: req.query.card || undefined }))
+            .map(resumirContrato);
+        const ativos = req.query.todos === '1' ? contratos : contratos.filter(c => !c.quitado);
+
+        res.json({
+            contratos: ativos,
+            total_restante: Math.round(ativos.reduce((sum, c) => sum + c.valor_restante, 0) * 100) / 100,
+        });
+    } catch (err) {
+        logger.error('Erro ao listar parcelamentos:', err);
+        res.status(500).json({ erro: err.message });
+    }
+});
+
+// ─── GET /installments/projection — Compromissos futuros ─
+router.get('/installments/projection', async (req, res) => {
+    try {
+        const meses = Math.min(Math.max(parseInt(req.query.meses) || 12, 1), 36);
+        const inicio = /^\d{4}-\d{2}$/.test(req.query.inicio || '')
+            ? req.query.inicio
+            : new Date().toISOString().slice(0, 7);
+
+        const contratos = await installmentsRepo.listContracts({ cardName: req.query.card || undefined });
+        const projecao = projetarCompromissos(contratos, { inicio, meses });
+
+        res.json({ inicio, fim: somarMeses(inicio, meses - 1), ...projecao });
+    } catch (err) {
+        logger.error('Erro ao projetar parcelas:', err);
+        res.status(500).json({ erro: err.message });
+    }
+});
+
+// ─── POST /installments/rebuild — Reconstrói contratos ───
+router.post('/installments/rebuild', async (req, res) => {
+    try {
+        res.json(await reconstruirContratos());
+    } catch (err) {
+        logger.error('Erro ao reconstruir parcelamentos:', err);
+        res.status(500).json({ erro: err.message });
+    }
+});
+
 module.exports = router;
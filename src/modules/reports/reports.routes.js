@@ -2,6 +2,8 @@
  * Reports Routes — PDF generation for financial reports
  * 
  * GET /api/reports/faturas?mes=2026-01    → PDF monthly invoice summary
+ * GET /api/reports/encargos?meses=12      → JSON card fees/interest/annuity per month
+ * GET /api/reports/categorias?meses=12    → JSON spend rolled up by plano de contas group
  * GET /api/reports/repositorio            → PDF ERP repository summary
  */
 
@@ -10,6 +12,14 @@ const router = express.Router();
 const PDFDocument = require('pdfkit');
 const { query } = require('../../database/connection');
 const logger = require('../../utils/logger');
+const { KINDS_ENCARGO } = require('../../services/statement-parsers/parser-utils');
+const { carregarArvore, somarPorHierarquia, achatarGrupos } = require('../../services/category-hierarchy');
+
+const ROTULOS_ENCARGO = {
+    fee: 'Tarifas e IOF',
+    interest: 'Juros e multas',
+    annuity: 'Anuidade',
+};
 
 // ─── Helpers ──────────────────────────────────
 
@@ -85,6 +95,50 @@ function addTable(doc, headers, rows, startX = 40) {
     doc.y = y + 10;
 }
 
+/**
+ * Encargos do cartão (kinds fee/interest/annuity) por mês da fatura, cartão e tipo.
+ */
+async function buscarEncargos(startDate, endDate) {
+    const { rows } = await query(`
+        SELECT SUBSTRING(cs.statement_date, 1, 7) AS mes,
+               cs.card_name,
+               ct.kind,
+               COUNT(*) AS qty,
+               COALESCE(SUM(ct.amount), 0) AS total
+        FROM card_transactions ct
+        JOIN card_statements cs ON cs.id = ct.statement_id
+        WHERE cs.statement_date >= $1 AND cs.statement_date < $2
+          AND ct.kind = ANY($3)
+        GROUP BY 1, 2, 3
+        ORDER BY 1, 2, 3
+    `, [startDate, endDate, KINDS_ENCARGO]);
+
+    return rows.map(r => ({ ...r, qty: parseInt(r.qty), total: parseFloat(r.total) }));
+}
+
+/**
+ * Gasto por categoria no período (mês da fatura), somado pela árvore do plano de contas.
+ */
+async function buscarGastosPorGrupo(startDate, endDate) {
+    const { rows } = await query(`
+        SELECT ct.category AS categoria,
+               COUNT(*) AS qty,
+               COALESCE(SUM(ct.amount), 0) AS total
+        FROM card_transactions ct
+        JOIN card_statements cs ON cs.id = ct.statement_id
+        WHERE cs.statement_date >= $1 AND cs.statement_date < $2
+          AND ct.category IS NOT NULL AND TRIM(ct.category) != ''
+          AND ct.category NOT LIKE '%NÃO CLASSIFICADO%'
+          AND COALESCE(ct.kind, 'purchase') != 'payment'
+        GROUP BY ct.category
+    `, [startDate, endDate]);
+
+    return somarPorHierarquia(
+        rows.map(r => ({ categoria: r.categoria, total: parseFloat(r.total), quantidade: parseInt(r.qty) })),
+        await carregarArvore()
+    );
+}
+
 // ─── Invoice Summary Report ───────────────────
 
 router.get('/faturas', async (req, res) => {
@@ -110,6 +164,25 @@ router.get('/faturas', async (req, res) => {
             ORDER BY cs.statement_date ASC
         `, [startDate, endDate]);
 
+        // International purchases grouped by currency
+        const { rows: foreignByCurrency } = await query(`
+            SELECT ct.original_currency AS currency,
+                   COUNT(*) AS qty,
+                   COALESCE(SUM(ct.original_amount), 0) AS original_total,
+                   COALESCE(SUM(ct.amount), 0) AS brl_total,
+                   AVG(ct.exchange_rate) AS avg_rate,
+                   COALESCE(SUM(ct.iof_amount), 0) AS iof_total
+            FROM card_transactions ct
+            JOIN card_statements cs ON cs.id = ct.statement_id
+            WHERE cs.statement_date >= $1 AND cs.statement_date < $2
+              AND ct.original_currency IS NOT NULL
+            GROUP BY ct.original_currency
+            ORDER BY brl_total DESC
+        `, [startDate, endDate]);
+
+        const encargos = await buscarEncargos(startDate, endDate);
+        const gastosPorGrupo = await buscarGastosPorGrupo(startDate, endDate);
+
         // Summary stats
         const totalStatements = statements.length;
         const totalValue = statements.reduce((sum, s) => sum + (parseFloat(s.total_amount) || 0), 0);
@@ -155,6 +228,58 @@ router.get('/faturas', async (req, res) => {
             );
         }
 
+        // International purchases table
+        if (foreignByCurrency.length > 0) {
+            doc.moveDown(1);
+            doc.fontSize(12).fillColor('#1a1f36').text('Compras Internacionais', 40);
+            doc.moveDown(0.5);
+            addTable(doc,
+                ['Moeda', 'Compras', 'Valor Original', 'Valor em R$', 'Cotação Média', 'IOF'],
+                foreignByCurrency.map(f => [
+                    f.currency,
+                    String(f.qty),
+                    `${f.currency} ${parseFloat(f.original_total).toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`,
+                    formatCurrency(parseFloat(f.brl_total)),
+                    f.avg_rate ? parseFloat(f.avg_rate).toLocaleString('pt-BR', { minimumFractionDigits: 4, maximumFractionDigits: 4 }) : '—',
+                    formatCurrency(parseFloat(f.iof_total)),
+                ])
+            );
+        }
+
+        // Card fees, interest and annuity
+        if (encargos.length > 0) {
+            const totalEncargos = encargos.reduce((sum, e) => sum + e.total, 0);
+            doc.moveDown(1);
+            doc.fontSize(12).fillColor('#1a1f36').text(`Encargos do Cartão — ${formatCurrency(totalEncargos)}`, 40);
+            doc.moveDown(0.5);
+            addTable(doc,
+                ['Cartão', 'Tipo', 'Lançamentos', 'Valor'],
+                encargos.map(e => [
+                    e.card_name || '—',
+                    ROTULOS_ENCARGO[e.kind] || e.kind,
+                    String(e.qty),
+                    formatCurrency(e.total),
+                ])
+            );
+        }
+
+        // Spend by plano de contas group (two levels)
+        if (gastosPorGrupo.grupos.length > 0 || gastosPorGrupo.fora_do_plano.length > 0) {
+            doc.moveDown(1);
+            doc.fontSize(12).fillColor('#1a1f36').text('Gastos por Grupo do Plano de Contas', 40);
+            doc.moveDown(0.5);
+            const linhas = achatarGrupos(gastosPorGrupo.grupos, 2).map(g => [
+                g.codigo || '—',
+                `${g.nivel > 1 ? '    ' : ''}${g.descricao}`,
+                String(g.quantidade),
+                formatCurrency(g.total),
+            ]);
+            for (const c of gastosPorGrupo.fora_do_plano) {
+                linhas.push(['—', `${c.categoria} (fora do plano)`, String(c.quantidade), formatCurrency(c.total)]);
+            }
+            addTable(doc, ['Código', 'Grupo / Categoria', 'Transações', 'Valor'], linhas);
+        }
+
         // Footer
         doc.y = 740;
         doc.fontSize(7).fillColor('#aaa')
@@ -167,6 +292,76 @@ router.get('/faturas', async (req, res) => {
     }
 });
 
+// ─── Card Charges Report ──────────────────────
+
+router.get('/encargos', async (req, res) => {
+    try {
+        const meses = Math.min(Math.max(parseInt(req.query.meses) || 12, 1), 36);
+        const now = new Date();
+        const inicio = new Date(now.getFullYear(), now.getMonth() - (meses - 1), 1);
+        const startDate = `${inicio.getFullYear()}-${String(inicio.getMonth() + 1).padStart(2, '0')}-01`;
+        const endDate = now.getMonth() === 11
+            ? `${now.getFullYear() + 1}-01-01`
+            : `${now.getFullYear()}-${String(now.getMonth() + 2).padStart(2, '0')}-01`;
+
+        const encargos = await buscarEncargos(startDate, endDate);
+
+        // Um item por mês do período, mesmo sem encargos
+        const porMes = [];
+        for (let i = 0; i < meses; i++) {
+            const d = new Date(inicio.getFullYear(), inicio.getMonth() + i, 1);
+            const mes = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+            const item = { mes, total: 0, cartoes: {} };
+            KINDS_ENCARGO.forEach(kind => { item[kind] = 0; });
+            porMes.push(item);
+        }
+
+        for (const e of encargos) {
+            const item = porMes.find(m => m.mes === e.mes);
+            if (!item) continue;
+            item[e.kind] += e.total;
+            item.total += e.total;
+            item.cartoes[e.card_name] = (item.cartoes[e.card_name] || 0) + e.total;
+        }
+
+        const centavos = (v) => Math.round(v * 100) / 100;
+        const totais = { total: 0 };
+        KINDS_ENCARGO.forEach(kind => {
+            totais[kind] = centavos(porMes.reduce((sum, m) => sum + m[kind], 0));
+            totais.total = centavos(totais.total + totais[kind]);
+        });
+        for (const m of porMes) {
+            KINDS_ENCARGO.forEach(kind => { m[kind] = centavos(m[kind]); });
+            m.total = centavos(m.total);
+        }
+
+        res.json({ meses: porMes, totais, rotulos: ROTULOS_ENCARGO });
+    } catch (e) {
+        logger.error('Erro ao gerar relatório de encargos:', e);
+        res.status(500).json({ erro: 'Erro ao gerar relatório: ' + e.message });
+    }
+});
+
+// ─── Spend by Plano de Contas Group ───────────
+
+router.get('/categorias', async (req, res) => {
+    try {
+        const meses = Math.min(Math.max(parseInt(req.query.meses) || 12, 1), 36);
+        const now = new Date();
+        const inicio = new Date(now.getFullYear(), now.getMonth() - (meses - 1), 1);
+        const startDate = `${inicio.getFullYear()}-${String(inicio.getMonth() + 1).padStart(2, '0')}-01`;
+        const endDate = now.getMonth() === 11
+            ? `${now.getFullYear() + 1}-01-01`
+            : `${now.getFullYear()}-${String(now.getMonth() + 2).padStart(2, '0')}-01`;
+
+        const gastos = await buscarGastosPorGrupo(startDate, endDate);
+        res.json({ periodo: { inicio: startDate, fim: endDate }, ...gastos });
+    } catch (e) {
+        logger.error('Erro ao gerar relatório por grupo do plano de contas:', e);
+        res.status(500).json({ erro: 'Erro ao gerar relatório: ' + e.message });
+    }
+});
+
 // ─── Repository Summary Report ────────────────
 
 router.get('/repositorio', async (req, res) => {
@@ -1,6 +1,9 @@
 /**
  * Settings API Routes
- * CRUD for card rules, classification rules, learned mappings, and Olist API testing.
+ * CRUD for card rules, classification rules, learned mappings, cardholders, and Olist API testing.
+ * Status and retraining of the local classifier; AI provider list and connection test.
+ * Validation of the configured categories against the ERP plano de contas.
+ * Category rename/merge with preview and audit log.
  */
 const express = require('express');
 const router = express.Router();
@@ -9,6 +12,15 @@ const path = require('path');
 const { query } = require('../../database/connection');
 const logger = require('../../utils/logger');
 const cardRulesRepo = require('../../repositories/card-rules-repo');
+const learnedMappingsRepo = require('../../repositories/learned-mappings-repo');
+const { normalizarRegra, validarRegra } = require('../../services/classification-rules');
+const { simularRegras } = require('../../services/rule-simulator');
+const classifierRepo = require('../../repositories/classifier-models-repo');
+const { retreinarModelo } = require('../../services/local-classifier');
+const aiCacheRepo = require('../../repositories/ai-cache-repo');
+const { listarProvedores, testarConexao } = require('../../services/ai-classifiers');
+const { carregarArvore, validarCategorias } = require('../../services/category-hierarchy');
+const categoryMaintenance = require('../../services/category-maintenance');
 
 // ─── Card Rules (cartões → conta financeira) ──
 
@@ -32,16 +44,19 @@ router.put('/card-rules', async (req, res) => {
     }
 });
 
-// ─── Classification Rules (regex → categoria) ─
+// ─── Classification Rules (regex + condições → categoria) ─
 
 router.get('/classification-rules', async (req, res) => {
     try {
         const regras = (await cardRulesRepo.getClassificationRules()).map(r => ({
             padrao: r.padrao,
             categoria: r.categoria,
+            prioridade: r.prioridade || 0,
+            condicoes: r.condicoes || {},
         }));
         const categorias = await cardRulesRepo.getCategories();
-        res.json({ regras, categorias });
+        const cartoes = Object.keys(await cardRulesRepo.getCardAccounts());
+        res.json({ regras, categorias, cartoes });
     } catch (e) {
         logger.error('Erro ao ler regras:', e);
         res.status(500).json({ erro: 'Erro ao ler regras de classificação' });
@@ -50,31 +65,199 @@ router.get('/classification-rules', async (req, res) => {
 
 router.put('/classification-rules', async (req, res) => {
     try {
-        if (req.body.regras) await cardRulesRepo.saveClassificationRules(req.body.regras);
-        if (req.body.categorias) await cardRulesRepo.saveCategories(req.body.categorias);
-        res.json({ ok: true, message: 'Regras de classificação salvas' });
+        if (req.body.regras) {
+            if (!Array.isArray(req.body.regras)) {
+                return res.status(400).json({ erro: 'regras deve ser uma lista' });
+            }
+            for (const regra of req.body.regras) {
+                const problema = validarRegra(regra);
+                if (problema) return res.status(400).json({ erro: problema });
+            }
+            await cardRulesRepo.saveClassificationRules(req.body.regras.map(normalizarRegra));
+        }
+        let avisos = [];
+        if (req.body.categorias) {
+            await cardRulesRepo.saveCategories(req.body.categorias);
+            // Categoria fora do plano de contas não bloqueia: o ERP pode não ter sido importado ainda
+            const arvore = await carregarArvore();
+            if (arvore.nos.size > 0) {
+                avisos = validarCategorias(req.body.categorias, arvore).filter(c => c.status !== 'ok');
+            }
+        }
+        res.json({ ok: true, message: 'Regras de classificação salvas', avisos });
     } catch (e) {
         logger.error('Erro ao salvar regras:', e);
         res.status(500).json({ erro: 'Erro ao salvar regras' });
     }
 });
 
+/**
+ * POST /api/settings/classification-rules/simulate
+ * Body: { regras: [...], desde?: 'YYYY-MM-DD' } — mesmo formato do PUT.
+ * Roda o rascunho contra o histórico sem salvar.
+ */
+router.post('/classification-rules/simulate', async (req, res) => {
+    try {
+        const { regras, desde } = req.body;
+        if (!Array.isArray(regras)) {
+            return res.status(400).json({ erro: 'regras deve ser uma lista' });
+        }
+        if (desde && !/^\d{4}-\d{2}-\d{2}$/.test(desde)) {
+            return res.status(400).json({ erro: 'desde deve estar no formato YYYY-MM-DD' });
+        }
+        for (const regra of regras) {
+            const problema = validarRegra(regra);
+            if (problema) return res.status(400).json({ erro: problema });
+        }
+
+        const simulacao = await simularRegras(regras, { desde });
+        logger.info(`🧪 Simulação de regras: ${simulacao.alteradas}/${simulacao.total_transacoes} transações mudariam de categoria`);
+        res.json(simulacao);
+    } catch (e) {
+        logger.error('Erro ao simular regras:', e);
+        res.status(500).json({ erro: 'Erro ao simular regras' });
+    }
+});
+
+/**
+ * GET /api/settings/categories/validation
+ * Confere as categorias cadastradas contra o plano de contas do ERP:
+ * ok, renomeada, renumerada, removida ou inexistente (com a sugestão de nome, quando há).
+ */
+router.get('/categories/validation', async (req, res) => {
+    try {
+        const arvore = await carregarArvore();
+        const categorias = validarCategorias(await cardRulesRepo.getCategories(), arvore);
+        const resumo = {};
+        for (const c of categorias) resumo[c.status] = (resumo[c.status] || 0) + 1;
+        res.json({ plano_importado: arvore.nos.size > 0, resumo, categorias });
+    } catch (e) {
+        logger.error('Erro ao validar categorias:', e);
+        res.status(500).json({ erro: 'Erro ao validar categorias contra o plano de contas' });
+    }
+});
+
+/**
+ * POST /api/settings/categories/maintenance/preview
+ * Body: { origem | origens: [...], destino } — o que a renomeação/mesclagem
+ * mudaria em cada tabela e o que no arquivo de configuração bloqueia, sem salvar.
+ */
+router.post('/categories/maintenance/preview', async (req, res) => {
+    try {
+        const pedido = categoryMaintenance.lerPedido(req.body);
+        const problema = categoryMaintenance.validarPedido(pedido);
+        if (problema) return res.status(400).json({ erro: problema });
+
+        res.json(await categoryMaintenance.previsualizar(pedido));
+    } catch (e) {
+        logger.error('Erro ao prever manutenção de categoria:', e);
+        res.status(500).json({ erro: 'Erro ao calcular a prévia da manutenção de categoria' });
+    }
+});
+
+/**
+ * POST /api/settings/categories/maintenance
+ * Body: { origem | origens: [...], destino } — renomeia ou mescla em regras,
+ * mapeamentos, transações não enviadas e mapa de fornecedores, numa transação.
+ */
+router.post('/categories/maintenance', async (req, res) => {
+    try {
+        const pedido = categoryMaintenance.lerPedido(req.body);
+        const problema = categoryMaintenance.validarPedido(pedido);
+        if (problema) return res.status(400).json({ erro: problema });
+        const bloqueio = categoryMaintenance.verificarArquivoConfig(pedido);
+        if (bloqueio) return res.status(409).json({ erro: bloqueio });
+
+        const resultado = await categoryMaintenance.aplicar(pedido, { usuario: req.user?.email });
+        res.json({ ok: true, ...resultado });
+    } catch (e) {
+        logger.error('Erro ao aplicar manutenção de categoria:', e);
+        res.status(500).json({ erro: 'Erro ao renomear/mesclar categoria' });
+    }
+});
+
+/**
+ * GET /api/settings/categories/maintenance — auditoria das renomeações e mesclagens.
+ */
+router.get('/categories/maintenance', async (req, res) => {
+    try {
+        const alteracoes = await categoryMaintenance.listarAlteracoes();
+        res.json({ alteracoes });
+    } catch (e) {
+        logger.error('Erro ao ler auditoria de categorias:', e);
+        res.status(500).json({ erro: 'Erro ao ler histórico de manutenção de categorias' });
+    }
+});
+
 // ─── Learned Mappings ──────────────────────────
 
 router.get('/learned-mappings', async (req, res) => {
     try {
-        const { rows } = await query('SELECT id, descricao, categoria, criado_em FROM learned_mappings ORDER BY criado_em DESC');
-        res.json({ mappings: rows });
+        const mappings = await learnedMappingsRepo.listar();
+        res.json({ mappings });
     } catch (e) {
         logger.error('Erro ao ler mapeamentos:', e);
         res.status(500).json({ erro: 'Erro ao ler mapeamentos' });
     }
 });
 
+/**
+ * Mapeamentos ensinados com mais de uma categoria ou trocados pelos usuários.
+ */
+router.get('/learned-mappings/conflicts', async (req, res) => {
+    try {
+        const conflitos = await learnedMappingsRepo.conflitos();
+        res.json({ conflitos });
+    } catch (e) {
+        logger.error('Erro ao ler conflitos de mapeamentos:', e);
+        res.status(500).json({ erro: 'Erro ao ler conflitos de mapeamentos' });
+    }
+});
+
+router.get('/learned-mappings/:id/history', async (req, res) => {
+    try {
+        const mapeamento = await learnedMappingsRepo.getById(req.params.id);
+        if (!mapeamento) {
+            return res.status(404).json({ erro: 'Mapeamento não encontrado' });
+        }
+        const historico = await learnedMappingsRepo.historico(mapeamento.descricao);
+        res.json({ mapeamento, historico });
+    } catch (e) {
+        logger.error('Erro ao ler histórico do mapeamento:', e);
+        res.status(500).json({ erro: 'Erro ao ler histórico do mapeamento' });
+    }
+});
+
+/**
+ * Body: { historico_id? } — sem historico_id volta para a categoria anterior à atual.
+ */
+router.post('/learned-mappings/:id/rollback', async (req, res) => {
+    try {
+        const mapeamento = await learnedMappingsRepo.getById(req.params.id);
+        if (!mapeamento) {
+            return res.status(404).json({ erro: 'Mapeamento não encontrado' });
+        }
+        const revertido = await learnedMappingsRepo.reverter(req.params.id, {
+            historicoId: req.body.historico_id,
+            usuario: req.user?.email,
+        });
+        if (!revertido) {
+            return res.status(400).json({ erro: 'Nenhuma categoria anterior para voltar' });
+        }
+        if (revertido.inexistente) {
+            return res.status(400).json({ erro: `A categoria "${revertido.categoria}" não existe mais (renomeada ou mesclada)` });
+        }
+        res.json({ ok: true, ...revertido });
+    } catch (e) {
+        logger.error('Erro ao reverter mapeamento:', e);
+        res.status(500).json({ erro: 'Erro ao reverter mapeamento' });
+    }
+});
+
 router.delete('/learned-mappings/:id', async (req, res) => {
     try {
-        const result = await query('DELETE FROM learned_mappings WHERE id = $1', [req.params.id]);
-        if (result.rowCount === 0) {
+        const removido = await learnedMappingsRepo.remover(req.params.id, { usuario: req.user?.email });
+        if (!removido) {
             return res.status(404).json({ erro: 'Mapeamento não encontrado' });
         }
         res.json({ ok: true, message: 'Mapeamento removido' });
@@ -84,6 +267,119 @@ router.delete('/learned-mappings/:id', async (req, res) => {
     }
 });
 
+// ─── Classificador local ───────────────────────
+
+/**
+ * Treinos do classificador local (o primeiro é o modelo ativo).
+ */
+router.get('/classifier', async (req, res) => {
+    try {
+        const modelos = await classifierRepo.listModels();
+        const config = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../config/financial-rules.json'), 'utf-8'));
+        res.json({ ativo: config.classificador_local?.ativo !== false, modelo: modelos[0] || null, historico: modelos });
+    } catch (e) {
+        logger.error('Erro ao ler classificador local:', e);
+        res.status(500).json({ erro: 'Erro ao ler classificador local' });
+    }
+});
+
+router.post('/classifier/retrain', async (req, res) => {
+    try {
+        const resultado = await retreinarModelo({ usuario: req.user?.email });
+        res.json({ ok: true, ...resultado });
+    } catch (e) {
+        logger.error('Erro ao treinar classificador local:', e);
+        res.status(500).json({ erro: 'Erro ao treinar classificador local: ' + e.message });
+    }
+});
+
+/**
+ * Provedores de IA registrados, qual está ativo e se cada um pode rodar.
+ */
+router.get('/ai-providers', (req, res) => {
+    try {
+        res.json({ provedores: listarProvedores() });
+    } catch (e) {
+        logger.error('Erro ao listar provedores de IA:', e);
+        res.status(500).json({ erro: 'Erro ao listar provedores de IA' });
+    }
+});
+
+/**
+ * Chama o provedor ativo: { ok, provedor, response } ou { ok: false, error }.
+ */
+router.post('/ai-providers/test', async (req, res) => {
+    const resultado = await testarConexao();
+    if (!resultado.ok) logger.warn(`⚠️ Teste do provedor de IA falhou: ${resultado.error}`);
+    res.json(resultado);
+});
+
+/**
+ * Esquece as respostas da IA: as descrições voltam a ser enviadas ao provedor.
+ */
+router.delete('/ai-cache', async (req, res) => {
+    try {
+        const removidas = await aiCacheRepo.limpar();
+        logger.info(`🧹 Cache da IA limpo: ${removidas} descrições`);
+        res.json({ ok: true, removidas });
+    } catch (e) {
+        logger.error('Erro ao limpar cache da IA:', e);
+        res.status(500).json({ erro: 'Erro ao limpar cache da IA' });
+    }
+});
+
+// ─── Cardholders (final do cartão → funcionário) ─
+
+router.get('/cardholders', async (req, res) => {
+    try {
+        const portadores = await cardRulesRepo.getCardholders();
+        // Finais já vistos nas faturas que ainda não têm portador cadastrado
+        const { rows: semCadastro } = await query(`
+            SELECT s.card_name, t.card_final, MAX(t.card_holder_name) AS card_holder_name, COUNT(*) AS transacoes
+            FROM card_transactions t
+            JOIN card_statements s ON s.id = t.statement_id
+            WHERE t.card_final IS NOT NULL
+              AND NOT EXISTS (
+                  SELECT 1 FROM cardholders c
+                  WHERE c.card_final = t.card_final AND (c.card_name = s.card_name OR c.card_name = '')
+              )
+            GROUP BY s.card_name, t.card_final
+            ORDER BY s.card_name, t.card_final
+        `);
+        res.json({ portadores, finais_sem_cadastro: semCadastro });
+    } catch (e) {
+        logger.error('Erro ao ler portadores:', e);
+        res.status(500).json({ erro: 'Erro ao ler portadores de cartão' });
+    }
+});
+
+router.post('/cardholders', async (req, res) => {
+    try {
+        const { card_final, card_name, employee_name, cost_center } = req.body || {};
+        if (!/^\d{4}$/.test(String(card_final || '')) || !employee_name) {
+            return res.status(400).json({ erro: 'Informe o final do cartão (4 dígitos) e o nome do funcionário' });
+        }
+        const portador = await cardRulesRepo.saveCardholder({ card_final: String(card_final), card_name, employee_name, cost_center });
+        res.json({ ok: true, portador });
+    } catch (e) {
+        logger.error('Erro ao salvar portador:', e);
+        res.status(500).json({ erro: 'Erro ao salvar portador' });
+    }
+});
+
+router.delete('/cardholders/:id', async (req, res) => {
+    try {
+        const removido = await cardRulesRepo.deleteCardholder(req.params.id);
+        if (!removido) {
+            return res.status(404).json({ erro: 'Portador não encontrado' });
+        }
+        res.json({ ok: true, message: 'Portador removido' });
+    } catch (e) {
+        logger.error('Erro ao remover portador:', e);
+        res.status(500).json({ erro: 'Erro ao remover portador' });
+    }
+});
+
 // ─── Test Olist Connection ─────────────────────
 
 router.post('/test-olist', async (req, res) => {
@@ -122,7 +418,7 @@ router.get('/plano-contas', async (req, res) => {
     try {
         const search = (req.query.search || '').trim();
 
-        let sql = 'SELECT id, olist_id, descricao, grupo, considera_dre, competencia_padrao FROM erp_plano_contas';
+        let sql = 'SELECT id, olist_id, descricao, grupo, considera_dre, competencia_padrao, ativa, descricao_anterior FROM erp_plano_contas';
         const params = [];
         let paramIdx = 1;
 
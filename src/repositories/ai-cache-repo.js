@@ -0,0 +1,48 @@
+/**
+ * Repository — ai_classification_cache
+ * Respostas da classificação por IA por descrição normalizada.
+ */
+const { query } = require('../database/connection');
+
+/**
+ * @param {string[]} descricoes - Descrições normalizadas
+ * @returns {Promise<Map<string, { categoria: string|null, confianca: number, motivo: string|null, provedor: string }>>}
+ */
+async function buscar(descricoes) {
+    const mapa = new Map();
+    if (descricoes.length === 0) return mapa;
+    const { rows } = await query(
+        'SELECT descricao, categoria, confianca, motivo, provedor FROM ai_classification_cache WHERE descricao = ANY($1)',
+        [descricoes]
+    );
+    for (const r of rows) {
+        mapa.set(r.descricao, { categoria: r.categoria, confianca: r.confianca, motivo: r.motivo, provedor: r.provedor });
+    }
+    return mapa;
+}
+
+/**
+ * @param {Array<{ descricao, categoria, confianca, motivo }>} entradas - descricao já normalizada
+ */
+async function salvar(entradas, provedor) {
+    for (const e of entradas) {
+        await query(
+            `INSERT INTO ai_classification_cache (descricao, categoria, confianca, motivo, provedor)
+             VALUES ($1, $2, $3, $4, $5)
+             ON CONFLICT(descricao) DO UPDATE SET categoria = EXCLUDED.categoria, confianca = EXCLUDED.confianca,
+                 motivo = EXCLUDED.motivo, provedor = EXCLUDED.provedor, criado_em = NOW()`,
+            [e.descricao, e.categoria || null, Math.round(e.confianca) || 0, e.motivo || null, provedor]
+        );
+    }
+}
+
+async function limpar() {
+    const { rowCount } = await query('DELETE FROM ai_classification_cache');
+    return rowCount;
+}
+
+module.exports = {
+    buscar,
+    salvar,
+    limpar,
+};
@@ -0,0 +1,114 @@
+/**
+ * Repository — ai_suggestions
+ * Sugestões da IA aguardando revisão, e o histórico de aceites/rejeições.
+ */
+const { query } = require('../database/connection');
+
+/**
+ * Grava as sugestões como 'proposta', substituindo a proposta pendente da
+ * transação. Categoria já rejeitada para a transação não é proposta de novo.
+ *
+ * @param {Array<{ transactionId, statementId, descricao, valor, categoria, confianca, motivo, provedor }>} sugestoes
+ * @returns {Promise<number>} Quantas propostas foram gravadas
+ */
+async function propor(sugestoes) {
+    let gravadas = 0;
+    for (const s of sugestoes) {
+        const { rows } = await query(
+            `SELECT 1 FROM ai_suggestions WHERE transaction_id = $1 AND categoria = $2 AND status = 'rejeitada'`,
+            [s.transactionId, s.categoria]
+        );
+        if (rows.length > 0) continue;
+
+        await query(`DELETE FROM ai_suggestions WHERE transaction_id = $1 AND status = 'proposta'`, [s.transactionId]);
+        await query(
+            `INSERT INTO ai_suggestions (transaction_id, statement_id, descricao, valor, categoria, confianca, motivo, provedor)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [s.transactionId, s.statementId, s.descricao, s.valor, s.categoria, s.confianca, s.motivo || null, s.provedor || null]
+        );
+        gravadas++;
+    }
+    return gravadas;
+}
+
+async function getPendingByStatement(statementId) {
+    const { rows } = await query(
+        `SELECT id, transaction_id, categoria, confianca, motivo, provedor, criado_em
+         FROM ai_suggestions WHERE statement_id = $1 AND status = 'proposta'`,
+        [statementId]
+    );
+    return rows;
+}
+
+async function getById(id) {
+    const { rows } = await query('SELECT * FROM ai_suggestions WHERE id = $1', [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Fecha uma proposta pendente.
+ * @param {{ status: 'aceita'|'rejeitada', categoriaFinal?: string, usuario?: string }} decisao
+ * @returns {Promise<Object|null>} null se a proposta não está mais pendente
+ */
+async function resolver(id, { status, categoriaFinal, usuario }) {
+    const { rows } = await query(
+        `UPDATE ai_suggestions SET status = $1, categoria_final = $2, revisado_por = $3, revisado_em = NOW()
+         WHERE id = $4 AND status = 'proposta'
+         RETURNING *`,
+        [status, categoriaFinal || null, usuario || null, id]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Categoria definida à mão numa transação com proposta pendente: mesma
+ * categoria conta como aceite, outra como rejeição.
+ */
+async function resolverPorTransacao(transactionId, categoria, usuario) {
+    const { rows } = await query(
+        `UPDATE ai_suggestions
+         SET status = CASE WHEN categoria = $2 THEN 'aceita' ELSE 'rejeitada' END,
+             categoria_final = $2, revisado_por = $3, revisado_em = NOW()
+         WHERE transaction_id = $1 AND status = 'proposta'
+         RETURNING id, status`,
+        [transactionId, categoria, usuario || null]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Aceites e rejeições por categoria sugerida. taxa_aceite considera só as revisadas.
+ * @param {{ desde?: string }} [filtros] - Sugestões criadas a partir da data (YYYY-MM-DD)
+ */
+async function estatisticas({ desde } = {}) {
+    const params = [];
+    let filtro = '';
+    if (desde) {
+        params.push(desde);
+        filtro = 'WHERE criado_em >= $1';
+    }
+    const { rows } = await query(`
+        SELECT categoria,
+               COUNT(*)::int AS sugestoes,
+               COUNT(*) FILTER (WHERE status = 'proposta')::int AS pendentes,
+               COUNT(*) FILTER (WHERE status = 'aceita')::int AS aceitas,
+               COUNT(*) FILTER (WHERE status = 'rejeitada')::int AS rejeitadas,
+               ROUND(AVG(confianca))::int AS confianca_media,
+               ROUND(AVG(confianca) FILTER (WHERE status = 'aceita'))::int AS confianca_media_aceitas,
+               ROUND(AVG(confianca) FILTER (WHERE status = 'rejeitada'))::int AS confianca_media_rejeitadas
+        FROM ai_suggestions
+        ${filtro}
+        GROUP BY categoria
+        ORDER BY COUNT(*) DESC, categoria
+    `, params);
+    return rows;
+}
+
+module.exports = {
+    propor,
+    getPendingByStatement,
+    getById,
+    resolver,
+    resolverPorTransacao,
+    estatisticas,
+};
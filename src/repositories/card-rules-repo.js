@@ -1,7 +1,7 @@
 /**
  * Repository: Card Rules
  *
- * CRUD operations for card_accounts, classification_rules, and categories tables.
+ * CRUD operations for card_accounts, classification_rules, categories and cardholders tables.
  * Replaces the old fs-based card-rules.json read/write pattern.
  */
 const { query, getClient } = require('../database/connection');
@@ -52,9 +52,20 @@ async function getCardAccountByName(cardName) {
 
 // ─── Classification Rules ─────────────────────
 
+/**
+ * Regras na ordem da lista, com as condições (JSON) já lidas.
+ */
 async function getClassificationRules() {
-    const { rows } = await query('SELECT id, padrao, categoria, ordem FROM classification_rules ORDER BY ordem ASC');
-    return rows;
+    const { rows } = await query('SELECT id, padrao, categoria, ordem, prioridade, condicoes FROM classification_rules ORDER BY ordem ASC');
+    return rows.map(r => {
+        let condicoes = {};
+        try {
+            condicoes = r.condicoes ? JSON.parse(r.condicoes) : {};
+        } catch (e) {
+            // JSON inválido — regra fica sem condições
+        }
+        return { ...r, condicoes };
+    });
 }
 
 async function saveClassificationRules(regras) {
@@ -65,8 +76,9 @@ async function saveClassificationRules(regras) {
         for (let idx = 0; idx < regras.length; idx++) {
             const rule = regras[idx];
             await client.query(
-                'INSERT INTO classification_rules (padrao, categoria, ordem) VALUES ($1, $2, $3)',
-                [rule.padrao, rule.categoria, idx]
+                'INSERT INTO classification_rules (padrao, categoria, ordem, prioridade, condicoes) VALUES ($1, $2, $3, $4, $5)',
+                [rule.padrao, rule.categoria, idx, rule.prioridade || 0,
+                    rule.condicoes && Object.keys(rule.condicoes).length > 0 ? JSON.stringify(rule.condicoes) : null]
             );
         }
         await client.query('COMMIT');
@@ -105,6 +117,36 @@ async function saveCategories(categorias) {
     }
 }
 
+// ─── Cardholders (final do cartão → funcionário) ─
+
+async function getCardholders() {
+    const { rows } = await query(
+        'SELECT id, card_final, card_name, employee_name, cost_center FROM cardholders ORDER BY employee_name ASC, card_final ASC'
+    );
+    return rows;
+}
+
+/**
+ * Cria ou atualiza o portador de um final de cartão.
+ * card_name vazio = vale para qualquer cartão com esse final.
+ */
+async function saveCardholder({ card_final, card_name, employee_name, cost_center }) {
+    const { rows } = await query(
+        `INSERT INTO cardholders (card_final, card_name, employee_name, cost_center)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (card_final, card_name)
+         DO UPDATE SET employee_name = EXCLUDED.employee_name, cost_center = EXCLUDED.cost_center, updated_at = NOW()
+         RETURNING id, card_final, card_name, employee_name, cost_center`,
+        [card_final, card_name || '', employee_name, cost_center || null]
+    );
+    return rows[0];
+}
+
+async function deleteCardholder(id) {
+    const { rowCount } = await query('DELETE FROM cardholders WHERE id = $1', [id]);
+    return rowCount > 0;
+}
+
 module.exports = {
     getCardAccounts,
     saveCardAccounts,
@@ -113,4 +155,7 @@ module.exports = {
     saveClassificationRules,
     getCategories,
     saveCategories,
+    getCardholders,
+    saveCardholder,
+    deleteCardholder,
 };
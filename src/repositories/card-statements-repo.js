@@ -6,16 +6,109 @@ const { query, getClient } = require('../database/connection');
 
 // ─── Statements ───────────────────────────────
 
-async function insertStatement({ filename, card_name, financial_account, statement_date, due_date, total_transactions, reconciled_count, total_amount, raw_data }) {
+async function insertStatement({ filename, card_name, financial_account, statement_date, due_date, total_transactions, reconciled_count, total_amount, raw_data, total_check, content_hash, fingerprint, ocr }) {
     const { rows } = await query(
-        `INSERT INTO card_statements (filename, card_name, financial_account, statement_date, due_date, total_transactions, reconciled_count, total_amount, raw_data)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        `INSERT INTO card_statements (filename, card_name, financial_account, statement_date, due_date, total_transactions, reconciled_count, total_amount, raw_data,
+                                      declared_total, total_difference, total_check, content_hash, fingerprint,
+                                      source_ocr, ocr_confidence, ocr_data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
          RETURNING id`,
-        [filename, card_name, financial_account, statement_date, due_date, total_transactions, reconciled_count || 0, total_amount, raw_data ? JSON.stringify(raw_data) : null]
+        [
+            filename, card_name, financial_account, statement_date, due_date, total_transactions, reconciled_count || 0, total_amount,
+            raw_data ? JSON.stringify(raw_data) : null,
+            total_check ? total_check.total_declarado : null,
+            total_check ? total_check.diferenca : null,
+            total_check ? JSON.stringify(total_check) : null,
+            content_hash || null,
+            fingerprint || null,
+            ocr ? 1 : 0,
+            ocr ? ocr.confianca_media : null,
+            ocr ? JSON.stringify(ocr) : null,
+        ]
     );
     return rows[0].id;
 }
 
+/**
+ * Substitui uma fatura pelo conteúdo de um novo arquivo, mantendo o id
+ * (links e histórico continuam valendo). Transação nova com `id_anterior`
+ * (pareada por herdarClassificacoes) atualiza a linha antiga no lugar, então
+ * sugestões da IA, mapeamentos, estornos e contratos ligados ao id continuam
+ * valendo; as antigas sem par são apagadas e as novas sem par inseridas.
+ */
+async function replaceStatement(statementId, { filename, financial_account, statement_date, due_date, total_amount, raw_data, total_check, content_hash, fingerprint, ocr }, transactions) {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        await client.query(
+            `UPDATE card_statements
+             SET filename = $1, financial_account = $2, statement_date = $3, due_date = $4, total_amount = $5, raw_data = $6,
+                 declared_total = $7, total_difference = $8, total_check = $9, content_hash = $10, fingerprint = $11,
+                 source_ocr = $12, ocr_confidence = $13, ocr_data = $14
+             WHERE id = $15`,
+            [
+                filename, financial_account, statement_date, due_date, total_amount,
+                raw_data ? JSON.stringify(raw_data) : null,
+                total_check ? total_check.total_declarado : null,
+                total_check ? total_check.diferenca : null,
+                total_check ? JSON.stringify(total_check) : null,
+                content_hash || null,
+                fingerprint || null,
+                ocr ? 1 : 0,
+                ocr ? ocr.confianca_media : null,
+                ocr ? JSON.stringify(ocr) : null,
+                statementId,
+            ]
+        );
+        const mantidas = transactions.filter(t => t.id_anterior).map(t => t.id_anterior);
+        // Sugestões da IA das transações que saíram da fatura vão junto (FK em cascata)
+        await client.query(
+            'DELETE FROM card_transactions WHERE statement_id = $1 AND id <> ALL($2)',
+            [statementId, mantidas]
+        );
+
+        const ids = [];
+        for (const t of transactions) {
+            if (t.id_anterior) {
+                await client.query(
+                    `UPDATE card_transactions SET ${COLUNAS_TRANSACAO.map((c, i) => `${c} = $${i + 1}`).join(', ')}, iof_of = NULL
+                     WHERE id = $${COLUNAS_TRANSACAO.length + 1} AND statement_id = $${COLUNAS_TRANSACAO.length + 2}`,
+                    [...valoresTransacao(t), t.id_anterior, statementId]
+                );
+                ids.push(t.id_anterior);
+            } else {
+                ids.push(await inserirTransacao(client, statementId, t));
+            }
+        }
+        await ligarIOF(client, transactions, ids);
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+/**
+ * Fatura já importada com o mesmo arquivo (content_hash) ou o mesmo
+ * conteúdo (fingerprint). O arquivo idêntico tem prioridade.
+ *
+ * @returns {Promise<{ id, filename, card_name, statement_date, created_at, motivo: 'arquivo'|'conteudo' }|undefined>}
+ */
+async function findStatementByContent(contentHash, fingerprint, { excludeId } = {}) {
+    const { rows } = await query(
+        `SELECT id, filename, card_name, statement_date, created_at,
+                CASE WHEN content_hash = $1 THEN 'arquivo' ELSE 'conteudo' END AS motivo
+         FROM card_statements
+         WHERE (content_hash = $1 OR fingerprint = $2) AND id <> $3
+         ORDER BY CASE WHEN content_hash = $1 THEN 0 ELSE 1 END, id DESC
+         LIMIT 1`,
+        [contentHash || null, fingerprint || null, excludeId || 0]
+    );
+    return rows[0];
+}
+
 /**
  * Check if a statement already exists for the same card and month/year.
  * Returns the existing statement row if found, or undefined if not.
@@ -74,7 +167,7 @@ async function getStatementById(id) {
 }
 
 async function deleteStatement(id) {
-    // card_transactions are cascade-deleted
+    // card_transactions are cascade-deleted (and their ai_suggestions with them)
     const result = await query('DELETE FROM card_statements WHERE id = $1', [id]);
     return result;
 }
@@ -106,21 +199,7 @@ async function insertTransactions(statementId, transactions) {
     const client = await getClient();
     try {
         await client.query('BEGIN');
-        for (const t of transactions) {
-            await client.query(
-                `INSERT INTO card_transactions (statement_id, date, description, amount, installment, category, confidence)
-                 VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-                [
-                    statementId,
-                    t.data || t.date || null,
-                    t.descricao || t.description || null,
-                    t.valor || t.amount || 0,
-                    t.parcela || t.installment || null,
-                    t.categoria || t.category || null,
-                    t.confianca || t.confidence || 'pending'
-                ]
-            );
-        }
+        await inserirTransacoes(client, statementId, transactions);
         await client.query('COMMIT');
     } catch (err) {
         await client.query('ROLLBACK');
@@ -130,26 +209,248 @@ async function insertTransactions(statementId, transactions) {
     }
 }
 
-async function getTransactions(statementId) {
-    const { rows } = await query('SELECT * FROM card_transactions WHERE statement_id = $1 ORDER BY date ASC, id ASC', [statementId]);
+// Colunas gravadas a partir do item parseado/classificado (mesma ordem de valoresTransacao)
+const COLUNAS_TRANSACAO = [
+    'date', 'description', 'amount', 'installment', 'category', 'confidence', 'kind',
+    'original_currency', 'original_amount', 'exchange_rate', 'iof_amount',
+    'card_final', 'card_holder_name', 'card_section',
+    'reconciled', 'sent_to_olist', 'olist_id', 'ocr_confidence', 'needs_review',
+    'category_source', 'notes', 'mapping_key',
+];
+
+function valoresTransacao(t) {
+    return [
+        t.data || t.date || null,
+        t.descricao || t.description || null,
+        t.valor || t.amount || 0,
+        t.parcela || t.installment || null,
+        t.categoria || t.category || null,
+        t.confianca || t.confidence || 'pending',
+        t.kind || 'purchase',
+        t.moeda_original || null,
+        t.valor_original ?? null,
+        t.cotacao ?? null,
+        t.iof ?? null,
+        t.cartao_final || t.card_final || null,
+        t.portador || t.card_holder_name || null,
+        t.secao || t.card_section || null,
+        t.reconciled ? 1 : 0,
+        t.sent_to_olist ? 1 : 0,
+        t.olist_id || null,
+        t.ocr_confianca ?? t.ocr_confidence ?? null,
+        (t.revisar_valor || t.needs_review) ? 1 : 0,
+        t.fonte || t.category_source || null,
+        t.notes || null,
+        (t.fonte || t.category_source) === 'memória' ? (t.mapeamento || t.mapping_key || null) : null,
+    ];
+}
+
+async function inserirTransacao(client, statementId, t) {
+    const { rows } = await client.query(
+        `INSERT INTO card_transactions (statement_id, ${COLUNAS_TRANSACAO.join(', ')})
+         VALUES ($1, ${COLUNAS_TRANSACAO.map((_, i) => `$${i + 2}`).join(', ')})
+         RETURNING id`,
+        [statementId, ...valoresTransacao(t)]
+    );
+    return rows[0].id;
+}
+
+/**
+ * Linha de IOF → compra internacional (iof_da_transacao é o índice da compra no lote).
+ * @param {number[]} ids - id gravado de cada item do lote, na mesma ordem
+ */
+async function ligarIOF(client, transactions, ids) {
+    for (let i = 0; i < transactions.length; i++) {
+        const idxCompra = transactions[i].iof_da_transacao;
+        if (idxCompra == null || ids[idxCompra] == null) continue;
+        await client.query('UPDATE card_transactions SET iof_of = $1 WHERE id = $2', [ids[idxCompra], ids[i]]);
+    }
+}
+
+async function inserirTransacoes(client, statementId, transactions) {
+    const ids = [];
+    for (const t of transactions) ids.push(await inserirTransacao(client, statementId, t));
+    await ligarIOF(client, transactions, ids);
+    return ids;
+}
+
+/**
+ * Transações da fatura com o portador cadastrado (cardholders) do final do cartão.
+ * O cadastro específico do cartão tem prioridade sobre o genérico (card_name vazio).
+ *
+ * @param {number} statementId
+ * @param {{ cardFinal?: string }} [filtros] - cardFinal = 'none' traz só as sem cartão
+ */
+async function getTransactions(statementId, { cardFinal } = {}) {
+    const params = [statementId];
+    let filtro = '';
+    if (cardFinal === 'none') {
+        filtro = ' AND t.card_final IS NULL';
+    } else if (cardFinal) {
+        params.push(cardFinal);
+        filtro = ` AND t.card_final = $${params.length}`;
+    }
+
+    const { rows } = await query(`
+        SELECT t.*, ch.employee_name, ch.cost_center
+        FROM card_transactions t
+        JOIN card_statements s ON s.id = t.statement_id
+        LEFT JOIN LATERAL (
+            SELECT employee_name, cost_center FROM cardholders c
+            WHERE c.card_final = t.card_final AND (c.card_name = s.card_name OR c.card_name = '')
+            ORDER BY c.card_name DESC
+            LIMIT 1
+        ) ch ON TRUE
+        WHERE t.statement_id = $1${filtro}
+        ORDER BY t.date ASC, t.id ASC
+    `, params);
+    return rows;
+}
+
+async function getTransactionById(id) {
+    const { rows } = await query('SELECT * FROM card_transactions WHERE id = $1', [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Histórico de transações para simular regras de classificação: com o cartão
+ * da fatura e o portador cadastrado. `desde` (YYYY-MM-DD) limita pela data da compra.
+ */
+async function getTransactionsForRuleSimulation({ desde } = {}) {
+    const params = [];
+    let filtro = '';
+    if (desde) {
+        params.push(desde);
+        filtro = 'WHERE t.date >= $1';
+    }
+    const { rows } = await query(`
+        SELECT t.id, t.statement_id, t.date, t.description, t.amount, t.installment, t.kind,
+               t.card_final, t.card_holder_name, t.category, t.confidence, t.category_source,
+               s.card_name, ch.employee_name
+        FROM card_transactions t
+        JOIN card_statements s ON s.id = t.statement_id
+        LEFT JOIN LATERAL (
+            SELECT employee_name FROM cardholders c
+            WHERE c.card_final = t.card_final AND (c.card_name = s.card_name OR c.card_name = '')
+            ORDER BY c.card_name DESC
+            LIMIT 1
+        ) ch ON TRUE
+        ${filtro}
+        ORDER BY t.date DESC, t.id DESC
+    `, params);
+    return rows;
+}
+
+/**
+ * Transações ainda não enviadas ao Olist, de todas as faturas, para a fila de
+ * revisão: com o cartão, o portador e a sugestão da IA pendente (se houver).
+ * Pagamentos de fatura e categorias definidas à mão ficam de fora.
+ *
+ * @param {{ card?: string, desde?: string }} [filtros] - cartão da fatura e data mínima da compra
+ */
+async function getTransactionsForReview({ card, desde } = {}) {
+    const params = [];
+    let filtro = '';
+    if (card) {
+        params.push(card);
+        filtro += ` AND s.card_name = $${params.length}`;
+    }
+    if (desde) {
+        params.push(desde);
+        filtro += ` AND t.date >= $${params.length}`;
+    }
+    const { rows } = await query(`
+        SELECT t.id, t.statement_id, t.date, t.description, t.amount, t.installment, t.kind,
+               t.card_final, t.card_holder_name, t.category, t.confidence, t.category_source,
+               s.card_name, s.due_date, ch.employee_name,
+               sug.id AS sugestao_id, sug.categoria AS sugestao_categoria,
+               sug.confianca AS sugestao_confianca, sug.motivo AS sugestao_motivo
+        FROM card_transactions t
+        JOIN card_statements s ON s.id = t.statement_id
+        LEFT JOIN LATERAL (
+            SELECT employee_name FROM cardholders c
+            WHERE c.card_final = t.card_final AND (c.card_name = s.card_name OR c.card_name = '')
+            ORDER BY c.card_name DESC
+            LIMIT 1
+        ) ch ON TRUE
+        LEFT JOIN ai_suggestions sug ON sug.transaction_id = t.id AND sug.status = 'proposta'
+        WHERE COALESCE(t.sent_to_olist, 0) = 0
+          AND COALESCE(t.kind, 'purchase') != 'payment'
+          AND COALESCE(t.category_source, '') != 'manual'${filtro}
+        ORDER BY t.date DESC, t.id DESC
+    `, params);
     return rows;
 }
 
-async function updateTransactionCategory(transactionId, category, confidence) {
-    return query('UPDATE card_transactions SET category = $1, confidence = $2 WHERE id = $3', [category, confidence || 'manual', transactionId]);
+/**
+ * @param {string} [mappingKey] - Chave do mapeamento, quando a origem é a memória
+ */
+async function updateTransactionCategory(transactionId, category, confidence, source, mappingKey) {
+    return query(
+        'UPDATE card_transactions SET category = $1, confidence = $2, category_source = $3, mapping_key = $4 WHERE id = $5',
+        [category, confidence || 'manual', source || null, source === 'memória' ? mappingKey || null : null, transactionId]
+    );
+}
+
+async function updateTransactionNotes(transactionId, notes) {
+    return query('UPDATE card_transactions SET notes = $1 WHERE id = $2', [notes || null, transactionId]);
 }
 
 async function setTransactionReconciled(transactionId, reconciled) {
     return query('UPDATE card_transactions SET reconciled = $1 WHERE id = $2', [reconciled ? 1 : 0, transactionId]);
 }
 
+/**
+ * Valor lido por OCR conferido: tira needs_review e, se veio `amount`,
+ * corrige o valor e recalcula o total da fatura.
+ */
+async function reviewTransactionAmount(transactionId, amount) {
+    const { rows } = await query(
+        'UPDATE card_transactions SET needs_review = 0, amount = COALESCE($1, amount) WHERE id = $2 RETURNING statement_id',
+        [amount ?? null, transactionId]
+    );
+    if (rows[0] && amount !== undefined && amount !== null) {
+        await query(
+            'UPDATE card_statements SET total_amount = (SELECT COALESCE(SUM(amount), 0) FROM card_transactions WHERE statement_id = $1) WHERE id = $1',
+            [rows[0].statement_id]
+        );
+    }
+    return rows[0] || null;
+}
+
 async function markTransactionSent(transactionId, olistId) {
     return query('UPDATE card_transactions SET sent_to_olist = 1, olist_id = $1 WHERE id = $2', [olistId || null, transactionId]);
 }
 
+/**
+ * Compras do mesmo cartão com o valor do estorno, até a data do estorno,
+ * que ainda não têm estorno vinculado. Mais recentes primeiro.
+ */
+async function findRefundCandidates(cardName, amount, date) {
+    const { rows } = await query(
+        `SELECT ct.id, ct.description, ct.amount, ct.date, ct.category, ct.confidence, ct.category_source, ct.mapping_key
+         FROM card_transactions ct
+         JOIN card_statements cs ON cs.id = ct.statement_id
+         WHERE cs.card_name = $1
+           AND ct.kind = 'purchase'
+           AND ABS(ct.amount - $2) < 0.005
+           AND ($3::text IS NULL OR ct.date <= $3)
+           AND NOT EXISTS (SELECT 1 FROM card_transactions r WHERE r.refund_of = ct.id)
+         ORDER BY ct.date DESC, ct.id DESC`,
+        [cardName, amount, date || null]
+    );
+    return rows;
+}
+
+async function setRefundOf(refundId, purchaseId) {
+    return query('UPDATE card_transactions SET refund_of = $1 WHERE id = $2', [purchaseId, refundId]);
+}
+
 module.exports = {
     insertStatement,
     findDuplicateStatement,
+    findStatementByContent,
+    replaceStatement,
     listStatements,
     getStatementById,
     deleteStatement,
@@ -157,7 +458,14 @@ module.exports = {
     updateStatementCounts,
     insertTransactions,
     getTransactions,
+    getTransactionById,
+    getTransactionsForRuleSimulation,
+    getTransactionsForReview,
     updateTransactionCategory,
+    updateTransactionNotes,
     setTransactionReconciled,
+    reviewTransactionAmount,
     markTransactionSent,
+    findRefundCandidates,
+    setRefundOf,
 };
@@ -0,0 +1,175 @@
+/**
+ * Repository — manutenção de categorias
+ * Renomeia ou mescla categorias em todas as tabelas que guardam o nome:
+ * categories, classification_rules, learned_mappings, card_transactions ainda
+ * não enviadas ao Olist, erp_supplier_category_map, propostas da IA e o cache
+ * da IA. Cada aplicação fica em category_changes.
+ *
+ * Transações já enviadas e as tabelas espelho do ERP (erp_contas_pagar etc.)
+ * não mudam: refletem o que está no Olist.
+ */
+const { query, getClient } = require('../database/connection');
+const learnedMappingsRepo = require('./learned-mappings-repo');
+
+const EXEMPLOS = 5;
+
+async function categoriaExiste(nome) {
+    const { rows } = await query('SELECT 1 FROM categories WHERE nome = $1', [nome]);
+    return rows.length > 0;
+}
+
+/**
+ * Linhas que a manutenção vai alterar, sem alterar nada.
+ *
+ * @param {string[]} origens
+ * @param {string} destino
+ */
+async function contarAfetados(origens, destino) {
+    const { rows: categorias } = await query(
+        'SELECT nome FROM categories WHERE nome = ANY($1) OR nome = $2',
+        [origens, destino]
+    );
+    const { rows: regras } = await query(
+        'SELECT id, padrao, categoria FROM classification_rules WHERE categoria = ANY($1) ORDER BY ordem',
+        [origens]
+    );
+    const { rows: [mapeamentos] } = await query(
+        'SELECT COUNT(*)::int AS total FROM learned_mappings WHERE categoria = ANY($1)',
+        [origens]
+    );
+    const { rows: exemplosMapeamentos } = await query(
+        `SELECT descricao, categoria FROM learned_mappings WHERE categoria = ANY($1)
+         ORDER BY aplicacoes DESC, descricao LIMIT ${EXEMPLOS}`,
+        [origens]
+    );
+    const { rows: [transacoes] } = await query(`
+        SELECT COUNT(*) FILTER (WHERE COALESCE(sent_to_olist, 0) = 0)::int AS pendentes,
+               COALESCE(SUM(amount) FILTER (WHERE COALESCE(sent_to_olist, 0) = 0), 0) AS valor_pendente,
+               COUNT(*) FILTER (WHERE sent_to_olist = 1)::int AS enviadas
+        FROM card_transactions WHERE category = ANY($1)
+    `, [origens]);
+    const { rows: exemplosTransacoes } = await query(
+        `SELECT id, date, description, amount, category FROM card_transactions
+         WHERE category = ANY($1) AND COALESCE(sent_to_olist, 0) = 0
+         ORDER BY ABS(amount) DESC LIMIT ${EXEMPLOS}`,
+        [origens]
+    );
+    const { rows: [fornecedores] } = await query(`
+        SELECT COUNT(*)::int AS total,
+               COUNT(DISTINCT o.fornecedor) FILTER (WHERE d.fornecedor IS NOT NULL)::int AS ja_no_destino
+        FROM erp_supplier_category_map o
+        LEFT JOIN erp_supplier_category_map d ON d.fornecedor = o.fornecedor AND d.categoria = $2
+        WHERE o.categoria = ANY($1)
+    `, [origens, destino]);
+    const { rows: [sugestoes] } = await query(
+        "SELECT COUNT(*)::int AS total FROM ai_suggestions WHERE status = 'proposta' AND categoria = ANY($1)",
+        [origens]
+    );
+    const { rows: [cache] } = await query(
+        'SELECT COUNT(*)::int AS total FROM ai_classification_cache WHERE categoria = ANY($1)',
+        [origens]
+    );
+
+    return {
+        categorias: {
+            existentes: categorias.map(c => c.nome).filter(n => origens.includes(n)),
+            destino_existe: categorias.some(c => c.nome === destino),
+        },
+        regras: { total: regras.length, itens: regras },
+        mapeamentos: { total: mapeamentos.total, exemplos: exemplosMapeamentos },
+        transacoes: {
+            pendentes: transacoes.pendentes,
+            valor_pendente: Math.round(Number(transacoes.valor_pendente) * 100) / 100,
+            enviadas: transacoes.enviadas,
+            exemplos: exemplosTransacoes,
+        },
+        fornecedores: { total: fornecedores.total, ja_no_destino: fornecedores.ja_no_destino },
+        sugestoes_ia: { total: sugestoes.total },
+        cache_ia: { total: cache.total },
+    };
+}
+
+/**
+ * Troca as origens pelo destino em todas as tabelas, numa transação só.
+ *
+ * @param {{ origens: string[], destino: string, acao: string, usuario?: string }} alteracao
+ * @returns {Promise<{ id: number, contagens: Object }>}
+ */
+async function aplicar({ origens, destino, acao, usuario }) {
+    const client = await getClient();
+    try {
+        await client.query('BEGIN');
+        const contagens = {};
+
+        await client.query('INSERT INTO categories (nome) VALUES ($1) ON CONFLICT DO NOTHING', [destino]);
+        contagens.categorias = (await client.query('DELETE FROM categories WHERE nome = ANY($1)', [origens])).rowCount;
+
+        contagens.regras = (await client.query(
+            'UPDATE classification_rules SET categoria = $2 WHERE categoria = ANY($1)',
+            [origens, destino]
+        )).rowCount;
+
+        contagens.mapeamentos = await learnedMappingsRepo.migrarCategoria(client, origens, destino, { usuario });
+
+        contagens.transacoes = (await client.query(
+            'UPDATE card_transactions SET category = $2 WHERE category = ANY($1) AND COALESCE(sent_to_olist, 0) = 0',
+            [origens, destino]
+        )).rowCount;
+
+        // UNIQUE(fornecedor, categoria): o fornecedor que já tinha o destino soma a frequência
+        await client.query(`
+            INSERT INTO erp_supplier_category_map (fornecedor, cpf_cnpj, categoria, frequencia, confianca)
+            SELECT fornecedor, MAX(cpf_cnpj), $2, SUM(frequencia), 'media'
+            FROM erp_supplier_category_map WHERE categoria = ANY($1)
+            GROUP BY fornecedor
+            ON CONFLICT(fornecedor, categoria) DO UPDATE SET
+                frequencia = erp_supplier_category_map.frequencia + EXCLUDED.frequencia,
+                updated_at = NOW()
+        `, [origens, destino]);
+        contagens.fornecedores = (await client.query(
+            'DELETE FROM erp_supplier_category_map WHERE categoria = ANY($1)',
+            [origens]
+        )).rowCount;
+
+        contagens.sugestoes_ia = (await client.query(
+            "UPDATE ai_suggestions SET categoria = $2 WHERE status = 'proposta' AND categoria = ANY($1)",
+            [origens, destino]
+        )).rowCount;
+        contagens.cache_ia = (await client.query(
+            'UPDATE ai_classification_cache SET categoria = $2 WHERE categoria = ANY($1)',
+            [origens, destino]
+        )).rowCount;
+
+        const { rows } = await client.query(
+            `INSERT INTO category_changes (acao, origens, destino, contagens, usuario)
+             VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+            [acao, JSON.stringify(origens), destino, JSON.stringify(contagens), usuario || null]
+        );
+        await client.query('COMMIT');
+        return { id: rows[0].id, contagens };
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
+    }
+}
+
+async function listarAlteracoes({ limite = 50 } = {}) {
+    const { rows } = await query(
+        'SELECT id, acao, origens, destino, contagens, usuario, criado_em FROM category_changes ORDER BY criado_em DESC, id DESC LIMIT $1',
+        [limite]
+    );
+    return rows.map(r => ({
+        ...r,
+        origens: JSON.parse(r.origens),
+        contagens: r.contagens ? JSON.parse(r.contagens) : {},
+    }));
+}
+
+module.exports = {
+    categoriaExiste,
+    contarAfetados,
+    aplicar,
+    listarAlteracoes,
+};
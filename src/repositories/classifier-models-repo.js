@@ -0,0 +1,102 @@
+/**
+ * Repository — classifier_models
+ * Modelos do classificador local e os exemplos de treino tirados do histórico.
+ */
+const { query } = require('../database/connection');
+
+/**
+ * Exemplos de treino por fonte. Transações classificadas pela IA ou pelo
+ * próprio modelo ficam de fora para o modelo não aprender com os próprios palpites.
+ *
+ * @param {{ maxErp?: number }} [opcoes] - Limite de contas a pagar (as mais recentes)
+ */
+async function getTrainingExamples({ maxErp = 20000 } = {}) {
+    const { rows: erp } = await query(`
+        SELECT fornecedor, historico, valor, categoria
+        FROM erp_contas_pagar
+        WHERE categoria != '' AND (fornecedor != '' OR historico != '')
+        ORDER BY id DESC
+        LIMIT $1
+    `, [maxErp]);
+
+    const { rows: memoria } = await query('SELECT descricao, categoria FROM learned_mappings');
+
+    const { rows: faturas } = await query(`
+        SELECT t.description, t.amount, t.category, t.category_source, s.card_name
+        FROM card_transactions t
+        JOIN card_statements s ON s.id = t.statement_id
+        WHERE t.category IS NOT NULL AND t.category != ''
+          AND t.category NOT LIKE '%NÃO CLASSIFICADO%'
+          AND COALESCE(t.category_source, '') NOT IN ('ia', 'modelo')
+    `);
+
+    return { erp, memoria, faturas };
+}
+
+async function saveModel({ modelo, exemplos, categorias, fontes, avaliacao, treinadoPor }) {
+    const { rows } = await query(
+        `INSERT INTO classifier_models (modelo, exemplos, categorias, fontes, avaliacao, treinado_por)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING id, treinado_em`,
+        [JSON.stringify(modelo), exemplos, categorias, JSON.stringify(fontes), JSON.stringify(avaliacao), treinadoPor || null]
+    );
+    // Só os últimos modelos ficam guardados
+    await query('DELETE FROM classifier_models WHERE id NOT IN (SELECT id FROM classifier_models ORDER BY id DESC LIMIT 5)');
+    return rows[0];
+}
+
+function parseMeta(row) {
+    return {
+        id: row.id,
+        exemplos: row.exemplos,
+        categorias: row.categorias,
+        fontes: row.fontes ? JSON.parse(row.fontes) : {},
+        avaliacao: row.avaliacao ? JSON.parse(row.avaliacao) : null,
+        treinado_por: row.treinado_por,
+        treinado_em: row.treinado_em,
+    };
+}
+
+/**
+ * Modelo ativo (o mais recente), já desserializado. null se nunca foi treinado.
+ */
+async function getLatestModel() {
+    const { rows } = await query('SELECT * FROM classifier_models ORDER BY id DESC LIMIT 1');
+    if (!rows[0]) return null;
+    return { ...parseMeta(rows[0]), modelo: JSON.parse(rows[0].modelo) };
+}
+
+/**
+ * Todos os modelos guardados, desserializados (para reescrever as classes).
+ */
+async function getModels() {
+    const { rows } = await query('SELECT id, modelo FROM classifier_models ORDER BY id');
+    return rows.map(r => ({ id: r.id, modelo: JSON.parse(r.modelo) }));
+}
+
+async function updateModel(id, modelo) {
+    await query(
+        'UPDATE classifier_models SET modelo = $1, categorias = $2 WHERE id = $3',
+        [JSON.stringify(modelo), Object.keys(modelo.classes).length, id]
+    );
+}
+
+/**
+ * Treinos anteriores, sem o modelo em si.
+ */
+async function listModels() {
+    const { rows } = await query(`
+        SELECT id, exemplos, categorias, fontes, avaliacao, treinado_por, treinado_em
+        FROM classifier_models ORDER BY id DESC
+    `);
+    return rows.map(parseMeta);
+}
+
+module.exports = {
+    getTrainingExamples,
+    saveModel,
+    getLatestModel,
+    getModels,
+    updateModel,
+    listModels,
+};
@@ -0,0 +1,129 @@
+/**
+ * Repository: Installment Contracts
+ *
+ * Compras parceladas (installment_contracts) e o vínculo de cada parcela
+ * (card_transactions.installment_contract_id).
+ */
+const { query } = require('../database/connection');
+
+// Mês da fatura (YYYY-MM): vencimento, senão data da fatura
+const MES_FATURA = "SUBSTRING(COALESCE(s.due_date, s.statement_date) FROM 1 FOR 7)";
+
+async function listContracts({ cardName } = {}) {
+    const params = [];
+    let filtro = '';
+    if (cardName) {
+        params.push(cardName);
+        filtro = 'WHERE card_name = $1';
+    }
+    const { rows } = await query(`SELECT * FROM installment_contracts ${filtro} ORDER BY card_name, first_month, id`, params);
+    return rows;
+}
+
+/**
+ * Parcelas já vinculadas aos contratos do cartão, com o mês da fatura em que apareceram.
+ */
+async function getLinkedInstallments(cardName) {
+    const { rows } = await query(`
+        SELECT t.id, t.installment_contract_id, t.statement_id, t.installment, ${MES_FATURA} AS mes
+        FROM card_transactions t
+        JOIN card_statements s ON s.id = t.statement_id
+        WHERE s.card_name = $1 AND t.installment_contract_id IS NOT NULL
+    `, [cardName]);
+    return rows;
+}
+
+/**
+ * Parcelas de outras faturas dos mesmos contratos das parcelas desta fatura.
+ */
+async function getSiblingInstallments(statementId) {
+    const { rows } = await query(`
+        SELECT o.id, o.installment_contract_id, o.installment, o.category, o.confidence, o.category_source, o.mapping_key, o.notes
+        FROM card_transactions o
+        WHERE o.statement_id <> $1
+          AND o.installment_contract_id IN (
+              SELECT t.installment_contract_id FROM card_transactions t
+              WHERE t.statement_id = $1 AND t.installment_contract_id IS NOT NULL
+          )
+    `, [statementId]);
+    return rows;
+}
+
+async function insertContract({ card_name, card_final, description, purchase_date, total_installments, installment_amount, first_month }) {
+    const { rows } = await query(
+        `INSERT INTO installment_contracts (card_name, card_final, description, purchase_date, total_installments,
+                                            installment_amount, total_amount, first_month)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [card_name, card_final || null, description, purchase_date || null, total_installments,
+            installment_amount, installment_amount * total_installments, first_month]
+    );
+    return rows[0];
+}
+
+async function linkTransaction(transactionId, contractId) {
+    return query('UPDATE card_transactions SET installment_contract_id = $1 WHERE id = $2', [contractId, transactionId]);
+}
+
+/**
+ * Recalcula a última parcela vista e o valor da parcela (o da parcela mais
+ * recente) de cada contrato do cartão e apaga os que ficaram sem nenhuma
+ * parcela (fatura excluída ou substituída).
+ */
+async function refreshContracts(cardName) {
+    await query(`
+        DELETE FROM installment_contracts c
+        WHERE c.card_name = $1
+          AND NOT EXISTS (SELECT 1 FROM card_transactions t WHERE t.installment_contract_id = c.id)
+    `, [cardName]);
+
+    await query(`
+        UPDATE installment_contracts c
+        SET last_installment = u.parcela,
+            installment_amount = u.amount,
+            total_amount = u.amount * c.total_installments,
+            updated_at = NOW()
+        FROM (
+            SELECT DISTINCT ON (t.installment_contract_id)
+                   t.installment_contract_id AS id,
+                   SPLIT_PART(t.installment, '/', 1)::int AS parcela,
+                   t.amount
+            FROM card_transactions t
+            JOIN card_statements s ON s.id = t.statement_id
+            WHERE s.card_name = $1 AND t.installment_contract_id IS NOT NULL AND t.installment ~ '^[0-9]+/[0-9]+$'
+            ORDER BY t.installment_contract_id, SPLIT_PART(t.installment, '/', 1)::int DESC
+        ) u
+        WHERE u.id = c.id
+    `, [cardName]);
+}
+
+async function setInstallmentCheck(statementId, check) {
+    return query('UPDATE card_statements SET installment_check = $1 WHERE id = $2', [JSON.stringify(check), statementId]);
+}
+
+/**
+ * Todas as faturas, por cartão e da mais antiga para a mais nova (reconstrução).
+ */
+async function listStatementsForRebuild() {
+    const { rows } = await query(`
+        SELECT s.id, s.card_name FROM card_statements s
+        ORDER BY s.card_name, ${MES_FATURA}, s.id
+    `);
+    return rows;
+}
+
+async function deleteAllContracts() {
+    await query('UPDATE card_transactions SET installment_contract_id = NULL WHERE installment_contract_id IS NOT NULL');
+    await query('DELETE FROM installment_contracts');
+}
+
+module.exports = {
+    listContracts,
+    getLinkedInstallments,
+    getSiblingInstallments,
+    insertContract,
+    linkTransaction,
+    refreshContracts,
+    setInstallmentCheck,
+    listStatementsForRebuild,
+    deleteAllContracts,
+};
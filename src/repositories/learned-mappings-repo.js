@@ -2,10 +2,22 @@
  * Repository — learned_mappings
  * Mapeamentos aprendidos (descrição → categoria).
  * Substitui o antigo config/learned-mappings.json.
+ *
+ * Toda mudança de categoria fica em learned_mapping_history (quem, quando,
+ * de qual transação e qual era a categoria anterior). Renomear a categoria
+ * entra como 'migrado' — não é conflito nem ponto para reverter.
  */
-const { query } = require('../database/connection');
+const { query, getClient } = require('../database/connection');
 const logger = require('../utils/logger');
 
+async function registrarHistorico(client, { descricao, categoria, categoriaAnterior, acao, usuario, transacaoId }) {
+    await client.query(
+        `INSERT INTO learned_mapping_history (descricao, categoria, categoria_anterior, acao, usuario, transacao_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [descricao, categoria || null, categoriaAnterior || null, acao, usuario || null, transacaoId || null]
+    );
+}
+
 const learnedMappingsRepo = {
     async getAll() {
         const { rows } = await query('SELECT descricao, categoria FROM learned_mappings');
@@ -14,14 +26,214 @@ const learnedMappingsRepo = {
         return map;
     },
 
-    async salvar(descricao, categoria) {
+    /**
+     * Cria ou reensina o mapeamento. Ensinar a mesma categoria de novo só
+     * atualiza a procedência; categoria diferente fica no histórico como 'alterado'.
+     *
+     * @param {{ usuario?: string, transacaoId?: number }} [origem]
+     */
+    async salvar(descricao, categoria, { usuario, transacaoId } = {}) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+            const { rows } = await client.query(
+                'SELECT categoria FROM learned_mappings WHERE descricao = $1 FOR UPDATE',
+                [descricao]
+            );
+            const anterior = rows[0] ? rows[0].categoria : null;
+
+            await client.query(
+                `INSERT INTO learned_mappings (descricao, categoria, ensinado_por, transacao_id, atualizado_em)
+                 VALUES ($1, $2, $3, $4, NOW())
+                 ON CONFLICT(descricao) DO UPDATE SET categoria = EXCLUDED.categoria,
+                     ensinado_por = EXCLUDED.ensinado_por, transacao_id = EXCLUDED.transacao_id, atualizado_em = NOW()`,
+                [descricao, categoria, usuario || null, transacaoId || null]
+            );
+            if (!rows[0] || anterior !== categoria) {
+                await registrarHistorico(client, {
+                    descricao, categoria, categoriaAnterior: anterior,
+                    acao: rows[0] ? 'alterado' : 'criado', usuario, transacaoId,
+                });
+            }
+            await client.query('COMMIT');
+
+            if (rows[0] && anterior !== categoria) {
+                logger.warn(`⚠️ Mapeamento reensinado: "${descricao}" ${anterior} → ${categoria}${usuario ? ` (${usuario})` : ''}`);
+            } else {
+                logger.info(`💾 Mapeamento salvo: "${descricao}" → ${categoria}`);
+            }
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Soma as aplicações pela classificação automática.
+     * @param {Object<string, number>} contagem - chave → vezes aplicada
+     */
+    async registrarAplicacoes(contagem) {
+        for (const [descricao, vezes] of Object.entries(contagem)) {
+            await query(
+                'UPDATE learned_mappings SET aplicacoes = aplicacoes + $1, ultima_aplicacao = NOW() WHERE descricao = $2',
+                [vezes, descricao]
+            );
+        }
+    },
+
+    /**
+     * Usuário trocou a categoria de uma transação classificada por este mapeamento.
+     */
+    async registrarSobrescrita(descricao) {
+        await query('UPDATE learned_mappings SET sobrescritas = sobrescritas + 1 WHERE descricao = $1', [descricao]);
+    },
+
+    async listar() {
+        const { rows } = await query(`
+            SELECT id, descricao, categoria, criado_em, atualizado_em, ensinado_por, transacao_id,
+                   aplicacoes, sobrescritas, ultima_aplicacao
+            FROM learned_mappings
+            ORDER BY COALESCE(atualizado_em, criado_em) DESC
+        `);
+        return rows;
+    },
+
+    async getById(id) {
+        const { rows } = await query('SELECT * FROM learned_mappings WHERE id = $1', [id]);
+        return rows[0] || null;
+    },
+
+    async historico(descricao) {
+        const { rows } = await query(
+            `SELECT id, categoria, categoria_anterior, acao, usuario, transacao_id, criado_em
+             FROM learned_mapping_history WHERE descricao = $1 ORDER BY criado_em DESC, id DESC`,
+            [descricao]
+        );
+        return rows;
+    },
+
+    /**
+     * Mapeamentos em conflito: já foram ensinados com mais de uma categoria
+     * ou os usuários costumam trocar a categoria que eles aplicam.
+     */
+    async conflitos() {
+        const { rows } = await query(`
+            SELECT m.id, m.descricao, m.categoria, m.ensinado_por, m.atualizado_em,
+                   m.aplicacoes, m.sobrescritas, h.categorias, h.usuarios
+            FROM learned_mappings m
+            LEFT JOIN (
+                SELECT descricao,
+                       ARRAY_AGG(DISTINCT categoria) FILTER (WHERE categoria IS NOT NULL) AS categorias,
+                       ARRAY_AGG(DISTINCT usuario) FILTER (WHERE usuario IS NOT NULL) AS usuarios
+                FROM learned_mapping_history
+                WHERE acao IN ('criado', 'alterado', 'revertido')
+                GROUP BY descricao
+            ) h ON h.descricao = m.descricao
+            WHERE COALESCE(ARRAY_LENGTH(h.categorias, 1), 0) > 1 OR m.sobrescritas > 0
+            ORDER BY m.sobrescritas DESC, COALESCE(ARRAY_LENGTH(h.categorias, 1), 0) DESC, m.descricao
+        `);
+        return rows;
+    },
+
+    /**
+     * Volta o mapeamento para uma categoria do histórico (por padrão, a anterior à atual).
+     * Categoria que não está mais em categories (renomeada ou mesclada depois)
+     * não é restaurada: volta `inexistente: true` sem alterar nada.
+     *
+     * @returns {Promise<{ descricao, categoria, categoria_anterior, inexistente?: boolean }|null>} null se não há para onde voltar
+     */
+    async reverter(id, { historicoId, usuario } = {}) {
+        const client = await getClient();
+        try {
+            await client.query('BEGIN');
+            const { rows } = await client.query('SELECT descricao, categoria FROM learned_mappings WHERE id = $1 FOR UPDATE', [id]);
+            const mapeamento = rows[0];
+            if (!mapeamento) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+
+            let destino = null;
+            if (historicoId) {
+                const { rows: h } = await client.query(
+                    'SELECT categoria FROM learned_mapping_history WHERE id = $1 AND descricao = $2',
+                    [historicoId, mapeamento.descricao]
+                );
+                destino = h[0] ? h[0].categoria : null;
+            } else {
+                const { rows: h } = await client.query(
+                    `SELECT categoria_anterior FROM learned_mapping_history
+                     WHERE descricao = $1 AND categoria = $2 AND categoria_anterior IS NOT NULL
+                       AND acao <> 'migrado'
+                     ORDER BY criado_em DESC, id DESC LIMIT 1`,
+                    [mapeamento.descricao, mapeamento.categoria]
+                );
+                destino = h[0] ? h[0].categoria_anterior : null;
+            }
+            if (!destino || destino === mapeamento.categoria) {
+                await client.query('ROLLBACK');
+                return null;
+            }
+            const { rows: existe } = await client.query('SELECT 1 FROM categories WHERE nome = $1', [destino]);
+            if (existe.length === 0) {
+                await client.query('ROLLBACK');
+                return { descricao: mapeamento.descricao, categoria: destino, categoria_anterior: mapeamento.categoria, inexistente: true };
+            }
+
+            await client.query(
+                `UPDATE learned_mappings SET categoria = $1, ensinado_por = $2, transacao_id = NULL,
+                     sobrescritas = 0, atualizado_em = NOW()
+                 WHERE id = $3`,
+                [destino, usuario || null, id]
+            );
+            await registrarHistorico(client, {
+                descricao: mapeamento.descricao, categoria: destino, categoriaAnterior: mapeamento.categoria,
+                acao: 'revertido', usuario,
+            });
+            await client.query('COMMIT');
+
+            logger.info(`↩️  Mapeamento revertido: "${mapeamento.descricao}" ${mapeamento.categoria} → ${destino}`);
+            return { descricao: mapeamento.descricao, categoria: destino, categoria_anterior: mapeamento.categoria };
+        } catch (err) {
+            await client.query('ROLLBACK');
+            throw err;
+        } finally {
+            client.release();
+        }
+    },
+
+    /**
+     * Renomeação/mesclagem de categoria (dentro da transação da manutenção):
+     * os mapeamentos das origens passam para o destino, com 'migrado' no histórico.
+     *
+     * @param {Object} client - Cliente com a transação aberta
+     * @returns {Promise<number>} mapeamentos alterados
+     */
+    async migrarCategoria(client, origens, destino, { usuario } = {}) {
+        const { rowCount } = await client.query(`
+            WITH alterados AS (
+                UPDATE learned_mappings m SET categoria = $2, atualizado_em = NOW()
+                FROM (SELECT id, categoria FROM learned_mappings WHERE categoria = ANY($1)) a
+                WHERE m.id = a.id
+                RETURNING m.descricao, a.categoria AS anterior
+            )
+            INSERT INTO learned_mapping_history (descricao, categoria, categoria_anterior, acao, usuario)
+            SELECT descricao, $2, anterior, 'migrado', $3 FROM alterados
+        `, [origens, destino, usuario || null]);
+        return rowCount;
+    },
+
+    async remover(id, { usuario } = {}) {
+        const { rows } = await query('DELETE FROM learned_mappings WHERE id = $1 RETURNING descricao, categoria', [id]);
+        if (!rows[0]) return false;
         await query(
-            `INSERT INTO learned_mappings (descricao, categoria)
-             VALUES ($1, $2)
-             ON CONFLICT(descricao) DO UPDATE SET categoria = EXCLUDED.categoria`,
-            [descricao, categoria]
+            `INSERT INTO learned_mapping_history (descricao, categoria_anterior, acao, usuario)
+             VALUES ($1, $2, 'removido', $3)`,
+            [rows[0].descricao, rows[0].categoria, usuario || null]
         );
-        logger.info(`💾 Mapeamento salvo: "${descricao}" → ${categoria}`);
+        return true;
     },
 };
 
@@ -0,0 +1,57 @@
+/**
+ * Repository — erp_plano_contas
+ * Plano de contas exportado do ERP. A importação guarda o nome anterior das
+ * contas renomeadas e desativa as que saíram da exportação, em vez de apagar.
+ */
+const { query } = require('../database/connection');
+
+async function listar({ incluirInativas = true } = {}) {
+    const { rows } = await query(`
+        SELECT id, olist_id, descricao, grupo, considera_dre, competencia_padrao,
+               ativa, descricao_anterior, alterada_em
+        FROM erp_plano_contas
+        ${incluirInativas ? '' : 'WHERE ativa'}
+        ORDER BY descricao
+    `);
+    return rows;
+}
+
+/**
+ * Grava a exportação do plano de contas (dentro da transação da importação).
+ *
+ * @param {Object} client - Cliente com a transação aberta
+ * @param {Array<{ olist_id, descricao, grupo, considera_dre, competencia_padrao }>} registros
+ * @returns {Promise<{ renomeadas: Array<{ de, para }>, desativadas: string[] }>}
+ */
+async function importar(client, registros) {
+    const renomeadas = [];
+    for (const r of registros) {
+        const { rows } = await client.query(`
+            INSERT INTO erp_plano_contas (olist_id, descricao, grupo, considera_dre, competencia_padrao)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT(olist_id) DO UPDATE SET
+                descricao = EXCLUDED.descricao, grupo = EXCLUDED.grupo,
+                considera_dre = EXCLUDED.considera_dre, competencia_padrao = EXCLUDED.competencia_padrao,
+                ativa = TRUE, imported_at = NOW(),
+                descricao_anterior = CASE WHEN erp_plano_contas.descricao IS DISTINCT FROM EXCLUDED.descricao
+                    THEN erp_plano_contas.descricao ELSE erp_plano_contas.descricao_anterior END,
+                alterada_em = CASE WHEN erp_plano_contas.descricao IS DISTINCT FROM EXCLUDED.descricao
+                    THEN NOW() ELSE erp_plano_contas.alterada_em END
+            RETURNING descricao, descricao_anterior, (alterada_em >= NOW()) AS renomeada
+        `, [r.olist_id, r.descricao, r.grupo, r.considera_dre, r.competencia_padrao]);
+        if (rows[0] && rows[0].renomeada) renomeadas.push({ de: rows[0].descricao_anterior, para: rows[0].descricao });
+    }
+
+    const { rows: desativadas } = await client.query(
+        `UPDATE erp_plano_contas SET ativa = FALSE
+         WHERE ativa AND olist_id <> ALL($1)
+         RETURNING descricao`,
+        [registros.map(r => r.olist_id)]
+    );
+    return { renomeadas, desativadas: desativadas.map(r => r.descricao) };
+}
+
+module.exports = {
+    listar,
+    importar,
+};
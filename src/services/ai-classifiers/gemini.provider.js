@@ -0,0 +1,42 @@
+/**
+ * Provedor Gemini (Google Generative AI). Precisa de GEMINI_API_KEY no .env;
+ * o modelo vem de classificacao_ia.gemini.modelo.
+ */
+const { montarPrompt, lerRespostaJson } = require('./provider-utils');
+
+let model = null;
+let modelName = null;
+
+function getModel(nomeModelo) {
+    if (!model || modelName !== nomeModelo) {
+        const apiKey = process.env.GEMINI_API_KEY;
+        if (!apiKey) {
+            throw new Error('GEMINI_API_KEY não configurada no .env');
+        }
+        const { GoogleGenerativeAI } = require('@google/generative-ai');
+        model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: nomeModelo });
+        modelName = nomeModelo;
+    }
+    return model;
+}
+
+module.exports = {
+    id: 'gemini',
+    nome: 'Gemini',
+
+    disponivel() {
+        return process.env.GEMINI_API_KEY ? null : 'GEMINI_API_KEY não configurada no .env';
+    },
+
+    async classificar(itens, categorias, { config = {}, timeoutMs }) {
+        const gemini = getModel(config.modelo || 'gemini-2.5-flash');
+        const result = await gemini.generateContent(montarPrompt(itens, categorias), { timeout: timeoutMs });
+        return lerRespostaJson(result.response.text());
+    },
+
+    async testar({ config = {}, timeoutMs }) {
+        const gemini = getModel(config.modelo || 'gemini-2.5-flash');
+        const result = await gemini.generateContent('Responda apenas "ok"', { timeout: timeoutMs });
+        return result.response.text().trim();
+    },
+};
@@ -0,0 +1,43 @@
+/**
+ * Provedor de heurísticas por palavra-chave — determinístico e offline.
+ * Segue as mesmas dicas do prompt da IA: cada grupo de palavras aponta para a
+ * categoria válida cujo nome contém um dos termos. Serve para rodar a
+ * classificação por IA sem rede (desenvolvimento, testes, contingência).
+ */
+const { normalizarTexto } = require('./provider-utils');
+
+const CONFIANCA = 75;
+
+// Vale o primeiro grupo que casar: lojas online vêm antes de MERCADO ("MERCADOLIVRE")
+const HEURISTICAS = [
+    { palavras: ['HAVAN', 'SHOPEE', 'MAGAZINE', 'AMAZON', 'MERCADOLIVRE', 'MERCADO LIVRE', 'ALIEXPRESS'], categoria: ['DUVIDA'] },
+    { palavras: ['POSTO', 'PETRO', 'COMBUST', 'SHELL', 'IPIRANGA', 'GASOLINA', 'DIESEL'], categoria: ['COMBUSTIVEL'] },
+    { palavras: ['SUPERMERC', 'MERCADO', 'ATACAD', 'ASSAI', 'MAKRO'], categoria: ['MERCADO EM GERAL'] },
+    { palavras: ['RESTAURANTE', 'LANCHONETE', 'PADARIA', 'CAFE', 'PIZZARIA', 'IFOOD', 'BURGER'], categoria: ['ALIMENTACAO'] },
+    { palavras: ['HOTEL', 'POUSADA', 'PASSAGE', 'DECOLAR', 'LATAM', 'GOL LINHAS'], categoria: ['HOSPEDAGEM', 'PASSAGEM'] },
+    { palavras: ['PEDAGIO', 'SEM PARAR', 'CONECTCAR', 'VELOE'], categoria: ['PEDAGIO'] },
+];
+
+function categoriaPara(termos, categorias) {
+    return categorias.find(c => termos.some(t => normalizarTexto(c).includes(t))) || null;
+}
+
+module.exports = {
+    id: 'heuristica',
+    nome: 'Heurísticas (offline)',
+
+    async classificar(itens, categorias) {
+        return itens.map((item, i) => {
+            const desc = normalizarTexto(item.descricao);
+            const regra = HEURISTICAS.find(h => h.palavras.some(p => desc.includes(p)));
+            const categoria = regra ? categoriaPara(regra.categoria, categorias) : null;
+            const palavra = regra ? regra.palavras.find(p => desc.includes(p)) : null;
+            return {
+                index: i + 1,
+                categoria,
+                confianca: categoria ? CONFIANCA : 0,
+                motivo: categoria ? `Descrição contém "${palavra}"` : null,
+            };
+        });
+    },
+};
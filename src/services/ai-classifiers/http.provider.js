@@ -0,0 +1,39 @@
+/**
+ * Provedor HTTP para modelos self-hosted com API compatível com OpenAI
+ * (/v1/chat/completions — Ollama, llama.cpp server, vLLM, LM Studio...).
+ * classificacao_ia.http: { url, modelo }; AI_CLASSIFIER_API_KEY vai como Bearer, se houver.
+ */
+const axios = require('axios');
+const { montarPrompt, lerRespostaJson } = require('./provider-utils');
+
+async function completar(config, prompt, timeoutMs) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (process.env.AI_CLASSIFIER_API_KEY) headers.Authorization = `Bearer ${process.env.AI_CLASSIFIER_API_KEY}`;
+
+    const { data } = await axios.post(config.url, {
+        model: config.modelo,
+        temperature: 0,
+        messages: [{ role: 'user', content: prompt }],
+    }, { headers, timeout: timeoutMs });
+
+    const texto = data?.choices?.[0]?.message?.content;
+    if (typeof texto !== 'string') throw new Error('Resposta sem choices[0].message.content');
+    return texto;
+}
+
+module.exports = {
+    id: 'http',
+    nome: 'Modelo local (HTTP)',
+
+    disponivel({ config = {} } = {}) {
+        return config.url ? null : 'classificacao_ia.http.url não configurada';
+    },
+
+    async classificar(itens, categorias, { config = {}, timeoutMs }) {
+        return lerRespostaJson(await completar(config, montarPrompt(itens, categorias), timeoutMs));
+    },
+
+    async testar({ config = {}, timeoutMs }) {
+        return (await completar(config, 'Responda apenas "ok"', timeoutMs)).trim();
+    },
+};
@@ -0,0 +1,350 @@
+/**
+ * Classificação por IA — registry de provedores.
+ *
+ * Cada provedor é um arquivo `<id>.provider.js` nesta pasta que exporta:
+ *   id, nome
+ *   classificar(itens, categorias, { config, timeoutMs })
+ *       → [{ index (1 = primeiro item), categoria, confianca 0–100, motivo? }]
+ *   disponivel({ config })  → null ou o motivo de não poder rodar (opcional)
+ *   testar({ config, timeoutMs }) → texto de resposta (opcional)
+ * `config` é a seção do provedor em classificacao_ia (ex: classificacao_ia.http).
+ *
+ * O provedor ativo vem de AI_CLASSIFIER_PROVIDER ou classificacao_ia.provedor.
+ * Aqui fica o tratamento igual para todos: lotes, timeout, novas tentativas,
+ * cache por descrição, erro do provedor, resposta fora do formato e
+ * categoria que não está na lista de válidas.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+const cardRulesRepo = require('../../repositories/card-rules-repo');
+const aiCacheRepo = require('../../repositories/ai-cache-repo');
+const { normalizarDescricao } = require('../expense-classifier');
+const { normalizarTexto } = require('./provider-utils');
+
+const PROVIDER_SUFFIX = '.provider.js';
+const MAX_MOTIVO = 300;
+
+const configPath = path.join(__dirname, '../../../config/financial-rules.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+const IA = {
+    provedor: 'gemini',
+    timeout_ms: 60000,
+    tamanho_lote: 40,
+    tentativas: 3,
+    cache: true,
+    gravar_respostas: null,
+    ...(config.classificacao_ia || {}),
+};
+
+class ErroClassificadorIA extends Error {
+    /**
+     * @param {string} message
+     * @param {'indisponivel'|'timeout'|'falha'|'resposta_invalida'} code
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = 'ErroClassificadorIA';
+        this.code = code;
+    }
+}
+
+function carregarProvedores() {
+    const provedores = [];
+    for (const file of fs.readdirSync(__dirname).filter(f => f.endsWith(PROVIDER_SUFFIX)).sort()) {
+        const provedor = require(path.join(__dirname, file));
+        if (!provedor.id || typeof provedor.classificar !== 'function') {
+            logger.error(`❌ Provedor de IA ${file} não exporta id e classificar()`);
+            continue;
+        }
+        provedores.push(provedor);
+    }
+    return provedores;
+}
+
+const provedores = carregarProvedores();
+
+function obterProvedor(id) {
+    return provedores.find(p => p.id === id) || null;
+}
+
+function provedorAtivo() {
+    const id = process.env.AI_CLASSIFIER_PROVIDER || IA.provedor;
+    const provedor = obterProvedor(id);
+    if (!provedor) {
+        throw new ErroClassificadorIA(`Provedor de IA "${id}" não existe (disponíveis: ${provedores.map(p => p.id).join(', ')})`, 'indisponivel');
+    }
+    return provedor;
+}
+
+async function getCategorias() {
+    try {
+        return await cardRulesRepo.getCategories();
+    } catch (e) {
+        // Fallback: tenta ler do JSON se o DB ainda não estiver pronto
+        try {
+            const cardRules = JSON.parse(fs.readFileSync(path.join(__dirname, '../../../config/card-rules.json'), 'utf-8'));
+            return cardRules.categorias || [];
+        } catch {
+            return [];
+        }
+    }
+}
+
+function comTimeout(promessa, ms, nome) {
+    let timer;
+    const limite = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new ErroClassificadorIA(`${nome} não respondeu em ${ms / 1000}s`, 'timeout')), ms);
+    });
+    return Promise.race([promessa, limite]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Chama o provedor com timeout; qualquer falha vira ErroClassificadorIA.
+ */
+async function executar(provedor, fn) {
+    const opcoes = { config: IA[provedor.id] || {}, timeoutMs: IA.timeout_ms };
+    const motivo = provedor.disponivel ? provedor.disponivel(opcoes) : null;
+    if (motivo) throw new ErroClassificadorIA(`${provedor.nome}: ${motivo}`, 'indisponivel');
+
+    try {
+        return await comTimeout(Promise.resolve().then(() => fn(opcoes)), IA.timeout_ms, provedor.nome);
+    } catch (e) {
+        if (e instanceof ErroClassificadorIA) throw e;
+        const code = e instanceof SyntaxError ? 'resposta_invalida' : 'falha';
+        throw new ErroClassificadorIA(`${provedor.nome}: ${e.message}`, code);
+    }
+}
+
+/**
+ * Acerta a categoria devolvida pela IA para um nome da lista, nesta ordem:
+ * igual sem acento/maiúsculas; igual sem o prefixo de numeração
+ * ("Combustível" → "3.3.1. Combustível"); só a numeração ("3.3.1").
+ * Ambígua ou inexistente → null.
+ */
+function criarCorretorCategorias(categorias) {
+    const semNumero = (c) => normalizarTexto(c).replace(/^[\d.]+\s*/, '');
+    const numero = (c) => (String(c).match(/^\s*(\d+(?:\.\d+)*)/) || [])[1] || null;
+    const exatas = new Map(categorias.map(c => [normalizarTexto(c), c]));
+    const unica = (lista) => (lista.length === 1 ? lista[0] : null);
+
+    return (resposta) => {
+        if (!resposta) return null;
+        const exata = exatas.get(normalizarTexto(resposta));
+        if (exata) return exata;
+        const nome = semNumero(resposta);
+        const porNome = nome ? unica(categorias.filter(c => semNumero(c) === nome)) : null;
+        if (porNome) return porNome;
+        const num = numero(resposta);
+        return num ? unica(categorias.filter(c => numero(c) === num)) : null;
+    };
+}
+
+/**
+ * Um lote no provedor, repetido até classificacao_ia.tentativas vezes se
+ * falhar ou a resposta não vier no formato. Resposta que não cobre todos os
+ * itens também conta como tentativa: só os itens que faltaram são perguntados
+ * de novo. Provedor indisponível não repete.
+ *
+ * @returns {Promise<Array<{ categoria: string|null, confianca: number, motivo: string|null, corrigida: boolean, descartada: boolean, sem_resposta: boolean }>>}
+ * @throws {ErroClassificadorIA} nenhuma tentativa respondeu
+ */
+async function classificarLote(provedor, lote, categorias, corrigir) {
+    const resultados = new Array(lote.length).fill(null);
+    let faltando = lote.map((_, i) => i);
+    let respondeu = false;
+    let ultimoErro = null;
+
+    for (let tentativa = 1; tentativa <= IA.tentativas && faltando.length > 0; tentativa++) {
+        const itens = faltando.map(i => lote[i]);
+        try {
+            const respostas = await executar(provedor, (opcoes) => provedor.classificar(itens, categorias, opcoes));
+            if (!Array.isArray(respostas)) {
+                throw new ErroClassificadorIA(`${provedor.nome}: resposta não é uma lista`, 'resposta_invalida');
+            }
+            respondeu = true;
+            faltando.forEach((idx, i) => {
+                const resposta = respostas.find(r => r && Number(r.index) === i + 1);
+                if (!resposta) return;
+                const original = resposta.categoria ? String(resposta.categoria) : null;
+                const categoria = corrigir(original);
+                resultados[idx] = {
+                    categoria,
+                    confianca: categoria ? Math.min(100, Math.max(0, Number(resposta.confianca) || 0)) : 0,
+                    motivo: categoria && resposta.motivo ? String(resposta.motivo).trim().slice(0, MAX_MOTIVO) : null,
+                    corrigida: Boolean(categoria && categoria !== original),
+                    descartada: Boolean(original && !categoria),
+                    sem_resposta: false,
+                };
+            });
+            faltando = faltando.filter(idx => !resultados[idx]);
+            if (faltando.length > 0) {
+                logger.warn(`⚠️ ${provedor.nome}: resposta sem ${faltando.length}/${itens.length} item(ns) do lote (tentativa ${tentativa}/${IA.tentativas})`);
+            }
+        } catch (e) {
+            if (e.code === 'indisponivel') throw e;
+            ultimoErro = e;
+            logger.warn(`⚠️ ${provedor.nome}: lote de ${itens.length} falhou (tentativa ${tentativa}/${IA.tentativas}): ${e.message}`);
+        }
+    }
+    if (!respondeu) throw ultimoErro;
+
+    const semResposta = { categoria: null, confianca: 0, motivo: null, corrigida: false, descartada: false, sem_resposta: true };
+    return resultados.map(r => r || semResposta);
+}
+
+async function lerCache(chaves) {
+    if (!IA.cache) return new Map();
+    try {
+        return await aiCacheRepo.buscar(chaves);
+    } catch (e) {
+        logger.warn(`⚠️ Erro ao ler cache da IA: ${e.message}`);
+        return new Map();
+    }
+}
+
+async function gravarCache(entradas, provedor) {
+    if (!IA.cache || entradas.length === 0) return;
+    try {
+        await aiCacheRepo.salvar(entradas, provedor);
+    } catch (e) {
+        logger.warn(`⚠️ Erro ao gravar cache da IA: ${e.message}`);
+    }
+}
+
+/**
+ * Classifica transações com o provedor de IA configurado.
+ *
+ * Cada descrição (normalizada como na memória) é perguntada uma vez só:
+ * repetidas na mesma chamada e as que já estão em ai_classification_cache
+ * não vão ao provedor. As novas seguem em lotes de classificacao_ia.tamanho_lote;
+ * um lote que falha de vez deixa só os itens dele sem categoria. O cache só
+ * guarda respostas com categoria.
+ *
+ * @param {Array<{ descricao: string, valor: number }>} itens - Transações a classificar
+ * @returns {Promise<Array<{ descricao: string, categoria: string|null, confianca: number, motivo: string|null, provedor: string|null }>>}
+ *          provedor = quem respondeu (o de uma resposta em cache pode ser outro)
+ * @throws {ErroClassificadorIA} provedor indisponível, ou nenhum lote respondido (timeout, falha, resposta fora do formato)
+ */
+async function classificarComIA(itens) {
+    if (!itens || itens.length === 0) return [];
+
+    const provedor = provedorAtivo();
+    const categorias = await getCategorias();
+    const corrigir = criarCorretorCategorias(categorias);
+    const chaves = itens.map(item => normalizarDescricao(item.descricao || ''));
+
+    const respostas = new Map();
+    for (const [chave, r] of await lerCache([...new Set(chaves)])) {
+        const categoria = corrigir(r.categoria);
+        // Sem categoria (gravada antes de o cache só guardar respostas) ou fora da lista: pergunta de novo
+        if (!categoria) continue;
+        respostas.set(chave, { categoria, confianca: r.confianca, motivo: r.motivo, provedor: r.provedor });
+    }
+    const emCache = respostas.size;
+
+    const pendentes = [];
+    const vistas = new Set();
+    itens.forEach((item, i) => {
+        if (respostas.has(chaves[i]) || vistas.has(chaves[i])) return;
+        vistas.add(chaves[i]);
+        pendentes.push({ chave: chaves[i], item });
+    });
+
+    logger.info(`🤖 ${itens.length} transações: ${pendentes.length} descrições para ${provedor.nome}, ${emCache} no cache`);
+
+    const tamanho = Math.max(1, IA.tamanho_lote);
+    const novas = [];
+    let lotes = 0;
+    let lotesComErro = 0;
+    let erro = null;
+    let corrigidas = 0;
+    let descartadas = 0;
+    let semResposta = 0;
+    for (let i = 0; i < pendentes.length; i += tamanho) {
+        const lote = pendentes.slice(i, i + tamanho);
+        lotes++;
+        try {
+            const resultados = await classificarLote(provedor, lote.map(p => p.item), categorias, corrigir);
+            resultados.forEach((r, j) => {
+                respostas.set(lote[j].chave, { categoria: r.categoria, confianca: r.confianca, motivo: r.motivo, provedor: provedor.id });
+                if (r.corrigida) corrigidas++;
+                if (r.descartada) descartadas++;
+                if (r.sem_resposta) semResposta++;
+                // Só resposta com categoria vai para o cache: sem categoria, inventada ou
+                // esquecida pelo provedor, a descrição é perguntada de novo na próxima vez
+                if (r.categoria) novas.push({ descricao: lote[j].chave, categoria: r.categoria, confianca: r.confianca, motivo: r.motivo });
+            });
+        } catch (e) {
+            if (e.code === 'indisponivel') throw e;
+            erro = e;
+            lotesComErro++;
+        }
+    }
+    if (lotes > 0 && lotesComErro === lotes) throw erro;
+
+    await gravarCache(novas, provedor.id);
+
+    if (lotesComErro > 0) {
+        logger.warn(`⚠️ ${provedor.nome}: ${lotesComErro}/${lotes} lote(s) sem resposta — itens deles ficam sem categoria`);
+    }
+    if (corrigidas > 0) logger.info(`   ${corrigidas} categoria(s) corrigida(s) para o nome da lista`);
+    if (descartadas > 0) {
+        logger.warn(`⚠️ ${provedor.nome}: ${descartadas} resposta(s) com categoria fora da lista descartada(s)`);
+    }
+    if (semResposta > 0) {
+        logger.warn(`⚠️ ${provedor.nome}: ${semResposta} item(ns) sem resposta depois de ${IA.tentativas} tentativa(s)`);
+    }
+
+    const resultados = itens.map((item, i) => {
+        const r = respostas.get(chaves[i]);
+        if (!r) return { descricao: item.descricao, categoria: null, confianca: 0, motivo: null, provedor: null };
+        return { descricao: item.descricao, categoria: r.categoria, confianca: r.confianca, motivo: r.motivo || null, provedor: r.provedor || null };
+    });
+    logger.info(`🤖 ${provedor.nome} classificou ${resultados.filter(r => r.categoria).length}/${itens.length} transações`);
+
+    if (IA.gravar_respostas && provedor.id !== 'replay') {
+        try {
+            obterProvedor('replay').gravarRespostas(IA.gravar_respostas, resultados);
+        } catch (e) {
+            logger.warn(`⚠️ Erro ao gravar respostas da IA: ${e.message}`);
+        }
+    }
+
+    return resultados;
+}
+
+/**
+ * Verifica se o provedor ativo está configurado e respondendo.
+ */
+async function testarConexao() {
+    try {
+        const provedor = provedorAtivo();
+        const response = provedor.testar
+            ? await executar(provedor, (opcoes) => provedor.testar(opcoes))
+            : 'ok';
+        return { ok: true, provedor: provedor.id, response };
+    } catch (error) {
+        return { ok: false, error: error.message };
+    }
+}
+
+/**
+ * Provedores registrados e se cada um pode rodar com a configuração atual.
+ */
+function listarProvedores() {
+    const ativo = process.env.AI_CLASSIFIER_PROVIDER || IA.provedor;
+    return provedores.map(p => ({
+        id: p.id,
+        nome: p.nome || p.id,
+        ativo: p.id === ativo,
+        indisponivel: p.disponivel ? p.disponivel({ config: IA[p.id] || {} }) : null,
+    }));
+}
+
+module.exports = {
+    classificarComIA,
+    testarConexao,
+    listarProvedores,
+    ErroClassificadorIA,
+};
@@ -0,0 +1,72 @@
+/**
+ * Helpers compartilhados pelos provedores de IA (ai-classifiers/*.provider.js).
+ */
+
+const normalizarTexto = (s) => String(s || '')
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Prompt de classificação para modelos de linguagem (Gemini, modelos
+ * self-hosted). A resposta esperada é o JSON [{ index, categoria, confianca, motivo }].
+ *
+ * @param {Array<{ descricao: string, valor: number }>} itens
+ * @param {string[]} categorias - Categorias válidas
+ */
+function montarPrompt(itens, categorias) {
+    const listaItens = itens
+        .map((item, i) => `${i + 1}. "${item.descricao}" — R$ ${Number(item.valor || 0).toFixed(2)}`)
+        .join('\n');
+    const listaCategorias = categorias.map(c => `- ${c}`).join('\n');
+
+    return `Você é um classificador financeiro especializado em despesas empresariais de uma transportadora brasileira chamada Calisul.
+
+Classifique cada transação de cartão de crédito na categoria mais adequada.
+
+## Categorias válidas:
+${listaCategorias}
+
+## Transações para classificar:
+${listaItens}
+
+## Instruções:
+- Responda APENAS em JSON válido, sem markdown, sem backticks
+- Use EXATAMENTE o nome da categoria como aparece na lista acima
+- Para cada item, retorne a confiança de 0 a 100
+- Para cada item, explique em "motivo" por que escolheu a categoria, em uma frase curta (até 15 palavras)
+- Se não souber com certeza, use a categoria "000020. Dúvida na categorizaçao/origem"
+- Considere que:
+  - Postos de combustível, petrolages = Combustível
+  - Supermercados, atacadões = Mercado em Geral
+  - Restaurantes, lanchonetes, padarias, cafeterias = Alimentação
+  - Hotéis, pousadas, passagens, Decolar = Passagem/Hospedagem
+  - Lojas online genéricas (Havan, Shopee, Magazine) = "000020. Dúvida na categorizaçao/origem"
+
+## Formato de resposta (JSON):
+[
+  { "index": 1, "categoria": "3.3.1. Combustível", "confianca": 95, "motivo": "Posto de combustível (Ipiranga)" },
+  { "index": 2, "categoria": "3.9.2. Alimentação", "confianca": 85, "motivo": "Nome indica restaurante" }
+]`;
+}
+
+/**
+ * Lê a resposta em texto de um modelo de linguagem: ignora ```json e qualquer
+ * texto antes do primeiro "[" ou depois do último "]".
+ * @returns {*} JSON da resposta
+ * @throws {SyntaxError} se não houver JSON válido
+ */
+function lerRespostaJson(texto) {
+    const jsonStr = String(texto || '').trim().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    const inicio = jsonStr.indexOf('[');
+    const fim = jsonStr.lastIndexOf(']');
+    return JSON.parse(inicio >= 0 && fim > inicio ? jsonStr.slice(inicio, fim + 1) : jsonStr);
+}
+
+module.exports = {
+    normalizarTexto,
+    montarPrompt,
+    lerRespostaJson,
+};
@@ -0,0 +1,53 @@
+/**
+ * Provedor de replay — devolve respostas gravadas, sem rede e sempre igual.
+ * classificacao_ia.replay.arquivo: JSON { "<DESCRIÇÃO NORMALIZADA>": { categoria, confianca, motivo } },
+ * o mesmo formato que classificacao_ia.gravar_respostas grava a partir de um
+ * provedor real. Descrição sem resposta gravada fica sem categoria.
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizarTexto } = require('./provider-utils');
+
+function caminho(arquivo) {
+    return path.isAbsolute(arquivo) ? arquivo : path.join(__dirname, '../../..', arquivo);
+}
+
+function lerGravacoes(arquivo) {
+    if (!arquivo || !fs.existsSync(caminho(arquivo))) return {};
+    return JSON.parse(fs.readFileSync(caminho(arquivo), 'utf-8'));
+}
+
+/**
+ * Acrescenta as respostas com categoria ao arquivo de gravações.
+ * @param {Array<{ descricao, categoria, confianca, motivo }>} resultados
+ */
+function gravarRespostas(arquivo, resultados) {
+    const gravacoes = lerGravacoes(arquivo);
+    for (const r of resultados) {
+        if (r.categoria) {
+            gravacoes[normalizarTexto(r.descricao)] = { categoria: r.categoria, confianca: r.confianca, motivo: r.motivo || null };
+        }
+    }
+    fs.mkdirSync(path.dirname(caminho(arquivo)), { recursive: true });
+    fs.writeFileSync(caminho(arquivo), JSON.stringify(gravacoes, null, 2) + '\n');
+}
+
+module.exports = {
+    id: 'replay',
+    nome: 'Respostas gravadas',
+    gravarRespostas,
+
+    disponivel({ config = {} } = {}) {
+        if (!config.arquivo) return 'classificacao_ia.replay.arquivo não configurado';
+        return fs.existsSync(caminho(config.arquivo)) ? null : `Arquivo de respostas não encontrado: ${config.arquivo}`;
+    },
+
+    async classificar(itens, categorias, { config = {} }) {
+        const gravacoes = lerGravacoes(config.arquivo);
+        return itens.map((item, i) => {
+            const gravada = gravacoes[normalizarTexto(item.descricao)];
+            if (!gravada) return { index: i + 1, categoria: null, confianca: 0 };
+            return { index: i + 1, categoria: gravada.categoria, confianca: gravada.confianca, motivo: gravada.motivo || 'Resposta gravada' };
+        });
+    },
+};
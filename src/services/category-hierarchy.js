@@ -0,0 +1,274 @@
+/**
+ * Hierarquia de categorias a partir do plano de contas do ERP.
+ *
+ * As categorias são as próprias contas do plano ("3.3.1. Combustível"): a
+ * numeração define a árvore — 3.3.1 é filha de 3.3, que é filha de 3. Zeros
+ * à esquerda não contam (4.3.01 = 4.3.1). Grupo que não existe no plano vira
+ * nó só com o código, para o total subir até a raiz do mesmo jeito.
+ *
+ * Também confere as categorias cadastradas contra o plano:
+ *   ok          — existe com esse nome;
+ *   renomeada   — a conta mudou de nome no ERP (nome anterior ou mesmo código);
+ *   renumerada  — mesmo nome com outro código;
+ *   removida    — a conta saiu da exportação do ERP;
+ *   inexistente — nada parecido no plano.
+ */
+const planoContasRepo = require('../repositories/plano-contas-repo');
+
+const SEM_CODIGO = '∅';
+
+const normalizarTexto = (s) => String(s || '')
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * "3.3.1. Combustível" → { codigo: '3.3.1', chave: '3.3.1', titulo: 'Combustível' }
+ * @returns {{ codigo: string, chave: string, titulo: string }|null} null sem numeração
+ */
+function lerCodigo(nome) {
+    const m = String(nome || '').match(/^\s*(\d+(?:\.\d+)*)\.?\s*(?:[-–]\s*)?(.*)$/);
+    if (!m || !m[2]) return null;
+    return {
+        codigo: m[1],
+        chave: m[1].split('.').map(n => String(parseInt(n, 10))).join('.'),
+        titulo: m[2].trim(),
+    };
+}
+
+const chavePai = (chave) => (chave.includes('.') ? chave.slice(0, chave.lastIndexOf('.')) : null);
+
+/**
+ * @param {Array<{ descricao, grupo?, ativa?, descricao_anterior? }>} contas - erp_plano_contas
+ * @returns {{ nos: Map<string, Object>, raizes: string[], porNome: Map<string, Object>, inativas: Array, renomeadas: Array }}
+ */
+function montarArvore(contas) {
+    const nos = new Map();
+    const porNome = new Map();
+    const inativas = [];
+    const renomeadas = [];
+
+    const garantirNo = (chave) => {
+        if (!nos.has(chave)) {
+            nos.set(chave, { chave, codigo: chave, descricao: null, titulo: null, grupo: null, virtual: true, pai: null, filhos: [] });
+        }
+        return nos.get(chave);
+    };
+
+    for (const conta of contas) {
+        if (!conta.descricao) continue;
+        if (conta.ativa === false) {
+            inativas.push(conta);
+            continue;
+        }
+        if (conta.descricao_anterior) renomeadas.push(conta);
+
+        const cod = lerCodigo(conta.descricao);
+        const chave = cod ? cod.chave : `${SEM_CODIGO}${normalizarTexto(conta.descricao)}`;
+        const no = garantirNo(chave);
+        if (!no.virtual) continue; // código repetido no plano: vale a primeira conta
+        Object.assign(no, {
+            codigo: cod ? cod.codigo : null,
+            descricao: conta.descricao,
+            titulo: cod ? cod.titulo : conta.descricao,
+            grupo: conta.grupo || null,
+            virtual: false,
+        });
+        porNome.set(normalizarTexto(conta.descricao), no);
+    }
+
+    // Liga cada nó ao pai, criando os grupos que faltam no plano
+    for (const chave of [...nos.keys()]) {
+        let filho = nos.get(chave);
+        let pai = chave.startsWith(SEM_CODIGO) ? null : chavePai(chave);
+        while (pai && !filho.pai) {
+            const existia = nos.has(pai);
+            const noPai = garantirNo(pai);
+            filho.pai = pai;
+            noPai.filhos.push(filho.chave);
+            if (existia) break;
+            filho = noPai;
+            pai = chavePai(pai);
+        }
+    }
+
+    const ordem = (a, b) => compararChaves(a, b);
+    for (const no of nos.values()) no.filhos.sort(ordem);
+    const raizes = [...nos.values()].filter(n => !n.pai).map(n => n.chave).sort(ordem);
+    return { nos, raizes, porNome, inativas, renomeadas };
+}
+
+function compararChaves(a, b) {
+    const sa = a.split('.');
+    const sb = b.split('.');
+    for (let i = 0; i < Math.max(sa.length, sb.length); i++) {
+        if (sa[i] === undefined) return -1;
+        if (sb[i] === undefined) return 1;
+        const na = parseInt(sa[i], 10);
+        const nb = parseInt(sb[i], 10);
+        if (Number.isNaN(na) || Number.isNaN(nb)) {
+            if (sa[i] !== sb[i]) return sa[i] < sb[i] ? -1 : 1;
+        } else if (na !== nb) {
+            return na - nb;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Nó do plano para uma categoria: pelo nome, senão pelo código — ou o grupo
+ * mais próximo, quando a conta não existe mais (o valor continua no grupo certo).
+ */
+function localizarCategoria(arvore, categoria) {
+    const porNome = arvore.porNome.get(normalizarTexto(categoria));
+    if (porNome) return porNome;
+    const cod = lerCodigo(categoria);
+    for (let chave = cod ? cod.chave : null; chave; chave = chavePai(chave)) {
+        if (arvore.nos.has(chave)) return arvore.nos.get(chave);
+    }
+    return null;
+}
+
+/**
+ * Situação de cada categoria cadastrada em relação ao plano de contas.
+ *
+ * @param {string[]} categorias
+ * @param {Object} arvore - montarArvore()
+ * @returns {Array<{ categoria, status, sugestao: string|null, detalhe: string|null }>}
+ */
+function validarCategorias(categorias, arvore) {
+    const anteriores = new Map(arvore.renomeadas.map(c => [normalizarTexto(c.descricao_anterior), c]));
+    const inativas = new Map(arvore.inativas.map(c => [normalizarTexto(c.descricao), c]));
+    const porTitulo = new Map();
+    for (const no of arvore.nos.values()) {
+        if (!no.virtual && no.codigo) porTitulo.set(normalizarTexto(no.titulo), no);
+    }
+
+    return categorias.map(categoria => {
+        const nome = normalizarTexto(categoria);
+        const resultado = (status, sugestao = null, detalhe = null) => ({ categoria, status, sugestao, detalhe });
+
+        const atual = arvore.porNome.get(nome);
+        if (atual) return resultado('ok', atual.descricao === categoria ? null : atual.descricao);
+
+        const renomeada = anteriores.get(nome);
+        if (renomeada) {
+            return resultado('renomeada', renomeada.descricao, `Renomeada no ERP para "${renomeada.descricao}"`);
+        }
+        const removida = inativas.get(nome);
+        if (removida) return resultado('removida', null, 'A conta não está mais na exportação do ERP');
+
+        const cod = lerCodigo(categoria);
+        const mesmoCodigo = cod ? arvore.nos.get(cod.chave) : null;
+        if (mesmoCodigo && !mesmoCodigo.virtual) {
+            return resultado('renomeada', mesmoCodigo.descricao, `O código ${cod.codigo} no ERP é "${mesmoCodigo.descricao}"`);
+        }
+        const mesmoTitulo = porTitulo.get(normalizarTexto(cod ? cod.titulo : categoria));
+        if (mesmoTitulo) {
+            return resultado('renumerada', mesmoTitulo.descricao, `No ERP a conta tem o código ${mesmoTitulo.codigo}`);
+        }
+        return resultado('inexistente', null, 'Não existe no plano de contas do ERP');
+    });
+}
+
+/**
+ * Soma os totais por categoria subindo pela árvore.
+ *
+ * @param {Array<{ categoria: string, total: number, quantidade?: number }>} totais
+ * @param {Object} arvore - montarArvore()
+ * @returns {{ grupos: Array, fora_do_plano: Array<{ categoria, total, quantidade }>, total: number }}
+ *          grupos: nós com valor, { codigo, descricao, nivel, proprio, total, quantidade, filhos }
+ */
+function somarPorHierarquia(totais, arvore) {
+    const centavos = (v) => Math.round(v * 100) / 100;
+    const proprio = new Map();
+    const foraDoPlano = [];
+
+    for (const t of totais) {
+        const no = localizarCategoria(arvore, t.categoria);
+        if (!no) {
+            foraDoPlano.push({ categoria: t.categoria, total: centavos(t.total), quantidade: t.quantidade || 0 });
+            continue;
+        }
+        const acc = proprio.get(no.chave) || { total: 0, quantidade: 0 };
+        acc.total += t.total;
+        acc.quantidade += t.quantidade || 0;
+        proprio.set(no.chave, acc);
+    }
+
+    const montar = (chave, nivel) => {
+        const no = arvore.nos.get(chave);
+        const filhos = no.filhos.map(f => montar(f, nivel + 1)).filter(Boolean);
+        const meu = proprio.get(chave) || { total: 0, quantidade: 0 };
+        const total = meu.total + filhos.reduce((s, f) => s + f.total, 0);
+        const quantidade = meu.quantidade + filhos.reduce((s, f) => s + f.quantidade, 0);
+        if (quantidade === 0 && total === 0) return null;
+        return {
+            codigo: no.codigo,
+            descricao: no.descricao || no.codigo,
+            nivel,
+            proprio: centavos(meu.total),
+            total: centavos(total),
+            quantidade,
+            filhos,
+        };
+    };
+
+    const grupos = arvore.raizes.map(r => montar(r, 1)).filter(Boolean);
+    foraDoPlano.sort((a, b) => b.total - a.total);
+    return {
+        grupos,
+        fora_do_plano: foraDoPlano,
+        total: centavos(grupos.reduce((s, g) => s + g.total, 0) + foraDoPlano.reduce((s, c) => s + c.total, 0)),
+    };
+}
+
+/**
+ * Lista plana da árvore (pré-ordem), para tabelas com recuo por nível.
+ * @param {number} [nivelMaximo] - Não desce além deste nível
+ */
+function achatarGrupos(grupos, nivelMaximo = Infinity) {
+    const linhas = [];
+    const visitar = (g) => {
+        linhas.push({ codigo: g.codigo, descricao: g.descricao, nivel: g.nivel, total: g.total, quantidade: g.quantidade });
+        if (g.nivel < nivelMaximo) g.filhos.forEach(visitar);
+    };
+    grupos.forEach(visitar);
+    return linhas;
+}
+
+async function carregarArvore() {
+    return montarArvore(await planoContasRepo.listar());
+}
+
+/**
+ * Árvore para a API: nós aninhados a partir das raízes.
+ */
+function serializarArvore(arvore) {
+    const montar = (chave, nivel) => {
+        const no = arvore.nos.get(chave);
+        return {
+            codigo: no.codigo,
+            descricao: no.descricao,
+            titulo: no.titulo,
+            grupo: no.grupo,
+            nivel,
+            virtual: no.virtual,
+            filhos: no.filhos.map(f => montar(f, nivel + 1)),
+        };
+    };
+    return arvore.raizes.map(r => montar(r, 1));
+}
+
+module.exports = {
+    lerCodigo,
+    montarArvore,
+    localizarCategoria,
+    validarCategorias,
+    somarPorHierarquia,
+    achatarGrupos,
+    carregarArvore,
+    serializarArvore,
+};
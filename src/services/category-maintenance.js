@@ -0,0 +1,137 @@
+/**
+ * Manutenção de categorias — renomear ("3.9.3. Combustível/Locomocação" →
+ * "3.9.3. Combustível") ou mesclar várias categorias numa só, retroativamente.
+ *
+ * É mesclagem quando há mais de uma origem ou o destino já existe; senão,
+ * renomeação. A prévia mostra o que muda em cada tabela e se o destino
+ * existe no plano de contas do ERP; a aplicação é uma transação só
+ * (category-maintenance-repo) e fica auditada em category_changes; depois
+ * dela as classes do classificador local são renomeadas/mescladas também.
+ *
+ * config/financial-rules.json não é alterado: enquanto o arquivo citar uma
+ * das origens (regras_classificacao, encargos_cartao.categorias, ...), a
+ * prévia mostra onde e a aplicação é recusada — senão as regras do arquivo
+ * continuariam classificando na categoria antiga.
+ */
+const fs = require('fs');
+const path = require('path');
+const repo = require('../repositories/category-maintenance-repo');
+const { carregarArvore, validarCategorias } = require('./category-hierarchy');
+const { renomearCategorias: renomearNoModelo } = require('./local-classifier');
+const logger = require('../utils/logger');
+
+const configPath = path.join(__dirname, '../../config/financial-rules.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+/**
+ * Body da API → { origens, destino }. Aceita origem (texto) ou origens (lista).
+ */
+function lerPedido(body = {}) {
+    const brutas = Array.isArray(body.origens) ? body.origens : [body.origem];
+    const origens = [...new Set(brutas.map(o => String(o || '').trim()).filter(Boolean))];
+    return { origens, destino: String(body.destino || '').trim() };
+}
+
+/**
+ * @returns {string|null} mensagem do problema, ou null se o pedido é válido
+ */
+function validarPedido({ origens, destino }) {
+    if (origens.length === 0) return 'Informe a categoria de origem';
+    if (!destino) return 'Informe a categoria de destino';
+    if (origens.includes(destino)) return 'A categoria de destino não pode estar entre as origens';
+    if ([...origens, destino].some(c => c.includes('NÃO CLASSIFICADO'))) {
+        return 'NÃO CLASSIFICADO não é uma categoria';
+    }
+    return null;
+}
+
+/**
+ * Onde o arquivo de configuração cita as origens: caminho ("regras_classificacao[3].categoria") e valor.
+ */
+function referenciasNoArquivo(origens) {
+    const itens = [];
+    const visitar = (valor, caminho) => {
+        if (typeof valor === 'string') {
+            if (origens.includes(valor)) itens.push({ caminho, categoria: valor });
+        } else if (Array.isArray(valor)) {
+            valor.forEach((v, i) => visitar(v, `${caminho}[${i}]`));
+        } else if (valor && typeof valor === 'object') {
+            for (const [k, v] of Object.entries(valor)) {
+                if (k !== 'nota') visitar(v, caminho ? `${caminho}.${k}` : k);
+            }
+        }
+    };
+    visitar(config, '');
+    return itens;
+}
+
+/**
+ * @returns {string|null} por que a aplicação é recusada, ou null se pode aplicar
+ */
+function verificarArquivoConfig({ origens }) {
+    const itens = referenciasNoArquivo(origens);
+    if (itens.length === 0) return null;
+    return `config/financial-rules.json ainda usa a categoria de origem em ${itens.length} lugar(es)` +
+        ` (${itens.slice(0, 3).map(i => i.caminho).join(', ')}${itens.length > 3 ? ', ...' : ''}):` +
+        ' troque no arquivo e reinicie antes de aplicar';
+}
+
+const definirAcao = (origens, destinoExiste) => (origens.length > 1 || destinoExiste ? 'mesclar' : 'renomear');
+
+/**
+ * @param {{ origens: string[], destino: string }} pedido - já validado
+ */
+async function previsualizar({ origens, destino }) {
+    const afetados = await repo.contarAfetados(origens, destino);
+
+    // Destino fora do plano não bloqueia (o ERP pode não ter sido importado), só avisa
+    let plano = null;
+    const arvore = await carregarArvore();
+    if (arvore.nos.size > 0) plano = validarCategorias([destino], arvore)[0];
+
+    const arquivoConfig = referenciasNoArquivo(origens);
+
+    return {
+        acao: definirAcao(origens, afetados.categorias.destino_existe),
+        origens,
+        destino,
+        plano_contas: plano,
+        ...afetados,
+        arquivo_config: { total: arquivoConfig.length, itens: arquivoConfig },
+        bloqueio: verificarArquivoConfig({ origens }),
+    };
+}
+
+/**
+ * @param {{ origens: string[], destino: string }} pedido - já validado
+ * @param {{ usuario?: string }} [origem]
+ */
+async function aplicar({ origens, destino }, { usuario } = {}) {
+    const bloqueio = verificarArquivoConfig({ origens });
+    if (bloqueio) throw new Error(bloqueio);
+
+    const acao = definirAcao(origens, await repo.categoriaExiste(destino));
+    const { id, contagens } = await repo.aplicar({ origens, destino, acao, usuario });
+
+    try {
+        contagens.modelos = await renomearNoModelo(origens, destino);
+    } catch (e) {
+        logger.warn(`⚠️ Classificador local não atualizado após a manutenção de categoria (retreine): ${e.message}`);
+    }
+
+    logger.info(
+        `🗂️  Categoria ${acao === 'mesclar' ? 'mesclada' : 'renomeada'}: ${origens.join(' + ')} → ${destino}` +
+        ` (${contagens.regras} regras, ${contagens.mapeamentos} mapeamentos, ${contagens.transacoes} transações,` +
+        ` ${contagens.fornecedores} fornecedores)${usuario ? ` por ${usuario}` : ''}`
+    );
+    return { id, acao, origens, destino, contagens };
+}
+
+module.exports = {
+    lerPedido,
+    validarPedido,
+    verificarArquivoConfig,
+    previsualizar,
+    aplicar,
+    listarAlteracoes: repo.listarAlteracoes,
+};
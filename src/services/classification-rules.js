@@ -0,0 +1,166 @@
+/**
+ * Regras de classificação com condições.
+ *
+ * Uma regra é { padrao, categoria, prioridade, condicoes }: o regex `padrao`
+ * precisa casar com a descrição e todas as condições informadas precisam valer.
+ * Condições (todas opcionais):
+ *   valor_min / valor_max — faixa do valor absoluto do lançamento (inclusive);
+ *   cartao                — nome do cartão da fatura (ex: "Cartão Santander");
+ *   portador              — final do cartão (4 dígitos) ou parte do nome do portador;
+ *   dias_semana           — dias da compra, 0 = domingo … 6 = sábado;
+ *   parcelado             — true só compras parceladas, false só à vista.
+ * Regras de maior prioridade são testadas primeiro; empate mantém a ordem da lista.
+ */
+
+const DIAS_SEMANA = ['Dom', 'Seg', 'Ter', 'Qua', 'Qui', 'Sex', 'Sáb'];
+
+const normalizarTexto = (s) => String(s || '')
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const numeroOuNull = (v) => {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : NaN;
+};
+
+/**
+ * Limpa a regra vinda da UI/JSON: condições vazias somem, números viram número.
+ */
+function normalizarRegra(regra) {
+    const c = regra.condicoes || {};
+    const condicoes = {};
+
+    const valorMin = numeroOuNull(c.valor_min);
+    const valorMax = numeroOuNull(c.valor_max);
+    if (valorMin !== null) condicoes.valor_min = valorMin;
+    if (valorMax !== null) condicoes.valor_max = valorMax;
+    if (c.cartao && String(c.cartao).trim()) condicoes.cartao = String(c.cartao).trim();
+    if (c.portador && String(c.portador).trim()) condicoes.portador = String(c.portador).trim();
+    if (Array.isArray(c.dias_semana) && c.dias_semana.length > 0) {
+        condicoes.dias_semana = [...new Set(c.dias_semana.map(Number))].sort((a, b) => a - b);
+    }
+    if (c.parcelado === true || c.parcelado === false) condicoes.parcelado = c.parcelado;
+
+    return {
+        padrao: String(regra.padrao || '').trim(),
+        categoria: String(regra.categoria || '').trim(),
+        prioridade: parseInt(regra.prioridade, 10) || 0,
+        condicoes,
+    };
+}
+
+/**
+ * @returns {string|null} Mensagem do problema, ou null se a regra é válida
+ */
+function validarRegra(regra) {
+    const r = normalizarRegra(regra);
+    if (!r.padrao) return 'Regra sem palavras-chave';
+    if (!r.categoria) return `Regra "${r.padrao}" sem categoria`;
+    try {
+        new RegExp(r.padrao, 'i');
+    } catch (e) {
+        return `Padrão inválido "${r.padrao}": ${e.message}`;
+    }
+
+    const c = r.condicoes;
+    if (Number.isNaN(c.valor_min) || Number.isNaN(c.valor_max)) return `Regra "${r.padrao}": valor inválido`;
+    if (c.valor_min != null && c.valor_max != null && c.valor_min > c.valor_max) {
+        return `Regra "${r.padrao}": valor mínimo maior que o máximo`;
+    }
+    if (c.dias_semana && c.dias_semana.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+        return `Regra "${r.padrao}": dia da semana inválido (0 = domingo … 6 = sábado)`;
+    }
+    return null;
+}
+
+/**
+ * Normaliza, compila o regex e ordena por prioridade (maior primeiro).
+ * Regras inválidas ficam de fora.
+ */
+function compilarRegras(regras) {
+    return regras
+        .filter(r => !validarRegra(r))
+        .map((r, ordem) => {
+            const regra = normalizarRegra(r);
+            return { ...regra, ordem, regex: new RegExp(regra.padrao, 'i'), padrao_original: regra.padrao };
+        })
+        .sort((a, b) => b.prioridade - a.prioridade || a.ordem - b.ordem);
+}
+
+function diaDaSemana(data) {
+    const m = String(data || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!m) return null;
+    return new Date(Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3]))).getUTCDay();
+}
+
+/**
+ * Confere as condições da regra para o item (a descrição é testada à parte).
+ *
+ * @param {Object} regra - Regra compilada
+ * @param {{ valor?, data?, parcela?, cartao_final?, portador?, employee_name? }} item
+ * @param {{ cartao?: string, portadores?: Object<string, string> }} contexto -
+ *        cartão da fatura e nome cadastrado por final do cartão
+ */
+function condicoesAtendidas(regra, item, contexto = {}) {
+    const c = regra.condicoes || {};
+
+    if (c.valor_min != null || c.valor_max != null) {
+        const valor = Math.abs(Number(item.valor ?? item.amount) || 0);
+        if (c.valor_min != null && valor < c.valor_min) return false;
+        if (c.valor_max != null && valor > c.valor_max) return false;
+    }
+
+    if (c.cartao && normalizarTexto(c.cartao) !== normalizarTexto(contexto.cartao || item.card_name)) return false;
+
+    if (c.portador) {
+        const final = item.cartao_final || item.card_final || '';
+        const alvo = normalizarTexto(c.portador);
+        const nomes = [item.portador, item.card_holder_name, item.employee_name, (contexto.portadores || {})[final]]
+            .filter(Boolean)
+            .map(normalizarTexto);
+        const atende = /^\d{4}$/.test(alvo) ? final === alvo : nomes.some(n => n.includes(alvo));
+        if (!atende) return false;
+    }
+
+    if (c.dias_semana) {
+        const dia = diaDaSemana(item.data || item.date);
+        if (dia === null || !c.dias_semana.includes(dia)) return false;
+    }
+
+    if (c.parcelado === true || c.parcelado === false) {
+        const parcelado = /^\d+\/\d+$/.test(item.parcela || item.installment || '');
+        if (parcelado !== c.parcelado) return false;
+    }
+
+    return true;
+}
+
+/**
+ * Resumo legível das condições ("≥ R$ 800,00 · Cartão Santander · Seg/Ter/Qua").
+ */
+function descreverCondicoes(condicoes = {}) {
+    const partes = [];
+    const fmt = (v) => `R$ ${v.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    if (condicoes.valor_min != null && condicoes.valor_max != null) partes.push(`${fmt(condicoes.valor_min)} a ${fmt(condicoes.valor_max)}`);
+    else if (condicoes.valor_min != null) partes.push(`≥ ${fmt(condicoes.valor_min)}`);
+    else if (condicoes.valor_max != null) partes.push(`≤ ${fmt(condicoes.valor_max)}`);
+    if (condicoes.cartao) partes.push(condicoes.cartao);
+    if (condicoes.portador) partes.push(`portador ${condicoes.portador}`);
+    if (condicoes.dias_semana) partes.push(condicoes.dias_semana.map(d => DIAS_SEMANA[d]).join('/'));
+    if (condicoes.parcelado === true) partes.push('parcelado');
+    if (condicoes.parcelado === false) partes.push('à vista');
+    return partes.join(' · ');
+}
+
+module.exports = {
+    DIAS_SEMANA,
+    normalizarRegra,
+    validarRegra,
+    compilarRegras,
+    condicoesAtendidas,
+    descreverCondicoes,
+};
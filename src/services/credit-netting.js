@@ -0,0 +1,84 @@
+/**
+ * Abatimento de créditos/estornos antes do envio ao Olist.
+ *
+ * O Olist só recebe contas a pagar com valor positivo, então um estorno não
+ * pode ser enviado sozinho. Ele é abatido:
+ *   1. da compra original (refund_of), se ela está no mesmo envio;
+ *   2. senão, das compras da mesma categoria no envio, maiores primeiro.
+ * O crédito só é aplicado se couber inteiro; caso contrário fica pendente
+ * (não é enviado nem marcado, para ser tratado manualmente).
+ */
+
+const TOLERANCIA = 0.005;
+const arredondar = (v) => Math.round(v * 100) / 100;
+
+/**
+ * @param {Array<{ id?, valor: number, categoria: string, refund_of?: number }>} itens
+ * @returns {{
+ *   envios: Array<{ item, valor: number, creditos: Array<{ item, valor: number }> }>,
+ *   compensados: Array<{ item, creditos: Array<{ item, valor: number }> }>,
+ *   pendentes: Array<{ item, motivo: string }>,
+ * }}
+ */
+function compensarCreditos(itens) {
+    const debitos = itens
+        .filter(i => i.valor > 0)
+        .map(item => ({ item, valor: item.valor, creditos: [] }));
+    const creditos = itens.filter(i => i.valor < 0);
+    const pendentes = [];
+
+    for (const credito of creditos) {
+        const vinculado = credito.refund_of != null
+            ? debitos.find(d => d.item.id != null && d.item.id === credito.refund_of)
+            : null;
+        const mesmaCategoria = debitos
+            .filter(d => d !== vinculado && d.item.categoria === credito.categoria)
+            .sort((a, b) => b.valor - a.valor);
+        const alvos = vinculado ? [vinculado, ...mesmaCategoria] : mesmaCategoria;
+
+        const necessario = Math.abs(credito.valor);
+        const disponivel = alvos.reduce((sum, d) => sum + d.valor, 0);
+        if (disponivel + TOLERANCIA < necessario) {
+            pendentes.push({
+                item: credito,
+                motivo: alvos.length === 0
+                    ? 'Nenhuma compra da mesma categoria neste envio para abater o crédito'
+                    : 'Compras deste envio não cobrem o valor do crédito',
+            });
+            continue;
+        }
+
+        let restante = necessario;
+        for (const d of alvos) {
+            if (restante <= TOLERANCIA) break;
+            const abatido = arredondar(Math.min(d.valor, restante));
+            if (abatido <= 0) continue;
+            d.valor = arredondar(d.valor - abatido);
+            d.creditos.push({ item: credito, valor: abatido });
+            restante = arredondar(restante - abatido);
+        }
+    }
+
+    return {
+        envios: debitos.filter(d => d.valor > TOLERANCIA),
+        compensados: debitos
+            .filter(d => d.valor <= TOLERANCIA)
+            .map(d => ({ item: d.item, creditos: d.creditos })),
+        pendentes,
+    };
+}
+
+/**
+ * Sufixo do histórico de uma conta com créditos abatidos.
+ * Ex: " [-R$ 50,00 estorno]"
+ */
+function descreverAbatimento(creditos) {
+    if (!creditos || creditos.length === 0) return '';
+    const total = creditos.reduce((sum, c) => sum + c.valor, 0);
+    return ` [-R$ ${total.toLocaleString('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} estorno]`;
+}
+
+module.exports = {
+    compensarCreditos,
+    descreverAbatimento,
+};
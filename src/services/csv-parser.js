@@ -0,0 +1,168 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const { classificarLancamento, normalizarResultado, parseValorBR } = require('./statement-parsers/parser-utils');
+const { conferirTotalFatura } = require('./statement-total-check');
+
+// ─── Formatos configurados ─────────────────────
+// config/financial-rules.json → csv_formatos:
+//   { delimitador, pular_linhas, encoding, formato_data,
+//     colunas: { data, descricao, valor, parcela },
+//     banco?          — id do parser equivalente (define o cartão)
+//     sinal_compra?   — 'positivo' (padrão) ou 'negativo' (compras com "-")
+//     colunas.tipo?   — coluna com "C"/"D" (crédito/débito), quando o valor não tem sinal }
+const configPath = path.join(__dirname, '../../config/financial-rules.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+
+function listarFormatosCsv() {
+    return Object.entries(config.csv_formatos || {}).map(([id, f]) => ({
+        id,
+        banco: f.banco || null,
+        nota: f.nota || null,
+    }));
+}
+
+/**
+ * Divide uma linha CSV respeitando aspas ("a;b" fica num campo só, "" = aspas literal).
+ */
+function dividirLinha(linha, delimitador) {
+    const campos = [];
+    let atual = '';
+    let entreAspas = false;
+
+    for (let i = 0; i < linha.length; i++) {
+        const c = linha[i];
+        if (entreAspas) {
+            if (c === '"' && linha[i + 1] === '"') { atual += '"'; i++; }
+            else if (c === '"') entreAspas = false;
+            else atual += c;
+        } else if (c === '"') {
+            entreAspas = true;
+        } else if (c === delimitador) {
+            campos.push(atual.trim());
+            atual = '';
+        } else {
+            atual += c;
+        }
+    }
+    campos.push(atual.trim());
+    return campos;
+}
+
+/**
+ * Converte a data da coluna para DD/MM/YYYY conforme formato_data.
+ * Aceita "DD/MM/YYYY", "DD/MM/YY", "YYYY-MM-DD" e "DD-MM-YYYY".
+ */
+function converterData(valor, formato) {
+    const str = (valor || '').trim();
+    let match;
+    switch (formato) {
+        case 'YYYY-MM-DD':
+            match = str.match(/^(\d{4})-(\d{2})-(\d{2})/);
+            return match ? `${match[3]}/${match[2]}/${match[1]}` : null;
+        case 'DD-MM-YYYY':
+            match = str.match(/^(\d{2})-(\d{2})-(\d{4})/);
+            return match ? `${match[1]}/${match[2]}/${match[3]}` : null;
+        case 'DD/MM/YY':
+            match = str.match(/^(\d{2})\/(\d{2})\/(\d{2})$/);
+            return match ? `${match[1]}/${match[2]}/20${match[3]}` : null;
+        default:
+            match = str.match(/^(\d{2})\/(\d{2})\/(\d{4})/);
+            return match ? `${match[1]}/${match[2]}/${match[3]}` : null;
+    }
+}
+
+/**
+ * Aplica um formato às linhas do arquivo.
+ * @returns {{ transacoes: Array, invalidas: number }}
+ */
+function aplicarFormato(linhas, formato) {
+    const { colunas } = formato;
+    const transacoes = [];
+    let invalidas = 0;
+
+    for (const linha of linhas.slice(formato.pular_linhas || 0)) {
+        if (!linha.trim()) continue;
+        const campos = dividirLinha(linha, formato.delimitador || ';');
+
+        const data = converterData(campos[colunas.data], formato.formato_data);
+        const descricao = (campos[colunas.descricao] || '').replace(/\s+/g, ' ').trim();
+        const valorBruto = parseValorBR(campos[colunas.valor]);
+        if (!data || !descricao || isNaN(valorBruto) || valorBruto === 0) {
+            invalidas++;
+            continue;
+        }
+
+        // Crédito: coluna tipo "C" ou sinal oposto ao das compras
+        const tipo = colunas.tipo != null ? (campos[colunas.tipo] || '').toUpperCase() : null;
+        const credito = tipo
+            ? tipo.startsWith('C')
+            : (formato.sinal_compra === 'negativo' ? valorBruto > 0 : valorBruto < 0);
+
+        const lancamento = classificarLancamento(descricao, Math.abs(valorBruto), credito);
+        if (!lancamento) continue;
+
+        const parcelaRaw = colunas.parcela != null ? campos[colunas.parcela] : null;
+        const mParcela = (parcelaRaw || '').match(/(\d{1,3})\s*(?:\/|de)\s*(\d{1,3})/i);
+
+        transacoes.push({
+            data,
+            descricao: descricao.toUpperCase(),
+            valor: lancamento.valor,
+            parcela: mParcela ? `${parseInt(mParcela[1])}/${parseInt(mParcela[2])}` : null,
+            kind: lancamento.kind,
+        });
+    }
+
+    return { transacoes, invalidas };
+}
+
+/**
+ * Parseia uma fatura CSV usando um formato de csv_formatos.
+ * Sem formato informado, testa todos e fica com o que aproveita mais linhas.
+ * Mesma saída de parsePdfFatura.
+ *
+ * @param {Buffer|string} input
+ * @param {{ formato?: string, banco?: string }} [opcoes]
+ * @returns {{ banco, transacoes, metadados, conferencia, formato }}
+ */
+function parseCsvFatura(input, { formato: formatoId, banco: bancoInformado } = {}) {
+    const formatos = config.csv_formatos || {};
+    if (formatoId && !formatos[formatoId]) {
+        throw new Error(`Formato CSV desconhecido: "${formatoId}" (disponíveis: ${Object.keys(formatos).join(', ')})`);
+    }
+
+    const candidatos = formatoId ? [formatoId] : Object.keys(formatos);
+    let melhor = null;
+
+    for (const id of candidatos) {
+        const formato = formatos[id];
+        const texto = Buffer.isBuffer(input) ? input.toString(formato.encoding === 'latin1' ? 'latin1' : 'utf8') : String(input);
+        const linhas = texto.replace(/^\uFEFF/, '').split(/\r?\n/);
+        const resultado = aplicarFormato(linhas, formato);
+        if (!melhor || resultado.transacoes.length - resultado.invalidas > melhor.transacoes.length - melhor.invalidas) {
+            melhor = { id, formato, ...resultado };
+        }
+    }
+
+    if (!melhor || melhor.transacoes.length === 0) {
+        throw new Error('Nenhuma transação reconhecida no CSV — verifique o formato em csv_formatos');
+    }
+
+    const banco = bancoInformado || melhor.formato.banco || 'generico';
+    logger.info(`📄 CSV: formato "${melhor.id}", banco ${banco}, ${melhor.transacoes.length} transações (${melhor.invalidas} linha(s) ignorada(s))`);
+
+    // CSV não traz vencimento nem total: a data da fatura fica pela última transação
+    const datas = melhor.transacoes.map(t => t.data.split('/').reverse().join('-')).sort();
+    const metadados = { vencimento: null, emissao: datas[datas.length - 1] || null, valor_total: null };
+
+    normalizarResultado(melhor.transacoes, metadados);
+    const conferencia = conferirTotalFatura('', melhor.transacoes, metadados);
+
+    return { banco, transacoes: melhor.transacoes, metadados, conferencia, formato: melhor.id };
+}
+
+module.exports = {
+    parseCsvFatura,
+    listarFormatosCsv,
+};
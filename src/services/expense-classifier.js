@@ -1,5 +1,8 @@
 const logger = require('../utils/logger');
 const path = require('path');
+const { compilarRegras, condicoesAtendidas, descreverCondicoes } = require('./classification-rules');
+const { criarIndiceMemoria, buscarNaMemoria } = require('./mapping-matcher');
+const { carregarModeloAtivo, classificarPorModelo } = require('./local-classifier');
 
 // ─── Carrega regras de classificação ──────────
 const configPath = path.join(__dirname, '../../config/financial-rules.json');
@@ -16,6 +19,13 @@ try {
     learnedMappingsRepo = null;
 }
 
+let cardRulesRepo;
+try {
+    cardRulesRepo = require('../repositories/card-rules-repo');
+} catch (e) {
+    cardRulesRepo = null;
+}
+
 async function carregarMapeamentos() {
     // Fonte de verdade: PostgreSQL
     if (learnedMappingsRepo) {
@@ -30,13 +40,62 @@ async function carregarMapeamentos() {
     return {};
 }
 
-async function salvarMapeamento(descricao, categoria) {
+/**
+ * Regras de Configurações (classification_rules, editáveis na UI) seguidas
+ * das regras fixas de financial-rules.json. `regrasBanco` substitui as
+ * regras salvas (simulação de um rascunho).
+ */
+async function carregarRegras(regrasBanco = null) {
+    if (regrasBanco) return [...regrasBanco, ...(config.regras_classificacao || [])];
+
+    regrasBanco = [];
+    if (cardRulesRepo) {
+        try {
+            regrasBanco = await cardRulesRepo.getClassificationRules();
+        } catch (e) {
+            logger.warn(`⚠️ Erro ao carregar regras do PostgreSQL: ${e.message}`);
+        }
+    }
+    return [...regrasBanco, ...(config.regras_classificacao || [])];
+}
+
+/**
+ * Nome cadastrado (cardholders) por final do cartão — só quando alguma regra filtra por portador.
+ */
+async function carregarPortadores(cartao) {
+    if (!cardRulesRepo) return {};
+    try {
+        const portadores = {};
+        const lista = await cardRulesRepo.getCardholders();
+        // Cadastro específico do cartão vence o genérico (card_name vazio)
+        lista.sort((a, b) => (a.card_name ? 1 : 0) - (b.card_name ? 1 : 0));
+        for (const p of lista) {
+            if (!p.card_name || p.card_name === cartao) portadores[p.card_final] = p.employee_name;
+        }
+        return portadores;
+    } catch (e) {
+        logger.warn(`⚠️ Erro ao carregar portadores: ${e.message}`);
+        return {};
+    }
+}
+
+/**
+ * Índice da memória para busca aproximada (ver mapping-matcher.js).
+ */
+function indexarMapeamentos(mappings) {
+    return criarIndiceMemoria(mappings, { prefixos: config.memoria_classificacao?.prefixos_comerciante });
+}
+
+/**
+ * @param {{ usuario?: string, transacaoId?: number }} [origem] - Quem ensinou e a partir de qual transação
+ */
+async function salvarMapeamento(descricao, categoria, origem = {}) {
     const key = normalizarDescricao(descricao);
 
     // Salvar apenas no PostgreSQL (fonte de verdade única)
     if (learnedMappingsRepo) {
         try {
-            await learnedMappingsRepo.salvar(key, categoria);
+            await learnedMappingsRepo.salvar(key, categoria, origem);
         } catch (e) {
             logger.error(`❌ Erro ao salvar mapeamento no PostgreSQL: ${e.message}`);
             throw e;
@@ -49,60 +108,83 @@ async function salvarMapeamento(descricao, categoria) {
     return true;
 }
 
+/**
+ * Usuário trocou a categoria de uma transação classificada pela memória:
+ * conta uma sobrescrita no mapeamento que a classificou (mapping_key, gravada
+ * na classificação). Transação de antes da mapping_key cai na busca na
+ * memória — `memoria` é o índice já carregado por quem aplica um lote.
+ *
+ * @param {{ description: string, category: string, category_source: string, mapping_key?: string }} transacao - Antes da troca
+ * @param {Object} [memoria] - Índice de indexarMapeamentos()
+ * @returns {Promise<string|null>} Chave do mapeamento sobrescrito
+ */
+async function registrarSobrescritaMemoria(transacao, novaCategoria, memoria) {
+    if (!learnedMappingsRepo) return null;
+    if (transacao.category_source !== 'memória' || transacao.category === novaCategoria) return null;
+
+    let chave = transacao.mapping_key;
+    if (!chave) {
+        const indice = memoria || indexarMapeamentos(await carregarMapeamentos());
+        chave = classificarPorMemoria(transacao.description, indice).mapeamento;
+    }
+    if (!chave) return null;
+    await learnedMappingsRepo.registrarSobrescrita(chave);
+    return chave;
+}
+
+/**
+ * Chave da memória: maiúsculas, sem acentos e sem a marca de parcela
+ * ("PARC 04/18", "PARCELA 5 DE 18") — as parcelas da mesma compra caem na mesma chave.
+ */
 function normalizarDescricao(desc) {
     return desc
         .toUpperCase()
         .normalize('NFD')
         .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\bPARC(ELA)?\.?\s*\d+\s*(\/|DE)\s*\d+/g, '')
         .replace(/\s+/g, ' ')
         .trim();
 }
 
 /**
- * Classifica uma lista de itens usando 3 camadas:
- *  1. Regras fixas (regex em card-rules.json)
- *  2. Mapeamentos aprendidos (learned-mappings)
- *  3. Fallback → marca como manual
+ * Classifica uma lista de itens em camadas, na ordem de classificarItem:
+ *  1. Mapeamentos aprendidos (learned-mappings)
+ *  2. Encargos do cartão (kind fee/interest/annuity) → categoria de despesa
+ *     financeira de encargos_cartao.categorias
+ *  3. Regras (Configurações + financial-rules.json)
+ *  4. Classificador local treinado com o histórico (local-classifier.js)
+ *  5. Fallback → marca como manual (o que sobra vai para a classificação por IA)
  *
- * Nota: camada 3 (cruzamento com Olist NFs) é feita separadamente
- * via classifyWithOlistNFs() após a classificação inicial.
+ * As regras podem ter condições (valor, cartão, portador, dia da semana,
+ * parcelamento) e prioridade — ver classification-rules.js.
  *
- * @param {Array<{ data, descricao, valor, parcela }>} itens
+ * @param {Array<{ data, descricao, valor, parcela, kind?, cartao_final?, portador? }>} itens
+ * @param {{ cartao?: string }} [contexto] - Cartão da fatura (condição "cartao" das regras)
  * @returns {Array<{ ...item, categoria, confianca, regra_match, fonte }>}
  */
-async function classificarItens(itens) {
-    const regras = config.regras_classificacao || [];
-    const mappings = await carregarMapeamentos();
-
-    // Compila as regras em regex
-    const regrasCompiladas = regras.map(r => ({
-        regex: new RegExp(r.padrao, 'i'),
-        categoria: r.categoria,
-        padrao_original: r.padrao,
-    }));
-
-    const resultados = itens.map(item => {
-        // Camada 1: Mapeamentos aprendidos (prioridade máxima — o usuário já corrigiu)
-        const classMem = classificarPorMemoria(item.descricao, mappings);
-        if (classMem.confianca !== 'manual') {
-            return { ...item, ...classMem, fonte: 'memória' };
-        }
+async function classificarItens(itens, { cartao } = {}) {
+    const memoria = indexarMapeamentos(await carregarMapeamentos());
+    const regrasCompiladas = compilarRegras(await carregarRegras());
+    const contexto = {
+        cartao,
+        portadores: regrasCompiladas.some(r => r.condicoes.portador) ? await carregarPortadores(cartao) : {},
+        modelo: await carregarModeloAtivo(),
+    };
 
-        // Camada 2: Regras fixas (regex)
-        const classRegra = classificarPorRegra(item.descricao, regrasCompiladas);
-        if (classRegra.confianca !== 'manual') {
-            return { ...item, ...classRegra, fonte: 'regra' };
-        }
+    const resultados = itens.map(item => classificarItem(item, memoria, regrasCompiladas, contexto));
+    await registrarAplicacoes(resultados);
 
-        // Sem classificação → manual
-        return {
-            ...item,
-            categoria: '⚠️ NÃO CLASSIFICADO',
-            confianca: 'manual',
-            regra_match: null,
-            fonte: null,
-        };
-    });
+    // IOF de compra internacional herda a categoria da compra (opcional, config)
+    if (config.compras_internacionais?.iof_na_categoria_da_compra) {
+        resultados.forEach(r => {
+            const compra = r.iof_da_transacao != null ? resultados[r.iof_da_transacao] : null;
+            if (!compra || compra.confianca === 'manual') return;
+            r.categoria = compra.categoria;
+            r.confianca = compra.confianca;
+            r.regra_match = compra.regra_match;
+            r.fonte = 'iof';
+        });
+    }
 
     // Log
     const classificados = resultados.filter(r => r.confianca !== 'manual');
@@ -126,52 +208,135 @@ async function classificarItens(itens) {
 }
 
 /**
- * Camada 1: classifica por regra regex.
+ * Linha de card_transactions → item no formato de classificarItem/classificarItens.
+ */
+function transacaoParaItem(t) {
+    return {
+        data: t.date,
+        descricao: t.description || '',
+        valor: t.amount || 0,
+        parcela: t.installment || '',
+        kind: t.kind,
+        cartao_final: t.card_final,
+        portador: t.card_holder_name,
+        employee_name: t.employee_name,
+    };
+}
+
+/**
+ * Classifica um item: memória → encargo → regras → modelo local → não classificado.
+ * `memoria` é o índice de indexarMapeamentos() (null = sem memória);
+ * sem `contexto.modelo` a camada do modelo local é pulada.
+ */
+function classificarItem(item, memoria, regrasCompiladas, contexto = {}) {
+    // Camada 1: Mapeamentos aprendidos (prioridade máxima — o usuário já corrigiu)
+    const classMem = classificarPorMemoria(item.descricao, memoria);
+    if (classMem.confianca !== 'manual') {
+        return { ...item, ...classMem, fonte: 'memória' };
+    }
+
+    // Camada 2: Encargos do cartão — a categoria depende só do tipo do lançamento
+    // (depois da memória: o kind vem de regex na descrição e pode errar)
+    const categoriasEncargo = config.encargos_cartao?.categorias || {};
+    if (item.kind && categoriasEncargo[item.kind]) {
+        return {
+            ...item,
+            categoria: categoriasEncargo[item.kind],
+            confianca: 'alta',
+            regra_match: `encargo: ${item.kind}`,
+            fonte: 'encargo',
+        };
+    }
+
+    // Camada 3: Regras fixas (regex)
+    const classRegra = classificarPorRegra(item, regrasCompiladas, contexto);
+    if (classRegra.confianca !== 'manual') {
+        return { ...item, ...classRegra, fonte: 'regra' };
+    }
+
+    // Camada 4: Classificador local (histórico do ERP, memória e faturas)
+    const classModelo = classificarPorModelo(item, contexto.modelo, contexto.cartao);
+    if (classModelo.confianca !== 'manual') {
+        return { ...item, ...classModelo, fonte: 'modelo' };
+    }
+
+    // Camada 5: sem classificação → manual
+    return {
+        ...item,
+        categoria: '⚠️ NÃO CLASSIFICADO',
+        confianca: 'manual',
+        regra_match: null,
+        fonte: null,
+    };
+}
+
+/**
+ * Camada 3: classifica por regra regex (+ condições da regra).
  */
-function classificarPorRegra(descricao, regrasCompiladas) {
+function classificarPorRegra(item, regrasCompiladas, contexto) {
+    const descricao = item.descricao;
     const descNorm = normalizarDescricao(descricao);
 
     for (const regra of regrasCompiladas) {
-        if (regra.regex.test(descricao) || regra.regex.test(descNorm)) {
-            return {
-                categoria: regra.categoria,
-                confianca: 'alta',
-                regra_match: regra.padrao_original,
-            };
-        }
+        if (!regra.regex.test(descricao) && !regra.regex.test(descNorm)) continue;
+        if (!condicoesAtendidas(regra, item, contexto)) continue;
+
+        const condicoes = descreverCondicoes(regra.condicoes);
+        return {
+            categoria: regra.categoria,
+            confianca: 'alta',
+            regra_match: condicoes ? `${regra.padrao_original} [${condicoes}]` : regra.padrao_original,
+        };
     }
 
     return { categoria: null, confianca: 'manual', regra_match: null };
 }
 
 /**
- * Camada 2: classifica por memória/mapeamentos aprendidos.
- * Tenta match exato, depois match parcial (fornecedor).
+ * Camada 1: classifica por memória/mapeamentos aprendidos.
+ * Match exato (ou mesma forma compacta) = alta; senão similaridade de
+ * trigramas acima de memoria_classificacao.limiar (alta a partir de limiar_alta).
  */
-function classificarPorMemoria(descricao, mappings) {
+function classificarPorMemoria(descricao, memoria) {
     const descNorm = normalizarDescricao(descricao);
+    const cfg = config.memoria_classificacao || {};
+    const limiar = cfg.limiar ?? 0.6;
+    const limiarAlta = cfg.limiar_alta ?? 0.85;
 
-    // Match exato
-    if (mappings[descNorm]) {
+    const achado = buscarNaMemoria(memoria, descNorm, { limiar });
+    if (!achado) return { categoria: null, confianca: 'manual', regra_match: null };
+
+    if (achado.score >= 1) {
         return {
-            categoria: mappings[descNorm],
+            categoria: achado.categoria,
             confianca: 'alta',
-            regra_match: `memória: "${descNorm}"`,
+            regra_match: `memória: "${achado.key}"`,
+            mapeamento: achado.key,
         };
     }
+    return {
+        categoria: achado.categoria,
+        confianca: achado.score >= limiarAlta ? 'alta' : 'media',
+        regra_match: `memória parcial: "${achado.key}" (${Math.round(achado.score * 100)}%)`,
+        mapeamento: achado.key,
+    };
+}
 
-    // Match parcial — busca se a key está contida na descrição ou vice-versa
-    for (const [key, cat] of Object.entries(mappings)) {
-        if (descNorm.includes(key) || key.includes(descNorm)) {
-            return {
-                categoria: cat,
-                confianca: 'media',
-                regra_match: `memória parcial: "${key}"`,
-            };
-        }
+/**
+ * Conta quantas vezes cada mapeamento foi aplicado (learned_mappings.aplicacoes).
+ */
+async function registrarAplicacoes(resultados) {
+    if (!learnedMappingsRepo) return;
+    const contagem = {};
+    for (const r of resultados) {
+        if (r.fonte === 'memória' && r.mapeamento) contagem[r.mapeamento] = (contagem[r.mapeamento] || 0) + 1;
+    }
+    if (Object.keys(contagem).length === 0) return;
+    try {
+        await learnedMappingsRepo.registrarAplicacoes(contagem);
+    } catch (e) {
+        logger.warn(`⚠️ Erro ao registrar uso dos mapeamentos: ${e.message}`);
     }
-
-    return { categoria: null, confianca: 'manual', regra_match: null };
 }
 
 /**
@@ -210,8 +375,14 @@ function gerarResumo(itensClassificados) {
 
 module.exports = {
     classificarItens,
+    classificarItem,
+    classificarPorMemoria,
+    transacaoParaItem,
     gerarResumo,
     salvarMapeamento,
+    registrarSobrescritaMemoria,
     carregarMapeamentos,
+    carregarRegras,
+    indexarMapeamentos,
     normalizarDescricao,
 };
@@ -0,0 +1,315 @@
+/**
+ * Acompanhamento de compras parceladas.
+ *
+ * Cada compra parcelada ("5/18") vira um contrato em installment_contracts:
+ * mês da parcela 1, número de parcelas e valor da parcela. A cada fatura
+ * importada as parcelas são ligadas ao contrato e conferidas:
+ *   faltando — contrato já conhecido cuja parcela do mês não veio na fatura;
+ *   extras   — parcela fora da sequência (não é a esperada para o mês) ou
+ *              que já tinha aparecido em outra fatura.
+ * Os contratos em aberto dão a projeção dos compromissos dos próximos meses.
+ */
+const repo = require('../repositories/card-statements-repo');
+const installmentsRepo = require('../repositories/installments-repo');
+const { normalizarDescricao } = require('./refund-matcher');
+const { KINDS } = require('./statement-parsers/parser-utils');
+const logger = require('../utils/logger');
+
+const arredondar = (v) => Math.round(v * 100) / 100;
+
+/**
+ * "5/18" → { atual: 5, total: 18 }; null se não for parcela válida.
+ */
+function lerParcela(installment) {
+    const m = (installment || '').match(/^(\d+)\/(\d+)$/);
+    if (!m) return null;
+    const atual = parseInt(m[1], 10);
+    const total = parseInt(m[2], 10);
+    if (total < 2 || atual < 1 || atual > total) return null;
+    return { atual, total };
+}
+
+/**
+ * Mês de referência da fatura (YYYY-MM): vencimento, senão data da fatura.
+ */
+function mesDaFatura(statement) {
+    return (statement.due_date || statement.statement_date || '').slice(0, 7);
+}
+
+function somarMeses(mes, n) {
+    const [ano, m] = mes.split('-').map(Number);
+    const d = new Date(ano, m - 1 + n, 1);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function diferencaMeses(de, ate) {
+    const [a1, m1] = de.split('-').map(Number);
+    const [a2, m2] = ate.split('-').map(Number);
+    return (a2 - a1) * 12 + (m2 - m1);
+}
+
+/**
+ * Identifica a compra: portador + descrição sem o contador da parcela + nº de
+ * parcelas. A data do lançamento fica de fora — há emissor que lança cada
+ * parcela na data do mês ("ALLIANZ SEGU 04 DE 10" em 29/11, "05 DE 10" em
+ * 29/12); o mês da compra sai de primeiroMes e o valor da parcela de valorBate.
+ */
+function chaveCompra(cardFinal, descricao, totalParcelas) {
+    return `${cardFinal || ''}|${normalizarDescricao(descricao)}|${totalParcelas}`;
+}
+
+const chaveContrato = (c) => chaveCompra(c.card_final, c.description, c.total_installments);
+
+/**
+ * Mês da parcela 1: mês da fatura menos as parcelas já passadas.
+ */
+const primeiroMes = (mes, atual) => somarMeses(mes, -(atual - 1));
+
+// Mesmo valor de parcela (tolerância de arredondamento: 1%, mínimo 5 centavos)
+const valorBate = (c, t) => Math.abs(c.installment_amount - t.amount) <= Math.max(0.05, c.installment_amount * 0.01);
+
+const temCategoria = (t) => t.category && t.category.trim() !== '' && !t.category.includes('NÃO CLASSIFICADO');
+
+/**
+ * Liga as parcelas da fatura aos contratos (criando os novos), grava a
+ * conferência em card_statements.installment_check e a devolve.
+ *
+ * @param {number} statementId
+ * @returns {Promise<{ mes, status, parceladas, contratos_novos, esperadas, faltando: Array, extras: Array }|null>}
+ */
+async function acompanharParcelas(statementId) {
+    const statement = await repo.getStatementById(statementId);
+    if (!statement) return null;
+
+    const mes = mesDaFatura(statement);
+    const cardName = statement.card_name;
+    const parceladas = (await repo.getTransactions(statementId))
+        .filter(t => t.kind === KINDS.PURCHASE && lerParcela(t.installment));
+
+    const contratos = await installmentsRepo.listContracts({ cardName });
+    const vistas = new Map();
+    for (const v of await installmentsRepo.getLinkedInstallments(cardName)) {
+        if (v.statement_id === statementId) continue;
+        if (!vistas.has(v.installment_contract_id)) vistas.set(v.installment_contract_id, []);
+        vistas.get(v.installment_contract_id).push({ mes: v.mes, atual: (lerParcela(v.installment) || {}).atual });
+    }
+    const vistasDe = (c) => vistas.get(c.id) || [];
+
+    const usados = new Set();
+    const novos = new Set();
+    const extras = [];
+
+    for (const t of parceladas) {
+        const { atual, total } = lerParcela(t.installment);
+        const chave = chaveCompra(t.card_final, t.description, total);
+        const mesInicial = primeiroMes(mes, atual);
+        const candidatos = contratos.filter(c => !usados.has(c.id) && chaveContrato(c) === chave && valorBate(c, t));
+
+        let contrato = candidatos.find(c => c.first_month === mesInicial);
+        if (contrato) {
+            if (vistasDe(contrato).some(v => v.atual === atual)) {
+                extras.push({ transacao_id: t.id, descricao: t.description, parcela: t.installment, valor: t.amount, motivo: 'repetida' });
+            }
+        } else {
+            // Mesma compra com a parcela trocada: é a do contrato esperada neste mês?
+            contrato = candidatos.find(c => {
+                const esperada = diferencaMeses(c.first_month, mes) + 1;
+                return esperada >= 1 && esperada <= c.total_installments && !vistasDe(c).some(v => v.mes === mes);
+            });
+            if (contrato) {
+                extras.push({
+                    transacao_id: t.id, descricao: t.description, parcela: t.installment, valor: t.amount,
+                    motivo: vistasDe(contrato).some(v => v.atual === atual) ? 'repetida' : 'fora_de_sequencia',
+                    esperada: `${diferencaMeses(contrato.first_month, mes) + 1}/${total}`,
+                });
+            }
+        }
+
+        if (!contrato) {
+            contrato = await installmentsRepo.insertContract({
+                card_name: cardName,
+                card_final: t.card_final,
+                description: t.description,
+                purchase_date: t.date,
+                total_installments: total,
+                installment_amount: t.amount,
+                first_month: mesInicial,
+            });
+            contratos.push(contrato);
+            novos.add(contrato.id);
+        }
+
+        usados.add(contrato.id);
+        await installmentsRepo.linkTransaction(t.id, contrato.id);
+    }
+
+    // Contratos já vistos em fatura anterior cuja parcela deste mês não veio
+    const faltando = [];
+    let esperadas = 0;
+    for (const c of contratos) {
+        if (novos.has(c.id)) continue;
+        const esperada = diferencaMeses(c.first_month, mes) + 1;
+        if (esperada < 1 || esperada > c.total_installments) continue;
+        const anteriores = vistasDe(c);
+        if (!anteriores.some(v => v.mes < mes) || anteriores.some(v => v.mes === mes)) continue;
+
+        esperadas++;
+        if (usados.has(c.id)) continue;
+        faltando.push({
+            contrato_id: c.id,
+            descricao: c.description,
+            parcela: `${esperada}/${c.total_installments}`,
+            valor: c.installment_amount,
+        });
+    }
+
+    await installmentsRepo.refreshContracts(cardName);
+
+    const conferencia = {
+        mes,
+        status: faltando.length > 0 || extras.length > 0 ? 'divergente' : 'ok',
+        parceladas: parceladas.length,
+        contratos_novos: novos.size,
+        esperadas,
+        faltando,
+        extras,
+    };
+    await installmentsRepo.setInstallmentCheck(statementId, conferencia);
+
+    if (conferencia.status === 'divergente') {
+        logger.warn(`⚠️ Parcelas de ${cardName} ${mes}: ${faltando.length} faltando, ${extras.length} fora do esperado`);
+    } else if (parceladas.length > 0) {
+        logger.info(`🧾 Parcelas de ${cardName} ${mes}: ${parceladas.length} conferidas, ${novos.size} contrato(s) novo(s)`);
+    }
+
+    return conferencia;
+}
+
+/**
+ * Parcelas da fatura herdam da parcela vizinha do mesmo contrato (a anterior
+ * mais próxima, senão a seguinte) a categoria, a origem da classificação e a
+ * observação. Parcelas categorizadas à mão nesta fatura ficam como estão.
+ * Rodar depois de acompanharParcelas (que liga as parcelas aos contratos).
+ *
+ * @param {number} statementId
+ * @returns {Promise<number>} Quantidade de parcelas atualizadas
+ */
+async function herdarCategoriasParcelas(statementId) {
+    const parcelas = (await repo.getTransactions(statementId))
+        .filter(t => t.installment_contract_id && t.category_source !== 'manual');
+    if (parcelas.length === 0) return 0;
+
+    const porContrato = new Map();
+    for (const v of await installmentsRepo.getSiblingInstallments(statementId)) {
+        const parcela = lerParcela(v.installment);
+        if (!parcela || !temCategoria(v)) continue;
+        if (!porContrato.has(v.installment_contract_id)) porContrato.set(v.installment_contract_id, []);
+        porContrato.get(v.installment_contract_id).push({ ...v, atual: parcela.atual });
+    }
+
+    let herdadas = 0;
+    for (const t of parcelas) {
+        const vizinhas = porContrato.get(t.installment_contract_id);
+        const parcela = lerParcela(t.installment);
+        if (!vizinhas || !parcela) continue;
+
+        const anteriores = vizinhas.filter(v => v.atual < parcela.atual).sort((a, b) => b.atual - a.atual);
+        const seguintes = vizinhas.filter(v => v.atual > parcela.atual).sort((a, b) => a.atual - b.atual);
+        const origem = anteriores[0] || seguintes[0];
+        if (!origem) continue;
+
+        const mesmaCategoria = t.category === origem.category && t.category_source === origem.category_source;
+        if (!mesmaCategoria) {
+            await repo.updateTransactionCategory(t.id, origem.category, 'alta', origem.category_source, origem.mapping_key);
+        }
+        if (!t.notes && origem.notes) {
+            await repo.updateTransactionNotes(t.id, origem.notes);
+        } else if (mesmaCategoria) {
+            continue;
+        }
+        herdadas++;
+    }
+
+    if (herdadas > 0) {
+        logger.info(`🧾 ${herdadas} parcela(s) da fatura ${statementId} herdaram a categoria da parcela anterior`);
+    }
+    return herdadas;
+}
+
+/**
+ * Refaz todos os contratos a partir das faturas já importadas, em ordem cronológica por cartão.
+ */
+async function reconstruirContratos() {
+    await installmentsRepo.deleteAllContracts();
+    const faturas = await installmentsRepo.listStatementsForRebuild();
+    let divergentes = 0;
+    for (const f of faturas) {
+        const conferencia = await acompanharParcelas(f.id);
+        if (conferencia && conferencia.status === 'divergente') divergentes++;
+    }
+    const contratos = await installmentsRepo.listContracts();
+    logger.info(`🧾 Contratos de parcelamento reconstruídos: ${contratos.length} a partir de ${faturas.length} fatura(s)`);
+    return { faturas: faturas.length, contratos: contratos.length, divergentes };
+}
+
+/**
+ * Contrato com as parcelas restantes e o saldo a pagar.
+ */
+function resumirContrato(c) {
+    const restantes = Math.max(0, c.total_installments - c.last_installment);
+    return {
+        ...c,
+        restantes,
+        valor_restante: arredondar(restantes * c.installment_amount),
+        ultimo_mes: somarMeses(c.first_month, c.total_installments - 1),
+        quitado: restantes === 0,
+    };
+}
+
+/**
+ * Parcelas ainda não vistas dos contratos, somadas por mês e cartão, de
+ * `inicio` (YYYY-MM) até `meses` meses à frente. Parcelas de meses
+ * anteriores a `inicio` que não vieram ficam de fora (são "faltando").
+ *
+ * @returns {{ meses: Array<{ mes, total, cartoes: Object }>, cartoes: Object, total: number }}
+ */
+function projetarCompromissos(contratos, { inicio, meses = 12 }) {
+    const porMes = Array.from({ length: meses }, (_, i) => ({ mes: somarMeses(inicio, i), total: 0, cartoes: {} }));
+    const cartoes = {};
+
+    for (const c of contratos) {
+        for (let k = c.last_installment + 1; k <= c.total_installments; k++) {
+            const i = diferencaMeses(inicio, somarMeses(c.first_month, k - 1));
+            if (i < 0 || i >= meses) continue;
+            const item = porMes[i];
+            item.total += c.installment_amount;
+            item.cartoes[c.card_name] = (item.cartoes[c.card_name] || 0) + c.installment_amount;
+            cartoes[c.card_name] = (cartoes[c.card_name] || 0) + c.installment_amount;
+        }
+    }
+
+    for (const item of porMes) {
+        item.total = arredondar(item.total);
+        for (const card of Object.keys(item.cartoes)) item.cartoes[card] = arredondar(item.cartoes[card]);
+    }
+    for (const card of Object.keys(cartoes)) cartoes[card] = arredondar(cartoes[card]);
+
+    return {
+        meses: porMes,
+        cartoes,
+        total: arredondar(porMes.reduce((sum, m) => sum + m.total, 0)),
+    };
+}
+
+module.exports = {
+    lerParcela,
+    mesDaFatura,
+    somarMeses,
+    chaveCompra,
+    primeiroMes,
+    acompanharParcelas,
+    herdarCategoriasParcelas,
+    reconstruirContratos,
+    resumirContrato,
+    projetarCompromissos,
+};
@@ -0,0 +1,361 @@
+/**
+ * Classificador local — naive Bayes sobre o histórico da empresa.
+ *
+ * Aprende com as contas a pagar do ERP (fornecedor + histórico), com os
+ * learned_mappings e com as transações de cartão já categorizadas, e entra
+ * depois das regras, antes de recorrer ao Gemini. Tudo roda em memória, sem
+ * serviço externo; o retreino é sob demanda (Configurações → Mapeamentos).
+ *
+ * Atributos de cada lançamento:
+ *   p:PALAVRA  — palavras da descrição (sem acento, sem marca de parcela,
+ *                sem prefixo de intermediador como PAG* ou MP*);
+ *   b:A_B      — pares de palavras vizinhas ("POSTO_IPIRANGA");
+ *   $:100-200  — faixa do valor absoluto;
+ *   c:CARTAO   — cartão da fatura.
+ * Cada atributo conta uma vez por lançamento. Sem nenhuma palavra conhecida
+ * o modelo não opina — valor e cartão sozinhos não bastam.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+const classifierRepo = require('../repositories/classifier-models-repo');
+const cardRulesRepo = require('../repositories/card-rules-repo');
+
+const configPath = path.join(__dirname, '../../config/financial-rules.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+const cfg = config.classificador_local || {};
+
+const FAIXAS_VALOR = [20, 50, 100, 200, 500, 1000, 2000, 5000];
+const PALAVRAS_IGNORADAS = new Set(['LTDA', 'EIRELI', 'REF', 'PGTO', 'PAGAMENTO', 'DOS', 'DAS', 'COM', 'PARA']);
+const SUAVIZACAO = 1;
+const MIN_OCORRENCIAS = 2;
+
+const prefixos = (config.memoria_classificacao?.prefixos_comerciante || [])
+    .map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+const rePrefixo = prefixos.length > 0 ? new RegExp(`^(?:${prefixos.join('|')})\\s*\\*\\s*`) : null;
+
+const normalizarTexto = (s) => String(s || '')
+    .toUpperCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+
+function palavras(descricao) {
+    let desc = normalizarTexto(descricao).replace(/\bPARC(ELA)?\.?\s*\d+\s*(\/|DE)\s*\d+/g, ' ');
+    if (rePrefixo) desc = desc.replace(rePrefixo, '');
+    return desc
+        .split(/[^A-Z0-9]+/)
+        .filter(p => p.length >= 3 && !/^\d+$/.test(p) && !PALAVRAS_IGNORADAS.has(p));
+}
+
+function faixaValor(valor) {
+    const v = Math.abs(Number(valor) || 0);
+    let inicio = 0;
+    for (const limite of FAIXAS_VALOR) {
+        if (v < limite) return `$:${inicio}-${limite}`;
+        inicio = limite;
+    }
+    return `$:${inicio}+`;
+}
+
+/**
+ * @param {{ descricao: string, valor?: number, cartao?: string }} item
+ * @returns {string[]} Atributos sem repetição
+ */
+function extrairAtributos({ descricao, valor, cartao }) {
+    const ps = palavras(descricao);
+    const atributos = new Set(ps.map(p => `p:${p}`));
+    for (let i = 0; i < ps.length - 1; i++) atributos.add(`b:${ps[i]}_${ps[i + 1]}`);
+    if (valor !== null && valor !== undefined && valor !== '') atributos.add(faixaValor(valor));
+    if (cartao) atributos.add(`c:${normalizarTexto(cartao)}`);
+    return [...atributos];
+}
+
+/**
+ * Treina o modelo (contagens por categoria, serializável em JSON).
+ * Atributos que somam menos de MIN_OCORRENCIAS no histórico todo são descartados.
+ *
+ * @param {Array<{ descricao, valor?, cartao?, categoria: string, peso?: number }>} exemplos
+ */
+function treinarModelo(exemplos) {
+    const classes = {};
+    const totalPorAtributo = {};
+
+    for (const ex of exemplos) {
+        const peso = ex.peso || 1;
+        if (!classes[ex.categoria]) classes[ex.categoria] = { exemplos: 0, peso: 0, total: 0, atributos: {} };
+        const classe = classes[ex.categoria];
+        classe.exemplos++;
+        classe.peso += peso;
+        for (const a of extrairAtributos(ex)) {
+            classe.atributos[a] = (classe.atributos[a] || 0) + peso;
+            totalPorAtributo[a] = (totalPorAtributo[a] || 0) + peso;
+        }
+    }
+
+    let vocabulario = 0;
+    for (const n of Object.values(totalPorAtributo)) if (n >= MIN_OCORRENCIAS) vocabulario++;
+    for (const classe of Object.values(classes)) {
+        for (const [a, n] of Object.entries(classe.atributos)) {
+            if (totalPorAtributo[a] < MIN_OCORRENCIAS) delete classe.atributos[a];
+            else classe.total += n;
+        }
+    }
+
+    return { versao: 1, exemplos: exemplos.length, vocabulario, classes };
+}
+
+/**
+ * Prepara o modelo salvo para previsão: log das probabilidades a priori,
+ * denominadores e o conjunto de atributos conhecidos.
+ */
+function compilarModelo(modelo, { minExemplos = cfg.min_exemplos_categoria ?? 3 } = {}) {
+    const conhecidos = new Set();
+    const entradas = Object.entries(modelo.classes).filter(([, c]) => c.exemplos >= minExemplos);
+    const pesoTotal = entradas.reduce((s, [, c]) => s + c.peso, 0);
+    const V = modelo.vocabulario || 1;
+
+    const classes = entradas.map(([categoria, c]) => {
+        for (const a of Object.keys(c.atributos)) conhecidos.add(a);
+        return {
+            categoria,
+            logPriori: Math.log(c.peso / pesoTotal),
+            logDenominador: Math.log(c.total + SUAVIZACAO * V),
+            atributos: c.atributos,
+        };
+    });
+    return { classes, conhecidos };
+}
+
+/**
+ * @param {Object} compilado - compilarModelo()
+ * @param {{ descricao, valor?, cartao? }} item
+ * @returns {{ categoria, probabilidade, palavras: string[], alternativa?: { categoria, probabilidade } }|null}
+ */
+function preverCategoria(compilado, item) {
+    if (!compilado || compilado.classes.length === 0) return null;
+    const atributos = extrairAtributos(item).filter(a => compilado.conhecidos.has(a));
+    if (!atributos.some(a => a.startsWith('p:') || a.startsWith('b:'))) return null;
+
+    const scores = compilado.classes.map(c => {
+        let score = c.logPriori;
+        for (const a of atributos) score += Math.log((c.atributos[a] || 0) + SUAVIZACAO) - c.logDenominador;
+        return score;
+    });
+
+    const max = Math.max(...scores);
+    const exps = scores.map(s => Math.exp(s - max));
+    const soma = exps.reduce((s, e) => s + e, 0);
+    const ordem = scores.map((_, i) => i).sort((a, b) => scores[b] - scores[a]);
+    const [melhor, segunda] = ordem;
+    const vencedora = compilado.classes[melhor];
+
+    return {
+        categoria: vencedora.categoria,
+        probabilidade: exps[melhor] / soma,
+        palavras: atributos
+            .filter(a => a.startsWith('p:') && vencedora.atributos[a])
+            .sort((a, b) => vencedora.atributos[b] - vencedora.atributos[a])
+            .slice(0, 3)
+            .map(a => a.slice(2)),
+        alternativa: segunda !== undefined
+            ? { categoria: compilado.classes[segunda].categoria, probabilidade: exps[segunda] / soma }
+            : undefined,
+    };
+}
+
+/**
+ * Camada do classificador local no formato das outras camadas de expense-classifier.
+ *
+ * @param {{ descricao, valor? }} item
+ * @param {{ compilado }|null} modeloAtivo - carregarModeloAtivo()
+ * @param {string} [cartao] - Cartão da fatura
+ */
+function classificarPorModelo(item, modeloAtivo, cartao) {
+    const vazio = { categoria: null, confianca: 'manual', regra_match: null };
+    if (!modeloAtivo) return vazio;
+
+    const previsao = preverCategoria(modeloAtivo.compilado, { descricao: item.descricao, valor: item.valor, cartao });
+    const minima = cfg.probabilidade_minima ?? 0.8;
+    if (!previsao || previsao.probabilidade < minima) return vazio;
+
+    const pct = Math.round(previsao.probabilidade * 100);
+    return {
+        categoria: previsao.categoria,
+        confianca: previsao.probabilidade >= (cfg.probabilidade_alta ?? 0.95) ? 'alta' : 'media',
+        regra_match: `modelo local: ${pct}%${previsao.palavras.length ? ` (${previsao.palavras.join(', ')})` : ''}`,
+        probabilidade: previsao.probabilidade,
+    };
+}
+
+/**
+ * Exemplos de treino a partir do histórico. Com categorias cadastradas,
+ * só elas entram (o ERP tem categorias que não valem para cartão).
+ */
+function montarExemplos({ erp, memoria, faturas }, categoriasValidas = []) {
+    const validas = new Set(categoriasValidas);
+    const valida = (categoria) => categoria && !categoria.includes('NÃO CLASSIFICADO')
+        && (validas.size === 0 || validas.has(categoria));
+
+    const exemplos = [];
+    for (const r of erp) {
+        if (!valida(r.categoria)) continue;
+        exemplos.push({ descricao: `${r.fornecedor || ''} ${r.historico || ''}`, valor: r.valor, categoria: r.categoria, fonte: 'erp' });
+    }
+    for (const r of memoria) {
+        if (!valida(r.categoria)) continue;
+        exemplos.push({ descricao: r.descricao, categoria: r.categoria, peso: cfg.peso_memoria ?? 3, fonte: 'memoria' });
+    }
+    for (const r of faturas) {
+        if (!valida(r.category)) continue;
+        exemplos.push({
+            descricao: r.description,
+            valor: r.amount,
+            cartao: r.card_name,
+            categoria: r.category,
+            peso: r.category_source === 'manual' ? (cfg.peso_manual ?? 2) : 1,
+            fonte: 'faturas',
+        });
+    }
+    return exemplos;
+}
+
+/**
+ * Treina sem 1 a cada 10 lançamentos de fatura e mede o modelo neles:
+ *   acuracia  — acerto da categoria mais provável;
+ *   cobertura — fração que passa de probabilidade_minima;
+ *   precisao  — acerto dentro da cobertura (o que de fato seria aplicado).
+ */
+function avaliarModelo(exemplos) {
+    const doCartao = exemplos.filter(e => e.fonte === 'faturas');
+    const base = doCartao.length >= 50 ? doCartao : exemplos;
+    const teste = new Set(base.filter((_, i) => i % 10 === 0));
+    if (teste.size < 5) return null;
+
+    const compilado = compilarModelo(treinarModelo(exemplos.filter(e => !teste.has(e))));
+    const minima = cfg.probabilidade_minima ?? 0.8;
+    let acertos = 0;
+    let cobertos = 0;
+    let acertosCobertos = 0;
+    for (const ex of teste) {
+        const previsao = preverCategoria(compilado, ex);
+        const acertou = previsao && previsao.categoria === ex.categoria;
+        if (acertou) acertos++;
+        if (previsao && previsao.probabilidade >= minima) {
+            cobertos++;
+            if (acertou) acertosCobertos++;
+        }
+    }
+    const pct = (n, d) => (d > 0 ? Math.round((n / d) * 1000) / 10 : null);
+    return {
+        amostra: teste.size,
+        acuracia: pct(acertos, teste.size),
+        cobertura: pct(cobertos, teste.size),
+        precisao: pct(acertosCobertos, cobertos),
+    };
+}
+
+// ─── Modelo ativo (cache em memória) ──────────
+
+let ativo;
+
+/**
+ * Modelo mais recente de classifier_models, compilado e em cache.
+ * null se o classificador está desligado ou nunca foi treinado.
+ */
+async function carregarModeloAtivo() {
+    if (cfg.ativo === false) return null;
+    if (ativo !== undefined) return ativo;
+    try {
+        const salvo = await classifierRepo.getLatestModel();
+        ativo = salvo ? { id: salvo.id, treinado_em: salvo.treinado_em, compilado: compilarModelo(salvo.modelo) } : null;
+    } catch (e) {
+        logger.warn(`⚠️ Erro ao carregar o classificador local: ${e.message}`);
+        return null;
+    }
+    return ativo;
+}
+
+/**
+ * Retreina com o histórico atual, salva e troca o modelo ativo.
+ */
+async function retreinarModelo({ usuario } = {}) {
+    const inicio = Date.now();
+    const dados = await classifierRepo.getTrainingExamples({ maxErp: cfg.max_exemplos_erp ?? 20000 });
+    const exemplos = montarExemplos(dados, await cardRulesRepo.getCategories());
+    if (exemplos.length === 0) {
+        throw new Error('Nenhum exemplo categorizado para treinar o classificador');
+    }
+
+    const fontes = {};
+    for (const ex of exemplos) fontes[ex.fonte] = (fontes[ex.fonte] || 0) + 1;
+
+    const avaliacao = avaliarModelo(exemplos);
+    const modelo = treinarModelo(exemplos);
+    const categorias = Object.keys(modelo.classes).length;
+    const salvo = await classifierRepo.saveModel({ modelo, exemplos: exemplos.length, categorias, fontes, avaliacao, treinadoPor: usuario });
+
+    ativo = { id: salvo.id, treinado_em: salvo.treinado_em, compilado: compilarModelo(modelo) };
+
+    const ms = Date.now() - inicio;
+    logger.info(`🧠 Classificador local treinado: ${exemplos.length} exemplos, ${categorias} categorias, ${modelo.vocabulario} atributos (${ms}ms)`);
+    if (avaliacao) {
+        logger.info(`   Validação: acurácia ${avaliacao.acuracia}%, cobertura ${avaliacao.cobertura}%, precisão ${avaliacao.precisao ?? '—'}%`);
+    }
+
+    return { id: salvo.id, treinado_em: salvo.treinado_em, exemplos: exemplos.length, categorias, atributos: modelo.vocabulario, fontes, avaliacao, duracao_ms: ms };
+}
+
+/**
+ * Classes das origens somadas na do destino (exemplos, pesos e atributos).
+ * @returns {Object|null} modelo novo, ou null se ele não tinha nenhuma origem
+ */
+function mesclarClasses(modelo, origens, destino) {
+    const classes = { ...modelo.classes };
+    let mudou = false;
+    for (const origem of origens) {
+        const c = classes[origem];
+        if (!c) continue;
+        mudou = true;
+        delete classes[origem];
+        const d = classes[destino] || { exemplos: 0, peso: 0, total: 0, atributos: {} };
+        const atributos = { ...d.atributos };
+        for (const [a, n] of Object.entries(c.atributos)) atributos[a] = (atributos[a] || 0) + n;
+        classes[destino] = { exemplos: d.exemplos + c.exemplos, peso: d.peso + c.peso, total: d.total + c.total, atributos };
+    }
+    return mudou ? { ...modelo, classes } : null;
+}
+
+/**
+ * Manutenção de categorias: renomeia/mescla as classes em todos os modelos
+ * guardados e descarta o modelo em cache (o próximo uso recarrega).
+ *
+ * @returns {Promise<number>} Quantidade de modelos alterados
+ */
+async function renomearCategorias(origens, destino) {
+    let alterados = 0;
+    try {
+        for (const { id, modelo } of await classifierRepo.getModels()) {
+            const novo = mesclarClasses(modelo, origens, destino);
+            if (!novo) continue;
+            await classifierRepo.updateModel(id, novo);
+            alterados++;
+        }
+    } finally {
+        ativo = undefined;
+    }
+    return alterados;
+}
+
+module.exports = {
+    extrairAtributos,
+    treinarModelo,
+    compilarModelo,
+    preverCategoria,
+    classificarPorModelo,
+    montarExemplos,
+    carregarModeloAtivo,
+    retreinarModelo,
+    mesclarClasses,
+    renomearCategorias,
+};
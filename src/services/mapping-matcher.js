@@ -0,0 +1,117 @@
+/**
+ * Busca aproximada na memória de classificação (learned_mappings).
+ *
+ * Cada descrição vira uma forma compacta — sem acentos, sem marca de parcela,
+ * sem prefixo de intermediador (PAG*, MP*, IFD*, EC*) e só com letras e
+ * números — e o conjunto de trigramas dessa forma. "PAG*JOSEDASILVA" e
+ * "PAG *JOSE DA SILVA" viram ambos "JOSEDASILVA".
+ *
+ * O índice guarda, para cada trigrama, as chaves que o contêm: uma busca só
+ * compara com as chaves que têm algum trigrama em comum, em vez de varrer a
+ * memória inteira. A similaridade é o coeficiente de Dice dos trigramas,
+ * então uma chave curta e genérica ("POSTO") não casa com qualquer
+ * descrição que a contenha.
+ */
+
+const PREFIXOS_PADRAO = ['PAG', 'MP', 'IFD', 'EC'];
+
+function criarNormalizador(prefixos = PREFIXOS_PADRAO) {
+    const escapados = prefixos.map(p => p.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const rePrefixo = escapados.length > 0 ? new RegExp(`^(?:${escapados.join('|')})\\s*\\*\\s*`) : null;
+
+    return (descricao) => {
+        let desc = String(descricao || '')
+            .toUpperCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/\bPARC(ELA)?\.?\s*\d+\s*(\/|DE)\s*\d+/g, '')
+            .trim();
+        if (rePrefixo) desc = desc.replace(rePrefixo, '');
+        return desc.replace(/[^A-Z0-9]/g, '');
+    };
+}
+
+function trigramas(compacto) {
+    const set = new Set();
+    if (compacto.length < 3) {
+        if (compacto) set.add(compacto);
+        return set;
+    }
+    for (let i = 0; i <= compacto.length - 3; i++) set.add(compacto.slice(i, i + 3));
+    return set;
+}
+
+/**
+ * @param {Object<string, string>} mappings - chave normalizada → categoria
+ * @param {{ prefixos?: string[] }} [opcoes]
+ */
+function criarIndiceMemoria(mappings, { prefixos } = {}) {
+    const compactar = criarNormalizador(prefixos);
+    const exatos = new Map();
+    const compactos = new Map();
+    const entradas = [];
+    const porTrigrama = new Map();
+
+    for (const [key, categoria] of Object.entries(mappings || {})) {
+        exatos.set(key, categoria);
+        const compacto = compactar(key);
+        if (!compacto) continue;
+        if (!compactos.has(compacto)) compactos.set(compacto, { key, categoria });
+
+        const idx = entradas.length;
+        const tri = trigramas(compacto);
+        entradas.push({ key, categoria, tamanho: tri.size });
+        for (const t of tri) {
+            if (!porTrigrama.has(t)) porTrigrama.set(t, []);
+            porTrigrama.get(t).push(idx);
+        }
+    }
+
+    return { compactar, exatos, compactos, entradas, porTrigrama, total: entradas.length };
+}
+
+/**
+ * Melhor chave da memória para a descrição.
+ *
+ * @param {Object} indice - criarIndiceMemoria()
+ * @param {string} chave - Descrição normalizada (mesma forma das chaves salvas)
+ * @param {{ limiar?: number }} [opcoes]
+ * @returns {{ key, categoria, score: number, exato: boolean }|null}
+ */
+function buscarNaMemoria(indice, chave, { limiar = 0.6 } = {}) {
+    if (!indice || indice.exatos.size === 0) return null;
+
+    if (indice.exatos.has(chave)) {
+        return { key: chave, categoria: indice.exatos.get(chave), score: 1, exato: true };
+    }
+
+    const compacto = indice.compactar(chave);
+    if (!compacto) return null;
+    const igual = indice.compactos.get(compacto);
+    if (igual) return { ...igual, score: 1, exato: false };
+
+    const tri = trigramas(compacto);
+    const comuns = new Map();
+    for (const t of tri) {
+        for (const idx of indice.porTrigrama.get(t) || []) {
+            comuns.set(idx, (comuns.get(idx) || 0) + 1);
+        }
+    }
+
+    let melhor = null;
+    for (const [idx, n] of comuns) {
+        const entrada = indice.entradas[idx];
+        const score = (2 * n) / (tri.size + entrada.tamanho);
+        if (score < limiar) continue;
+        if (!melhor || score > melhor.score || (score === melhor.score && entrada.key.length > melhor.key.length)) {
+            melhor = { key: entrada.key, categoria: entrada.categoria, score, exato: false };
+        }
+    }
+    return melhor;
+}
+
+module.exports = {
+    PREFIXOS_PADRAO,
+    criarIndiceMemoria,
+    buscarNaMemoria,
+};
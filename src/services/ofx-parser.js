@@ -0,0 +1,142 @@
+const logger = require('../utils/logger');
+const { classificarLancamento, normalizarResultado } = require('./statement-parsers/parser-utils');
+const { conferirTotalFatura } = require('./statement-total-check');
+
+/**
+ * Código do banco (FID / BANKID) → id do parser de PDF equivalente,
+ * para a fatura cair no mesmo cartão/conta financeira.
+ */
+const CODIGOS_BANCO = {
+    '104': 'caixa',
+    '033': 'santander',
+    '341': 'itau',
+    '237': 'bradesco',
+    '133': 'cresol',
+    '748': 'cresol',
+    '323': 'mercadopago',
+};
+
+// Nome da instituição (ORG) quando o arquivo não traz o código
+const NOMES_BANCO = [
+    [/caixa/i, 'caixa'],
+    [/santander/i, 'santander'],
+    [/ita[uú]/i, 'itau'],
+    [/bradesco/i, 'bradesco'],
+    [/cresol/i, 'cresol'],
+    [/mercado\s*pago/i, 'mercadopago'],
+];
+
+/**
+ * Decodifica o buffer respeitando o charset do cabeçalho.
+ * SGML (OFX 1.x): "CHARSET:1252"; XML (OFX 2.x): <?xml ... encoding="ISO-8859-1"?>
+ */
+function decodificar(buffer) {
+    const cabecalho = buffer.slice(0, 512).toString('latin1');
+    const latin1 = /CHARSET:\s*(1252|8859)|encoding="(windows-1252|iso-8859-1)"/i.test(cabecalho);
+    return buffer.toString(latin1 ? 'latin1' : 'utf8');
+}
+
+/**
+ * Valor de uma tag folha. Funciona nas duas variantes:
+ *   SGML: "<TRNAMT>-341.76"  (sem fechamento)
+ *   XML:  "<TRNAMT>-341.76</TRNAMT>"
+ */
+function lerTag(bloco, tag) {
+    const match = bloco.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Blocos de uma tag agregadora (<STMTTRN>...</STMTTRN>).
+ * Agregadores são fechados também no SGML.
+ */
+function lerBlocos(texto, tag) {
+    const regex = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi');
+    return [...texto.matchAll(regex)].map(m => m[1]);
+}
+
+/**
+ * "20251203120000[-3:BRT]" → "2025-12-03"
+ */
+function dataOfx(valor) {
+    const match = (valor || '').match(/^(\d{4})(\d{2})(\d{2})/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * Valor OFX: ponto decimal, mas alguns bancos brasileiros exportam com vírgula.
+ */
+function valorOfx(valor) {
+    if (!valor) return NaN;
+    return parseFloat(valor.replace(/\s/g, '').replace(',', '.'));
+}
+
+function detectarBancoOfx(texto) {
+    const codigo = (lerTag(texto, 'FID') || lerTag(texto, 'BANKID') || '').replace(/^0+(?=\d{3})/, '');
+    if (CODIGOS_BANCO[codigo]) return CODIGOS_BANCO[codigo];
+
+    const org = lerTag(texto, 'ORG') || '';
+    const porNome = NOMES_BANCO.find(([regex]) => regex.test(org));
+    return porNome ? porNome[1] : 'generico';
+}
+
+/**
+ * Parseia um extrato/fatura OFX (SGML 1.x ou XML 2.x).
+ * Mesma saída de parsePdfFatura. No cartão, compras vêm com TRNAMT negativo
+ * e créditos/pagamentos positivos; pagamentos são ignorados e créditos viram
+ * estorno (valor negativo), como nos PDFs.
+ *
+ * @param {Buffer|string} input
+ * @returns {{ banco, transacoes, metadados, conferencia }}
+ */
+function parseOfxFatura(input) {
+    const texto = Buffer.isBuffer(input) ? decodificar(input) : String(input);
+
+    if (!/<OFX>/i.test(texto)) {
+        throw new Error('Arquivo OFX inválido: tag <OFX> não encontrada');
+    }
+
+    const banco = detectarBancoOfx(texto);
+    logger.info(`🏦 OFX: banco ${banco}${/^\s*<\?xml/i.test(texto) ? ' (XML)' : ' (SGML)'}`);
+
+    // Saldo final = total da fatura (cartão: negativo = devido)
+    const saldo = valorOfx(lerTag(lerBlocos(texto, 'LEDGERBAL')[0] || '', 'BALAMT'));
+    const metadados = {
+        vencimento: null,
+        emissao: dataOfx(lerTag(texto, 'DTEND')) || dataOfx(lerTag(texto, 'DTSERVER')),
+        valor_total: isNaN(saldo) ? null : Math.abs(saldo),
+    };
+
+    const transacoes = [];
+    for (const bloco of lerBlocos(texto, 'STMTTRN')) {
+        const valor = valorOfx(lerTag(bloco, 'TRNAMT'));
+        if (isNaN(valor) || valor === 0) continue;
+
+        const descricao = (lerTag(bloco, 'MEMO') || lerTag(bloco, 'NAME') || '').replace(/\s+/g, ' ').trim();
+        if (!descricao) continue;
+
+        const lancamento = classificarLancamento(descricao, Math.abs(valor), valor > 0);
+        if (!lancamento) continue;
+
+        transacoes.push({
+            data: dataOfx(lerTag(bloco, 'DTPOSTED')),
+            descricao: descricao.toUpperCase(),
+            valor: lancamento.valor,
+            parcela: null,
+            kind: lancamento.kind,
+            fitid: lerTag(bloco, 'FITID'),
+        });
+    }
+
+    normalizarResultado(transacoes, metadados);
+    logger.info(`✅ OFX: ${transacoes.length} transações extraídas`);
+
+    // Sem texto para procurar linhas perdidas — só compara soma × saldo
+    const conferencia = conferirTotalFatura('', transacoes, metadados);
+
+    return { banco, transacoes, metadados, conferencia };
+}
+
+module.exports = {
+    parseOfxFatura,
+};
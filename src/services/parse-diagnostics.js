@@ -0,0 +1,91 @@
+/**
+ * Diagnóstico do parse de uma fatura.
+ *
+ * Mostra o que o upload enxerga: score de cada parser candidato, metadados,
+ * cada transação com a linha do texto de onde veio e as linhas com valor
+ * monetário que não viraram transação — para achar lacunas nos regexes.
+ * A linha de origem de cada transação vem de statement-source-lines.
+ */
+const { detectarParser, obterParser } = require('./statement-parsers');
+const { MESES_PT, parseValorBR } = require('./statement-parsers/parser-utils');
+const { parseTextoFatura } = require('./pdf-parser');
+const { localizarOrigens } = require('./statement-source-lines');
+
+// "R$" ou valor no formato brasileiro ("1.234,56", "89,99")
+const REGEX_VALOR_BR = /(?<![\d.,])\d{1,3}(?:\.\d{3})*,\d{2}(?!\d)|(?<![\d.,])\d{4,},\d{2}(?!\d)/g;
+const REGEX_MONETARIO = /R\$|(?<![\d.,])\d+(?:\.\d{3})*,\d{2}(?!\d)/;
+
+// "02/12...", "02/12/2025 ...", " 04 DEZ..." no início da linha
+const REGEX_INICIO_DATA = new RegExp(`^\\s*\\d{2}(?:\\/\\d{2}|\\s+(?:${Object.keys(MESES_PT).join('|')}))`, 'i');
+
+/**
+ * Linhas com "R$" ou valor monetário que não são origem de nenhuma transação.
+ */
+function linhasNaoReconhecidas(linhas, origens) {
+    const usadas = new Set(origens.filter(Boolean).flatMap(o => o.linhas));
+
+    const resultado = [];
+    linhas.forEach((linhaBruta, i) => {
+        const linha = linhaBruta.trim();
+        if (usadas.has(i + 1) || !REGEX_MONETARIO.test(linha)) return;
+
+        resultado.push({
+            linha: i + 1,
+            texto: linha,
+            valores: (linha.match(REGEX_VALOR_BR) || []).map(parseValorBR),
+            parece_lancamento: REGEX_INICIO_DATA.test(linha),
+        });
+    });
+    return resultado;
+}
+
+/**
+ * Diagnostica o parse do texto de uma fatura.
+ *
+ * @param {string} texto - Texto extraído do PDF
+ * @returns {{
+ *   banco: string,
+ *   candidatos: Array<{ id, nome, score, escolhido }>,
+ *   metadados: Object,
+ *   transacoes: Array<Object & { origem: { linha, linhas, texto, aproximada }|null }>,
+ *   linhas_nao_reconhecidas: Array<{ linha, texto, valores, parece_lancamento }>,
+ *   conferencia: Object,
+ *   resumo: Object,
+ * }}
+ */
+function diagnosticarTexto(texto) {
+    const { scores } = detectarParser(texto);
+    const { banco, transacoes, metadados, conferencia } = parseTextoFatura(texto);
+
+    const candidatos = scores.map(s => ({
+        id: s.id,
+        nome: (obterParser(s.id) || {}).nome || s.id,
+        score: s.score,
+        escolhido: s.id === banco,
+    }));
+
+    const linhas = texto.split('\n');
+    const origens = localizarOrigens(linhas, transacoes);
+    const naoReconhecidas = linhasNaoReconhecidas(linhas, origens);
+
+    return {
+        banco,
+        candidatos,
+        metadados,
+        transacoes: transacoes.map((t, i) => ({ ...t, origem: origens[i] })),
+        linhas_nao_reconhecidas: naoReconhecidas,
+        conferencia,
+        resumo: {
+            linhas_texto: linhas.length,
+            transacoes: transacoes.length,
+            transacoes_sem_origem: origens.filter(o => !o).length,
+            origens_aproximadas: origens.filter(o => o && o.aproximada).length,
+            linhas_nao_reconhecidas: naoReconhecidas.length,
+            parecem_lancamento: naoReconhecidas.filter(l => l.parece_lancamento).length,
+        },
+    };
+}
+
+module.exports = {
+    diagnosticarTexto,
+};
@@ -0,0 +1,161 @@
+/**
+ * OCR local para faturas digitalizadas (PDF só com imagem, sem camada de texto).
+ *
+ * Roda offline com binários do sistema:
+ *   pdftoppm  (poppler-utils)              — rasteriza as páginas em PNG
+ *   tesseract (tesseract-ocr + idioma por) — reconhece o texto; a saída TSV traz confiança por palavra
+ * Caminhos alternativos: PDFTOPPM_PATH / TESSERACT_PATH.
+ * Parâmetros em config/financial-rules.json → ocr.
+ */
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+const { localizarOrigens } = require('./statement-source-lines');
+
+const execFileAsync = promisify(execFile);
+
+const configPath = path.join(__dirname, '../../config/financial-rules.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+const OCR = {
+    ativo: true,
+    idioma: 'por',
+    dpi: 300,
+    psm: 6,
+    min_caracteres_por_pagina: 50,
+    confianca_minima_valor: 80,
+    ...(config.ocr || {}),
+};
+
+const PDFTOPPM = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const TESSERACT = process.env.TESSERACT_PATH || 'tesseract';
+const TIMEOUT_MS = 120000;
+
+// Palavra com cara de valor monetário ("1.234,56", "R$89,99")
+const REGEX_PALAVRA_VALOR = /\d,\d{2}/;
+
+const arredondar = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Camada de texto vazia ou quase: poucos caracteres úteis por página.
+ */
+function textoInsuficiente(texto, paginas) {
+    const uteis = (texto || '').replace(/\s+/g, '').length;
+    return uteis < OCR.min_caracteres_por_pagina * Math.max(1, paginas || 1);
+}
+
+async function executar(binario, args) {
+    try {
+        return await execFileAsync(binario, args, { timeout: TIMEOUT_MS, maxBuffer: 64 * 1024 * 1024 });
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            throw new Error(`OCR indisponível: "${binario}" não encontrado — instale poppler-utils e tesseract-ocr (com o idioma "${OCR.idioma}")`);
+        }
+        throw new Error(`OCR falhou em ${path.basename(binario)}: ${(err.stderr || err.message || '').toString().trim()}`);
+    }
+}
+
+/**
+ * TSV do tesseract → linhas com confiança (0–100).
+ * Colunas: level page_num block_num par_num line_num word_num left top width height conf text
+ * `confianca` é a média das palavras; `confianca_valores`, a menor entre as
+ * palavras com valor monetário (null se a linha não tem valor).
+ */
+function linhasDoTsv(tsv, pagina) {
+    const porLinha = new Map();
+    for (const registro of tsv.split('\n').slice(1)) {
+        const c = registro.split('\t');
+        if (c.length < 12 || c[0] !== '5') continue;
+
+        const texto = c[11].trim();
+        const conf = parseFloat(c[10]);
+        if (!texto || isNaN(conf) || conf < 0) continue;
+
+        const chave = `${c[2]}.${c[3]}.${c[4]}`;
+        if (!porLinha.has(chave)) porLinha.set(chave, []);
+        porLinha.get(chave).push({ texto, conf });
+    }
+
+    return [...porLinha.values()].map(palavras => {
+        const valores = palavras.filter(p => REGEX_PALAVRA_VALOR.test(p.texto));
+        return {
+            pagina,
+            texto: palavras.map(p => p.texto).join(' '),
+            confianca: arredondar(palavras.reduce((sum, p) => sum + p.conf, 0) / palavras.length),
+            confianca_valores: valores.length > 0 ? arredondar(Math.min(...valores.map(p => p.conf))) : null,
+        };
+    });
+}
+
+/**
+ * Reconhece o texto de um PDF digitalizado.
+ *
+ * @param {Buffer} buffer
+ * @returns {Promise<{ texto: string, linhas: Array<{ pagina, texto, confianca, confianca_valores }>, paginas: number, confianca_media: number|null, motor: string }>}
+ */
+async function ocrPdf(buffer) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fatura-ocr-'));
+    try {
+        const pdfPath = path.join(dir, 'fatura.pdf');
+        fs.writeFileSync(pdfPath, buffer);
+
+        await executar(PDFTOPPM, ['-r', String(OCR.dpi), '-gray', '-png', pdfPath, path.join(dir, 'pagina')]);
+
+        const imagens = fs.readdirSync(dir)
+            .filter(f => /^pagina-\d+\.png$/.test(f))
+            .sort((a, b) => parseInt(a.match(/\d+/)[0]) - parseInt(b.match(/\d+/)[0]));
+
+        const linhas = [];
+        for (let i = 0; i < imagens.length; i++) {
+            const { stdout } = await executar(TESSERACT, [
+                path.join(dir, imagens[i]), 'stdout', '-l', OCR.idioma, '--psm', String(OCR.psm), 'tsv',
+            ]);
+            linhas.push(...linhasDoTsv(stdout, i + 1));
+        }
+
+        const confiancaMedia = linhas.length > 0
+            ? arredondar(linhas.reduce((sum, l) => sum + l.confianca, 0) / linhas.length)
+            : null;
+
+        logger.info(`🔎 OCR: ${imagens.length} página(s), ${linhas.length} linhas, confiança média ${confiancaMedia ?? '-'}%`);
+
+        return {
+            texto: linhas.map(l => l.texto).join('\n'),
+            linhas,
+            paginas: imagens.length,
+            confianca_media: confiancaMedia,
+            motor: 'tesseract',
+        };
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Marca cada transação com a confiança do OCR no valor (`ocr_confianca`) e
+ * `revisar_valor` quando ela fica abaixo de ocr.confianca_minima_valor ou a
+ * linha de origem não foi encontrada. Altera as transações no lugar.
+ *
+ * @returns {number} Quantidade de valores para revisar
+ */
+function aplicarConfiancaOcr(transacoes, ocr) {
+    const origens = localizarOrigens(ocr.texto.split('\n'), transacoes);
+
+    let paraRevisar = 0;
+    transacoes.forEach((t, i) => {
+        const linha = origens[i] ? ocr.linhas[origens[i].linha - 1] : null;
+        t.ocr_confianca = linha ? (linha.confianca_valores ?? linha.confianca) : null;
+        t.revisar_valor = t.ocr_confianca === null || t.ocr_confianca < OCR.confianca_minima_valor;
+        if (t.revisar_valor) paraRevisar++;
+    });
+    return paraRevisar;
+}
+
+module.exports = {
+    OCR_ATIVO: OCR.ativo,
+    textoInsuficiente,
+    ocrPdf,
+    aplicarConfiancaOcr,
+};
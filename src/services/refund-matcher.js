@@ -0,0 +1,72 @@
+/**
+ * Vincula estornos/créditos à compra original.
+ *
+ * Um estorno casa com uma compra do mesmo cartão quando o valor é igual
+ * (em módulo), a compra é anterior ao estorno e as descrições batem depois
+ * de remover prefixos como "ESTORNO", "CRÉDITO", "DEVOLUÇÃO".
+ */
+const repo = require('../repositories/card-statements-repo');
+const logger = require('../utils/logger');
+
+const PREFIXOS_ESTORNO = /^(estorno|cr[eé]dito|devolu[cç][aã]o|reembolso|cancelamento|chargeback|ajuste cred\w*)(\s+(de|da|do|ref\.?))?\s+/i;
+
+/**
+ * Normaliza descrição para comparação: sem prefixo de estorno, sem parcela,
+ * sem acentos, só letras/dígitos.
+ */
+function normalizarDescricao(descricao) {
+    let desc = (descricao || '').trim();
+    while (PREFIXOS_ESTORNO.test(desc)) {
+        desc = desc.replace(PREFIXOS_ESTORNO, '');
+    }
+    return desc
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        // Contador da parcela, inclusive grudado no texto ("CNPARC 01/03", "SEGU 04 DE 10")
+        .replace(/(PARC(ELA)?\.?\s*)?\d+\s*(\/|DE)\s*\d+/gi, '')
+        .replace(/[^a-z0-9]/gi, '')
+        .toUpperCase();
+}
+
+function descricoesBatem(descEstorno, descCompra) {
+    const a = normalizarDescricao(descEstorno);
+    const b = normalizarDescricao(descCompra);
+    if (a.length < 3 || b.length < 3) return false;
+    return a === b || a.includes(b) || b.includes(a);
+}
+
+/**
+ * Procura a compra original de cada estorno ainda não vinculado da fatura.
+ * Se o estorno está sem categoria, herda a da compra.
+ *
+ * @param {number} statementId
+ * @param {string} cardName
+ * @returns {Promise<Array<{ refund_id: number, purchase_id: number }>>}
+ */
+async function vincularEstornos(statementId, cardName) {
+    const transacoes = await repo.getTransactions(statementId);
+    const estornos = transacoes.filter(t => t.kind === 'refund' && !t.refund_of);
+    const vinculos = [];
+
+    for (const estorno of estornos) {
+        const candidatos = await repo.findRefundCandidates(cardName, Math.abs(estorno.amount), estorno.date);
+        const compra = candidatos.find(c => descricoesBatem(estorno.description, c.description));
+        if (!compra) continue;
+
+        await repo.setRefundOf(estorno.id, compra.id);
+        vinculos.push({ refund_id: estorno.id, purchase_id: compra.id });
+
+        const semCategoria = !estorno.category || estorno.category.includes('NÃO CLASSIFICADO');
+        if (semCategoria && compra.category && !compra.category.includes('NÃO CLASSIFICADO')) {
+            await repo.updateTransactionCategory(estorno.id, compra.category, compra.confidence, compra.category_source, compra.mapping_key);
+        }
+
+        logger.info(`↩️  Estorno "${estorno.description}" (R$ ${estorno.amount.toFixed(2)}) vinculado à compra ${compra.id} "${compra.description}"`);
+    }
+
+    return vinculos;
+}
+
+module.exports = {
+    vincularEstornos,
+    normalizarDescricao,
+};
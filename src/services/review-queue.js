@@ -0,0 +1,201 @@
+/**
+ * Fila de revisão — transações de todas as faturas que precisam de um olhar
+ * antes do envio ao Olist, das mais caras e incertas para as mais baratas.
+ *
+ * Motivos (uma transação pode ter vários):
+ *   nao_classificado — sem categoria (⚠️ NÃO CLASSIFICADO);
+ *   confianca_media  — memória parcial ou modelo local abaixo de probabilidade_alta;
+ *   divergencia      — memória e regras casam com categorias diferentes;
+ *   sugestao_ia      — proposta da IA aguardando aceite.
+ * Prioridade = |valor| × incerteza, com a incerteza do motivo mais forte
+ * (fila_revisao.pesos; para a IA, 1 - confiança/100).
+ *
+ * Toda decisão da fila vira categoria manual e ensina a memória (salvarMapeamento).
+ */
+const fs = require('fs');
+const path = require('path');
+const repo = require('../repositories/card-statements-repo');
+const aiSuggestionsRepo = require('../repositories/ai-suggestions-repo');
+const {
+    classificarItem, classificarPorMemoria, carregarMapeamentos, carregarRegras, indexarMapeamentos,
+    salvarMapeamento, registrarSobrescritaMemoria, transacaoParaItem,
+} = require('./expense-classifier');
+const { compilarRegras } = require('./classification-rules');
+const { carregarModeloAtivo, preverCategoria } = require('./local-classifier');
+const logger = require('../utils/logger');
+
+const configPath = path.join(__dirname, '../../config/financial-rules.json');
+const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+const cfg = config.fila_revisao || {};
+
+const MOTIVOS = ['nao_classificado', 'confianca_media', 'divergencia', 'sugestao_ia'];
+const PESOS = { nao_classificado: 1, divergencia: 0.75, confianca_media: 0.5, ...(cfg.pesos || {}) };
+
+const semCategoria = (categoria) => !categoria || categoria.trim() === '' || categoria.includes('NÃO CLASSIFICADO');
+
+/**
+ * Motivos da transação entrar na fila e a categoria sugerida para ela.
+ * @returns {{ motivos: string[], incerteza: number, sugestao: Object|null }|null} null = não precisa de revisão
+ */
+function avaliarTransacao(t, { memoria, regras, modelo }) {
+    const motivos = [];
+    let incerteza = 0;
+    let sugestao = null;
+    const marcar = (motivo, peso) => {
+        motivos.push(motivo);
+        incerteza = Math.max(incerteza, peso);
+    };
+
+    const item = transacaoParaItem(t);
+    const contexto = { cartao: t.card_name };
+
+    if (t.sugestao_id) {
+        marcar('sugestao_ia', Math.max(0, 1 - (Number(t.sugestao_confianca) || 0) / 100));
+        sugestao = { categoria: t.sugestao_categoria, origem: 'ia', motivo: t.sugestao_motivo || null, sugestao_id: t.sugestao_id };
+    }
+
+    if (semCategoria(t.category)) {
+        marcar('nao_classificado', PESOS.nao_classificado);
+        if (!sugestao && modelo) {
+            const previsao = preverCategoria(modelo.compilado, { descricao: item.descricao, valor: item.valor, cartao: t.card_name });
+            if (previsao) {
+                sugestao = {
+                    categoria: previsao.categoria,
+                    origem: 'modelo',
+                    motivo: `modelo local: ${Math.round(previsao.probabilidade * 100)}%`,
+                };
+            }
+        }
+    } else if (t.confidence === 'media') {
+        marcar('confianca_media', PESOS.confianca_media);
+        if (!sugestao) sugestao = { categoria: t.category, origem: t.category_source || null, motivo: 'categoria atual' };
+    }
+
+    if (t.category_source === 'memória' || t.category_source === 'regra') {
+        const porMemoria = classificarPorMemoria(item.descricao, memoria);
+        const porRegra = classificarItem(item, null, regras, contexto);
+        if (porMemoria.categoria && porRegra.fonte === 'regra' && porMemoria.categoria !== porRegra.categoria) {
+            marcar('divergencia', PESOS.divergencia);
+            if (!sugestao) {
+                // A categoria que a transação não recebeu é a alternativa a conferir
+                sugestao = t.category_source === 'memória'
+                    ? { categoria: porRegra.categoria, origem: 'regra', motivo: `regra: ${porRegra.regra_match}` }
+                    : { categoria: porMemoria.categoria, origem: 'memória', motivo: porMemoria.regra_match };
+            }
+        }
+    }
+
+    if (motivos.length === 0) return null;
+    return { motivos, incerteza, sugestao };
+}
+
+/**
+ * @param {{ motivo?: string, card?: string, desde?: string, limite?: number }} [filtros]
+ */
+async function montarFilaRevisao({ motivo, card, desde, limite } = {}) {
+    const transacoes = await repo.getTransactionsForReview({ card, desde });
+    const contexto = {
+        memoria: indexarMapeamentos(await carregarMapeamentos()),
+        regras: compilarRegras(await carregarRegras()),
+        modelo: await carregarModeloAtivo(),
+    };
+
+    const porMotivo = Object.fromEntries(MOTIVOS.map(m => [m, 0]));
+    const itens = [];
+    for (const t of transacoes) {
+        const avaliacao = avaliarTransacao(t, contexto);
+        if (!avaliacao) continue;
+        for (const m of avaliacao.motivos) porMotivo[m]++;
+        if (motivo && !avaliacao.motivos.includes(motivo)) continue;
+
+        itens.push({
+            id: t.id,
+            statement_id: t.statement_id,
+            cartao: t.card_name,
+            vencimento: t.due_date,
+            data: t.date,
+            descricao: t.description,
+            valor: t.amount,
+            parcela: t.installment,
+            cartao_final: t.card_final,
+            portador: t.employee_name || t.card_holder_name || null,
+            categoria: semCategoria(t.category) ? null : t.category,
+            confianca: t.confidence,
+            fonte: t.category_source,
+            motivos: avaliacao.motivos,
+            incerteza: Math.round(avaliacao.incerteza * 100) / 100,
+            prioridade: Math.round(Math.abs(t.amount || 0) * avaliacao.incerteza * 100) / 100,
+            sugestao: avaliacao.sugestao,
+        });
+    }
+
+    itens.sort((a, b) => b.prioridade - a.prioridade || Math.abs(b.valor || 0) - Math.abs(a.valor || 0));
+    const max = limite || cfg.limite || 500;
+    return {
+        total: itens.length,
+        valor_total: Math.round(itens.reduce((s, i) => s + Math.abs(i.valor || 0), 0) * 100) / 100,
+        por_motivo: porMotivo,
+        itens: itens.slice(0, max),
+    };
+}
+
+/**
+ * Aplica as decisões da fila: categoria manual, sugestão da IA resolvida,
+ * sobrescrita da memória contada e mapeamento ensinado. Transação já
+ * enviada ao Olist é recusada (erro por item).
+ *
+ * @param {Array<{ transaction_id: number, categoria: string }>} decisoes
+ * @param {{ usuario?: string }} [origem]
+ * @returns {Promise<{ aplicadas: number, erros: Array<{ transaction_id, erro }> }>}
+ */
+async function aplicarDecisoes(decisoes, { usuario } = {}) {
+    const faturas = new Set();
+    const erros = [];
+    let aplicadas = 0;
+    let memoria = null; // só para transações de antes da mapping_key, carregada uma vez
+
+    for (const d of decisoes) {
+        const transactionId = Number(d.transaction_id);
+        const categoria = String(d.categoria || '').trim();
+        if (!transactionId || !categoria) {
+            erros.push({ transaction_id: d.transaction_id ?? null, erro: 'Transação ou categoria não informada' });
+            continue;
+        }
+        try {
+            const transacao = await repo.getTransactionById(transactionId);
+            if (!transacao) {
+                erros.push({ transaction_id: transactionId, erro: 'Transação não encontrada' });
+                continue;
+            }
+            // Já enviada ao Olist: a categoria lá não muda, e a fila nem mostra essas transações
+            if (Number(transacao.sent_to_olist) === 1) {
+                erros.push({ transaction_id: transactionId, erro: 'Transação já enviada ao Olist' });
+                continue;
+            }
+
+            if (transacao.category_source === 'memória' && !transacao.mapping_key && !memoria) {
+                memoria = indexarMapeamentos(await carregarMapeamentos());
+            }
+            await repo.updateTransactionCategory(transactionId, categoria, 'manual', 'manual');
+            await registrarSobrescritaMemoria(transacao, categoria, memoria);
+            await salvarMapeamento(transacao.description, categoria, { usuario, transacaoId: transactionId });
+            await aiSuggestionsRepo.resolverPorTransacao(transactionId, categoria, usuario);
+            faturas.add(transacao.statement_id);
+            aplicadas++;
+        } catch (e) {
+            logger.error(`❌ Erro ao aplicar decisão da fila de revisão (transação ${transactionId}): ${e.message}`);
+            erros.push({ transaction_id: transactionId, erro: e.message });
+        }
+    }
+
+    for (const statementId of faturas) await repo.updateStatementCounts(statementId);
+    if (aplicadas > 0) logger.info(`📋 Fila de revisão: ${aplicadas} transação(ões) categorizada(s)${usuario ? ` por ${usuario}` : ''}`);
+    return { aplicadas, erros };
+}
+
+module.exports = {
+    MOTIVOS,
+    avaliarTransacao,
+    montarFilaRevisao,
+    aplicarDecisoes,
+};
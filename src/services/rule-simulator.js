@@ -0,0 +1,115 @@
+/**
+ * Simulação de regras de classificação.
+ *
+ * Roda um rascunho das regras de Configurações contra o histórico de
+ * card_transactions e compara com as regras salvas, sem gravar nada:
+ *   mudancas        — transações que mudariam de categoria (de → para);
+ *   conflitos       — regra do rascunho que casa, mas a memória (learned_mappings)
+ *                     vence com outra categoria;
+ *   regras_sem_match — regras do rascunho que não casam com nenhuma transação.
+ * Transações categorizadas à mão não são reclassificadas e ficam só contadas.
+ */
+const repo = require('../repositories/card-statements-repo');
+const {
+    classificarItem, carregarMapeamentos, carregarRegras, indexarMapeamentos, normalizarDescricao,
+    transacaoParaItem,
+} = require('./expense-classifier');
+const { compilarRegras, condicoesAtendidas, normalizarRegra } = require('./classification-rules');
+
+const MAX_EXEMPLOS = 5;
+
+function regraCasa(regra, item, contexto) {
+    return (regra.regex.test(item.descricao) || regra.regex.test(normalizarDescricao(item.descricao)))
+        && condicoesAtendidas(regra, item, contexto);
+}
+
+/**
+ * @param {Array} rascunho - Regras como enviadas ao PUT /classification-rules
+ * @param {{ desde?: string }} [opcoes] - Só transações a partir da data (YYYY-MM-DD)
+ */
+async function simularRegras(rascunho, { desde } = {}) {
+    const regrasRascunho = rascunho.map(normalizarRegra);
+    const atuais = compilarRegras(await carregarRegras());
+    const novas = compilarRegras(await carregarRegras(regrasRascunho));
+    const memoria = indexarMapeamentos(await carregarMapeamentos());
+    const transacoes = await repo.getTransactionsForRuleSimulation({ desde });
+
+    // As regras do rascunho vêm antes das de financial-rules.json: ordem < tamanho do rascunho
+    const doRascunho = (regra) => regra.ordem < regrasRascunho.length;
+    const acertos = new Array(regrasRascunho.length).fill(0);
+    const mudancas = new Map();
+    const conflitos = new Map();
+    let alteradas = 0;
+    let manuais = 0;
+
+    for (const t of transacoes) {
+        const item = transacaoParaItem(t);
+        const contexto = { cartao: t.card_name };
+
+        const casadas = novas.filter(r => regraCasa(r, item, contexto));
+        for (const regra of casadas) {
+            if (doRascunho(regra)) acertos[regra.ordem]++;
+        }
+
+        const antes = classificarItem(item, memoria, atuais, contexto);
+        if (antes.fonte === 'encargo') continue;
+
+        if (antes.fonte === 'memória') {
+            // Memória vence as regras: a regra do rascunho que seria aplicada fica sem efeito
+            const vencedora = casadas[0];
+            if (vencedora && doRascunho(vencedora) && vencedora.categoria !== antes.categoria) {
+                const chave = `${vencedora.ordem}|${antes.regra_match}`;
+                if (!conflitos.has(chave)) {
+                    conflitos.set(chave, {
+                        indice: vencedora.ordem,
+                        padrao: vencedora.padrao,
+                        categoria_regra: vencedora.categoria,
+                        memoria: antes.regra_match,
+                        categoria_memoria: antes.categoria,
+                        quantidade: 0,
+                    });
+                }
+                conflitos.get(chave).quantidade++;
+            }
+            continue;
+        }
+
+        const depois = classificarItem(item, null, novas, contexto);
+        if (antes.categoria === depois.categoria) continue;
+        if (t.category_source === 'manual') {
+            manuais++;
+            continue;
+        }
+
+        alteradas++;
+        const chave = `${antes.categoria}→${depois.categoria}`;
+        if (!mudancas.has(chave)) {
+            mudancas.set(chave, { de: antes.categoria, para: depois.categoria, quantidade: 0, valor: 0, exemplos: [] });
+        }
+        const m = mudancas.get(chave);
+        m.quantidade++;
+        m.valor = Math.round((m.valor + (t.amount || 0)) * 100) / 100;
+        if (m.exemplos.length < MAX_EXEMPLOS) {
+            m.exemplos.push({
+                id: t.id, data: t.date, descricao: t.description, valor: t.amount,
+                cartao: t.card_name, categoria_atual: t.category, regra: depois.regra_match,
+            });
+        }
+    }
+
+    return {
+        total_transacoes: transacoes.length,
+        alteradas,
+        ignoradas_manuais: manuais,
+        mudancas: [...mudancas.values()].sort((a, b) => b.quantidade - a.quantidade),
+        conflitos: [...conflitos.values()].sort((a, b) => b.quantidade - a.quantidade),
+        regras_sem_match: regrasRascunho
+            .map((r, indice) => ({ indice, padrao: r.padrao, categoria: r.categoria, acertos: acertos[indice] }))
+            .filter(r => r.acertos === 0),
+        acertos_por_regra: acertos,
+    };
+}
+
+module.exports = {
+    simularRegras,
+};
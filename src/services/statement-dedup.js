@@ -0,0 +1,93 @@
+/**
+ * Detecção de fatura reimportada.
+ *
+ * Duas chaves gravadas em card_statements:
+ *   content_hash — SHA-256 do arquivo: pega a cópia exata do mesmo PDF/OFX/CSV;
+ *   fingerprint  — cartão + vencimento + total + quantidade de transações:
+ *                  pega a mesma fatura baixada de novo (bytes diferentes, mesmo conteúdo).
+ * Fatura do mesmo cartão no mesmo mês sem bater nenhuma das duas é só aviso:
+ * pode ser uma fatura separada legítima.
+ */
+const crypto = require('crypto');
+
+const centavos = (v) => Math.round(Math.abs(Number(v) || 0) * 100) * Math.sign(Number(v) || 0);
+
+function hashConteudo(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * "Cartão Caixa|2026-01-12|12204.24|49"
+ *
+ * @param {{ card_name: string, due_date?: string, statement_date?: string, total_amount: number, total_transactions: number }} fatura
+ */
+function calcularFingerprint({ card_name, due_date, statement_date, total_amount, total_transactions }) {
+    const data = due_date || statement_date || '';
+    const total = (centavos(total_amount) / 100).toFixed(2);
+    return `${card_name}|${data}|${total}|${total_transactions}`;
+}
+
+function chaveTransacao(t) {
+    const data = t.data || t.date || '';
+    const descricao = (t.descricao || t.description || '').replace(/\s+/g, ' ').trim().toUpperCase();
+    const valor = centavos(t.valor ?? t.amount);
+    const parcela = t.parcela || t.installment || '';
+    return `${data}|${descricao}|${valor}|${parcela}`;
+}
+
+/**
+ * Substituição de fatura: leva para as transações novas o que já foi feito
+ * nas antigas equivalentes (mesma data, descrição, valor e parcela) —
+ * categoria/confiança/origem (só se a antiga tem categoria e origem), observação,
+ * conciliação e marcação de envio ao Olist.
+ * A nova pareada recebe `id_anterior`: replaceStatement atualiza essa linha
+ * no lugar em vez de apagar e inserir. Altera `novas` no lugar.
+ *
+ * @param {Array} antigas - Linhas de card_transactions da fatura existente
+ * @param {Array} novas - Itens classificados do novo arquivo
+ * @returns {{ mantidas: number, novas: number, removidas: Array, removidas_enviadas: Array }}
+ */
+function herdarClassificacoes(antigas, novas) {
+    const porChave = new Map();
+    for (const antiga of antigas) {
+        const chave = chaveTransacao(antiga);
+        if (!porChave.has(chave)) porChave.set(chave, []);
+        porChave.get(chave).push(antiga);
+    }
+
+    let mantidas = 0;
+    for (const nova of novas) {
+        const fila = porChave.get(chaveTransacao(nova));
+        const antiga = fila && fila.shift();
+        if (!antiga) continue;
+
+        mantidas++;
+        nova.id_anterior = antiga.id;
+        // Só categoria de verdade e com origem conhecida vence a classificação nova
+        const categoriaReal = antiga.category && !antiga.category.includes('NÃO CLASSIFICADO');
+        if (categoriaReal && antiga.category_source) {
+            nova.categoria = antiga.category;
+            nova.confianca = antiga.confidence;
+            nova.fonte = antiga.category_source;
+            nova.mapeamento = antiga.mapping_key || null;
+        }
+        if (antiga.notes) nova.notes = antiga.notes;
+        nova.reconciled = antiga.reconciled;
+        nova.sent_to_olist = antiga.sent_to_olist;
+        nova.olist_id = antiga.olist_id;
+    }
+
+    const removidas = [...porChave.values()].flat();
+    return {
+        mantidas,
+        novas: novas.length - mantidas,
+        removidas,
+        removidas_enviadas: removidas.filter(t => Number(t.sent_to_olist) === 1),
+    };
+}
+
+module.exports = {
+    hashConteudo,
+    calcularFingerprint,
+    herdarClassificacoes,
+};
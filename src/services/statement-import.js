@@ -0,0 +1,96 @@
+/**
+ * Importação de fatura por tipo de arquivo: PDF, OFX (SGML/XML) ou CSV.
+ * Todos devolvem { banco, transacoes, metadados, conferencia }, então
+ * classificação, gravação e envio ao Olist não mudam com o formato.
+ * `ocr` só vem preenchido para PDF digitalizado (ver pdf-ocr).
+ */
+const path = require('path');
+const { parsePdfFatura } = require('./pdf-parser');
+const { parseOfxFatura } = require('./ofx-parser');
+const { parseCsvFatura } = require('./csv-parser');
+const { listarParsers } = require('./statement-parsers');
+const cardRulesRepo = require('../repositories/card-rules-repo');
+
+const EXTENSOES = {
+    '.pdf': 'pdf',
+    '.ofx': 'ofx',
+    '.qfx': 'ofx',
+    '.csv': 'csv',
+    '.txt': 'csv',
+};
+
+const MIMETYPES = {
+    'application/pdf': 'pdf',
+    'application/x-ofx': 'ofx',
+    'application/ofx': 'ofx',
+    'text/csv': 'csv',
+};
+
+/**
+ * Tipo do arquivo pela extensão (navegadores mandam OFX/CSV com mimetypes
+ * variados, como application/octet-stream ou application/vnd.ms-excel).
+ *
+ * @returns {'pdf'|'ofx'|'csv'|null}
+ */
+function tipoArquivoFatura(nome, mimetype) {
+    const ext = path.extname(nome || '').toLowerCase();
+    return EXTENSOES[ext] || MIMETYPES[mimetype] || null;
+}
+
+/**
+ * fileFilter do multer para uploads de fatura.
+ */
+function filtroArquivoFatura(req, file, cb) {
+    if (tipoArquivoFatura(file.originalname, file.mimetype)) cb(null, true);
+    else cb(new Error('Apenas arquivos PDF, OFX ou CSV são aceitos'), false);
+}
+
+/**
+ * Banco escolhido pelo usuário no upload: precisa ser o id de um parser
+ * registrado ou um cartão cadastrado (card_accounts) — é ele que define o cartão.
+ *
+ * @returns {Promise<string|null>} mensagem do problema, ou null se é válido (ou não foi informado)
+ */
+async function validarBancoInformado(banco) {
+    if (!banco) return null;
+    const parsers = listarParsers();
+    if (parsers.some(p => p.id === banco)) return null;
+    if (await cardRulesRepo.getCardAccountByName(banco)) return null;
+    return `Banco inválido: "${banco}" (disponíveis: ${parsers.map(p => p.id).join(', ')})`;
+}
+
+/**
+ * @param {{ buffer: Buffer, originalname?: string, mimetype?: string }} arquivo
+ * @param {{ formato?: string, banco?: string }} [opcoes] - formato CSV (csv_formatos) e banco forçado
+ * @returns {Promise<{ banco, transacoes, metadados, conferencia, ocr, tipo }>}
+ */
+async function parseArquivoFatura(arquivo, opcoes = {}) {
+    const tipo = tipoArquivoFatura(arquivo.originalname, arquivo.mimetype);
+
+    let resultado;
+    switch (tipo) {
+        case 'ofx':
+            resultado = parseOfxFatura(arquivo.buffer);
+            break;
+        case 'csv':
+            resultado = parseCsvFatura(arquivo.buffer, opcoes);
+            break;
+        case 'pdf':
+            resultado = await parsePdfFatura(arquivo.buffer);
+            break;
+        default:
+            throw new Error(`Tipo de arquivo não suportado: ${arquivo.originalname || arquivo.mimetype}`);
+    }
+
+    // OFX sem FID/ORG reconhecível: o banco escolhido pelo usuário prevalece (no CSV já é tratado no parser)
+    if (opcoes.banco && tipo === 'ofx') resultado.banco = opcoes.banco;
+
+    return { ocr: null, ...resultado, tipo };
+}
+
+module.exports = {
+    parseArquivoFatura,
+    validarBancoInformado,
+    tipoArquivoFatura,
+    filtroArquivoFatura,
+};
@@ -0,0 +1,121 @@
+/**
+ * Parser: Bradesco (Bradesco Cartões Empresariais).
+ */
+const {
+    parseValorBR,
+    inferirAnoMesFatura,
+    extrairMetadadosBase,
+    classificarLancamento,
+    lerConversaoSeguinte,
+} = require('./parser-utils');
+
+/**
+ * Pontua baixo só com "bradesco": o nome pode aparecer como estabelecimento
+ * (ex: "BRADESCO SEGUROS") em faturas de outros bancos.
+ */
+function detect(texto) {
+    const t = texto.toLowerCase();
+    if (t.includes('bradesco cartões') || t.includes('bradesco cartoes') || t.includes('bradescard')) return 90;
+    if (t.includes('banco bradesco')) return 80;
+    if (t.includes('bradesco')) return 20;
+    return 0;
+}
+
+/**
+ * Vencimento e "Total da fatura" seguem os formatos comuns.
+ */
+function extractMetadata(texto) {
+    return extrairMetadadosBase(texto);
+}
+
+/**
+ * Parser para faturas corporativas do Bradesco (Bradesco Cartões Empresariais).
+ * Formato observado — data, histórico, cidade e valor; créditos com "-" ao final:
+ *   "05/12 POSTO TREVO LAGES 250,00"
+ *   "12/11 LOJAS RENNER PARC 02/05 FLORIANOPOLIS 150,00"
+ *   "20/12 PAGTO. POR DEB EM C/C 3.210,55-"      (ignorado)
+ *   "22/12 ESTORNO LOJAS RENNER FLORIANOPOLIS 150,00-"  (estorno, valor negativo)
+ * Despesas no exterior trazem na linha de baixo a moeda, o valor original e a cotação:
+ *   "08/12 GOOGLE *ADS DUBLIN 245,32" / "EUR 40,00 Cotação R$ 6,1330"
+ * e o IOF vem em lançamento próprio ("IOF S/ TRANSACAO EXTERIOR").
+ * A seção "Parcelas a vencer" lista parcelas futuras e é ignorada.
+ */
+function parse(texto, metadados) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+    const { stmtYear, stmtMonth } = inferirAnoMesFatura(metadados);
+
+    // DD/MM + histórico (+ cidade) + valor com vírgula decimal + (opcional "-")
+    const regexLinha = /^(\d{2}\/\d{2})\s*(.+?)\s*((?:\d{1,3}\.)*\d{1,3},\d{2})\s*(-?)$/;
+    // Parcela: "PARC 02/05", "PARCELA 02/05" ou "02/05" isolado no histórico
+    const regexParcela = /\s*PARC(?:ELA)?\.?\s*(\d{1,2})\/(\d{1,2})\s*|\s(\d{2})\/(\d{2})(?=\s|$)/i;
+
+    const ignorar = /^(PAGTO|PAGAMENTO|SALDO ANTERIOR|Total)/i;
+
+    let emParcelasFuturas = false;
+
+    for (let i = 0; i < linhas.length; i++) {
+        const trimmed = linhas[i].trim();
+        if (!trimmed) continue;
+
+        if (/parcelas a vencer|pr[óo]ximas faturas/i.test(trimmed)) {
+            emParcelasFuturas = true;
+            continue;
+        }
+        if (/^Lan[çc]amentos/i.test(trimmed)) {
+            emParcelasFuturas = false;
+            continue;
+        }
+        if (emParcelasFuturas) continue;
+
+        const match = trimmed.match(regexLinha);
+        if (!match) continue;
+
+        const [, dataCurta, descricaoRaw, valorRaw, sinal] = match;
+
+        let descricao = descricaoRaw.trim();
+        if (!descricao || ignorar.test(descricao)) continue;
+
+        const valorAbs = parseValorBR(valorRaw);
+        if (isNaN(valorAbs) || valorAbs <= 0) continue;
+
+        // "-" ao final = crédito
+        const lancamento = classificarLancamento(descricao, valorAbs, sinal === '-');
+        if (!lancamento) continue;
+
+        let parcela = null;
+        const mParc = descricao.match(regexParcela);
+        if (mParc) {
+            const atual = parseInt(mParc[1] || mParc[3], 10);
+            const total = parseInt(mParc[2] || mParc[4], 10);
+            if (atual >= 1 && total >= 2 && atual <= total) {
+                parcela = `${atual}/${total}`;
+                descricao = descricao.replace(mParc[0], ' ').replace(/\s+/g, ' ').trim();
+            }
+        }
+
+        const [dia, mes] = dataCurta.split('/');
+        const txMonth = parseInt(mes, 10);
+        const txYear = txMonth > stmtMonth ? stmtYear - 1 : stmtYear;
+
+        transacoes.push({
+            data: `${dia}/${mes}/${txYear}`,
+            descricao: descricao.toUpperCase().trim(),
+            valor: lancamento.valor,
+            parcela,
+            kind: lancamento.kind,
+            ...(lerConversaoSeguinte(linhas, i, valorAbs) || {}),
+        });
+    }
+
+    return transacoes;
+}
+
+module.exports = {
+    id: 'bradesco',
+    nome: 'Bradesco',
+    cardName: 'Cartão Bradesco',
+    detect,
+    extractMetadata,
+    parse,
+};
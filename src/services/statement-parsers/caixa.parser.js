@@ -0,0 +1,198 @@
+/**
+ * Parser: Caixa Econômica Federal (Cartões Caixa Empresarial).
+ */
+const {
+    parseValorBR,
+    inferirAnoMesFatura,
+    extrairMetadadosBase,
+    dataNaLinhaSeguinte,
+    classificarLancamento,
+    KINDS_ENCARGO,
+} = require('./parser-utils');
+
+/**
+ * Detecta pelo telefone de atendimento ou texto característico.
+ */
+function detect(texto) {
+    const t = texto.toLowerCase();
+    if (t.includes('cartões caixa') || t.includes('cartao caixa') || t.includes('40040104')) return 90;
+    if (t.includes('caixa econômica') || t.includes('caixa economica')) return 80;
+    return 0;
+}
+
+/**
+ * Vencimento: "VENCIMENTO\n12/01/2026" (rótulo em linha isolada).
+ */
+function extractMetadata(texto) {
+    const metadados = extrairMetadadosBase(texto);
+    const linhas = texto.split('\n');
+
+    for (let i = 0; i < linhas.length; i++) {
+        const vencimento = dataNaLinhaSeguinte(linhas, i, /^VENCIMENTO$/i);
+        if (vencimento) {
+            metadados.vencimento = vencimento;
+            break;
+        }
+    }
+
+    return metadados;
+}
+
+/**
+ * Parser para faturas da Caixa Econômica Federal.
+ * Formato real: "02/12STOK CENTER 30LAGES341,76D"
+ * — Data DD/MM colada na descrição, cidade colada no valor, D ou C no final.
+ * Compras internacionais ocupam três linhas — descrição, cidade/país e
+ * "111,31D20,00" (valor em R$, D/C, valor original). A moeda original só é
+ * preenchida quando a compra traz a sigla ("EUR", "USD"); sem ela, moeda e
+ * cotação ficam null.
+ * Faturas empresariais agrupam por cartão adicional: "GUILHERME G ELLER (Cartão 1430)"
+ * abre o bloco do portador e "COMPRAS PARCELADAS (Cartão 1430)" a seção dentro dele.
+ */
+function parse(texto, metadados) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+
+    const { stmtYear, stmtMonth } = inferirAnoMesFatura(metadados);
+
+    // Caixa formato real: "02/12STOK CENTER 30LAGES341,76D"
+    // Parcelada: "29/08PLASNOX                   05 DE 18GASPAR6.389,04D"
+    // IMPORTANTE: o valor deve ser <= 99.999,99 (valores gigantes são IDs de beneficiário)
+    // Regex: começa com DD/MM, termina com valor decimal + D ou C no final
+    // O valor DEVE ter vírgula decimal - ex: 341,76 ou 1.322,06
+    const regexLinha = /^(\d{2}\/\d{2})(.+?)((?:(?:\d{1,3}\.)?\d{1,3},\d{2}))\s*([DC])\s*$/;
+
+    // Filtros de linhas a ignorar
+    const ignorar = /^(TOTAL|DataDescri|Saldo)/i;
+
+    const regexValoresInternacional = /^((?:\d{1,3}\.)*\d{1,3},\d{2})([DC])\s*(?:[A-Z]{3}\s*)?((?:\d{1,3}\.)*\d{1,3},\d{2})(?:\s*[A-Z]{3})?$/;
+    const regexMoeda = /\b(USD|EUR|GBP|ARS|CAD|AUD|CHF|JPY|UYU|CLP|PYG|MXN|CNY)\b/;
+    let emInternacionais = false;
+    let compraInternacional = null;
+
+    // Cartão/portador/seção do bloco atual — lançamentos antes do primeiro bloco (créditos gerais) ficam sem cartão
+    const regexBlocoCartao = /^(.+?)\s*\(Cart[ãa]o\s+(\d{4})\)$/i;
+    const regexSecao = /^(COMPRAS(?: PARCELADAS| INTERNACIONAIS)?|OUTROS|SAQUES?|ENCARGOS|PARCELAMENTOS?|PAGAMENTOS)$/i;
+    let cartao = { cartao_final: null, portador: null, secao: null };
+
+    const completarData = (dataRaw) => {
+        const [, mesRaw] = dataRaw.split('/');
+        const txMonth = parseInt(mesRaw, 10);
+        const txYear = txMonth > stmtMonth ? stmtYear - 1 : stmtYear;
+        return `${dataRaw}/${txYear}`;
+    };
+
+    for (const linha of linhas) {
+        const trimmed = linha.trim();
+        if (!trimmed || trimmed.length < 10) continue;
+
+        const mBloco = trimmed.match(regexBlocoCartao);
+        if (mBloco) {
+            const titulo = mBloco[1].trim();
+            cartao = regexSecao.test(titulo)
+                ? { ...cartao, cartao_final: mBloco[2], secao: titulo.toUpperCase() }
+                : { cartao_final: mBloco[2], portador: titulo, secao: null };
+        }
+
+        if (/^COMPRAS INTERNACIONAIS/i.test(trimmed)) {
+            emInternacionais = true;
+            continue;
+        }
+        if (/^Total COMPRAS INTERNACIONAIS/i.test(trimmed)) {
+            emInternacionais = false;
+            compraInternacional = null;
+            continue;
+        }
+
+        if (emInternacionais && !regexLinha.test(trimmed)) {
+            const mValores = trimmed.match(regexValoresInternacional);
+            if (mValores && compraInternacional) {
+                const valorBRL = parseValorBR(mValores[1]);
+                const valorOriginal = parseValorBR(mValores[3]);
+                const moeda = (`${compraInternacional.complemento} ${trimmed}`.match(regexMoeda) || [])[1] || null;
+                const lancamento = classificarLancamento(compraInternacional.descricao, valorBRL, mValores[2] === 'C');
+                if (lancamento && valorBRL > 0) {
+                    transacoes.push({
+                        data: completarData(compraInternacional.dataRaw),
+                        descricao: compraInternacional.descricao.toUpperCase(),
+                        valor: lancamento.valor,
+                        parcela: null,
+                        kind: lancamento.kind,
+                        moeda_original: moeda,
+                        valor_original: valorOriginal,
+                        cotacao: moeda && valorOriginal > 0 ? Math.round((valorBRL / valorOriginal) * 10000) / 10000 : null,
+                        ...cartao,
+                    });
+                }
+                compraInternacional = null;
+                continue;
+            }
+            const mCompra = trimmed.match(/^(\d{2}\/\d{2})(.+)$/);
+            if (mCompra) {
+                compraInternacional = { dataRaw: mCompra[1], descricao: mCompra[2].trim(), complemento: '' };
+                continue;
+            }
+            if (compraInternacional) {
+                // Cidade / país entre a descrição e os valores
+                compraInternacional.complemento += ` ${trimmed}`;
+                continue;
+            }
+        }
+
+        const match = trimmed.match(regexLinha);
+        if (!match) continue;
+
+        const [, dataRaw, restoBruto, valorRaw, tipo] = match;
+
+        const valorAbs = parseValorBR(valorRaw);
+        if (isNaN(valorAbs) || valorAbs <= 0 || valorAbs > 99999) continue; // valor max sanidade
+
+        let descricao = restoBruto.trim();
+
+        if (ignorar.test(descricao)) continue;
+
+        // Sufixo C = crédito (ajustes, estornos); pagamentos da fatura anterior são ignorados.
+        // Classifica antes de remover a cidade, que pode engolir a descrição inteira.
+        const lancamento = classificarLancamento(descricao, valorAbs, tipo === 'C');
+        if (!lancamento) continue;
+
+        // Parcela no formato "05 DE 18" — entre descrição e cidade
+        let parcela = null;
+        const mParcela = descricao.match(/^(.+?)\s+(\d{2})\s+DE\s+(\d{2,3})\s+(.*)$/);
+        if (mParcela) {
+            descricao = mParcela[1].trim();
+            parcela = `${parseInt(mParcela[2])}/${parseInt(mParcela[3])}`;
+            // mParcela[4] é a cidade — descarta
+        } else if (!KINDS_ENCARGO.includes(lancamento.kind)) {
+            // Encargos não têm cidade ("IOF COMPRA INTERNACIONAL", "ANUIDADE") — só compras passam por aqui
+            // Remove cidade do final: sequência final de maiúsculas (cidade colada)
+            // Ex: "STOK CENTER 30LAGES" → "STOK CENTER 30" (remove "LAGES")
+            descricao = descricao.replace(/[A-ZÁÉÍÓÚÂÊÔÃÕÇ]{2,}(\s[A-ZÁÉÍÓÚÂÊÔÃÕÇ]{2,}){0,2}$/, '').trim();
+            // Se ainda terminar com caps colados no meio de outra palavra, remove
+            descricao = descricao.replace(/[a-z0-9\s][A-ZÁÉÍÓÚÂÊÔÃÕÇ]{3,}$/, (m) => m[0]).trim();
+        }
+
+        if (!descricao || descricao.length < 2) continue;
+        if (ignorar.test(descricao)) continue;
+
+        transacoes.push({
+            data: completarData(dataRaw),
+            descricao: descricao.toUpperCase().trim(),
+            valor: lancamento.valor,
+            parcela,
+            kind: lancamento.kind,
+            ...cartao,
+        });
+    }
+
+    return transacoes;
+}
+
+module.exports = {
+    id: 'caixa',
+    nome: 'Caixa Econômica Federal',
+    cardName: 'Cartão Caixa',
+    detect,
+    extractMetadata,
+    parse,
+};
@@ -0,0 +1,148 @@
+/**
+ * Parser: Cresol (Cresol Mastercard Empresarial).
+ */
+const {
+    MESES_PT,
+    parseValorBR,
+    inferirAnoMesFatura,
+    extrairMetadadosBase,
+    classificarLancamento,
+} = require('./parser-utils');
+
+function detect(texto) {
+    const t = texto.toLowerCase();
+    if (t.includes('cresol')) return 90;
+    return 0;
+}
+
+/**
+ * Vencimento: "VENCIMENTO\n 11 JAN 2026" (mês abreviado).
+ * Total: "no valor total de R$ 7.716,95."
+ */
+function extractMetadata(texto) {
+    const metadados = extrairMetadadosBase(texto);
+    const linhas = texto.split('\n');
+    let vencimento = null;
+    let valorTotal = null;
+
+    for (let i = 0; i < linhas.length; i++) {
+        const linha = linhas[i].trim();
+
+        // O ponto final da frase não faz parte do valor ("R$ 7.716,95.")
+        const matchCresolTotal = linha.match(/no valor total de R\$\s*([\d.]*\d,\d{2})/i);
+        if (matchCresolTotal && valorTotal === null) {
+            valorTotal = parseValorBR(matchCresolTotal[1]);
+        }
+
+        if (/^VENCIMENTO$/i.test(linha) && i + 1 < linhas.length) {
+            const proxima = linhas[i + 1].trim();
+            const matchCresolData = proxima.match(/^(\d{1,2})\s+(JAN|FEV|MAR|ABR|MAI|JUN|JUL|AGO|SET|OUT|NOV|DEZ)\s+(\d{4})$/i);
+            if (matchCresolData && !vencimento) {
+                const m = MESES_PT[matchCresolData[2].toUpperCase()];
+                vencimento = `${String(matchCresolData[1]).padStart(2, '0')}/${m}/${matchCresolData[3]}`;
+            }
+        }
+    }
+
+    if (vencimento) metadados.vencimento = vencimento;
+    if (valorTotal !== null) metadados.valor_total = valorTotal;
+    return metadados;
+}
+
+/**
+ * Parser para faturas do Cresol.
+ * Formato real observado:
+ *   " 04 DEZPETROLAGES COMERCIOLAGESR$ 1.220,00"
+ *   " 17 DEZHOSTGATORFLORIANOPOLISR$ 113,89"
+ * Cabeçalho de seção: " DATADESCRIÇÃOCIDADEVALOR EM R$"
+ */
+function parse(texto, metadados) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+
+    const { stmtYear, stmtMonth } = inferirAnoMesFatura(metadados);
+
+    // Formato observado no PDF real:
+    // " 04 DEZPETROLAGES COMERCIOLAGESR$ 1.220,00"
+    // " 05 DEZPOSTO 101 JAGUARUNAJAGUARUNAR$ 139,48"
+    // Estrutura: espaço + DD + espaço + MES(3) + DESCRICAO_E_CIDADE_COLADOS + R$ + VALOR
+    const regexLinha = /^\s*(\d{1,2})\s+(JAN|FEV|MAR|ABR|MAI|JUN|JUL|AGO|SET|OUT|NOV|DEZ)(.+?)R\$\s*([\d.,]+)\s*(-?)\s*$/i;
+
+    // Linhas a ignorar
+    const ignorar = /^(SALDO ANTERIOR|TOTAL DE |TOTAL R\$|Prote[çc][aã]o|PAGAMENTO DA FATURA|mdte)/i;
+
+    // Bloco do portador: nome colado ao final do cartão — "GUILHERME GIOVANE ELLER8155"
+    const regexPortador = /^([A-ZÁÉÍÓÚÂÊÎÔÛÃÕÇ][A-ZÁÉÍÓÚÂÊÎÔÛÃÕÇ ]+?)\s*(\d{4})$/;
+    let cartao = { cartao_final: null, portador: null, secao: null };
+
+    for (const linha of linhas) {
+        const mPortador = linha.trim().match(regexPortador);
+        if (mPortador) {
+            cartao = { cartao_final: mPortador[2], portador: mPortador[1].trim(), secao: null };
+            continue;
+        }
+
+        // Testa sem trim para preservar espaços iniciais (o espaço faz parte do formato)
+        const match = linha.match(regexLinha);
+        if (!match) continue;
+
+        const [, dia, mesAbrev, restoBruto, valorRaw, sinal] = match;
+        const mes = MESES_PT[mesAbrev.toUpperCase()];
+        if (!mes) continue;
+
+        const valorAbs = parseValorBR(valorRaw);
+        if (isNaN(valorAbs) || valorAbs <= 0) continue;
+
+        // Sinal "-" após o valor = crédito/estorno
+        const lancamento = classificarLancamento(restoBruto, valorAbs, sinal === '-');
+        if (!lancamento) continue;
+
+        // restoBruto = descrição + cidade colados
+        // Estratégia: a cidade Cresol fica colada NO FINAL antes do R$.
+        // Heurística mais segura: encontra a última sequência de letras maiúsculas
+        // SEM espaço entre elas (cidade colada) e remove.
+        // Ex: "PETROLAGES COMERCIOLAGES" → remove "LAGES" (colado)
+        // Ex: "POSTO 101 JAGUARUNAJAGUARUNA" → remove "JAGUARUNA" (colado)
+        // Ex: "OBVIO BRASILSAO PAULO" → remove "SAO PAULO" (tem espaço masé cidade)
+        let descricao = restoBruto.trim();
+
+        // Remove sequência final de maiúsculas+espaços que não contém dígitos
+        // (inclui cidades como "SAO PAULO", "FLORIANOPOLIS", "LAGES")
+        descricao = descricao.replace(/\s+[A-ZÁÉÍÓÚÂÊÎÔÛÃÕÇ]{2,}(\s[A-ZÁÉÍÓÚÂÊÎÔÛÃÕÇ]{2,}){0,2}$/, '').trim();
+
+        // Se ainda termina com letras em caps coladas (sem espaço antes),
+        // remove a última "palavra" colada no final
+        // Ex: "PETROLAGES COMERCIOLAGES" → "PETROLAGES COMERCIO"
+        descricao = descricao.replace(/[a-z0-9][A-ZÁÉÍÓÚÂÊÎÔÛÃÕÇ]{2,}$/, (m) => m[0]).trim();
+
+        if (!descricao) continue;
+        if (ignorar.test(descricao)) continue;
+        if (/^mdte/i.test(descricao)) continue;
+
+        // Infer year: if transaction month > statement month → previous year
+        const txMonth = parseInt(mes, 10);
+        const txYear = txMonth > stmtMonth ? stmtYear - 1 : stmtYear;
+
+        const data = `${String(dia).padStart(2, '0')}/${mes}/${txYear}`;
+
+        transacoes.push({
+            data,
+            descricao: descricao.toUpperCase().trim(),
+            valor: lancamento.valor,
+            parcela: null,
+            kind: lancamento.kind,
+            ...cartao,
+        });
+    }
+
+    return transacoes;
+}
+
+module.exports = {
+    id: 'cresol',
+    nome: 'Cresol',
+    cardName: 'Cartão Cresol',
+    detect,
+    extractMetadata,
+    parse,
+};
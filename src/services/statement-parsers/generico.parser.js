@@ -0,0 +1,102 @@
+/**
+ * Parser: genérico — fallback quando nenhum banco pontua.
+ */
+const {
+    parseValorBR,
+    extrairMetadadosBase,
+    classificarLancamento,
+} = require('./parser-utils');
+
+/**
+ * Score mínimo: só vence quando nenhum outro parser reconhece o texto.
+ */
+function detect() {
+    return 1;
+}
+
+function extractMetadata(texto) {
+    return extrairMetadadosBase(texto);
+}
+
+/**
+ * Parser genérico — tenta extrair transações de qualquer PDF.
+ * Busca padrões: DD/MM ou DD/MM/YYYY + texto + valor numérico
+ */
+function parse(texto) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+
+    // Tenta vários formatos de linha
+    const regexes = [
+        // DD/MM/YYYY DESCRICAO VALOR
+        /(\d{2}\/\d{2}\/\d{4})\s+(.+?)\s+([\d]+[.,][\d]{2})\s*$/,
+        // DD/MM DESCRICAO VALOR
+        /(\d{2}\/\d{2})\s+(.+?)\s+([\d]+[.,][\d]{2})\s*$/,
+        // DESCRICAO DD/MM VALOR
+        /(.+?)\s+(\d{2}\/\d{2}(?:\/\d{4})?)\s+([\d]+[.,][\d]{2})\s*$/,
+    ];
+
+    for (const linha of linhas) {
+        const trimmed = linha.trim();
+        if (!trimmed || trimmed.length < 10) continue;
+
+        for (const regex of regexes) {
+            const match = trimmed.match(regex);
+            if (!match) continue;
+
+            let data, descricao, valorRaw;
+
+            // Check which regex matched (date-first vs desc-first)
+            if (match[1].match(/^\d{2}\//)) {
+                [, data, descricao, valorRaw] = match;
+            } else {
+                descricao = match[1];
+                data = match[2];
+                valorRaw = match[3];
+            }
+
+            if (descricao.match(/^(Total|Saldo|Limite|Data|Moviment|Pagamento|FATURA)/i)) continue;
+
+            const valorAbs = parseValorBR(valorRaw);
+            if (isNaN(valorAbs) || valorAbs <= 0) continue;
+
+            // Sem sinal confiável no formato genérico: estorno só pela descrição
+            const lancamento = classificarLancamento(descricao, valorAbs);
+            if (!lancamento) continue;
+
+            // Normaliza data
+            if (data.split('/').length === 2) {
+                data = `${data}/${new Date().getFullYear()}`;
+            }
+
+            // Extrai parcela
+            let parcela = null;
+            const matchParcela = descricao.match(/(.+?)\s*[-–]\s*[Pp]arcela\s+(\d+)[\/de]+\s*(\d+)/);
+            if (matchParcela) {
+                descricao = matchParcela[1].trim();
+                parcela = `${matchParcela[2]}/${matchParcela[3]}`;
+            }
+
+            transacoes.push({
+                data,
+                descricao: descricao.toUpperCase().trim(),
+                valor: lancamento.valor,
+                parcela,
+                kind: lancamento.kind,
+            });
+
+            break; // Only match first regex
+        }
+    }
+
+    return transacoes;
+}
+
+module.exports = {
+    id: 'generico',
+    nome: 'Genérico',
+    cardName: null,
+    detect,
+    extractMetadata,
+    parse,
+};
@@ -0,0 +1,92 @@
+/**
+ * Registry de parsers de fatura de cartão.
+ *
+ * Cada banco é um arquivo `<banco>.parser.js` nesta pasta que exporta:
+ *   id                       — identificador curto (ex: 'caixa'), gravado como banco detectado
+ *   nome                     — nome do banco para exibição
+ *   cardName                 — cartão correspondente em card_accounts (ex: 'Cartão Caixa')
+ *   detect(texto)            → score 0–100 (quão provável é o texto ser deste banco)
+ *   extractMetadata(texto)   → { vencimento, emissao, valor_total }
+ *   parse(texto, metadados)  → [{ data, descricao, valor, parcela, kind }]
+ *                              compras internacionais trazem também moeda_original, valor_original e cotacao
+ *                              e, quando a fatura separa por cartão, cartao_final, portador e secao
+ *
+ * O parser de maior score vence. Adicionar um banco = criar o arquivo;
+ * nada mais precisa ser editado.
+ */
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+const PARSER_SUFFIX = '.parser.js';
+const FALLBACK_ID = 'generico';
+
+function carregarParsers() {
+    const files = fs.readdirSync(__dirname)
+        .filter(f => f.endsWith(PARSER_SUFFIX))
+        .sort();
+
+    const parsers = [];
+    for (const file of files) {
+        const parser = require(path.join(__dirname, file));
+        const invalido = !parser.id
+            || typeof parser.detect !== 'function'
+            || typeof parser.parse !== 'function'
+            || typeof parser.extractMetadata !== 'function';
+
+        if (invalido) {
+            logger.error(`❌ Parser ${file} não exporta id, detect(), parse() e extractMetadata()`);
+            continue;
+        }
+        if (parsers.some(p => p.id === parser.id)) {
+            logger.error(`❌ Parser ${file}: id "${parser.id}" duplicado — ignorado`);
+            continue;
+        }
+        parsers.push(parser);
+    }
+    return parsers;
+}
+
+const parsers = carregarParsers();
+
+/**
+ * Pontua o texto em todos os parsers e retorna o vencedor.
+ * Empate ou nenhum score positivo → parser genérico.
+ *
+ * @param {string} texto - Texto extraído da fatura
+ * @returns {{ parser: Object, scores: Array<{ id: string, score: number }> }}
+ */
+function detectarParser(texto) {
+    const scores = parsers
+        .map(p => ({ id: p.id, score: Number(p.detect(texto)) || 0 }))
+        .sort((a, b) => b.score - a.score);
+
+    const [melhor, segundo] = scores;
+    const empate = segundo && segundo.score === melhor.score;
+    const parser = melhor && melhor.score > 0 && !empate
+        ? obterParser(melhor.id)
+        : obterParser(FALLBACK_ID);
+
+    return { parser, scores };
+}
+
+function obterParser(id) {
+    return parsers.find(p => p.id === id) || null;
+}
+
+/**
+ * Lista os parsers registrados (para exibição/seleção no frontend).
+ */
+function listarParsers() {
+    return parsers.map(p => ({
+        id: p.id,
+        nome: p.nome || p.id,
+        cardName: p.cardName || null,
+    }));
+}
+
+module.exports = {
+    detectarParser,
+    obterParser,
+    listarParsers,
+};
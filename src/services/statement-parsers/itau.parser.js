@@ -0,0 +1,120 @@
+/**
+ * Parser: Itaú (Itaucard Empresarial).
+ */
+const {
+    parseValorBR,
+    inferirAnoMesFatura,
+    extrairMetadadosBase,
+    classificarLancamento,
+    lerConversaoSeguinte,
+} = require('./parser-utils');
+
+/**
+ * Pontua baixo só com "itaú": o nome pode aparecer como estabelecimento.
+ */
+function detect(texto) {
+    const t = texto.toLowerCase();
+    if (t.includes('itaucard') || t.includes('itaú unibanco') || t.includes('itau unibanco')) return 90;
+    if (t.includes('itaú empresas') || t.includes('itau empresas')) return 80;
+    if (t.includes('itaú')) return 20;
+    return 0;
+}
+
+/**
+ * Vencimento e "Total desta fatura" seguem os formatos comuns.
+ */
+function extractMetadata(texto) {
+    return extrairMetadadosBase(texto);
+}
+
+/**
+ * Parser para faturas corporativas do Itaú (Itaucard Empresarial).
+ * Formato observado — parcela "NN/NN" imediatamente antes do valor:
+ *   "10/12 POSTO IPIRANGA LAGES 150,00"
+ *   "28/09 MAGAZINE LUIZA 03/10 189,90"
+ *   "15/12 PAGAMENTO EFETUADO -3.210,55"   (ignorado)
+ *   "18/12 ESTORNO MAGAZINE LUIZA -189,90"  (estorno, valor negativo)
+ * A linha seguinte a cada lançamento traz categoria/cidade ("veículos .LAGES") e não tem valor.
+ * Lançamentos internacionais trazem abaixo o valor na moeda e a cotação:
+ *   "22/12 OPENAI *CHATGPT SUBSCR 111,31" / "SAN FRANCISCO 20,00 USD" / "Dólar de conversão R$ 5,5655"
+ * e o IOF vem em lançamento próprio ("REPASSE DE IOF INTERNACIONAL").
+ * A seção "Compras parceladas - próximas faturas" lista parcelas futuras e é ignorada.
+ */
+function parse(texto, metadados) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+    const { stmtYear, stmtMonth } = inferirAnoMesFatura(metadados);
+
+    // DD/MM + descrição + (opcional NN/NN) + (opcional "-") + valor com vírgula decimal
+    const regexLinha = /^(\d{2}\/\d{2})\s*(.+?)\s*(?:(\d{2})\/(\d{2}))?\s*(-\s*)?((?:\d{1,3}\.)*\d{1,3},\d{2})$/;
+
+    const ignorar = /^(PAGAMENTO|PAGTO|Total|Saldo|Lan[çc]amentos|Limite)/i;
+
+    let emParcelasFuturas = false;
+
+    for (let i = 0; i < linhas.length; i++) {
+        const trimmed = linhas[i].trim();
+        if (!trimmed) continue;
+
+        // Parcelas das próximas faturas não pertencem a esta fatura
+        if (/pr[óo]ximas faturas/i.test(trimmed)) {
+            emParcelasFuturas = true;
+            continue;
+        }
+        if (/^Lan[çc]amentos/i.test(trimmed)) {
+            emParcelasFuturas = false;
+            continue;
+        }
+        if (emParcelasFuturas) continue;
+
+        const match = trimmed.match(regexLinha);
+        if (!match) continue;
+
+        const [, dataCurta, descricaoRaw, parcelaAtual, parcelaTotal, sinal, valorRaw] = match;
+
+        let descricao = descricaoRaw.trim();
+        if (!descricao || ignorar.test(descricao)) continue;
+
+        const valorAbs = parseValorBR(valorRaw);
+        if (isNaN(valorAbs) || valorAbs <= 0) continue;
+
+        const lancamento = classificarLancamento(descricao, valorAbs, Boolean(sinal));
+        if (!lancamento) continue;
+
+        // "NN/NN" só é parcela se atual <= total; senão faz parte da descrição
+        let parcela = null;
+        if (parcelaAtual && parcelaTotal) {
+            const atual = parseInt(parcelaAtual, 10);
+            const total = parseInt(parcelaTotal, 10);
+            if (atual >= 1 && total >= 2 && atual <= total) {
+                parcela = `${atual}/${total}`;
+            } else {
+                descricao = `${descricao} ${parcelaAtual}/${parcelaTotal}`;
+            }
+        }
+
+        const [dia, mes] = dataCurta.split('/');
+        const txMonth = parseInt(mes, 10);
+        const txYear = txMonth > stmtMonth ? stmtYear - 1 : stmtYear;
+
+        transacoes.push({
+            data: `${dia}/${mes}/${txYear}`,
+            descricao: descricao.toUpperCase().trim(),
+            valor: lancamento.valor,
+            parcela,
+            kind: lancamento.kind,
+            ...(lerConversaoSeguinte(linhas, i, valorAbs) || {}),
+        });
+    }
+
+    return transacoes;
+}
+
+module.exports = {
+    id: 'itau',
+    nome: 'Itaú',
+    cardName: 'Cartão Itaú',
+    detect,
+    extractMetadata,
+    parse,
+};
@@ -0,0 +1,174 @@
+/**
+ * Parser: Mercado Pago (Cartão de Crédito Mercado Pago).
+ */
+const {
+    parseValorBR,
+    inferirAnoMesFatura,
+    extrairMetadadosBase,
+    classificarLancamento,
+    KINDS,
+} = require('./parser-utils');
+
+/**
+ * "Mercado Pago" aparece no cabeçalho da fatura. "MERCADOPAGO*" e
+ * "MERCADOLIVRE*" também são estabelecimentos em faturas de outros bancos,
+ * por isso pontuam pouco.
+ */
+function detect(texto) {
+    const t = texto.toLowerCase();
+    if (t.includes('mercado pago')) return 90;
+    if (t.includes('mercadopago')) return 40;
+    if (t.includes('mercadolivre')) return 30;
+    return 0;
+}
+
+/**
+ * Vencimento: "Vence em\n14/01/2026".
+ */
+function extractMetadata(texto) {
+    const metadados = extrairMetadadosBase(texto);
+    const linhas = texto.split('\n');
+
+    for (let i = 0; i < linhas.length; i++) {
+        if (/vence\s*em/i.test(linhas[i].trim()) && i + 1 < linhas.length) {
+            const matchData = linhas[i + 1].trim().match(/^(\d{2}\/\d{2}\/\d{4})$/);
+            if (matchData) metadados.vencimento = matchData[1];
+        }
+    }
+
+    return metadados;
+}
+
+/**
+ * Parser para faturas do Mercado Pago.
+ * O texto extraído do PDF concatena colunas sem espaços:
+ *   "24/08MERCADOLIVRE*CDASILVAMACHParcela 5 de 18R$ 112,88"
+ *   "19/12ADOBER$ 114,00"
+ *   "31/12MERCADOLIVRE*MERCADOLIVRER$ 4.599,00"
+ * Compra internacional: o valor da linha já inclui o IOF; a conversão vem
+ * numa linha própria mais abaixo ("USD 20,00 = ... USD 1 = R$ 5,43 ... BRL 108.64").
+ * Os lançamentos vêm agrupados por cartão: "Cartão Visa [************0345]".
+ */
+function parse(texto, metadados) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+
+    // Regex principal: DD/MM + descrição + (opcional Parcela X de Y) + R$ valor
+    const regexPrincipal = /^(\d{2}\/\d{2})(.+?)(?:Parcela\s+(\d+)\s+de\s+(\d+))?R\$\s*([\d.,]+)\s*$/;
+
+    const { stmtYear, stmtMonth } = inferirAnoMesFatura(metadados);
+
+    // Movimentações antes do primeiro "Cartão ..." (pagamentos, tarifas) não são de um cartão específico
+    let cartao = { cartao_final: null, portador: null, secao: null };
+
+    for (let i = 0; i < linhas.length; i++) {
+        const linha = linhas[i].trim();
+        if (!linha) continue;
+
+        const mCartao = linha.match(/^(Cart[ãa]o\s+.+?)\s*\[\**(\d{4})\]$/i);
+        if (mCartao) {
+            cartao = { cartao_final: mCartao[2], portador: null, secao: mCartao[1] };
+            continue;
+        }
+
+        const match = linha.match(regexPrincipal);
+        if (!match) continue;
+
+        const [, dataCurta, descricaoRaw, parcelaAtual, parcelaTotal, valorRaw] = match;
+
+        // Ignora linhas de metadados
+        const descTrim = descricaoRaw.trim();
+        if (!descTrim) continue;
+        if (descTrim.match(/^(Total|Saldo)/i)) continue;
+
+        const valorAbs = parseValorBR(valorRaw);
+        if (isNaN(valorAbs) || valorAbs <= 0) continue;
+
+        // "Pagamento da fatura" é ignorado; "Crédito concedido" (créditos devolvidos) vira estorno
+        const lancamento = classificarLancamento(descTrim, valorAbs);
+        if (!lancamento) continue;
+
+        const parcela = parcelaAtual && parcelaTotal ? `${parcelaAtual}/${parcelaTotal}` : null;
+
+        const [dia, mes] = dataCurta.split('/');
+        const txMonth = parseInt(mes, 10);
+        const txYear = txMonth > stmtMonth ? stmtYear - 1 : stmtYear;
+        const data = `${dia}/${mes}/${txYear}`;
+
+        const transacao = {
+            data,
+            descricao: descTrim.toUpperCase(),
+            valor: lancamento.valor,
+            parcela,
+            kind: lancamento.kind,
+            ...cartao,
+        };
+        transacoes.push(transacao);
+
+        if (/^Compra internacional/i.test(descTrim) && lancamento.kind === KINDS.PURCHASE) {
+            const iof = extrairConversao(linhas, i, transacao);
+            if (iof) {
+                transacoes.push({
+                    data,
+                    descricao: 'IOF COMPRA INTERNACIONAL',
+                    valor: iof,
+                    parcela: null,
+                    kind: KINDS.FEE,
+                    ...cartao,
+                });
+            }
+        }
+    }
+
+    return transacoes;
+}
+
+/**
+ * Procura a linha de conversão de uma compra internacional (até a próxima
+ * transação) e preenche moeda, valor original e cotação. Como o valor cobrado
+ * já vem com IOF, separa o IOF (cobrado − convertido) para virar lançamento
+ * próprio, igual às faturas que trazem o IOF em linha separada.
+ *
+ * @returns {number|null} IOF embutido, ou null se não deu para separar
+ */
+function extrairConversao(linhas, i, transacao) {
+    for (let j = i + 1; j < Math.min(i + 10, linhas.length); j++) {
+        const linha = linhas[j].trim();
+        if (/^\d{2}\/\d{2}/.test(linha)) break;
+
+        const matchBRL = linha.match(/BRL\s*([\d.,]+)\s*$/);
+        if (!matchBRL) continue;
+
+        const moeda = (linha.match(/\b(USD|EUR|GBP)\b/) || [])[1] || 'USD';
+        const matchCotacao = linha.match(new RegExp(`${moeda}\\s*1\\s*=\\s*R\\$\\s*([\\d.,]+)`));
+        const matchOriginal = linha.match(new RegExp(`${moeda}\\s*([\\d.,]+)(?!\\s*=\\s*R)`));
+
+        const convertido = parseValorBR(matchBRL[1]);
+        const cotacao = matchCotacao ? parseValorBR(matchCotacao[1]) : NaN;
+        let original = matchOriginal ? parseValorBR(matchOriginal[1]) : NaN;
+        if (!(original > 0) && cotacao > 0 && convertido > 0) {
+            original = Math.round((convertido / cotacao) * 100) / 100;
+        }
+
+        transacao.moeda_original = moeda;
+        transacao.valor_original = original > 0 ? original : null;
+        transacao.cotacao = cotacao > 0 ? cotacao : null;
+
+        if (convertido > 0 && convertido < transacao.valor) {
+            const iof = Math.round((transacao.valor - convertido) * 100) / 100;
+            transacao.valor = convertido;
+            return iof;
+        }
+        return null;
+    }
+    return null;
+}
+
+module.exports = {
+    id: 'mercadopago',
+    nome: 'Mercado Pago',
+    cardName: 'Cartão Mercado Pago',
+    detect,
+    extractMetadata,
+    parse,
+};
@@ -0,0 +1,293 @@
+/**
+ * Helpers compartilhados pelos parsers de fatura (statement-parsers/*.parser.js).
+ */
+
+const MESES_PT = {
+    JAN: '01', FEV: '02', MAR: '03', ABR: '04', MAI: '05', JUN: '06',
+    JUL: '07', AGO: '08', SET: '09', OUT: '10', NOV: '11', DEZ: '12',
+};
+
+/**
+ * Tipos de lançamento gravados em card_transactions.kind.
+ * Estornos/créditos entram com valor negativo; pagamentos da fatura anterior
+ * são reconhecidos mas não importados (não fazem parte do total desta fatura).
+ * Encargos do cartão: fee (tarifas e IOF), interest (juros, multa, mora,
+ * encargos) e annuity (anuidade).
+ */
+const KINDS = {
+    PURCHASE: 'purchase',
+    REFUND: 'refund',
+    FEE: 'fee',
+    INTEREST: 'interest',
+    ANNUITY: 'annuity',
+    PAYMENT: 'payment',
+};
+
+// Kinds que são custo do próprio cartão (relatório de encargos)
+const KINDS_ENCARGO = [KINDS.FEE, KINDS.INTEREST, KINDS.ANNUITY];
+
+const REGEX_PAGAMENTO = /^(PAGAMENTO|PAGTO|OBRIGADO PELO PAGAMENTO|DEB\s+AUTOM|Fatura anterior)|pagamento (da|de) fatura|pagamento efetuado/i;
+const REGEX_ESTORNO = /estorno|^cr[eé]dito|ajuste cred|devolu[cç][aã]o|reembolso|cancelamento|chargeback|^desc(onto)?\.? anuidade/i;
+const REGEX_ANUIDADE = /anuidade/i;
+const REGEX_TARIFA = /\biof\b|tarifa/i;
+// Só a redação do emissor: "DETRAN SP MULTA", "MULTAPLAST", "RESTAURANTE ENCARGOS"
+// e "PARC S/ JUROS" são compras
+const REGEX_JUROS = /^(juros|multa|encargos?)$|\bjuros\s+(d[eo]\s+)?(mora|rotativo|atraso)|\bmulta\s+(por\s+)?atraso|\bencargos?\s+(d[eo]\s+)?(financ|rotativo)/i;
+
+/**
+ * Classifica um lançamento e aplica o sinal.
+ * Retorna null para pagamentos (o parser deve ignorar a linha).
+ *
+ * @param {string} descricao
+ * @param {number} valor - Valor absoluto lido da linha
+ * @param {boolean} [credito=false] - Linha marcada como crédito pelo banco (sinal "-", sufixo "C")
+ * @returns {{ kind: string, valor: number }|null}
+ */
+function classificarLancamento(descricao, valor, credito = false) {
+    const desc = (descricao || '').trim();
+    if (REGEX_PAGAMENTO.test(desc)) return null;
+
+    const abs = Math.abs(valor);
+    if (credito || REGEX_ESTORNO.test(desc)) return { kind: KINDS.REFUND, valor: -abs };
+    if (REGEX_ANUIDADE.test(desc)) return { kind: KINDS.ANNUITY, valor: abs };
+    if (REGEX_TARIFA.test(desc)) return { kind: KINDS.FEE, valor: abs };
+    if (REGEX_JUROS.test(desc)) return { kind: KINDS.INTEREST, valor: abs };
+    return { kind: KINDS.PURCHASE, valor: abs };
+}
+
+const REGEX_IOF_INTERNACIONAL = /\bIOF\b.*(INTERNAC|EXTERIOR|TRANSA[CÇ][AÃ]O EXT|COMPRA INT)/i;
+
+/**
+ * Liga cada linha de IOF internacional à compra em moeda estrangeira que a
+ * originou: mesma data de preferência, senão a compra internacional mais
+ * próxima antes dela. A compra recebe `iof`; a linha de IOF recebe
+ * `iof_da_transacao` (índice da compra no array) e continua como lançamento
+ * próprio, para o total da fatura fechar.
+ *
+ * @param {Array} transacoes - Saída de parse(), alterada no lugar
+ */
+function associarIOF(transacoes) {
+    transacoes.forEach((t, idx) => {
+        if (t.kind !== KINDS.FEE || !REGEX_IOF_INTERNACIONAL.test(t.descricao || '')) return;
+
+        const livres = transacoes
+            .map((c, i) => ({ c, i }))
+            .filter(({ c }) => (c.moeda_original || c.valor_original != null) && c.iof == null && c.kind === KINDS.PURCHASE);
+        if (livres.length === 0) return;
+
+        const mesmaData = livres.find(({ c }) => c.data === t.data);
+        const anterior = livres.filter(({ i }) => i < idx).pop();
+        const alvo = mesmaData || anterior || livres[0];
+
+        alvo.c.iof = t.valor;
+        t.iof_da_transacao = alvo.i;
+    });
+    return transacoes;
+}
+
+const REGEX_SIGLA_MOEDA = /\b(USD|EUR|GBP|ARS|CAD|AUD|CHF|JPY|UYU|CLP|PYG|MXN|CNY)\b/;
+const REGEX_COTACAO = /(?:convers[ãa]o|cota[çc][ãa]o|=)\s*R\$\s*((?:\d{1,3}\.)*\d{1,3},\d{2,4})/i;
+
+/**
+ * Conversão de uma compra internacional nas linhas logo abaixo do lançamento
+ * (até a próxima linha com data): valor original com a sigla da moeda
+ * ("SAN FRANCISCO 20,00 USD", "EUR 40,00") e, quando impressa, a cotação
+ * ("Dólar de conversão R$ 5,5655", "1 USD = R$ 5,5655"). Sem cotação
+ * impressa, ela é derivada do valor em R$.
+ *
+ * @param {string[]} linhas
+ * @param {number} i - Índice da linha do lançamento
+ * @param {number} valorBRL
+ * @returns {{ moeda_original: string, valor_original: number|null, cotacao: number|null }|null} null se não é internacional
+ */
+function lerConversaoSeguinte(linhas, i, valorBRL) {
+    let moeda = null;
+    let original = null;
+    let cotacao = null;
+
+    for (let j = i + 1; j < Math.min(i + 4, linhas.length); j++) {
+        let linha = linhas[j].trim();
+        if (/^\d{2}\/\d{2}/.test(linha)) break;
+
+        const mCotacao = linha.match(REGEX_COTACAO);
+        if (mCotacao) {
+            cotacao = parseValorBR(mCotacao[1]);
+            linha = linha.replace(mCotacao[0], ' ');
+        }
+        const sigla = linha.match(REGEX_SIGLA_MOEDA);
+        const valor = linha.match(/(?:\d{1,3}\.)*\d{1,3},\d{2}/);
+        if (sigla && valor && !moeda) {
+            moeda = sigla[1];
+            original = parseValorBR(valor[0]);
+        }
+    }
+
+    if (!moeda) return null;
+    if (!cotacao && original > 0) cotacao = Math.round((valorBRL / original) * 10000) / 10000;
+    return { moeda_original: moeda, valor_original: original, cotacao: cotacao || null };
+}
+
+/**
+ * Converte valor monetário brasileiro para float.
+ * "1.234,56" → 1234.56
+ * "89,99" → 89.99
+ */
+function parseValorBR(str) {
+    if (!str) return NaN;
+    let limpo = str.replace(/[R$\s]/g, '');
+
+    const temVirgula = limpo.includes(',');
+    const temPonto = limpo.includes('.');
+
+    if (temVirgula && temPonto) {
+        const posVirgula = limpo.lastIndexOf(',');
+        const posPonto = limpo.lastIndexOf('.');
+        if (posVirgula > posPonto) {
+            limpo = limpo.replace(/\./g, '').replace(',', '.');
+        } else {
+            limpo = limpo.replace(/,/g, '');
+        }
+    } else if (temVirgula) {
+        limpo = limpo.replace(',', '.');
+    }
+
+    return parseFloat(limpo);
+}
+
+/**
+ * Converts DD/MM/YYYY to YYYY-MM-DD (ISO format).
+ * If already in ISO format or unrecognized, returns as-is.
+ */
+function convertDateToISO(dateStr) {
+    if (!dateStr) return dateStr;
+    // Already ISO? (YYYY-MM-DD)
+    if (/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return dateStr;
+    // DD/MM/YYYY
+    const match = dateStr.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (match) return `${match[3]}-${match[2]}-${match[1]}`;
+    return dateStr;
+}
+
+/**
+ * Normalização comum a toda fatura importada (PDF, OFX ou CSV), alterando
+ * os arrays no lugar:
+ *   - datas de metadados e transações em ISO (YYYY-MM-DD);
+ *   - kind padrão 'purchase';
+ *   - parcela extraída da descrição quando o parser não preencheu
+ *     ("04 DE 12", "04/12", "PARC 04/12", "PARCELA 04 DE 12");
+ *   - IOF de compra internacional ligado à compra em moeda estrangeira.
+ */
+function normalizarResultado(transacoes, metadados) {
+    if (metadados.vencimento) metadados.vencimento = convertDateToISO(metadados.vencimento);
+    if (metadados.emissao) metadados.emissao = convertDateToISO(metadados.emissao);
+
+    for (const t of transacoes) {
+        if (!t.kind) t.kind = KINDS.PURCHASE;
+        if (t.data) t.data = convertDateToISO(t.data);
+
+        if (!t.parcela) {
+            const mDE = t.descricao.match(/(\d{2})\s+DE\s+(\d{2,3})/i);
+            const mSlash = t.descricao.match(/(?:PARC(?:ELA)?\.?\s+)?(\d{1,2})\/(\d{1,2})(?!\d)/i);
+            if (mDE) {
+                t.parcela = `${parseInt(mDE[1])}/${parseInt(mDE[2])}`;
+            } else if (mSlash && parseInt(mSlash[1]) <= parseInt(mSlash[2])) {
+                t.parcela = `${parseInt(mSlash[1])}/${parseInt(mSlash[2])}`;
+            }
+        }
+    }
+
+    associarIOF(transacoes);
+    return transacoes;
+}
+
+/**
+ * Infere ano/mês da fatura a partir do vencimento (DD/MM/YYYY ou YYYY-MM-DD).
+ * Usado para completar datas "DD/MM": mês da transação maior que o mês
+ * da fatura indica ano anterior (ex: compra em 28/12 numa fatura de janeiro).
+ */
+function inferirAnoMesFatura(metadados) {
+    let stmtYear = new Date().getFullYear();
+    let stmtMonth = new Date().getMonth() + 1;
+    if (metadados && metadados.vencimento) {
+        const venc = metadados.vencimento;
+        if (venc.includes('-')) {
+            const [y, m] = venc.split('-');
+            stmtYear = parseInt(y, 10); stmtMonth = parseInt(m, 10);
+        } else if (venc.includes('/')) {
+            const parts = venc.split('/');
+            if (parts.length === 3) { stmtMonth = parseInt(parts[1], 10); stmtYear = parseInt(parts[2], 10); }
+        }
+    }
+    return { stmtYear, stmtMonth };
+}
+
+/**
+ * Extrai os metadados comuns a qualquer fatura: vencimento inline,
+ * emissão e valor total nos formatos mais usados.
+ * Cada parser complementa com os padrões específicos do seu banco.
+ */
+function extrairMetadadosBase(texto) {
+    const metadados = { vencimento: null, emissao: null, valor_total: null };
+    const linhas = texto.split('\n');
+
+    for (let i = 0; i < linhas.length; i++) {
+        const linha = linhas[i].trim();
+
+        // "Vencimento: DD/MM/YYYY" (formato inline)
+        const matchVenc = linha.match(/vencimento[:\s]+(\d{2}\/\d{2}\/\d{4})/i);
+        if (matchVenc && !metadados.vencimento) metadados.vencimento = matchVenc[1];
+
+        // Valor total: "R$ 13.850,22" após "VALOR TOTAL DESTA FATURA" ou "Total\nR$ X"
+        if (/valor total desta fatura|^= *$|^Total$/i.test(linha) && i + 1 < linhas.length) {
+            const proxima = linhas[i + 1].trim();
+            const matchValor = proxima.match(/R\$\s*([\d.,]+)/);
+            if (matchValor && !metadados.valor_total) {
+                metadados.valor_total = parseValorBR(matchValor[1]);
+            }
+        }
+
+        // Itaú: "Total desta fatura R$ 5.432,10" / Bradesco: "Total da fatura em real 1.234,56"
+        // O valor pode vir na mesma linha ou isolado na linha seguinte.
+        const matchTotalInline = linha.match(/total (?:desta|da) fatura(?: em rea(?:l|is))?[:\s]*(?:R\$)?\s*([\d.]+,\d{2})/i);
+        if (matchTotalInline && !metadados.valor_total) {
+            metadados.valor_total = parseValorBR(matchTotalInline[1]);
+        } else if (/^total (?:desta|da) fatura(?: em rea(?:l|is))?:?$/i.test(linha) && i + 1 < linhas.length) {
+            const proxima = linhas[i + 1].trim();
+            const matchValor = proxima.match(/^(?:R\$)?\s*([\d.]+,\d{2})$/);
+            if (matchValor && !metadados.valor_total) {
+                metadados.valor_total = parseValorBR(matchValor[1]);
+            }
+        }
+
+        // "Emitido em: DD/MM/YYYY"
+        const matchEmissao = linha.match(/emitido\s*em[:\s]+(\d{2}\/\d{2}\/\d{4})/i);
+        if (matchEmissao) metadados.emissao = matchEmissao[1];
+    }
+
+    return metadados;
+}
+
+/**
+ * Procura uma data DD/MM/YYYY isolada na linha seguinte a um rótulo.
+ * Ex: "VENCIMENTO\n12/01/2026" → "12/01/2026"
+ */
+function dataNaLinhaSeguinte(linhas, i, regexRotulo) {
+    if (!regexRotulo.test(linhas[i].trim()) || i + 1 >= linhas.length) return null;
+    const matchData = linhas[i + 1].trim().match(/^(\d{2}\/\d{2}\/\d{4})$/);
+    return matchData ? matchData[1] : null;
+}
+
+module.exports = {
+    MESES_PT,
+    KINDS,
+    KINDS_ENCARGO,
+    classificarLancamento,
+    associarIOF,
+    lerConversaoSeguinte,
+    normalizarResultado,
+    parseValorBR,
+    convertDateToISO,
+    inferirAnoMesFatura,
+    extrairMetadadosBase,
+    dataNaLinhaSeguinte,
+};
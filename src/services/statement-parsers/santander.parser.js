@@ -0,0 +1,233 @@
+/**
+ * Parser: Santander (Empresas Mastercard Platinum).
+ */
+const {
+    parseValorBR,
+    extrairMetadadosBase,
+    dataNaLinhaSeguinte,
+    classificarLancamento,
+} = require('./parser-utils');
+
+/**
+ * O PDF não contém a palavra 'santander'; detecta pelo número de cartão ou cabeçalho.
+ */
+function detect(texto) {
+    const t = texto.toLowerCase();
+    if (t.includes('santander') || t.includes('5546 xxxx xxxx')) return 90;
+    if (t.includes('empresas mastercard platinum') && t.includes('fatura mensal')) return 70;
+    return 0;
+}
+
+/**
+ * Vencimento: "Data de Vencimento:\n20/12/2025" (rótulo + próxima linha).
+ */
+function extractMetadata(texto) {
+    const metadados = extrairMetadadosBase(texto);
+    const linhas = texto.split('\n');
+
+    for (let i = 0; i < linhas.length; i++) {
+        const vencimento = dataNaLinhaSeguinte(linhas, i, /data de vencimento/i);
+        if (vencimento) {
+            metadados.vencimento = vencimento;
+            break;
+        }
+    }
+
+    return metadados;
+}
+
+/**
+ * Parser para faturas do Santander.
+ * Formato real observado — data e valor em linhas SEPARADAS:
+ *   "17-11-2025POSTO PETROLAGESLAGES\\ "
+ *   " "
+ *   "248,02"
+ *   " "
+ * Também: "18-11-2025COMERCIAL CNPARC 01/03 LAGES\\ "
+ * Em "Transações Internacionais" as linhas seguintes trazem as colunas
+ * Moeda de Origem (valor + sigla), US$, R$ e Cotação do dólar (4 casas).
+ * Cada portador abre seu bloco com "JOSCIMARIO E JUNIOR     5546 XXXX XXXX 2577".
+ */
+function parse(texto) {
+    const transacoes = [];
+    const linhas = texto.split('\n');
+
+    // Regex para linha de transação Santander: "DD-MM-YYYYDESCRICAOCIDADE\\"
+    const regexData = /^(\d{2}-\d{2}-\d{4})(.+?)(?:\\\\|\\)?\s*$/;
+    // Regex para valor isolado numa linha
+    const regexValor = /^(-)?([\d.,]+)\s*$/;
+    // Regex para parcela: "PARC(ELA)? 01/03" ou "01/03" no meio da descrição
+    const regexParcela = /PARC(?:ELA)?\s+(\d+)[\/DE ]+(\d+)|\s(\d{2})\/(\d{2,3})(?:\s|$)/i;
+
+    let i = 0;
+    let emSecaoTransacoes = false;
+    let emInternacionais = false;
+    let cartao = { cartao_final: null, portador: null, secao: null };
+
+    // "Variação cambial (cotação do dólar: R$ 5,7500)" — cotação da fatura, usada se a linha não trouxer a sua
+    const matchCotacaoFatura = texto.match(/cota[çc][aã]o do d[óo]lar:\s*R\$\s*([\d.,]+)/i);
+    const cotacaoFatura = matchCotacaoFatura ? parseValorBR(matchCotacaoFatura[1]) : null;
+
+    while (i < linhas.length) {
+        const linha = linhas[i];
+        const trimmed = linha.trim();
+
+        // Bloco do portador: nome + número mascarado
+        const mPortador = trimmed.match(/^(\S.*?)\s+\d{4}\s+X{4}\s+X{4}\s+(\d{4})$/);
+        if (mPortador && !/^\d/.test(mPortador[1])) {
+            cartao = { cartao_final: mPortador[2], portador: mPortador[1].trim(), secao: null };
+            i++;
+            continue;
+        }
+
+        // Detecta início da seção de transações
+        if (/Transa[çc][oõ]es Nacionais|Demonstrativo de Transa[çc][oõ]es|Transações Internacionais/i.test(trimmed)) {
+            emSecaoTransacoes = true;
+            emInternacionais = /Internacionais/i.test(trimmed);
+            const mSecao = trimmed.match(/Transa[çc][oõ]es (Nacionais|Internacionais)/i);
+            cartao = { ...cartao, secao: mSecao ? mSecao[0] : null };
+            i++;
+            continue;
+        }
+        // Sai em totais ou nova seção
+        if (/^Total\s+em|^LimitesParcelas|^Custo Efetivo/i.test(trimmed)) {
+            emSecaoTransacoes = false;
+            i++;
+            continue;
+        }
+
+        if (!emSecaoTransacoes) { i++; continue; }
+
+        const matchData = trimmed.match(regexData);
+        if (matchData && emInternacionais && !/\bIOF\b/i.test(matchData[2])) {
+            const consumidas = parseInternacional(linhas, i, matchData, cotacaoFatura, transacoes, cartao);
+            i += consumidas + 1;
+            continue;
+        }
+        if (matchData) {
+            const [, dataRaw, restoBruto] = matchData;
+
+            // Converte DD-MM-YYYY → DD/MM/YYYY
+            const data = dataRaw.replace(/-/g, '/');
+
+            // Procura o valor nas próximas linhas (normalmente 2 linhas à frente)
+            let valor = NaN;
+            let negativo = false;
+            let linhasAfrente = 0;
+            for (let j = i + 1; j < Math.min(i + 5, linhas.length); j++) {
+                const prox = linhas[j].trim();
+                const mValor = prox.match(regexValor);
+                if (mValor) {
+                    const v = parseValorBR(mValor[2]);
+                    if (!isNaN(v) && v > 0) {
+                        valor = v;
+                        negativo = mValor[1] === '-';
+                        linhasAfrente = j - i;
+                        break;
+                    }
+                }
+            }
+
+            if (isNaN(valor) || valor <= 0) { i++; continue; }
+
+            // Processa descrição — mantém como está (cidades coladas não afetam conciliação)
+            let descricao = restoBruto.trim();
+
+            // Remove o backslash residual caso tenha ficado
+            descricao = descricao.replace(/\\+\s*$/, '').trim();
+
+            // Extrai parcela se inline ("PARC 01/03")
+            let parcela = null;
+            const mParc = descricao.match(/(.+?)\s+PARC(?:ELA)?\s+(\d+)[\/](\d+)\s*(.*)/i);
+            if (mParc) {
+                descricao = (mParc[1] + (mParc[4] ? ' ' + mParc[4] : '')).trim();
+                parcela = `${parseInt(mParc[2])}/${parseInt(mParc[3])}`;
+            }
+
+            // Pagamentos são ignorados; créditos (valor negativo) viram estorno
+            const lancamento = classificarLancamento(descricao, valor, negativo);
+            if (!lancamento) { i++; continue; }
+
+            transacoes.push({
+                data,
+                descricao: descricao.toUpperCase().trim(),
+                valor: lancamento.valor,
+                parcela,
+                kind: lancamento.kind,
+                ...cartao,
+            });
+
+            i += linhasAfrente + 1;
+            continue;
+        }
+
+        i++;
+    }
+
+    return transacoes;
+}
+
+/**
+ * Lê uma transação internacional: linha da data + colunas de valores nas
+ * linhas seguintes (até a próxima data ou um total).
+ *   valores com 4 casas → cotação; 3 valores → original, US$, R$;
+ *   2 valores → original (US$), R$; 1 valor → só R$.
+ *
+ * @returns {number} Quantidade de linhas consumidas após a linha da data
+ */
+function parseInternacional(linhas, i, matchData, cotacaoFatura, transacoes, cartao) {
+    const [, dataRaw, restoBruto] = matchData;
+    const valores = [];
+    let cotacao = null;
+    let moeda = null;
+    let negativo = false;
+    let j = i + 1;
+
+    for (; j < Math.min(i + 10, linhas.length); j++) {
+        const prox = linhas[j].trim();
+        if (/^\d{2}-\d{2}-\d{4}/.test(prox) || /^Total/i.test(prox)) break;
+
+        const sigla = prox.match(/\b(USD|EUR|GBP|ARS|CAD|AUD|CHF|JPY|UYU|CLP|PYG|MXN|CNY)\b/);
+        if (sigla && !moeda) moeda = sigla[1];
+
+        for (const m of prox.matchAll(/(-)?((?:\d{1,3}\.)*\d{1,3},(\d{2,4}))/g)) {
+            const v = parseValorBR(m[2]);
+            if (m[3].length === 4) cotacao = v;
+            else valores.push(v);
+            if (m[1]) negativo = true;
+        }
+    }
+
+    if (valores.length === 0) return j - i - 1;
+
+    const valorBRL = valores[valores.length - 1];
+    const original = valores.length >= 2 ? valores[0] : null;
+    const descricao = restoBruto.replace(/\\+\s*$/, '').trim();
+
+    const lancamento = classificarLancamento(descricao, valorBRL, negativo);
+    if (lancamento && valorBRL > 0) {
+        const cotacaoFinal = cotacao || (original ? Math.round((valorBRL / original) * 10000) / 10000 : cotacaoFatura);
+        transacoes.push({
+            data: dataRaw.replace(/-/g, '/'),
+            descricao: descricao.toUpperCase(),
+            valor: lancamento.valor,
+            parcela: null,
+            kind: lancamento.kind,
+            moeda_original: moeda || 'USD',
+            valor_original: original,
+            cotacao: cotacaoFinal || null,
+            ...cartao,
+        });
+    }
+
+    return j - i - 1;
+}
+
+module.exports = {
+    id: 'santander',
+    nome: 'Santander',
+    cardName: 'Cartão Santander',
+    detect,
+    extractMetadata,
+    parse,
+};
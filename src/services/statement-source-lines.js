@@ -0,0 +1,108 @@
+/**
+ * Linha de origem das transações no texto da fatura.
+ *
+ * Os parsers não registram de qual linha veio cada transação; ela é
+ * localizada pelo valor (obrigatório), reforçada pela descrição e pela data.
+ * Cada linha é usada por uma transação só, na ordem do parse.
+ * Usado pelo diagnóstico do parse e pela confiança do OCR por lançamento.
+ */
+const { MESES_PT } = require('./statement-parsers/parser-utils');
+
+const MESES_POR_NUMERO = Object.fromEntries(Object.entries(MESES_PT).map(([abrev, num]) => [num, abrev]));
+
+// Linhas acima do valor onde a descrição ainda pode estar (layouts em mais de uma linha)
+const JANELA_DESCRICAO = 2;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex do valor como aparece no texto: "1.234,56" ou "1234,56".
+ * Estrito: não casa dentro de outro número ("26,30" não casa em "526,30").
+ * Sem ser estrito, aceita dígitos colados à esquerda — é assim que aparece
+ * um valor que o parser leu grudado num código ("GSUITE112395858526,30").
+ */
+function regexValor(valor, estrito = true) {
+    const [inteiro, centavos] = Math.abs(valor).toFixed(2).split('.');
+    const comMilhar = inteiro.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+    const formas = [...new Set([comMilhar, inteiro])].map(f => `${escapeRegex(f)},${centavos}`);
+    return new RegExp(`${estrito ? '(?<![\\d.,])' : '(?<![.,])'}(?:${formas.join('|')})(?!\\d)`);
+}
+
+/**
+ * Primeira palavra significativa da descrição (3+ letras/dígitos), em maiúsculas.
+ */
+function palavraChave(descricao) {
+    const palavra = (descricao || '').toUpperCase().split(/[^A-Z0-9À-Ú]+/).find(p => p.length >= 3);
+    return palavra || null;
+}
+
+function regexData(dataISO) {
+    const match = (dataISO || '').match(/^\d{4}-(\d{2})-(\d{2})$/);
+    if (!match) return null;
+    const [, mes, dia] = match;
+    return new RegExp(`${dia}\\/${mes}|${dia}\\s*${MESES_POR_NUMERO[mes]}`, 'i');
+}
+
+/**
+ * Localiza a linha de origem de cada transação.
+ * `aproximada`: o valor só aparece grudado em outros dígitos na linha.
+ * @returns {Array<{ linha: number, linhas: number[], texto: string, aproximada: boolean }|null>} 1-based, na ordem das transações
+ */
+function localizarOrigens(linhas, transacoes) {
+    const usadas = new Set();
+
+    const procurar = (rValor, chave, rData) => {
+        let melhor = null;
+        for (let i = 0; i < linhas.length; i++) {
+            if (usadas.has(i) || !rValor.test(linhas[i])) continue;
+
+            let inicio = i;
+            let score = 0;
+            if (chave && linhas[i].toUpperCase().includes(chave)) {
+                score += 2;
+            } else if (chave) {
+                for (let j = i - 1; j >= Math.max(0, i - JANELA_DESCRICAO); j--) {
+                    if (usadas.has(j)) break;
+                    if (linhas[j].toUpperCase().includes(chave)) {
+                        score += 1;
+                        inicio = j;
+                        break;
+                    }
+                }
+            }
+            if (rData && linhas.slice(inicio, i + 1).some(l => rData.test(l))) score += 1;
+
+            if (!melhor || score > melhor.score) melhor = { inicio, fim: i, score };
+        }
+        return melhor;
+    };
+
+    return transacoes.map(t => {
+        const chave = palavraChave(t.descricao);
+        const rData = regexData(t.data);
+
+        let melhor = procurar(regexValor(t.valor), chave, rData);
+        let aproximada = false;
+        if (!melhor) {
+            melhor = procurar(regexValor(t.valor, false), chave, rData);
+            aproximada = Boolean(melhor);
+        }
+        if (!melhor) return null;
+
+        const indices = [];
+        for (let k = melhor.inicio; k <= melhor.fim; k++) {
+            usadas.add(k);
+            indices.push(k);
+        }
+        return {
+            linha: melhor.fim + 1,
+            linhas: indices.map(k => k + 1),
+            texto: indices.map(k => linhas[k].trim()).join(' ⏎ '),
+            aproximada,
+        };
+    });
+}
+
+module.exports = {
+    localizarOrigens,
+};
@@ -0,0 +1,142 @@
+/**
+ * Conferência do total da fatura.
+ *
+ * Compara a soma das transações extraídas com o total declarado pelo banco
+ * (metadados.valor_total) e, quando divergem, procura no texto as linhas com
+ * cara de lançamento (data + valor) que nenhum parser aproveitou.
+ */
+const { parseValorBR } = require('./statement-parsers/parser-utils');
+
+const TOLERANCIA = 0.01;
+
+// "02/12STOK CENTER 30LAGES341,76D", "13/01Pagamento da fatura R$ 10.000,00", "05/01 LOJA -50,00"
+const REGEX_LANCAMENTO = /^(\d{2}\/\d{2})(?:\/\d{2,4})?\s*(.*?)\s*(-)?\s*(?:R\$\s*)?(-)?((?:\d{1,3}\.)*\d{1,3},\d{2})\s*([DC])?\s*$/;
+
+const REGEX_IGNORAR = /total|saldo|fatura anterior/i;
+const REGEX_PAGAMENTO = /pagamento|pagto/i;
+const REGEX_ENCARGO = /\biof\b|juros|tarifa|anuidade|multa|encargo|mora\b/i;
+const REGEX_CREDITO = /estorno|cr[eé]dito|ajuste cred|desconto|reembolso|devolu[cç]/i;
+
+const arredondar = (v) => Math.round(v * 100) / 100;
+const centavos = (v) => Math.round(Math.abs(v) * 100);
+
+/**
+ * Classifica uma linha de lançamento que não virou transação.
+ */
+function classificarLinha(descricao, negativo) {
+    if (REGEX_PAGAMENTO.test(descricao)) return 'pagamento';
+    if (negativo) return 'credito';
+    if (REGEX_ENCARGO.test(descricao)) return 'encargo';
+    if (REGEX_CREDITO.test(descricao)) return 'credito';
+    return 'faltante';
+}
+
+/**
+ * Linhas do texto com data + valor cujo valor não bate com nenhuma
+ * transação extraída (cada transação "consome" uma linha de mesmo valor).
+ */
+function encontrarLinhasNaoExtraidas(texto, transacoes) {
+    const disponiveis = transacoes.map(t => centavos(t.valor || 0));
+    const linhas = texto.split('\n');
+    const naoExtraidas = [];
+
+    for (let i = 0; i < linhas.length; i++) {
+        const linha = linhas[i].trim();
+        const match = linha.match(REGEX_LANCAMENTO);
+        if (!match) continue;
+
+        const [, data, descricaoBruta, sinalAntes, sinalDepois, valorRaw, tipo] = match;
+        const descricao = descricaoBruta.replace(/R\$\s*$/, '').trim();
+        if (!descricao || REGEX_IGNORAR.test(descricao)) continue;
+
+        const valor = parseValorBR(valorRaw);
+        if (isNaN(valor) || valor === 0) continue;
+
+        const idx = disponiveis.indexOf(centavos(valor));
+        if (idx >= 0) {
+            disponiveis.splice(idx, 1);
+            continue;
+        }
+
+        const negativo = Boolean(sinalAntes || sinalDepois) || tipo === 'C';
+        naoExtraidas.push({
+            linha: i + 1,
+            data,
+            descricao,
+            valor,
+            tipo: classificarLinha(descricao, negativo),
+        });
+    }
+
+    return naoExtraidas;
+}
+
+/**
+ * Confere o total extraído contra o total declarado na fatura.
+ *
+ * @param {string} texto - Texto extraído do PDF
+ * @param {Array} transacoes - Transações retornadas pelo parser
+ * @param {Object} metadados - { valor_total, ... }
+ * @returns {{
+ *   status: 'ok'|'divergente'|'sem_total',
+ *   total_declarado: number|null,
+ *   total_extraido: number,
+ *   diferenca: number|null,
+ *   linhas_faltantes: Array, creditos: Array, encargos: Array, pagamentos: Array,
+ *   diferenca_explicada: number,
+ *   diferenca_restante: number|null,
+ * }}
+ */
+function conferirTotalFatura(texto, transacoes, metadados) {
+    const totalExtraido = arredondar(transacoes.reduce((sum, t) => sum + (t.valor || 0), 0));
+    const totalDeclarado = metadados && typeof metadados.valor_total === 'number' && !isNaN(metadados.valor_total)
+        ? arredondar(metadados.valor_total)
+        : null;
+
+    const naoExtraidas = encontrarLinhasNaoExtraidas(texto || '', transacoes);
+    const porTipo = (tipo) => naoExtraidas.filter(l => l.tipo === tipo);
+    const soma = (lista) => lista.reduce((sum, l) => sum + l.valor, 0);
+
+    const linhasFaltantes = porTipo('faltante');
+    const creditos = porTipo('credito');
+    const encargos = porTipo('encargo');
+    const pagamentos = porTipo('pagamento');
+
+    // Pagamentos da fatura anterior não entram no total desta fatura
+    const diferencaExplicada = arredondar(soma(linhasFaltantes) + soma(encargos) - soma(creditos));
+
+    if (totalDeclarado === null) {
+        return {
+            status: 'sem_total',
+            total_declarado: null,
+            total_extraido: totalExtraido,
+            diferenca: null,
+            linhas_faltantes: linhasFaltantes,
+            creditos,
+            encargos,
+            pagamentos,
+            diferenca_explicada: diferencaExplicada,
+            diferenca_restante: null,
+        };
+    }
+
+    const diferenca = arredondar(totalDeclarado - totalExtraido);
+    const divergente = Math.abs(diferenca) > TOLERANCIA;
+
+    return {
+        status: divergente ? 'divergente' : 'ok',
+        total_declarado: totalDeclarado,
+        total_extraido: totalExtraido,
+        diferenca,
+        linhas_faltantes: divergente ? linhasFaltantes : [],
+        creditos: divergente ? creditos : [],
+        encargos: divergente ? encargos : [],
+        pagamentos: divergente ? pagamentos : [],
+        diferenca_explicada: divergente ? diferencaExplicada : 0,
+        diferenca_restante: divergente ? arredondar(diferenca - diferencaExplicada) : 0,
+    };
+}
+
+module.exports = {
+    conferirTotalFatura,
+};
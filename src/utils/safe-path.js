@@ -81,10 +81,10 @@ const validators = {
         return value;
     },
 
-    /** Filename: must end in .pdf, .xls, or .xlsx */
+    /** Filename: must end in .pdf, .ofx, .qfx, .csv, .xls, or .xlsx */
     filename(value) {
-        if (!/\.(pdf|xls|xlsx)$/i.test(value)) {
-            throw new SafePathError(`Nome de arquivo inválido (deve terminar em .pdf, .xls ou .xlsx): "${value}"`);
+        if (!/\.(pdf|ofx|qfx|csv|xls|xlsx)$/i.test(value)) {
+            throw new SafePathError(`Nome de arquivo inválido (deve terminar em .pdf, .ofx, .csv, .xls ou .xlsx): "${value}"`);
         }
         // Additional check: no path separators in filename
         if (/[/\\]/.test(value)) {
@@ -0,0 +1,71 @@
+/**
+ * Provedores offline da classificação por IA — heuristica e replay.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const heuristica = require('../../src/services/ai-classifiers/heuristica.provider');
+const replay = require('../../src/services/ai-classifiers/replay.provider');
+const { listarProvedores } = require('../../src/services/ai-classifiers');
+
+const CATEGORIAS = [
+    '3.3.1. Combustível',
+    '3.9.2. Alimentação',
+    '4.6.3. Mercado em Geral',
+    '000020. Dúvida na categorizaçao/origem',
+];
+
+describe('heuristica', () => {
+    const casos = [
+        ['POSTO IPIRANGA LAGES', '3.3.1. Combustível'],
+        ['SUPERMERCADO BISTEK', '4.6.3. Mercado em Geral'],
+        ['MERCADOLIVRE*LOJA', '000020. Dúvida na categorizaçao/origem'],
+        ['MERCADO LIVRE', '000020. Dúvida na categorizaçao/origem'],
+        ['PADARIA PÃO QUENTE', '3.9.2. Alimentação'],
+        ['TINY ERP', null],
+    ];
+
+    it('devolve a categoria do primeiro grupo que casa, com index a partir de 1', async () => {
+        const respostas = await heuristica.classificar(casos.map(([descricao]) => ({ descricao })), CATEGORIAS);
+        assert.deepEqual(respostas.map(r => r.index), casos.map((_, i) => i + 1));
+        assert.deepEqual(respostas.map(r => r.categoria), casos.map(([, categoria]) => categoria));
+        assert.equal(respostas[5].confianca, 0);
+    });
+});
+
+describe('replay', () => {
+    it('devolve as respostas gravadas por gravarRespostas e deixa sem categoria o que não foi gravado', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-'));
+        const arquivo = path.join(dir, 'respostas.json');
+        try {
+            replay.gravarRespostas(arquivo, [
+                { descricao: 'Posto Ipiranga  Lages', categoria: '3.3.1. Combustível', confianca: 92, motivo: 'Posto' },
+                { descricao: 'TINY ERP', categoria: null, confianca: 0 },
+            ]);
+            assert.equal(replay.disponivel({ config: { arquivo } }), null);
+
+            const respostas = await replay.classificar(
+                [{ descricao: 'POSTO IPIRANGA LAGES' }, { descricao: 'TINY ERP' }],
+                CATEGORIAS,
+                { config: { arquivo } }
+            );
+            assert.deepEqual(respostas, [
+                { index: 1, categoria: '3.3.1. Combustível', confianca: 92, motivo: 'Posto' },
+                { index: 2, categoria: null, confianca: 0 },
+            ]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('listarProvedores', () => {
+    it('lista os provedores da pasta, um só ativo, com o motivo de não poder rodar', () => {
+        const provedores = listarProvedores();
+        assert.ok(['gemini', 'heuristica', 'http', 'replay'].every(id => provedores.some(p => p.id === id)));
+        assert.equal(provedores.filter(p => p.ativo).length, 1);
+        assert.equal(provedores.find(p => p.id === 'heuristica').indisponivel, null);
+    });
+});
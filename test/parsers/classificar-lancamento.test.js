@@ -0,0 +1,46 @@
+/**
+ * Tipo (kind) e sinal de cada lançamento — classificarLancamento.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { KINDS, classificarLancamento } = require('../../src/services/statement-parsers/parser-utils');
+
+describe('classificarLancamento', () => {
+    const casos = [
+        ['STOK CENTER 30', KINDS.PURCHASE],
+        ['PLASNOX PARC S/ JUROS 05 DE 18', KINDS.PURCHASE],
+        ['NOTEBOOK SEM JUROS', KINDS.PURCHASE],
+        ['ANUIDADE DIFERENCIADA', KINDS.ANNUITY],
+        ['ANUIDADE 03/12', KINDS.ANNUITY],
+        ['TARIFA DE USO DO CRÉDITO EMERGENCIAL', KINDS.FEE],
+        ['IOF COMPRA INTERNACIONAL', KINDS.FEE],
+        ['IOF ADICIONAL DE ROTATIVO', KINDS.FEE],
+        ['JUROS DO ROTATIVO', KINDS.INTEREST],
+        ['JUROS DE MORA', KINDS.INTEREST],
+        ['MULTA POR ATRASO', KINDS.INTEREST],
+        ['ENCARGOS DE FINANCIAMENTO', KINDS.INTEREST],
+        ['ENCARGOS FINANCEIROS', KINDS.INTEREST],
+        ['JUROS', KINDS.INTEREST],
+        ['DETRAN SP MULTA', KINDS.PURCHASE],
+        ['MULTAPLAST INDUSTRIA', KINDS.PURCHASE],
+        ['MULTAR COMERCIO LTDA', KINDS.PURCHASE],
+        ['RESTAURANTE ENCARGOS', KINDS.PURCHASE],
+        ['ROTATIVO PARK ESTACIONAMENTO', KINDS.PURCHASE],
+        ['DESC ANUIDADE', KINDS.REFUND],
+        ['ESTORNO ANUIDADE', KINDS.REFUND],
+    ];
+
+    for (const [descricao, kind] of casos) {
+        it(`"${descricao}" → ${kind}`, () => {
+            assert.equal(classificarLancamento(descricao, 10).kind, kind);
+        });
+    }
+
+    it('crédito vira estorno com valor negativo', () => {
+        assert.deepEqual(classificarLancamento('ANUIDADE', 19.9, true), { kind: KINDS.REFUND, valor: -19.9 });
+    });
+
+    it('pagamento da fatura anterior é ignorado', () => {
+        assert.equal(classificarLancamento('PAGAMENTO DA FATURA', 500), null);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * Golden files dos parsers de fatura.
+ *
+ * Cada arquivo em fixtures/ (texto extraído de PDF já anonimizado, OFX ou CSV)
+ * tem um snapshot em snapshots/<nome>.json com o resultado esperado do parse.
+ * O teste (golden.test.js) compara o parse atual com o snapshot; depois de
+ * uma mudança intencional nos parsers, os snapshots são regravados com
+ * `npm run test:snapshots`.
+ */
+const fs = require('fs');
+const path = require('path');
+const { parseTextoFatura } = require('../../src/services/pdf-parser');
+const { parseArquivoFatura } = require('../../src/services/statement-import');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, 'snapshots');
+
+const EXTENSOES_FIXTURE = ['.txt', '.ofx', '.qfx', '.csv'];
+
+const arredondar = (v) => Math.round(v * 100) / 100;
+
+function listarFixtures() {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(f => EXTENSOES_FIXTURE.includes(path.extname(f).toLowerCase()))
+        .sort();
+}
+
+function caminhoSnapshot(fixture) {
+    return path.join(SNAPSHOTS_DIR, `${fixture}.json`);
+}
+
+/**
+ * Parseia uma fixture: .txt é o texto do PDF (parseTextoFatura, sem passar
+ * pelo pdf-parse); OFX/CSV seguem o mesmo caminho do upload.
+ */
+async function parseFixture(fixture) {
+    const arquivo = path.join(FIXTURES_DIR, fixture);
+    if (path.extname(fixture).toLowerCase() === '.txt') {
+        return parseTextoFatura(fs.readFileSync(arquivo, 'utf-8'));
+    }
+    return parseArquivoFatura({ buffer: fs.readFileSync(arquivo), originalname: fixture });
+}
+
+/**
+ * Reduz o resultado do parse ao que o snapshot guarda: metadados, totais por
+ * tipo, parcelas, conferência do total e a lista completa de transações.
+ */
+function montarSnapshot(resultado) {
+    const transacoes = resultado.transacoes.map(t => JSON.parse(JSON.stringify(t)));
+
+    const porKind = {};
+    for (const t of transacoes) {
+        const kind = t.kind || 'purchase';
+        if (!porKind[kind]) porKind[kind] = { quantidade: 0, total: 0 };
+        porKind[kind].quantidade++;
+        porKind[kind].total = arredondar(porKind[kind].total + t.valor);
+    }
+
+    const parceladas = transacoes.filter(t => t.parcela);
+
+    return {
+        banco: resultado.banco,
+        metadados: {
+            vencimento: resultado.metadados.vencimento || null,
+            emissao: resultado.metadados.emissao || null,
+            valor_total: resultado.metadados.valor_total ?? null,
+        },
+        resumo: {
+            transacoes: transacoes.length,
+            total: arredondar(transacoes.reduce((sum, t) => sum + t.valor, 0)),
+            por_kind: porKind,
+            parceladas: parceladas.length,
+            parcelas: parceladas.map(t => `${t.descricao} ${t.parcela}`),
+        },
+        conferencia: {
+            status: resultado.conferencia ? resultado.conferencia.status : null,
+            diferenca: resultado.conferencia ? resultado.conferencia.diferenca ?? null : null,
+        },
+        transacoes,
+    };
+}
+
+function lerSnapshot(fixture) {
+    const arquivo = caminhoSnapshot(fixture);
+    if (!fs.existsSync(arquivo)) return null;
+    return JSON.parse(fs.readFileSync(arquivo, 'utf-8'));
+}
+
+function gravarSnapshot(fixture, snapshot) {
+    fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+    fs.writeFileSync(caminhoSnapshot(fixture), JSON.stringify(snapshot, null, 2) + '\n');
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    SNAPSHOTS_DIR,
+    listarFixtures,
+    caminhoSnapshot,
+    parseFixture,
+    montarSnapshot,
+    lerSnapshot,
+    gravarSnapshot,
+};
@@ -0,0 +1,35 @@
+/**
+ * Regressão dos parsers de fatura contra os golden files.
+ * Rodar: npm test — regravar após mudança intencional: npm run test:snapshots
+ */
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { listarFixtures, parseFixture, montarSnapshot, lerSnapshot } = require('./golden');
+
+const DICA = 'se a mudança foi intencional, regrave com "npm run test:snapshots"';
+
+describe('parsers de fatura — golden files', () => {
+    const fixtures = listarFixtures();
+
+    it('tem fixtures para testar', () => {
+        assert.ok(fixtures.length > 0, 'nenhuma fixture em test/parsers/fixtures');
+    });
+
+    for (const fixture of fixtures) {
+        it(fixture, async () => {
+            const esperado = lerSnapshot(fixture);
+            assert.ok(esperado, `snapshot ausente para ${fixture} — ${DICA}`);
+
+            const atual = montarSnapshot(await parseFixture(fixture));
+
+            // Do mais geral ao mais detalhado, para a falha apontar logo o que mudou
+            assert.equal(atual.banco, esperado.banco, `banco detectado mudou — ${DICA}`);
+            assert.deepEqual(atual.metadados, esperado.metadados, `vencimento/emissão/total declarado mudaram — ${DICA}`);
+            assert.deepEqual(atual.resumo, esperado.resumo, `quantidade, totais ou parcelas mudaram — ${DICA}`);
+            assert.deepEqual(atual.conferencia, esperado.conferencia, `conferência do total mudou — ${DICA}`);
+            assert.deepEqual(atual.transacoes, esperado.transacoes, `transações mudaram — ${DICA}`);
+        });
+    }
+});
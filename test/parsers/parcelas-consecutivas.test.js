@@ -0,0 +1,50 @@
+/**
+ * Parcelas de faturas consecutivas caem no mesmo contrato — chaveCompra e
+ * primeiroMes do installment-tracker sobre as fixtures de dois meses seguidos.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFixture } = require('./golden');
+const { lerParcela, chaveCompra, primeiroMes } = require('../../src/services/installment-tracker');
+
+/**
+ * Parcelas da fatura como acompanharParcelas as enxerga: chave da compra,
+ * mês da parcela 1 e valor.
+ */
+async function compras(fixture) {
+    const resultado = await parseFixture(fixture);
+    const mes = resultado.metadados.vencimento.slice(0, 7);
+    return resultado.transacoes
+        .filter(t => t.kind === 'purchase' && lerParcela(t.parcela))
+        .map(t => {
+            const { atual, total } = lerParcela(t.parcela);
+            return {
+                descricao: t.descricao,
+                atual,
+                chave: chaveCompra(t.cartao_final, t.descricao, total),
+                primeiro_mes: primeiroMes(mes, atual),
+                valor: t.valor,
+            };
+        });
+}
+
+const mesmaCompra = (a, b) => a.chave === b.chave && a.primeiro_mes === b.primeiro_mes && a.valor === b.valor;
+
+describe('parcelas de faturas consecutivas', () => {
+    const pares = [
+        ['santander-2025-12.txt', 'santander-2026-01.txt', 'COMERCIAL CNPARC 02/03 LAGES'],
+        ['caixa-2025-12.txt', 'caixa-2026-01.txt', 'ALLIANZ SEGU 05 DE 10'],
+    ];
+
+    for (const [anterior, seguinte, exemplo] of pares) {
+        it(`${seguinte}: parcelas 2+ continuam a compra de ${anterior}`, async () => {
+            const antes = await compras(anterior);
+            const depois = (await compras(seguinte)).filter(c => c.atual > 1);
+
+            assert.ok(depois.some(c => c.descricao === exemplo), `${exemplo} não está em ${seguinte}`);
+            for (const c of depois) {
+                assert.ok(antes.some(a => a.atual === c.atual - 1 && mesmaCompra(a, c)), `${c.descricao} sem parcela anterior`);
+            }
+        });
+    }
+});
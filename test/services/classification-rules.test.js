@@ -0,0 +1,68 @@
+/**
+ * Regras de classificação com condições — compilarRegras e condicoesAtendidas.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compilarRegras, condicoesAtendidas, validarRegra } = require('../../src/services/classification-rules');
+
+describe('compilarRegras', () => {
+    it('ordena por prioridade (maior primeiro) e mantém a ordem da lista no empate', () => {
+        const regras = compilarRegras([
+            { padrao: 'POSTO', categoria: 'A' },
+            { padrao: 'POSTO', categoria: 'B', prioridade: 10 },
+            { padrao: 'POSTO', categoria: 'C' },
+            { padrao: 'POSTO', categoria: 'D', prioridade: '10' },
+        ]);
+        assert.deepEqual(regras.map(r => r.categoria), ['B', 'D', 'A', 'C']);
+    });
+
+    it('deixa de fora regras inválidas e compila o regex sem diferenciar maiúsculas', () => {
+        const regras = compilarRegras([
+            { padrao: 'POSTO(', categoria: 'A' },
+            { padrao: '', categoria: 'B' },
+            { padrao: 'ipiranga', categoria: 'C' },
+        ]);
+        assert.equal(regras.length, 1);
+        assert.ok(regras[0].regex.test('POSTO IPIRANGA'));
+    });
+});
+
+describe('validarRegra', () => {
+    it('recusa faixa de valor invertida e dia da semana fora de 0–6', () => {
+        assert.match(validarRegra({ padrao: 'X', categoria: 'A', condicoes: { valor_min: 10, valor_max: 5 } }), /mínimo maior/);
+        assert.match(validarRegra({ padrao: 'X', categoria: 'A', condicoes: { dias_semana: [7] } }), /dia da semana/);
+        assert.equal(validarRegra({ padrao: 'X', categoria: 'A', condicoes: { valor_min: '', cartao: ' ' } }), null);
+    });
+});
+
+describe('condicoesAtendidas', () => {
+    const regra = (condicoes) => compilarRegras([{ padrao: 'X', categoria: 'A', condicoes }])[0];
+    // 2026-01-05 é segunda-feira
+    const item = { data: '2026-01-05', valor: -150, parcela: '2/6', cartao_final: '2577', portador: 'Maria Souza' };
+
+    const casos = [
+        ['sem condições', {}, true],
+        ['valor absoluto dentro da faixa', { valor_min: 100, valor_max: 150 }, true],
+        ['valor abaixo do mínimo', { valor_min: 151 }, false],
+        ['cartão da fatura, sem acento/maiúsculas', { cartao: 'cartao santander' }, true],
+        ['outro cartão', { cartao: 'Cartão Caixa' }, false],
+        ['portador pelo final', { portador: '2577' }, true],
+        ['portador por parte do nome', { portador: 'souza' }, true],
+        ['outro portador', { portador: '1430' }, false],
+        ['dia da semana', { dias_semana: [1, 2] }, true],
+        ['fora do dia da semana', { dias_semana: [0, 6] }, false],
+        ['só parcelado', { parcelado: true }, true],
+        ['só à vista', { parcelado: false }, false],
+    ];
+
+    for (const [nome, condicoes, esperado] of casos) {
+        it(`${nome} → ${esperado}`, () => {
+            assert.equal(condicoesAtendidas(regra(condicoes), item, { cartao: 'Cartão Santander' }), esperado);
+        });
+    }
+
+    it('portador cadastrado para o final do cartão (contexto.portadores)', () => {
+        const semNome = { ...item, portador: null };
+        assert.equal(condicoesAtendidas(regra({ portador: 'joao' }), semNome, { portadores: { 2577: 'João Lima' } }), true);
+    });
+});
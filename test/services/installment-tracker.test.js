@@ -0,0 +1,57 @@
+/**
+ * Compromissos de parcelas — lerParcela, primeiroMes e projetarCompromissos.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { lerParcela, primeiroMes, projetarCompromissos } = require('../../src/services/installment-tracker');
+
+describe('lerParcela', () => {
+    it('lê "atual/total"', () => {
+        assert.deepEqual(lerParcela('5/18'), { atual: 5, total: 18 });
+        assert.deepEqual(lerParcela('02/03'), { atual: 2, total: 3 });
+    });
+
+    it('recusa formato estranho, parcela única, parcela zero ou além do total', () => {
+        for (const parcela of [null, '', '5', '5 de 18', '1/1', '0/3', '4/3']) {
+            assert.equal(lerParcela(parcela), null, String(parcela));
+        }
+    });
+});
+
+describe('primeiroMes', () => {
+    it('volta atual-1 meses, atravessando a virada do ano', () => {
+        assert.equal(primeiroMes('2026-01', 3), '2025-11');
+        assert.equal(primeiroMes('2026-05', 1), '2026-05');
+        assert.equal(primeiroMes('2026-03', 15), '2025-01');
+    });
+});
+
+describe('projetarCompromissos', () => {
+    const contratos = [
+        // parcelas 4–6 em 2026-02..04; 2026-02 fica antes da janela
+        { card_name: 'Santander', first_month: '2025-11', total_installments: 6, last_installment: 3, installment_amount: 100 },
+        { card_name: 'Caixa', first_month: '2026-03', total_installments: 2, last_installment: 0, installment_amount: 0.1 },
+        // só a parcela 1 cai na janela
+        { card_name: 'Caixa', first_month: '2026-05', total_installments: 10, last_installment: 0, installment_amount: 0.2 },
+        // já quitado
+        { card_name: 'Santander', first_month: '2026-01', total_installments: 3, last_installment: 3, installment_amount: 999 },
+    ];
+
+    it('soma por mês e cartão só as parcelas ainda não vistas dentro da janela', () => {
+        const r = projetarCompromissos(contratos, { inicio: '2026-03', meses: 3 });
+        assert.deepEqual(r.meses, [
+            { mes: '2026-03', total: 100.1, cartoes: { Santander: 100, Caixa: 0.1 } },
+            { mes: '2026-04', total: 100.1, cartoes: { Santander: 100, Caixa: 0.1 } },
+            { mes: '2026-05', total: 0.2, cartoes: { Caixa: 0.2 } },
+        ]);
+        assert.deepEqual(r.cartoes, { Santander: 200, Caixa: 0.4 });
+        assert.equal(r.total, 200.4);
+    });
+
+    it('janela padrão de 12 meses', () => {
+        const r = projetarCompromissos([], { inicio: '2026-11' });
+        assert.equal(r.meses.length, 12);
+        assert.equal(r.meses[11].mes, '2027-10');
+        assert.equal(r.total, 0);
+    });
+});
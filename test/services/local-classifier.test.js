@@ -0,0 +1,73 @@
+/**
+ * Classificador local (naive Bayes) — treinarModelo, compilarModelo,
+ * preverCategoria e mesclarClasses.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { treinarModelo, compilarModelo, preverCategoria, mesclarClasses } = require('../../src/services/local-classifier');
+
+const COMBUSTIVEL = '3.3.1. Combustível';
+const MERCADO = '4.6.3. Mercado em Geral';
+const RARA = '3.9.2. Alimentação';
+
+const EXEMPLOS = [
+    { descricao: 'POSTO IPIRANGA LAGES', valor: 250, categoria: COMBUSTIVEL },
+    { descricao: 'POSTO IPIRANGA CENTRO', valor: 180, categoria: COMBUSTIVEL },
+    { descricao: 'POSTO SHELL LAGES', valor: 300, categoria: COMBUSTIVEL },
+    { descricao: 'SUPERMERCADO BISTEK', valor: 420, categoria: MERCADO },
+    { descricao: 'SUPERMERCADO ANGELONI', valor: 380, categoria: MERCADO },
+    { descricao: 'BISTEK SUPERMERCADO LAGES', valor: 95, categoria: MERCADO },
+    { descricao: 'PADARIA CENTRO', valor: 30, categoria: RARA },
+];
+
+describe('treinarModelo', () => {
+    it('conta exemplos por classe e descarta atributos vistos menos de 2 vezes', () => {
+        const modelo = treinarModelo(EXEMPLOS);
+        assert.equal(modelo.exemplos, 7);
+        assert.equal(modelo.classes[COMBUSTIVEL].exemplos, 3);
+        assert.equal(modelo.classes[COMBUSTIVEL].atributos['p:POSTO'], 3);
+        assert.equal(modelo.classes[COMBUSTIVEL].atributos['p:SHELL'], undefined);
+        assert.equal(modelo.classes[MERCADO].atributos['p:ANGELONI'], undefined);
+    });
+});
+
+describe('preverCategoria', () => {
+    const compilado = compilarModelo(treinarModelo(EXEMPLOS), { minExemplos: 3 });
+
+    it('deixa de fora classes com menos de minExemplos', () => {
+        assert.deepEqual(compilado.classes.map(c => c.categoria).sort(), [COMBUSTIVEL, MERCADO]);
+    });
+
+    it('prevê a classe das palavras conhecidas, com a outra como alternativa', () => {
+        const r = preverCategoria(compilado, { descricao: 'POSTO IPIRANGA BR 282', valor: 200 });
+        assert.equal(r.categoria, COMBUSTIVEL);
+        assert.ok(r.probabilidade > 0.9, String(r.probabilidade));
+        assert.deepEqual(r.palavras.sort(), ['IPIRANGA', 'POSTO']);
+        assert.equal(r.alternativa.categoria, MERCADO);
+
+        assert.equal(preverCategoria(compilado, { descricao: 'BISTEK', valor: 200 }).categoria, MERCADO);
+    });
+
+    it('sem palavra conhecida → null, mesmo com faixa de valor conhecida', () => {
+        assert.equal(preverCategoria(compilado, { descricao: 'TINY ERP', valor: 250 }), null);
+    });
+});
+
+describe('mesclarClasses', () => {
+    const modelo = treinarModelo(EXEMPLOS);
+
+    it('soma as classes de origem na de destino e remove as origens', () => {
+        const novo = mesclarClasses(modelo, [COMBUSTIVEL, RARA], MERCADO);
+        assert.deepEqual(Object.keys(novo.classes), [MERCADO]);
+        const m = novo.classes[MERCADO];
+        assert.equal(m.exemplos, 7);
+        assert.equal(m.atributos['p:POSTO'], 3);
+        assert.equal(m.atributos['p:LAGES'], modelo.classes[COMBUSTIVEL].atributos['p:LAGES'] + modelo.classes[MERCADO].atributos['p:LAGES']);
+        assert.equal(modelo.classes[COMBUSTIVEL].exemplos, 3, 'modelo original intacto');
+    });
+
+    it('destino novo é criado; sem nenhuma origem no modelo → null', () => {
+        assert.deepEqual(Object.keys(mesclarClasses(modelo, [RARA], '3.9.9. Lanches').classes).sort(), [COMBUSTIVEL, '3.9.9. Lanches', MERCADO].sort());
+        assert.equal(mesclarClasses(modelo, ['9.9. Inexistente'], MERCADO), null);
+    });
+});
@@ -0,0 +1,47 @@
+/**
+ * Busca aproximada na memória de classificação — criarIndiceMemoria e buscarNaMemoria.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { criarIndiceMemoria, buscarNaMemoria } = require('../../src/services/mapping-matcher');
+
+const MEMORIA = {
+    'POSTO IPIRANGA': '3.3.1. Combustível',
+    'PAG *JOSE DA SILVA': '3.9.2. Alimentação',
+    'POSTO': '000020. Dúvida na categorizaçao/origem',
+};
+
+describe('buscarNaMemoria', () => {
+    const indice = criarIndiceMemoria(MEMORIA);
+
+    it('chave salva tal qual → exato com score 1', () => {
+        assert.deepEqual(buscarNaMemoria(indice, 'POSTO IPIRANGA'), {
+            key: 'POSTO IPIRANGA', categoria: '3.3.1. Combustível', score: 1, exato: true,
+        });
+    });
+
+    it('mesma forma compacta (espaços, prefixo, parcela) → score 1 sem ser exato', () => {
+        for (const chave of ['PAG*JOSEDASILVA', 'JOSE DA SILVA PARC 02/03']) {
+            const r = buscarNaMemoria(indice, chave);
+            assert.equal(r.key, 'PAG *JOSE DA SILVA', chave);
+            assert.equal(r.score, 1);
+            assert.equal(r.exato, false);
+        }
+    });
+
+    it('descrição parecida casa pelo Dice dos trigramas, respeitando o limiar', () => {
+        const r = buscarNaMemoria(indice, 'POSTO IPIRANGA LAGES');
+        assert.equal(r.key, 'POSTO IPIRANGA');
+        assert.ok(r.score >= 0.6 && r.score < 1, String(r.score));
+        assert.equal(buscarNaMemoria(indice, 'POSTO IPIRANGA LAGES', { limiar: 0.9 }), null);
+    });
+
+    it('chave curta e genérica não casa com descrição longa que a contém', () => {
+        assert.equal(buscarNaMemoria(indice, 'POSTO SHELL BR 282 CAMPOS NOVOS'), null);
+    });
+
+    it('memória vazia → null', () => {
+        assert.equal(buscarNaMemoria(criarIndiceMemoria({}), 'POSTO IPIRANGA'), null);
+        assert.equal(buscarNaMemoria(criarIndiceMemoria(null), 'POSTO IPIRANGA'), null);
+    });
+});
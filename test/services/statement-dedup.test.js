@@ -0,0 +1,70 @@
+/**
+ * Substituição de fatura — herdarClassificacoes.
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { herdarClassificacoes } = require('../../src/services/statement-dedup');
+
+const antiga = (extra) => ({
+    id: 10, date: '2026-01-05', description: 'POSTO SHELL', amount: 200, installment: null,
+    category: '3.3.1. Combustível', confidence: 'manual', category_source: 'manual',
+    notes: null, reconciled: 0, sent_to_olist: 0, olist_id: null,
+    ...extra,
+});
+
+const nova = (extra) => ({
+    data: '2026-01-05', descricao: 'POSTO SHELL', valor: 200, parcela: null,
+    categoria: '4.6.3. Mercado em Geral', confianca: 'alta', fonte: 'regra',
+    ...extra,
+});
+
+describe('herdarClassificacoes', () => {
+    it('pareia pela chave e leva categoria, origem, observação e envio da antiga', () => {
+        const novas = [nova()];
+        const r = herdarClassificacoes([antiga({ notes: 'frota', sent_to_olist: 1, olist_id: 'X1' })], novas);
+
+        assert.deepEqual({ mantidas: r.mantidas, novas: r.novas, removidas: r.removidas.length }, { mantidas: 1, novas: 0, removidas: 0 });
+        assert.equal(novas[0].id_anterior, 10);
+        assert.equal(novas[0].categoria, '3.3.1. Combustível');
+        assert.equal(novas[0].fonte, 'manual');
+        assert.equal(novas[0].notes, 'frota');
+        assert.equal(novas[0].olist_id, 'X1');
+    });
+
+    it('origem memória leva junto a chave do mapeamento', () => {
+        const novas = [nova()];
+        herdarClassificacoes([antiga({ category_source: 'memória', confidence: 'alta', mapping_key: 'POSTO SHELL' })], novas);
+        assert.equal(novas[0].fonte, 'memória');
+        assert.equal(novas[0].mapeamento, 'POSTO SHELL');
+    });
+
+    it('antiga NÃO CLASSIFICADO não desfaz a classificação nova', () => {
+        const novas = [nova()];
+        herdarClassificacoes([antiga({ category: '⚠️ NÃO CLASSIFICADO', category_source: null })], novas);
+        assert.equal(novas[0].categoria, '4.6.3. Mercado em Geral');
+        assert.equal(novas[0].fonte, 'regra');
+        assert.equal(novas[0].id_anterior, 10);
+    });
+
+    it('antiga sem origem não vence a classificação nova', () => {
+        const novas = [nova()];
+        herdarClassificacoes([antiga({ category_source: null })], novas);
+        assert.equal(novas[0].categoria, '4.6.3. Mercado em Geral');
+    });
+
+    it('sem par: antiga vira removida (separando as já enviadas) e a nova fica como está', () => {
+        const novas = [nova({ valor: 201 })];
+        const r = herdarClassificacoes([antiga({ sent_to_olist: 1 })], novas);
+        assert.equal(r.mantidas, 0);
+        assert.equal(r.removidas.length, 1);
+        assert.equal(r.removidas_enviadas.length, 1);
+        assert.equal(novas[0].id_anterior, undefined);
+    });
+
+    it('lançamentos repetidos pareiam um a um', () => {
+        const novas = [nova(), nova()];
+        const r = herdarClassificacoes([antiga({ id: 1 }), antiga({ id: 2 })], novas);
+        assert.equal(r.mantidas, 2);
+        assert.deepEqual(novas.map(n => n.id_anterior), [1, 2]);
+    });
+});